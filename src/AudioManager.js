@@ -0,0 +1,534 @@
+import { EventEmitter } from './EventEmitter.js';
+
+/**
+ * AudioManager - 音频管理器类
+ * 基于Web Audio API负责背景音乐的加载、循环播放、音量控制和频谱分析，
+ * 并可选地让迪斯科球的旋转跟随音乐的播放/暂停。
+ * 音源可以是音频文件，也可以是 MusicGenerator 程序化生成的音乐
+ */
+export class AudioManager extends EventEmitter {
+  constructor(config = {}) {
+    super();
+
+    // 配置参数
+    this.config = {
+      loop: config.loop !== false,                   // 循环播放
+      volume: config.volume !== undefined ? config.volume : 0.7, // 初始音量 (0-1)
+      fftSize: config.fftSize || 2048,               // 频谱分析FFT大小
+      smoothingTimeConstant: config.smoothingTimeConstant !== undefined
+        ? config.smoothingTimeConstant
+        : 0.8,                                       // 频谱平滑系数
+      syncRotation: config.syncRotation || false,    // 暂停音乐时同时停止灯球旋转
+      bands: config.bands || {                       // 频段划分 (Hz)
+        bass: [20, 250],
+        mids: [250, 4000],
+        highs: [4000, 16000]
+      },
+      bandPeakDecay: config.bandPeakDecay || 0.995,  // 频段峰值衰减（自动增益）
+      ...config
+    };
+
+    // Web Audio 节点
+    this.audioContext = null;
+    this.gainNode = null;
+    this.analyser = null;
+    this.source = null;
+    this.buffer = null;
+    this.generator = null; // 程序化音乐生成器（与 buffer 二选一）
+
+    // 播放状态
+    this.isPlaying = false;
+    this.currentTrack = null;
+    this.startTime = 0;    // 当前播放段在 audioContext 时间轴上的起点
+    this.pauseOffset = 0;  // 暂停时在曲目中的位置（秒）
+    this.pendingPlay = null;   // 等待音频上下文恢复的播放请求
+    this.playRequestId = 0;    // 暂停、切换音源时递增，使等待中的播放请求失效
+
+    // 旋转同步
+    this.discoBall = null;
+    this.savedRotationSpeed = null; // 暂停前的目标旋转速度
+
+    // 频谱数据缓冲
+    this.frequencyData = null;
+
+    // 各频段的峰值记录，用于把能量归一化到0-1
+    this.bandPeaks = {};
+  }
+
+  /**
+   * 检查音频支持
+   */
+  static checkAudioSupport() {
+    return typeof window !== 'undefined' &&
+      !!(window.AudioContext || window.webkitAudioContext);
+  }
+
+  /**
+   * 初始化音频上下文和节点链路（懒加载）
+   * source -> gain -> analyser -> destination
+   */
+  init() {
+    if (this.audioContext) return true;
+
+    if (!AudioManager.checkAudioSupport()) {
+      console.error('Web Audio API is not supported in this browser');
+      return false;
+    }
+
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    this.audioContext = new AudioContextClass();
+
+    this.gainNode = this.audioContext.createGain();
+    this.gainNode.gain.value = this.config.volume;
+
+    this.analyser = this.audioContext.createAnalyser();
+    this.analyser.fftSize = this.config.fftSize;
+    this.analyser.smoothingTimeConstant = this.config.smoothingTimeConstant;
+    this.frequencyData = new Uint8Array(this.analyser.frequencyBinCount);
+
+    this.gainNode.connect(this.analyser);
+    this.analyser.connect(this.audioContext.destination);
+
+    console.log('AudioManager initialized');
+    return true;
+  }
+
+  /**
+   * 加载音频文件
+   */
+  async loadTrack(url) {
+    if (!this.init()) {
+      throw new Error('Web Audio API is not supported');
+    }
+
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Failed to load track "${url}": ${response.status}`);
+    }
+
+    const arrayBuffer = await response.arrayBuffer();
+    const buffer = await this.audioContext.decodeAudioData(arrayBuffer);
+
+    // 替换当前曲目
+    const wasPlaying = this.isPlaying || !!this.pendingPlay;
+    this.cancelPendingPlay();
+    this.stopSource();
+    this.releaseGenerator();
+    this.isPlaying = false;
+    this.buffer = buffer;
+    this.currentTrack = url;
+    this.pauseOffset = 0;
+    this.bandPeaks = {};
+
+    console.log(`Track loaded: ${url} (${buffer.duration.toFixed(1)}s)`);
+    this.emit('load', { url, duration: buffer.duration });
+
+    // 曲目已加载成功，恢复播放失败（例如自动播放策略）不影响加载结果
+    if (wasPlaying) {
+      await this.play().catch(error => {
+        console.warn('Failed to resume playback:', error.message);
+      });
+    }
+
+    return buffer;
+  }
+
+  /**
+   * 使用程序化音乐生成器作为音源
+   * 生成器的输出同样经过增益和分析器节点，可以像音频文件一样播放和分析
+   */
+  useGenerator(generator) {
+    if (!this.init()) {
+      throw new Error('Web Audio API is not supported');
+    }
+
+    const wasPlaying = this.isPlaying || !!this.pendingPlay;
+    this.cancelPendingPlay();
+    this.stopSource();
+    this.releaseGenerator();
+    this.isPlaying = false;
+    this.buffer = null;
+    this.pauseOffset = 0;
+    this.bandPeaks = {};
+
+    this.generator = generator;
+    this.generator.connect(this.audioContext, this.gainNode);
+    this.currentTrack = `generator:${generator.config.style}`;
+
+    console.log(`Using music generator: ${generator.config.style} @ ${generator.config.bpm} BPM`);
+    this.emit('load', { url: this.currentTrack, duration: 0, generator });
+
+    if (wasPlaying) {
+      this.play().catch(error => {
+        console.warn('Failed to resume playback:', error.message);
+      });
+    }
+  }
+
+  /**
+   * 断开当前的音乐生成器
+   */
+  releaseGenerator() {
+    if (!this.generator) return;
+
+    this.generator.disconnect();
+    this.generator = null;
+  }
+
+  /**
+   * 是否已有可播放的音源
+   */
+  hasSource() {
+    return !!(this.buffer || this.generator);
+  }
+
+  /**
+   * 播放音乐（从暂停位置继续）
+   * 等待音频上下文恢复期间的重复调用返回同一个 Promise，不会启动第二个音源
+   * @returns {Promise<boolean>} 是否开始了播放
+   */
+  play() {
+    if (!this.hasSource() || this.isPlaying) return Promise.resolve(false);
+
+    if (!this.pendingPlay) {
+      const pendingPlay = this.startPlayback().finally(() => {
+        if (this.pendingPlay === pendingPlay) this.pendingPlay = null;
+      });
+      this.pendingPlay = pendingPlay;
+    }
+    return this.pendingPlay;
+  }
+
+  /**
+   * 恢复音频上下文并启动音源
+   */
+  async startPlayback() {
+    const requestId = ++this.playRequestId;
+
+    // 浏览器自动播放策略要求在用户交互后恢复上下文
+    if (this.audioContext.state === 'suspended') {
+      await this.audioContext.resume();
+
+      // 等待期间被暂停、切换了音源或已释放
+      if (requestId !== this.playRequestId || !this.hasSource()) return false;
+    }
+
+    if (this.generator) {
+      this.generator.start();
+    } else {
+      this.startSource(this.pauseOffset);
+    }
+    this.isPlaying = true;
+
+    this.resumeRotation();
+    this.emit('play', this.getState());
+    return true;
+  }
+
+  /**
+   * 暂停音乐
+   */
+  pause() {
+    this.cancelPendingPlay();
+    if (!this.isPlaying) return;
+
+    this.pauseOffset = this.getCurrentTime();
+    this.stopSource();
+    if (this.generator) {
+      this.generator.stop();
+    }
+    this.isPlaying = false;
+
+    this.pauseRotation();
+    this.emit('pause', this.getState());
+  }
+
+  /**
+   * 取消等待音频上下文恢复的播放请求
+   */
+  cancelPendingPlay() {
+    this.playRequestId++;
+    this.pendingPlay = null;
+  }
+
+  /**
+   * 切换播放/暂停
+   */
+  async togglePlayback() {
+    if (this.isPlaying) {
+      this.pause();
+      return false;
+    }
+    return this.play();
+  }
+
+  /**
+   * 跳转到指定时间（秒）
+   * 程序化音乐没有时间轴，不支持跳转
+   */
+  seek(time) {
+    if (!this.buffer) return;
+
+    const clampedTime = Math.max(0, Math.min(this.buffer.duration, time));
+
+    if (this.isPlaying) {
+      this.stopSource();
+      this.startSource(clampedTime);
+    } else {
+      this.pauseOffset = clampedTime;
+    }
+
+    this.emit('seek', { time: clampedTime });
+  }
+
+  /**
+   * 设置音量 (0-1)
+   */
+  setVolume(volume) {
+    this.config.volume = Math.max(0, Math.min(1, volume));
+
+    if (this.gainNode) {
+      this.gainNode.gain.value = this.config.volume;
+    }
+
+    this.emit('volumechange', { volume: this.config.volume });
+  }
+
+  /**
+   * 设置是否循环播放
+   */
+  setLoop(loop) {
+    this.config.loop = !!loop;
+
+    if (this.source) {
+      this.source.loop = this.config.loop;
+    }
+  }
+
+  /**
+   * 创建并启动音频源节点
+   * AudioBufferSourceNode 只能启动一次，每次播放/跳转都需要重新创建
+   */
+  startSource(offset) {
+    const source = this.audioContext.createBufferSource();
+    source.buffer = this.buffer;
+    source.loop = this.config.loop;
+    source.connect(this.gainNode);
+
+    source.onended = () => {
+      // 非循环播放到结尾时重置状态
+      if (this.source !== source) return;
+      this.source = null;
+      this.isPlaying = false;
+      this.pauseOffset = 0;
+      this.pauseRotation();
+      this.emit('ended', this.getState());
+    };
+
+    source.start(0, offset);
+    this.source = source;
+    this.startTime = this.audioContext.currentTime - offset;
+  }
+
+  /**
+   * 停止并断开当前音频源节点
+   */
+  stopSource() {
+    if (!this.source) return;
+
+    const source = this.source;
+    this.source = null;
+    source.onended = null;
+
+    try {
+      source.stop();
+    } catch (error) {
+      // 源节点可能已经结束
+    }
+    source.disconnect();
+  }
+
+  /**
+   * 获取当前播放位置（秒）
+   */
+  getCurrentTime() {
+    if (this.generator) return this.generator.getCurrentTime();
+    if (!this.buffer) return 0;
+    if (!this.isPlaying) return this.pauseOffset;
+
+    const elapsed = this.audioContext.currentTime - this.startTime;
+    const duration = this.buffer.duration;
+
+    return this.config.loop ? elapsed % duration : Math.min(elapsed, duration);
+  }
+
+  /**
+   * 获取曲目时长（秒）
+   */
+  getDuration() {
+    return this.buffer ? this.buffer.duration : 0;
+  }
+
+  /**
+   * 获取分析器节点（用于频谱可视化）
+   */
+  getAnalyser() {
+    return this.analyser;
+  }
+
+  /**
+   * 获取当前频谱数据
+   */
+  getFrequencyData() {
+    if (!this.analyser) return null;
+
+    this.analyser.getByteFrequencyData(this.frequencyData);
+    return this.frequencyData;
+  }
+
+  /**
+   * 获取各频段的能量 (0-1)
+   * 按各自近期峰值归一化，使不同响度的曲目都有完整的动态范围
+   * @param {Uint8Array} [spectrum] 本帧已读取的频谱（见 getFrequencyData），默认重新读取
+   */
+  getBandLevels(spectrum = null) {
+    const data = spectrum || this.getFrequencyData();
+    if (!data) return null;
+
+    const binWidth = this.audioContext.sampleRate / this.analyser.fftSize;
+    const levels = {};
+
+    Object.entries(this.config.bands).forEach(([band, [minFrequency, maxFrequency]]) => {
+      const startBin = Math.max(0, Math.floor(minFrequency / binWidth));
+      const endBin = Math.min(data.length - 1, Math.ceil(maxFrequency / binWidth));
+
+      let sum = 0;
+      for (let i = startBin; i <= endBin; i++) {
+        sum += data[i];
+      }
+      const energy = endBin >= startBin ? sum / (endBin - startBin + 1) / 255 : 0;
+
+      // 峰值缓慢衰减，保留下限避免静音时放大噪声
+      const peak = Math.max(energy, (this.bandPeaks[band] || 0) * this.config.bandPeakDecay, 0.05);
+      this.bandPeaks[band] = peak;
+
+      levels[band] = Math.min(1, energy / peak);
+    });
+
+    return levels;
+  }
+
+  /**
+   * 关联迪斯科球，用于旋转同步
+   */
+  attachDiscoBall(discoBall) {
+    this.discoBall = discoBall;
+    this.savedRotationSpeed = null;
+
+    // 已处于暂停状态时立即同步
+    if (this.config.syncRotation && this.discoBall && !this.isPlaying && this.hasSource()) {
+      this.pauseRotation();
+    }
+  }
+
+  /**
+   * 设置是否让旋转跟随音乐播放/暂停
+   */
+  setSyncRotation(enabled) {
+    this.config.syncRotation = !!enabled;
+
+    if (!this.config.syncRotation) {
+      // 关闭同步时恢复之前的旋转速度
+      this.restoreRotation();
+    } else if (!this.isPlaying && this.hasSource()) {
+      this.pauseRotation();
+    }
+  }
+
+  /**
+   * 音乐暂停时停止旋转，并记录之前的速度
+   */
+  pauseRotation() {
+    if (!this.config.syncRotation || !this.discoBall) return;
+    if (this.savedRotationSpeed !== null) return;
+
+    this.savedRotationSpeed = this.discoBall.targetRotationSpeed;
+    this.discoBall.stopRotation();
+  }
+
+  /**
+   * 音乐恢复时还原之前的旋转速度
+   */
+  resumeRotation() {
+    if (!this.config.syncRotation) return;
+    this.restoreRotation();
+  }
+
+  /**
+   * 音乐暂停导致旋转停止期间，记录新的旋转速度并在恢复播放时生效
+   * @returns {boolean} 是否已记录（未处于暂停停转状态时返回 false）
+   */
+  deferRotationSpeed(speed) {
+    if (this.savedRotationSpeed === null) return false;
+
+    this.savedRotationSpeed = speed;
+    return true;
+  }
+
+  /**
+   * 还原暂停前记录的旋转速度
+   */
+  restoreRotation() {
+    if (!this.discoBall || this.savedRotationSpeed === null) return;
+
+    this.discoBall.setRotationSpeed(this.savedRotationSpeed);
+    this.savedRotationSpeed = null;
+  }
+
+  /**
+   * 获取音频状态
+   */
+  getState() {
+    return {
+      isPlaying: this.isPlaying,
+      currentTrack: this.currentTrack,
+      sourceType: this.generator ? 'generator' : 'file',
+      currentTime: this.getCurrentTime(),
+      duration: this.getDuration(),
+      volume: this.config.volume,
+      loop: this.config.loop,
+      syncRotation: this.config.syncRotation
+    };
+  }
+
+  /**
+   * 清理资源
+   */
+  dispose() {
+    this.cancelPendingPlay();
+    this.stopSource();
+    this.releaseGenerator();
+    this.isPlaying = false;
+
+    if (this.gainNode) {
+      this.gainNode.disconnect();
+      this.gainNode = null;
+    }
+
+    if (this.analyser) {
+      this.analyser.disconnect();
+      this.analyser = null;
+    }
+
+    if (this.audioContext) {
+      this.audioContext.close();
+      this.audioContext = null;
+    }
+
+    this.buffer = null;
+    this.discoBall = null;
+    this.removeAllListeners();
+
+    console.log('AudioManager disposed');
+  }
+}
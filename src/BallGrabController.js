@@ -0,0 +1,212 @@
+import * as THREE from 'three';
+import { EventEmitter } from './EventEmitter.js';
+
+/**
+ * BallGrabController - 抓取和甩动灯球
+ * 按下时对 DiscoBall.mesh 做射线检测，拖动时按轨迹球方式让球体跟随指针绕任意轴旋转，
+ * 松手时把最近的拖动速度作为惯性角速度交给 DiscoBall；几乎没有移动的按下视为点击（'click' 事件）
+ */
+export class BallGrabController extends EventEmitter {
+  constructor(discoBall, camera, domElement, config = {}) {
+    super();
+
+    this.discoBall = discoBall;
+    this.camera = camera;
+    this.domElement = domElement;
+
+    // 配置参数
+    this.config = {
+      enabled: config.enabled !== false,
+      velocitySmoothing: config.velocitySmoothing || 0.5, // 角速度估计的平滑程度 (0-1)
+      releaseTimeout: config.releaseTimeout || 100,       // 松手前停顿超过该时间（毫秒）则不甩出
+      flickScale: config.flickScale || 1.0,               // 甩出角速度的倍数
+      clickTolerance: config.clickTolerance || 4,         // 移动不超过该距离（像素）视为点击
+      ...config
+    };
+
+    // 拖动状态
+    this.isDragging = false;
+    this.pointerId = null;
+    this.lastPoint = new THREE.Vector3();   // 上一个指针在球面上的方向（相对球心，单位向量）
+    this.lastMoveTime = 0;
+    this.velocity = new THREE.Vector3();    // 估计的角速度（弧度/秒）
+    this.downPosition = { x: 0, y: 0 };     // 按下时的指针位置（判断点击）
+
+    // 复用的临时对象
+    this.raycaster = new THREE.Raycaster();
+    this.pointer = new THREE.Vector2();
+    this.sphere = new THREE.Sphere();
+    this.point = new THREE.Vector3();
+    this.axis = new THREE.Vector3();
+    this.sample = new THREE.Vector3();
+
+    this.onPointerDown = this.onPointerDown.bind(this);
+    this.onPointerMove = this.onPointerMove.bind(this);
+    this.onPointerUp = this.onPointerUp.bind(this);
+  }
+
+  /**
+   * 初始化指针事件
+   * 在捕获阶段监听，先于相机控制器处理按在球上的操作
+   */
+  init() {
+    this.domElement.addEventListener('pointerdown', this.onPointerDown, true);
+    console.log('BallGrabController initialized');
+  }
+
+  /**
+   * 启用/禁用抓取
+   */
+  setEnabled(enabled) {
+    this.config.enabled = enabled;
+    if (!enabled && this.isDragging) {
+      this.endDrag(false);
+    }
+  }
+
+  /**
+   * 把指针事件转换为标准化设备坐标
+   */
+  updatePointer(event) {
+    const rect = this.domElement.getBoundingClientRect();
+    this.pointer.set(
+      ((event.clientX - rect.left) / rect.width) * 2 - 1,
+      -((event.clientY - rect.top) / rect.height) * 2 + 1
+    );
+    this.raycaster.setFromCamera(this.pointer, this.camera);
+  }
+
+  /**
+   * 射线检测指针是否落在灯球上
+   */
+  hitTest(event) {
+    const mesh = this.discoBall.getMesh();
+    if (!mesh) return false;
+
+    this.updatePointer(event);
+    return this.raycaster.intersectObject(mesh, false).length > 0;
+  }
+
+  /**
+   * 计算指针对应的球面方向（相对球心的单位向量）
+   * 指针移出球体轮廓时取射线上离球心最近的点，拖动不会中断
+   */
+  getSpherePoint(event, target) {
+    const mesh = this.discoBall.getMesh();
+    mesh.getWorldPosition(this.sphere.center);
+    this.sphere.radius = this.discoBall.config.radius;
+
+    this.updatePointer(event);
+    const ray = this.raycaster.ray;
+    if (!ray.intersectSphere(this.sphere, target)) {
+      ray.closestPointToPoint(this.sphere.center, target);
+    }
+    return target.sub(this.sphere.center).normalize();
+  }
+
+  /**
+   * 按下：命中灯球时开始拖动
+   */
+  onPointerDown(event) {
+    if (!this.config.enabled || this.isDragging || event.button > 0) return;
+    if (!this.hitTest(event)) return;
+
+    // 阻止相机控制器把这次拖动当作环绕
+    event.stopImmediatePropagation();
+    event.preventDefault();
+
+    this.isDragging = true;
+    this.pointerId = event.pointerId;
+    this.getSpherePoint(event, this.lastPoint);
+    this.lastMoveTime = event.timeStamp;
+    this.velocity.set(0, 0, 0);
+    this.downPosition = { x: event.clientX, y: event.clientY };
+
+    if (this.domElement.setPointerCapture && event.pointerId !== undefined) {
+      this.domElement.setPointerCapture(event.pointerId);
+    }
+    this.domElement.addEventListener('pointermove', this.onPointerMove);
+    this.domElement.addEventListener('pointerup', this.onPointerUp);
+    this.domElement.addEventListener('pointercancel', this.onPointerUp);
+
+    this.discoBall.grab();
+    this.emit('grabstart');
+  }
+
+  /**
+   * 拖动：让球面上被抓住的点跟随指针
+   */
+  onPointerMove(event) {
+    if (!this.isDragging || event.pointerId !== this.pointerId) return;
+
+    this.getSpherePoint(event, this.point);
+    const angle = this.lastPoint.angleTo(this.point);
+    const elapsed = Math.max(1, event.timeStamp - this.lastMoveTime) * 0.001;
+
+    if (angle > 1e-6) {
+      this.axis.crossVectors(this.lastPoint, this.point).normalize();
+      this.discoBall.rotateBy(this.axis, angle);
+
+      // 平滑估计角速度，松手时作为甩出速度
+      this.sample.copy(this.axis).multiplyScalar(angle / elapsed);
+      this.velocity.lerp(this.sample, this.config.velocitySmoothing);
+    }
+
+    this.lastPoint.copy(this.point);
+    this.lastMoveTime = event.timeStamp;
+  }
+
+  /**
+   * 松手：把最近的拖动速度作为惯性甩出
+   */
+  onPointerUp(event) {
+    if (!this.isDragging || event.pointerId !== this.pointerId) return;
+
+    const moved = Math.hypot(event.clientX - this.downPosition.x, event.clientY - this.downPosition.y);
+    const isClick = moved <= this.config.clickTolerance;
+
+    // 停住后再松手或只是点击时不应该甩出
+    const flick = !isClick && event.timeStamp - this.lastMoveTime <= this.config.releaseTimeout;
+    this.endDrag(flick);
+
+    if (isClick) {
+      // raycaster 已对准点击位置，可直接用于点选灯孔
+      this.updatePointer(event);
+      this.emit('click', { raycaster: this.raycaster, additive: event.shiftKey || event.ctrlKey || event.metaKey });
+    }
+  }
+
+  /**
+   * 结束拖动
+   */
+  endDrag(flick) {
+    if (this.domElement.releasePointerCapture && this.pointerId !== undefined && this.pointerId !== null) {
+      try {
+        this.domElement.releasePointerCapture(this.pointerId);
+      } catch (error) {
+        // 指针已经释放
+      }
+    }
+    this.domElement.removeEventListener('pointermove', this.onPointerMove);
+    this.domElement.removeEventListener('pointerup', this.onPointerUp);
+    this.domElement.removeEventListener('pointercancel', this.onPointerUp);
+
+    const angularVelocity = flick ? this.velocity.clone().multiplyScalar(this.config.flickScale) : null;
+    this.isDragging = false;
+    this.pointerId = null;
+    this.discoBall.release(angularVelocity);
+
+    this.emit('grabend', { angularVelocity: angularVelocity ? angularVelocity.toArray() : [0, 0, 0] });
+  }
+
+  /**
+   * 清理资源
+   */
+  dispose() {
+    if (this.isDragging) {
+      this.endDrag(false);
+    }
+    this.domElement.removeEventListener('pointerdown', this.onPointerDown, true);
+    this.removeAllListeners();
+  }
+}
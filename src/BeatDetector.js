@@ -0,0 +1,257 @@
+import { EventEmitter } from './EventEmitter.js';
+
+/**
+ * BeatDetector - 节拍检测器类
+ * 在 AnalyserNode 的低频频谱上做频谱通量(onset)检测，
+ * 发布 'beat' 事件并根据节拍间隔估算 BPM（'tempo' 事件）
+ */
+export class BeatDetector extends EventEmitter {
+  constructor(analyser = null, config = {}) {
+    super();
+
+    // 配置参数
+    this.config = {
+      minFrequency: config.minFrequency || 20,       // 检测频段下限 (Hz)
+      maxFrequency: config.maxFrequency || 200,      // 检测频段上限 (Hz)，底鼓所在频段
+      historySize: config.historySize || 43,         // 自适应阈值的历史帧数（约0.7秒）
+      sensitivity: config.sensitivity || 1.5,        // 阈值 = 均值 + sensitivity * 标准差
+      minFlux: config.minFlux || 2,                  // 忽略过小的能量变化
+      minBeatInterval: config.minBeatInterval || 0.25, // 两拍之间的最小间隔（秒）
+      minBpm: config.minBpm || 70,                   // BPM 估算范围
+      maxBpm: config.maxBpm || 180,
+      onsetHistorySize: config.onsetHistorySize || 24, // 用于估算BPM的节拍数量
+      tempoSmoothing: config.tempoSmoothing || 0.2,  // BPM 平滑系数
+      ...config
+    };
+
+    this.analyser = null;
+    this.frequencyData = null;
+    this.previousSpectrum = null;
+
+    // 检测状态
+    this.fluxHistory = [];
+    this.onsetTimes = [];
+    this.lastBeatTime = -Infinity;
+    this.bpm = 0;
+    this.confidence = 0;
+
+    this.setAnalyser(analyser);
+  }
+
+  /**
+   * 设置分析器节点
+   */
+  setAnalyser(analyser) {
+    this.analyser = analyser;
+    this.frequencyData = analyser ? new Uint8Array(analyser.frequencyBinCount) : null;
+    this.previousSpectrum = null;
+  }
+
+  /**
+   * 每帧调用：读取频谱并检测节拍
+   * @param {number} [time] 当前时间（秒），默认使用音频上下文时间
+   * @param {Uint8Array} [spectrum] 本帧已读取的频谱（与其他模块共用一次读取），默认从分析器读取
+   */
+  update(time, spectrum = null) {
+    if (!this.analyser) return false;
+
+    if (spectrum) {
+      this.frequencyData.set(spectrum);
+    } else {
+      this.analyser.getByteFrequencyData(this.frequencyData);
+    }
+
+    const currentTime = time !== undefined ? time : this.analyser.context.currentTime;
+    const sampleRate = this.analyser.context.sampleRate;
+
+    return this.processSpectrum(this.frequencyData, currentTime, sampleRate);
+  }
+
+  /**
+   * 处理一帧频谱数据
+   * @returns {boolean} 本帧是否检测到节拍
+   */
+  processSpectrum(spectrum, time, sampleRate = 44100) {
+    const { startBin, endBin } = this.getBinRange(spectrum.length, sampleRate);
+
+    // 频谱通量：只累计能量上升的部分
+    let flux = 0;
+    if (this.previousSpectrum) {
+      for (let i = startBin; i <= endBin; i++) {
+        const diff = spectrum[i] - this.previousSpectrum[i];
+        if (diff > 0) flux += diff;
+      }
+    }
+    flux /= (endBin - startBin + 1);
+
+    if (!this.previousSpectrum || this.previousSpectrum.length !== spectrum.length) {
+      this.previousSpectrum = new Uint8Array(spectrum.length);
+    }
+    this.previousSpectrum.set(spectrum);
+
+    return this.detect(flux, time);
+  }
+
+  /**
+   * 基于自适应阈值判断当前通量是否为节拍
+   */
+  detect(flux, time) {
+    const threshold = this.getThreshold();
+
+    this.fluxHistory.push(flux);
+    if (this.fluxHistory.length > this.config.historySize) {
+      this.fluxHistory.shift();
+    }
+
+    const isBeat = flux > threshold &&
+      flux > this.config.minFlux &&
+      time - this.lastBeatTime >= this.config.minBeatInterval;
+
+    if (!isBeat) return false;
+
+    this.lastBeatTime = time;
+    this.registerOnset(time);
+
+    // 强度：超出阈值的比例，限制在0-1
+    const strength = Math.min(1, (flux - threshold) / Math.max(threshold, this.config.minFlux));
+
+    this.emit('beat', {
+      time,
+      strength,
+      bpm: this.bpm
+    });
+
+    return true;
+  }
+
+  /**
+   * 计算自适应阈值
+   */
+  getThreshold() {
+    const history = this.fluxHistory;
+    if (history.length === 0) return Infinity;
+
+    const mean = history.reduce((sum, value) => sum + value, 0) / history.length;
+    const variance = history.reduce((sum, value) => sum + (value - mean) ** 2, 0) / history.length;
+
+    return mean + this.config.sensitivity * Math.sqrt(variance);
+  }
+
+  /**
+   * 记录节拍时间并更新BPM估算
+   */
+  registerOnset(time) {
+    this.onsetTimes.push(time);
+    if (this.onsetTimes.length > this.config.onsetHistorySize) {
+      this.onsetTimes.shift();
+    }
+
+    const estimate = this.estimateTempo();
+    if (!estimate) return;
+
+    const previousBpm = this.bpm;
+    this.bpm = previousBpm
+      ? previousBpm + (estimate.bpm - previousBpm) * this.config.tempoSmoothing
+      : estimate.bpm;
+    this.confidence = estimate.confidence;
+
+    if (Math.abs(this.bpm - previousBpm) >= 0.5) {
+      this.emit('tempo', {
+        bpm: this.bpm,
+        confidence: this.confidence
+      });
+    }
+  }
+
+  /**
+   * 根据节拍间隔直方图估算BPM
+   * 比较每个节拍与其后最多4拍的间隔，折叠到 [minBpm, maxBpm] 范围内后投票
+   */
+  estimateTempo() {
+    const onsets = this.onsetTimes;
+    if (onsets.length < 4) return null;
+
+    const { minBpm, maxBpm } = this.config;
+    const histogram = new Map();
+    let votes = 0;
+
+    for (let i = 0; i < onsets.length; i++) {
+      for (let j = i + 1; j < Math.min(onsets.length, i + 5); j++) {
+        const interval = onsets[j] - onsets[i];
+        if (interval <= 0) continue;
+
+        let bpm = 60 / interval;
+        while (bpm < minBpm) bpm *= 2;
+        while (bpm > maxBpm) bpm /= 2;
+        if (bpm < minBpm) continue;
+
+        const bin = Math.round(bpm);
+        // 相邻间隔的权重更高
+        const weight = 1 / (j - i);
+        histogram.set(bin, (histogram.get(bin) || 0) + weight);
+        votes += weight;
+      }
+    }
+
+    if (votes === 0) return null;
+
+    let bestBin = 0;
+    let bestScore = 0;
+    histogram.forEach((score, bin) => {
+      // 合并相邻的BPM桶以容忍抖动
+      const total = score + 0.5 * ((histogram.get(bin - 1) || 0) + (histogram.get(bin + 1) || 0));
+      if (total > bestScore) {
+        bestScore = total;
+        bestBin = bin;
+      }
+    });
+
+    return {
+      bpm: bestBin,
+      confidence: Math.min(1, bestScore / votes)
+    };
+  }
+
+  /**
+   * 计算检测频段对应的FFT区间
+   */
+  getBinRange(binCount, sampleRate) {
+    const binWidth = sampleRate / 2 / binCount;
+    const startBin = Math.max(0, Math.floor(this.config.minFrequency / binWidth));
+    const endBin = Math.min(binCount - 1, Math.max(startBin, Math.ceil(this.config.maxFrequency / binWidth)));
+
+    return { startBin, endBin };
+  }
+
+  /**
+   * 获取当前BPM估算
+   */
+  getTempo() {
+    return {
+      bpm: this.bpm,
+      confidence: this.confidence
+    };
+  }
+
+  /**
+   * 重置检测状态（切换曲目时调用）
+   */
+  reset() {
+    this.previousSpectrum = null;
+    this.fluxHistory = [];
+    this.onsetTimes = [];
+    this.lastBeatTime = -Infinity;
+    this.bpm = 0;
+    this.confidence = 0;
+  }
+
+  /**
+   * 清理资源
+   */
+  dispose() {
+    this.reset();
+    this.analyser = null;
+    this.frequencyData = null;
+    this.removeAllListeners();
+  }
+}
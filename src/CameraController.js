@@ -0,0 +1,477 @@
+import * as THREE from 'three';
+import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
+import { EventEmitter } from './EventEmitter.js';
+import { EASINGS } from './ShowSequencer.js';
+
+/**
+ * 内置相机路径
+ * 每个路径是 (start, options) => (t, position, target) 的工厂函数：
+ *   start:   开始时相对目标点的球坐标 { radius, theta, phi } 和目标点 target
+ *   options: playPath 传入的路径参数
+ *   t:       路径进度 (0-1)，position/target 为结果写入的向量
+ */
+const CAMERA_PATHS = {
+  // 保持高度和距离绕灯球一周
+  orbit: (start, options) => {
+    const turns = options.turns || 1;
+    return (t, position, target) => {
+      target.copy(start.target);
+      position.setFromSphericalCoords(start.radius, start.phi, start.theta + Math.PI * 2 * turns * t)
+        .add(start.target);
+    };
+  },
+
+  // 从一侧掠过灯球到另一侧，经过时拉近并抬高
+  flyby: (start, options) => {
+    const sweep = options.sweep || Math.PI;
+    const closest = options.closest || 0.55; // 最近时的距离比例
+    return (t, position, target) => {
+      const s = EASINGS.easeInOutSine(t);
+      const arc = Math.sin(Math.PI * s);
+      target.copy(start.target);
+      position.setFromSphericalCoords(
+        start.radius * (1 - (1 - closest) * arc),
+        start.phi - 0.35 * arc,
+        start.theta + sweep * (s - 0.5)
+      ).add(start.target);
+    };
+  },
+
+  // 沿视线推近再拉远
+  dolly: (start, options) => {
+    const closest = options.closest || 0.6;
+    return (t, position, target) => {
+      const arc = Math.sin(Math.PI * EASINGS.easeInOutSine(t));
+      target.copy(start.target);
+      position.setFromSphericalCoords(start.radius * (1 - (1 - closest) * arc), start.phi, start.theta)
+        .add(start.target);
+    };
+  }
+};
+
+/**
+ * CameraController - 交互相机控制类
+ * 鼠标/触摸环绕和缩放（带阻尼和限制，始终对准灯球），相机书签，
+ * 以及环绕/掠过/推拉等自动相机路径；用户长时间不操作时可自动播放路径
+ */
+export class CameraController extends EventEmitter {
+  constructor(camera, domElement, config = {}) {
+    super();
+
+    this.camera = camera;
+    this.domElement = domElement;
+
+    // 配置参数
+    this.config = {
+      target: config.target || { x: 0, y: 0, z: 0 }, // 环绕中心（灯球位置）
+      baseDistance: config.baseDistance || 8,        // 基准距离（由响应式配置决定）
+      ballRadius: config.ballRadius || 2,            // 灯球半径，用于限制最近距离
+      minZoom: config.minZoom || 0.5,                // 最近距离 = 基准距离 × minZoom
+      maxZoom: config.maxZoom || 2.5,                // 最远距离 = 基准距离 × maxZoom
+      maxDistance: config.maxDistance || Infinity,   // 绝对最远距离（例如不穿出房间）
+      minPolarAngle: config.minPolarAngle !== undefined ? config.minPolarAngle : 0.15,
+      maxPolarAngle: config.maxPolarAngle !== undefined ? config.maxPolarAngle : Math.PI * 0.8,
+      enableDamping: config.enableDamping !== false, // 阻尼（惯性）
+      dampingFactor: config.dampingFactor || 0.08,
+      transitionDuration: config.transitionDuration || 1500, // 跳转书签的过渡时间（毫秒）
+      autoPilot: config.autoPilot || false,          // 空闲时自动播放相机路径
+      autoPilotPaths: config.autoPilotPaths || ['orbit', 'flyby', 'dolly'],
+      idleDelay: config.idleDelay || 15000,          // 多久不操作后开始自动播放（毫秒）
+      ...config
+    };
+
+    this.controls = null;
+
+    // 路径注册表和相机书签
+    this.paths = new Map(Object.entries(CAMERA_PATHS));
+    this.bookmarks = new Map();
+
+    // 当前播放的路径
+    this.activePath = null;
+    this.autoPilotIndex = 0;
+    this.idleTime = 0;
+
+    // 复用的临时向量
+    this.position = new THREE.Vector3();
+    this.target = new THREE.Vector3();
+    this.offset = new THREE.Vector3();
+    this.spherical = new THREE.Spherical();
+
+    this.onInteractionStart = this.onInteractionStart.bind(this);
+  }
+
+  /**
+   * 初始化轨道控制器
+   */
+  init() {
+    this.controls = new OrbitControls(this.camera, this.domElement);
+    this.controls.enableDamping = this.config.enableDamping;
+    this.controls.dampingFactor = this.config.dampingFactor;
+    this.controls.enablePan = false; // 不允许平移，保证灯球始终在画面中心
+    this.controls.minPolarAngle = this.config.minPolarAngle;
+    this.controls.maxPolarAngle = this.config.maxPolarAngle;
+
+    const { x, y, z } = this.config.target;
+    this.controls.target.set(x, y, z);
+    this.updateLimits();
+    this.controls.addEventListener('start', this.onInteractionStart);
+    this.controls.update();
+
+    console.log('CameraController initialized');
+  }
+
+  /**
+   * 启用/禁用用户环绕和缩放（自动路径不受影响）
+   */
+  setEnabled(enabled) {
+    if (this.controls) {
+      this.controls.enabled = enabled;
+    }
+  }
+
+  /**
+   * 根据基准距离和灯球大小更新缩放限制
+   */
+  updateLimits() {
+    if (!this.controls) return;
+
+    const { baseDistance, ballRadius, minZoom, maxZoom, maxDistance } = this.config;
+    // 灯球完整出现在视野中所需的最小距离
+    const halfFov = THREE.MathUtils.degToRad(this.camera.fov / 2);
+    const framedDistance = ballRadius / Math.sin(halfFov) * 1.1;
+
+    this.controls.minDistance = Math.max(baseDistance * minZoom, framedDistance);
+    this.controls.maxDistance = Math.max(this.controls.minDistance, Math.min(baseDistance * maxZoom, maxDistance));
+  }
+
+  /**
+   * 设置灯球半径（灯球重建后调用），重新计算缩放限制
+   */
+  setBallRadius(radius) {
+    this.config.ballRadius = radius;
+    this.updateLimits();
+    this.setDistance(this.getDistance());
+  }
+
+  /**
+   * 设置基准距离（响应式配置变化时调用）
+   * 保持用户当前的缩放比例和环绕角度
+   */
+  setBaseDistance(distance) {
+    const zoom = this.getDistance() / this.config.baseDistance;
+    this.config.baseDistance = distance;
+    this.updateLimits();
+    this.setDistance(distance * zoom);
+  }
+
+  /**
+   * 设置相机到目标点的距离（限制在缩放范围内）
+   */
+  setDistance(distance) {
+    const target = this.controls ? this.controls.target : this.target.set(0, 0, 0);
+    const min = this.controls ? this.controls.minDistance : 0;
+    const max = this.controls ? this.controls.maxDistance : Infinity;
+
+    this.offset.subVectors(this.camera.position, target);
+    if (this.offset.lengthSq() === 0) this.offset.set(0, 0, 1);
+    this.offset.setLength(Math.max(min, Math.min(max, distance)));
+    this.camera.position.copy(target).add(this.offset);
+    this.camera.lookAt(target);
+  }
+
+  /**
+   * 获取相机到目标点的距离
+   */
+  getDistance() {
+    return this.controls ? this.controls.getDistance() : this.camera.position.length();
+  }
+
+  /**
+   * 用户开始拖动/缩放时停止自动路径
+   */
+  onInteractionStart() {
+    this.idleTime = 0;
+    if (this.activePath) {
+      this.stopPath();
+    }
+    this.emit('interaction');
+  }
+
+  /**
+   * 注册自定义路径（同名覆盖），工厂函数签名见 CAMERA_PATHS
+   */
+  registerPath(name, factory) {
+    if (typeof factory !== 'function') {
+      throw new Error(`Camera path "${name}" must be a function`);
+    }
+    this.paths.set(name, factory);
+  }
+
+  /**
+   * 获取所有路径名称
+   */
+  getPathNames() {
+    return Array.from(this.paths.keys());
+  }
+
+  /**
+   * 播放相机路径
+   * @param {string|Object[]} path 路径名称，或关键帧数组（每帧为书签名或 { position, target }）
+   * @param {Object} [options]
+   *   duration: 时长（毫秒），loop: 是否循环，以及路径自身的参数（如 orbit 的 turns）
+   */
+  playPath(path, options = {}) {
+    const evaluate = Array.isArray(path)
+      ? this.createKeyframePath(path)
+      : this.createNamedPath(path, options);
+    if (!evaluate) return false;
+
+    this.activePath = {
+      name: Array.isArray(path) ? 'keyframes' : path,
+      evaluate,
+      duration: Math.max(1, options.duration || 12000),
+      loop: !!options.loop,
+      progress: 0,
+      auto: !!options.auto
+    };
+    this.emit('pathstart', { name: this.activePath.name });
+    return true;
+  }
+
+  /**
+   * 根据名称创建内置或已注册的路径
+   */
+  createNamedPath(name, options) {
+    const factory = this.paths.get(name);
+    if (!factory) {
+      console.warn(`Unknown camera path: ${name}`);
+      return null;
+    }
+
+    const target = this.controls ? this.controls.target.clone() : new THREE.Vector3();
+    this.spherical.setFromVector3(this.offset.subVectors(this.camera.position, target));
+    const start = {
+      radius: this.spherical.radius,
+      theta: this.spherical.theta,
+      phi: this.spherical.phi,
+      target
+    };
+    return factory(start, options);
+  }
+
+  /**
+   * 根据关键帧创建平滑曲线路径（从当前相机位置出发）
+   */
+  createKeyframePath(keyframes) {
+    const views = keyframes.map(frame => (typeof frame === 'string' ? this.bookmarks.get(frame) : frame));
+    if (views.length === 0 || views.some(view => !view || !view.position)) {
+      console.warn('Invalid camera keyframes');
+      return null;
+    }
+
+    const currentTarget = this.controls ? this.controls.target : new THREE.Vector3();
+    const points = [this.camera.position.clone(), ...views.map(view => new THREE.Vector3().copy(view.position))];
+    const targets = [currentTarget.clone(), ...views.map(view => new THREE.Vector3().copy(view.target || currentTarget))];
+    const curve = new THREE.CatmullRomCurve3(points, false, 'centripetal');
+
+    return (t, position, target) => {
+      const s = EASINGS.easeInOutCubic(t);
+      curve.getPointAt(s, position);
+
+      const scaled = s * (targets.length - 1);
+      const index = Math.min(Math.floor(scaled), targets.length - 2);
+      target.lerpVectors(targets[index], targets[index + 1], scaled - index);
+    };
+  }
+
+  /**
+   * 停止当前路径
+   */
+  stopPath() {
+    if (!this.activePath) return;
+
+    const { name } = this.activePath;
+    this.activePath = null;
+    this.emit('pathend', { name, stopped: true });
+  }
+
+  /**
+   * 是否正在播放路径
+   */
+  isPlayingPath() {
+    return !!this.activePath;
+  }
+
+  /**
+   * 启用/禁用空闲时自动播放路径
+   */
+  setAutoPilot(enabled, options = {}) {
+    this.config.autoPilot = !!enabled;
+    if (options.paths) this.config.autoPilotPaths = options.paths;
+    if (options.idleDelay) this.config.idleDelay = options.idleDelay;
+
+    this.idleTime = 0;
+    if (!enabled && this.activePath && this.activePath.auto) {
+      this.stopPath();
+    }
+  }
+
+  /**
+   * 播放自动路径列表中的下一条
+   */
+  playNextAutoPath() {
+    const names = this.config.autoPilotPaths;
+    if (names.length === 0) return;
+
+    const name = names[this.autoPilotIndex % names.length];
+    this.autoPilotIndex++;
+    this.playPath(name, { duration: name === 'orbit' ? 24000 : 12000, auto: true });
+  }
+
+  /**
+   * 获取当前视角
+   */
+  getView() {
+    const target = this.controls ? this.controls.target : this.target.set(0, 0, 0);
+    return {
+      position: { x: this.camera.position.x, y: this.camera.position.y, z: this.camera.position.z },
+      target: { x: target.x, y: target.y, z: target.z },
+      fov: this.camera.fov
+    };
+  }
+
+  /**
+   * 立即设置视角
+   */
+  setView(view) {
+    this.stopPath();
+
+    if (view.target && this.controls) {
+      this.controls.target.copy(view.target);
+    }
+    if (view.position) {
+      this.camera.position.copy(view.position);
+    }
+    if (view.fov) {
+      this.camera.fov = view.fov;
+      this.camera.updateProjectionMatrix();
+      this.updateLimits();
+    }
+
+    if (this.controls) {
+      this.controls.update();
+    } else {
+      this.camera.lookAt(view.target ? this.target.copy(view.target) : this.target.set(0, 0, 0));
+    }
+  }
+
+  /**
+   * 保存当前视角为书签
+   */
+  saveBookmark(name) {
+    if (!name || typeof name !== 'string') {
+      throw new Error('Camera bookmark name must be a non-empty string');
+    }
+    const view = this.getView();
+    this.bookmarks.set(name, view);
+    this.emit('bookmarks', { names: this.getBookmarkNames() });
+    return view;
+  }
+
+  /**
+   * 平滑移动到书签
+   * @param {number} [duration] 过渡时间（毫秒），0 表示立即跳转
+   */
+  goToBookmark(name, duration = this.config.transitionDuration) {
+    const view = this.bookmarks.get(name);
+    if (!view) {
+      console.warn(`Unknown camera bookmark: ${name}`);
+      return false;
+    }
+
+    if (duration <= 0) {
+      this.setView(view);
+      return true;
+    }
+    return this.playPath([view], { duration });
+  }
+
+  /**
+   * 删除书签
+   */
+  removeBookmark(name) {
+    const removed = this.bookmarks.delete(name);
+    if (removed) {
+      this.emit('bookmarks', { names: this.getBookmarkNames() });
+    }
+    return removed;
+  }
+
+  /**
+   * 获取所有书签名称
+   */
+  getBookmarkNames() {
+    return Array.from(this.bookmarks.keys());
+  }
+
+  /**
+   * 每帧更新（deltaTime 为毫秒）
+   */
+  update(deltaTime) {
+    if (this.activePath) {
+      this.updatePath(deltaTime);
+    } else if (this.config.autoPilot) {
+      this.idleTime += deltaTime;
+      if (this.idleTime >= this.config.idleDelay) {
+        this.playNextAutoPath();
+      }
+    }
+
+    if (this.controls) {
+      this.controls.update();
+    }
+  }
+
+  /**
+   * 推进当前路径
+   */
+  updatePath(deltaTime) {
+    const path = this.activePath;
+    path.progress += deltaTime / path.duration;
+
+    const finished = path.progress >= 1 && !path.loop;
+    const t = finished ? 1 : path.progress % 1;
+    path.evaluate(t, this.position, this.target);
+
+    this.camera.position.copy(this.position);
+    if (this.controls) {
+      this.controls.target.copy(this.target);
+    } else {
+      this.camera.lookAt(this.target);
+    }
+
+    if (finished) {
+      this.activePath = null;
+      this.emit('pathend', { name: path.name, stopped: false });
+
+      // 自动模式下接着播放下一条
+      if (path.auto && this.config.autoPilot) {
+        this.playNextAutoPath();
+      }
+    }
+  }
+
+  /**
+   * 清理资源
+   */
+  dispose() {
+    this.activePath = null;
+    if (this.controls) {
+      this.controls.removeEventListener('start', this.onInteractionStart);
+      this.controls.dispose();
+      this.controls = null;
+    }
+    this.bookmarks.clear();
+    this.removeAllListeners();
+  }
+}
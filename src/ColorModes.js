@@ -0,0 +1,153 @@
+const TWO_PI = Math.PI * 2;
+
+/**
+ * 内置颜色模式
+ * 每个模式是 (beam, context, target) => target 的函数：
+ *   beam:    { index, count, theta, phi, elevation, colorOffset, state }，state 为该光束在模式间共享的私有数据；
+ *            theta/phi 为灯孔球面坐标（phi 是与 +Z 的夹角），elevation 是与灯球旋转轴 +Y 的夹角
+ *            （0 为顶部、π 为底部），表示上下方向的模式应使用 elevation
+ *   context: { time, colorTime, beat, bands, palette: { sample(t, target), white(target) } }
+ *            time 为秒，colorTime 为按 animationSpeed 推进的调色板时间，
+ *            beat 为节拍包络 (0-1)，bands 为频段能量（无音频时为 null）
+ */
+const BUILT_IN_MODES = {
+  // 沿调色板循环
+  rainbow: {
+    sample: (beam, context, target) => context.palette.sample(beam.colorOffset + context.colorTime, target)
+  },
+
+  // 在调色板中随机取色，偶尔换色
+  random: {
+    sample: (beam, context, target) => {
+      if (beam.state.randomOffset === undefined || Math.random() < 0.01) {
+        beam.state.randomOffset = Math.random();
+      }
+      return context.palette.sample(beam.state.randomOffset, target);
+    }
+  },
+
+  // 调色板的白光色
+  white: {
+    sample: (beam, context, target) => context.palette.white(target)
+  },
+
+  // 亮点绕球体赤道追逐
+  chase: {
+    sample: (beam, context, target) => {
+      const position = beam.theta / TWO_PI - context.time * 0.5;
+      const distance = position - Math.floor(position);
+      const brightness = 0.1 + 0.9 * Math.pow(1 - distance, 4);
+      return context.palette.sample(context.colorTime, target).multiplyScalar(brightness);
+    }
+  },
+
+  // 按高度上下起伏的波浪，低频越强波浪越亮
+  wave: {
+    sample: (beam, context, target) => {
+      const latitude = beam.elevation / Math.PI;
+      const wave = 0.5 + 0.5 * Math.sin(TWO_PI * (latitude * 1.5 - context.time * 0.4));
+      const boost = context.bands ? 0.5 + 0.5 * context.bands.bass : 1.0;
+      const brightness = Math.min(1, (0.2 + 0.8 * wave) * boost);
+      return context.palette.sample(latitude * 0.5 + context.colorTime, target).multiplyScalar(brightness);
+    }
+  },
+
+  // 相邻光束交替使用互补色
+  complementary: {
+    sample: (beam, context, target) => {
+      context.palette.sample(context.colorTime, target);
+      if (beam.index % 2 === 1) {
+        target.offsetHSL(0.5, 0, 0);
+      }
+      return target;
+    }
+  },
+
+  // 所有光束同步频闪：有节拍时跟随节拍，否则按固定频率
+  strobe: {
+    smoothing: 1.0,
+    sample: (beam, context, target) => {
+      const on = context.bands
+        ? context.beat > 0.5
+        : (context.time * 8) % 1 < 0.3;
+      return on ? context.palette.white(target) : target.setRGB(0, 0, 0);
+    }
+  },
+
+  // 上下半球各用一种颜色
+  split: {
+    sample: (beam, context, target) => {
+      const offset = beam.elevation < Math.PI / 2 ? 0 : 0.5;
+      return context.palette.sample(context.colorTime + offset, target);
+    }
+  }
+};
+
+/**
+ * ColorModeRegistry - 颜色模式注册表
+ * 内置 rainbow/random/white/chase/wave/complementary/strobe/split，第三方可注册自定义模式
+ */
+export class ColorModeRegistry {
+  constructor() {
+    this.modes = new Map();
+
+    Object.entries(BUILT_IN_MODES).forEach(([name, mode]) => {
+      this.register(name, mode.sample, { smoothing: mode.smoothing });
+    });
+  }
+
+  /**
+   * 注册颜色模式（同名覆盖）
+   * @param {string} name 模式名称
+   * @param {Function} sample (beam, context, target) => THREE.Color
+   * @param {Object} [options]
+   *   smoothing: 每帧向目标颜色过渡的比例 (0-1]，1 表示立即切换，默认 0.05
+   */
+  register(name, sample, options = {}) {
+    if (!name || typeof name !== 'string') {
+      throw new Error('Color mode name must be a non-empty string');
+    }
+    if (typeof sample !== 'function') {
+      throw new Error(`Color mode "${name}" must be a function`);
+    }
+
+    this.modes.set(name, {
+      name,
+      sample,
+      smoothing: options.smoothing !== undefined ? Math.max(0.001, Math.min(1, options.smoothing)) : 0.05
+    });
+  }
+
+  /**
+   * 移除颜色模式
+   */
+  unregister(name) {
+    return this.modes.delete(name);
+  }
+
+  /**
+   * 获取颜色模式
+   */
+  get(name) {
+    return this.modes.get(name) || null;
+  }
+
+  /**
+   * 是否存在颜色模式
+   */
+  has(name) {
+    return this.modes.has(name);
+  }
+
+  /**
+   * 获取所有颜色模式名称
+   */
+  getNames() {
+    return Array.from(this.modes.keys());
+  }
+}
+
+/**
+ * 内置颜色模式名称
+ */
+export const COLOR_MODE_NAMES = Object.keys(BUILT_IN_MODES);
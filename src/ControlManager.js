@@ -0,0 +1,514 @@
+import { EventEmitter } from './EventEmitter.js';
+import { COLOR_MODE_NAMES } from './ColorModes.js';
+
+// 不进入撤销历史的状态路径（播放/暂停属于操作而不是外观设置）
+const NON_UNDOABLE_PATHS = ['audio.playing'];
+
+/**
+ * 把嵌套对象展开为 { 'a.b': value } 形式
+ */
+export function flatten(object, prefix = '', result = {}) {
+  Object.keys(object).forEach(key => {
+    const value = object[key];
+    const path = prefix ? `${prefix}.${key}` : key;
+
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      flatten(value, path, result);
+    } else {
+      result[path] = value;
+    }
+  });
+  return result;
+}
+
+/**
+ * 把数值或数字字符串转为数值，空字符串、null 等无效输入返回 NaN
+ */
+function toNumber(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && value.trim() !== '') return Number(value);
+  return NaN;
+}
+
+/**
+ * 按路径读取值
+ */
+export function getPath(object, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+}
+
+/**
+ * 按路径写入值（原地修改）
+ */
+export function setPath(object, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((node, key) => {
+    if (!node[key] || typeof node[key] !== 'object') node[key] = {};
+    return node[key];
+  }, object);
+  parent[last] = value;
+}
+
+/**
+ * ControlManager - 控制管理器类
+ * 集中保存应用状态（旋转、方向、颜色模式、调色板、强度、透明度、音频），
+ * 支持订阅状态变化、撤销/重做，并把变化推送到 DiscoBall / LightBeamSystem / AudioManager
+ */
+export class ControlManager extends EventEmitter {
+  constructor(initialState = {}, config = {}) {
+    super();
+
+    // 配置参数
+    this.config = {
+      historyLimit: config.historyLimit || 100, // 撤销历史上限
+      mergeWindow: config.mergeWindow || 500,   // 同一路径连续修改的合并时间窗口（毫秒），避免拖动滑块产生大量历史
+      ...config
+    };
+
+    // 应用状态
+    this.state = {
+      rotation: {
+        speed: 1.0,
+        direction: 1,
+        followTempo: false
+      },
+      colorMode: 'rainbow',
+      palette: 'rainbow',
+      intensity: 2.0,
+      opacity: 0.8,
+      audio: {
+        playing: false,
+        volume: 0.7,
+        syncRotation: true
+      }
+    };
+    Object.entries(flatten(initialState)).forEach(([path, value]) => {
+      setPath(this.state, path, value);
+    });
+
+    // 撤销/重做历史：每项为 { changes: { path: { from, to } }, time }
+    this.undoStack = [];
+    this.redoStack = [];
+
+    // 受控对象
+    this.targets = {
+      discoBall: null,
+      lightBeamSystem: null,
+      audioManager: null
+    };
+    this.unbindAudio = [];
+  }
+
+  /**
+   * 绑定受控对象，并以它们当前的值作为初始状态
+   */
+  bind({ discoBall = null, lightBeamSystem = null, audioManager = null } = {}) {
+    this.unbind();
+    this.targets = { discoBall, lightBeamSystem, audioManager };
+
+    const patch = {};
+
+    if (discoBall) {
+      const rotation = discoBall.getRotationState();
+      // 音乐暂停导致停转时，用户设定的速度保存在 AudioManager 中
+      const heldSpeed = audioManager ? audioManager.savedRotationSpeed : null;
+      patch.rotation = {
+        speed: heldSpeed !== null ? heldSpeed : rotation.targetSpeed,
+        direction: rotation.direction,
+        followTempo: rotation.config.followTempo
+      };
+    }
+
+    if (lightBeamSystem) {
+      const beamConfig = lightBeamSystem.getConfig();
+      patch.colorMode = beamConfig.colorMode;
+      patch.palette = beamConfig.palette;
+      patch.intensity = beamConfig.beamIntensity;
+      patch.opacity = beamConfig.beamOpacity;
+    }
+
+    if (audioManager) {
+      const audioState = audioManager.getState();
+      patch.audio = {
+        playing: audioState.isPlaying,
+        volume: audioState.volume,
+        syncRotation: audioState.syncRotation
+      };
+
+      // 播放状态可能由外部改变（曲目结束等），同步回状态但不记录历史
+      const syncPlaying = ({ isPlaying }) => {
+        this.setState({ audio: { playing: isPlaying } }, { record: false, apply: false });
+      };
+      this.unbindAudio = ['play', 'pause', 'ended'].map(event => audioManager.on(event, syncPlaying));
+    }
+
+    // 绑定时的初始同步不进入历史，也不回写受控对象
+    this.setState(patch, { record: false, apply: false });
+  }
+
+  /**
+   * 解除与受控对象的绑定
+   */
+  unbind() {
+    this.unbindAudio.forEach(unsubscribe => unsubscribe());
+    this.unbindAudio = [];
+    this.targets = { discoBall: null, lightBeamSystem: null, audioManager: null };
+  }
+
+  /**
+   * 获取状态快照
+   */
+  getState() {
+    return JSON.parse(JSON.stringify(this.state));
+  }
+
+  /**
+   * 按路径读取状态，例如 get('rotation.speed')
+   */
+  get(path) {
+    const value = getPath(this.state, path);
+    return value && typeof value === 'object' ? JSON.parse(JSON.stringify(value)) : value;
+  }
+
+  /**
+   * 按路径设置状态
+   */
+  set(path, value, options = {}) {
+    const patch = {};
+    setPath(patch, path, value);
+    return this.setState(patch, options);
+  }
+
+  /**
+   * 合并部分状态
+   * @param {Object} patch 部分状态
+   * @param {Object} options
+   *   record: 是否记录到撤销历史（默认 true）
+   *   apply: 是否推送到受控对象（默认 true）
+   * @returns {string[]} 实际发生变化的路径
+   */
+  setState(patch, options = {}) {
+    const { record = true, apply = true } = options;
+    const changes = {};
+
+    Object.entries(flatten(patch)).forEach(([path, rawValue]) => {
+      const from = getPath(this.state, path);
+      if (from === undefined) {
+        console.warn(`Unknown control state path: ${path}`);
+        return;
+      }
+
+      const to = this.normalize(path, rawValue, from);
+      if (to === from) return;
+
+      setPath(this.state, path, to);
+      changes[path] = { from, to };
+    });
+
+    const paths = Object.keys(changes);
+    if (paths.length === 0) return paths;
+
+    if (apply) {
+      this.applyChanges(changes);
+    }
+
+    if (record) {
+      this.recordHistory(changes);
+    }
+
+    this.notify(changes);
+
+    if (record) {
+      this.emit('history', this.getHistoryState());
+    }
+    return paths;
+  }
+
+  /**
+   * 校验并规范化状态值，与各模块setter的限制保持一致
+   */
+  normalize(path, value, previous) {
+    switch (path) {
+      case 'rotation.speed':
+      case 'rotation.direction':
+      case 'intensity':
+      case 'opacity':
+      case 'audio.volume': {
+        // 无效数值（空输入、NaN、Infinity）保留之前的值
+        const number = toNumber(value);
+        return Number.isFinite(number) ? this.clampNumber(path, number) : previous;
+      }
+      case 'colorMode': {
+        // 绑定光束系统后以其注册表为准（包含第三方注册的模式）
+        const lightBeamSystem = this.targets.lightBeamSystem;
+        const valid = lightBeamSystem ? lightBeamSystem.colorModes.has(value) : COLOR_MODE_NAMES.includes(value);
+        return valid ? value : previous;
+      }
+      case 'palette': {
+        const lightBeamSystem = this.targets.lightBeamSystem;
+        if (typeof value !== 'string') return previous;
+        return !lightBeamSystem || lightBeamSystem.paletteLibrary.has(value) ? value : previous;
+      }
+      case 'rotation.followTempo':
+      case 'audio.playing':
+      case 'audio.syncRotation':
+        return !!value;
+      default:
+        return value;
+    }
+  }
+
+  /**
+   * 把数值限制在各模块setter接受的范围内
+   */
+  clampNumber(path, value) {
+    switch (path) {
+      case 'rotation.speed': {
+        const discoBall = this.targets.discoBall;
+        const { minSpeed, maxSpeed } = discoBall ? discoBall.rotationConfig : { minSpeed: 0.1, maxSpeed: 5.0 };
+        return Math.max(minSpeed, Math.min(maxSpeed, value));
+      }
+      case 'rotation.direction':
+        return value > 0 ? 1 : -1;
+      case 'intensity':
+        return Math.max(0, value);
+      default:
+        return Math.max(0, Math.min(1, value));
+    }
+  }
+
+  /**
+   * 把状态变化推送到受控对象的setter
+   */
+  applyChanges(changes) {
+    const { discoBall, lightBeamSystem, audioManager } = this.targets;
+
+    Object.entries(changes).forEach(([path, { to }]) => {
+      switch (path) {
+        case 'rotation.speed':
+          // 音乐暂停导致旋转停止时，新速度在恢复播放后生效
+          if (audioManager && audioManager.deferRotationSpeed(to)) break;
+          if (discoBall) discoBall.setRotationSpeed(to);
+          break;
+        case 'rotation.direction':
+          if (discoBall) discoBall.setRotationDirection(to);
+          break;
+        case 'rotation.followTempo':
+          if (discoBall) discoBall.setFollowTempo(to);
+          break;
+        case 'colorMode':
+          if (lightBeamSystem) lightBeamSystem.setColorMode(to);
+          break;
+        case 'palette':
+          if (lightBeamSystem) lightBeamSystem.setPalette(to);
+          break;
+        case 'intensity':
+          if (lightBeamSystem) lightBeamSystem.setIntensity(to);
+          break;
+        case 'opacity':
+          if (lightBeamSystem) lightBeamSystem.setOpacity(to);
+          break;
+        case 'audio.volume':
+          if (audioManager) audioManager.setVolume(to);
+          break;
+        case 'audio.syncRotation':
+          if (audioManager) audioManager.setSyncRotation(to);
+          break;
+        case 'audio.playing':
+          if (!audioManager) break;
+          if (to) {
+            // 没有可播放的音源或无法恢复音频上下文（自动播放策略等）时回退状态
+            const revert = () => {
+              if (!audioManager.isPlaying) {
+                this.setState({ audio: { playing: false } }, { record: false, apply: false });
+              }
+            };
+            audioManager.play().then(started => {
+              if (!started) revert();
+            }).catch(error => {
+              console.warn('Failed to start audio playback:', error.message);
+              revert();
+            });
+          } else {
+            audioManager.pause();
+          }
+          break;
+        default:
+          break;
+      }
+    });
+  }
+
+  /**
+   * 记录撤销历史
+   */
+  recordHistory(changes) {
+    const undoable = {};
+    Object.entries(changes).forEach(([path, change]) => {
+      if (!NON_UNDOABLE_PATHS.includes(path)) {
+        undoable[path] = change;
+      }
+    });
+
+    const paths = Object.keys(undoable);
+    if (paths.length === 0) return;
+
+    const now = Date.now();
+    const last = this.undoStack[this.undoStack.length - 1];
+    const samePaths = last &&
+      Object.keys(last.changes).length === paths.length &&
+      paths.every(path => last.changes[path]);
+
+    if (samePaths && now - last.time < this.config.mergeWindow) {
+      // 合并连续修改：保留最初的 from，更新 to
+      paths.forEach(path => {
+        last.changes[path].to = undoable[path].to;
+      });
+      last.time = now;
+    } else {
+      this.undoStack.push({ changes: undoable, time: now });
+      if (this.undoStack.length > this.config.historyLimit) {
+        this.undoStack.shift();
+      }
+    }
+
+    this.redoStack = [];
+  }
+
+  /**
+   * 撤销上一次修改
+   */
+  undo() {
+    const entry = this.undoStack.pop();
+    if (!entry) return false;
+
+    const patch = {};
+    Object.entries(entry.changes).forEach(([path, { from }]) => setPath(patch, path, from));
+    this.setState(patch, { record: false });
+
+    this.redoStack.push(entry);
+    this.emit('history', this.getHistoryState());
+    return true;
+  }
+
+  /**
+   * 重做上一次撤销的修改
+   */
+  redo() {
+    const entry = this.redoStack.pop();
+    if (!entry) return false;
+
+    const patch = {};
+    Object.entries(entry.changes).forEach(([path, { to }]) => setPath(patch, path, to));
+    this.setState(patch, { record: false });
+
+    entry.time = 0; // 重做的项不与后续修改合并
+    this.undoStack.push(entry);
+    this.emit('history', this.getHistoryState());
+    return true;
+  }
+
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  /**
+   * 获取历史状态（用于更新撤销/重做按钮）
+   */
+  getHistoryState() {
+    return {
+      canUndo: this.canUndo(),
+      canRedo: this.canRedo()
+    };
+  }
+
+  /**
+   * 清空撤销历史
+   */
+  clearHistory() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.emit('history', this.getHistoryState());
+  }
+
+  /**
+   * 订阅状态变化，返回取消订阅的函数
+   * @param {string|Function} pathOrListener 只关心某个路径（含子路径）时传入路径，例如 'rotation'
+   * @param {Function} [listener] (state, changes) => void，changes 为 { path: { from, to } }
+   */
+  subscribe(pathOrListener, listener) {
+    if (typeof pathOrListener === 'function') {
+      return this.on('change', ({ state, changes }) => pathOrListener(state, changes));
+    }
+
+    const prefix = pathOrListener;
+    return this.on('change', ({ state, changes }) => {
+      const relevant = Object.keys(changes).some(path =>
+        path === prefix || path.startsWith(`${prefix}.`)
+      );
+      if (relevant) listener(state, changes);
+    });
+  }
+
+  /**
+   * 通知订阅者
+   */
+  notify(changes) {
+    this.emit('change', {
+      state: this.getState(),
+      changes
+    });
+  }
+
+  // 便捷方法
+
+  setRotationSpeed(speed) {
+    return this.set('rotation.speed', speed);
+  }
+
+  setRotationDirection(direction) {
+    return this.set('rotation.direction', direction);
+  }
+
+  toggleRotationDirection() {
+    return this.set('rotation.direction', -this.state.rotation.direction);
+  }
+
+  setColorMode(mode) {
+    return this.set('colorMode', mode);
+  }
+
+  setPalette(name) {
+    return this.set('palette', name);
+  }
+
+  setIntensity(intensity) {
+    return this.set('intensity', intensity);
+  }
+
+  setOpacity(opacity) {
+    return this.set('opacity', opacity);
+  }
+
+  setVolume(volume) {
+    return this.set('audio.volume', volume);
+  }
+
+  toggleMusic() {
+    return this.set('audio.playing', !this.state.audio.playing);
+  }
+
+  /**
+   * 清理资源
+   */
+  dispose() {
+    this.unbind();
+    this.clearHistory();
+    this.removeAllListeners();
+  }
+}
@@ -0,0 +1,275 @@
+import * as THREE from 'three';
+
+/**
+ * DanceFloorRoom - 舞厅房间环境类
+ * 创建地板、四面墙、天花板以及吊挂迪斯科球的底座和链条，
+ * 表面使用标准材质接收场景灯光和迪斯科球的阴影
+ */
+export class DanceFloorRoom {
+  constructor(config = {}) {
+    // 配置参数
+    this.config = {
+      width: config.width || 24,     // 房间宽度（X）
+      height: config.height || 12,   // 房间高度（Y）
+      depth: config.depth || 24,     // 房间深度（Z）
+      floorY: config.floorY !== undefined ? config.floorY : -5, // 地板高度
+      ballRadius: config.ballRadius || 2,                        // 迪斯科球半径（决定链条长度）
+      ballPosition: config.ballPosition || { x: 0, y: 0, z: 0 }, // 迪斯科球中心
+      chainLinkSize: config.chainLinkSize || 0.12, // 链环长度
+      mountRadius: config.mountRadius || 0.35,     // 天花板吊座半径
+      receiveShadow: config.receiveShadow !== undefined ? config.receiveShadow : true,
+      ...config
+    };
+
+    // 各表面材质参数（可单独覆盖）
+    this.materialOptions = {
+      floor: { color: 0x1a1a1f, roughness: 0.35, metalness: 0.3, ...config.floorMaterial },
+      walls: { color: 0x141018, roughness: 0.9, metalness: 0.0, ...config.wallMaterial },
+      ceiling: { color: 0x0c0c0c, roughness: 0.95, metalness: 0.0, ...config.ceilingMaterial },
+      chain: { color: 0x999999, roughness: 0.3, metalness: 1.0, ...config.chainMaterial },
+      mount: { color: 0x333333, roughness: 0.5, metalness: 0.8, ...config.mountMaterial }
+    };
+
+    // 核心组件
+    this.group = new THREE.Group();
+    this.group.name = 'DanceFloorRoom';
+    this.materials = {};
+    this.geometries = [];
+    this.surfaces = {}; // 表面网格（名称与 LightSpotSystem 一致）
+    this.chainMesh = null;
+    this.mountMesh = null;
+    this.hangers = new Map(); // 其他灯球的吊座和链条（id -> { mount, chain }）
+
+    this.init();
+  }
+
+  /**
+   * 初始化房间
+   */
+  init() {
+    this.createMaterials();
+    this.createSurfaces();
+    this.mountMesh = this.createMount();
+    this.chainMesh = this.createChain();
+
+    console.log(`DanceFloorRoom initialized (${this.config.width}x${this.config.height}x${this.config.depth})`);
+  }
+
+  /**
+   * 创建材质
+   */
+  createMaterials() {
+    Object.entries(this.materialOptions).forEach(([name, options]) => {
+      this.materials[name] = new THREE.MeshStandardMaterial({
+        ...options,
+        color: new THREE.Color(options.color)
+      });
+    });
+  }
+
+  /**
+   * 创建地板、墙面和天花板（法线朝向房间内部）
+   */
+  createSurfaces() {
+    const { width, height, depth, floorY, receiveShadow } = this.config;
+    const centerY = floorY + height / 2;
+
+    const layout = [
+      { name: 'floor', size: [width, depth], material: 'floor', position: [0, floorY, 0], rotation: [-Math.PI / 2, 0, 0] },
+      { name: 'ceiling', size: [width, depth], material: 'ceiling', position: [0, floorY + height, 0], rotation: [Math.PI / 2, 0, 0] },
+      { name: 'left', size: [depth, height], material: 'walls', position: [-width / 2, centerY, 0], rotation: [0, Math.PI / 2, 0] },
+      { name: 'right', size: [depth, height], material: 'walls', position: [width / 2, centerY, 0], rotation: [0, -Math.PI / 2, 0] },
+      { name: 'back', size: [width, height], material: 'walls', position: [0, centerY, -depth / 2], rotation: [0, 0, 0] },
+      { name: 'front', size: [width, height], material: 'walls', position: [0, centerY, depth / 2], rotation: [0, Math.PI, 0] }
+    ];
+
+    layout.forEach(surface => {
+      const geometry = new THREE.PlaneGeometry(surface.size[0], surface.size[1]);
+      this.geometries.push(geometry);
+
+      const mesh = new THREE.Mesh(geometry, this.materials[surface.material]);
+      mesh.name = `Room_${surface.name}`;
+      mesh.position.set(...surface.position);
+      mesh.rotation.set(...surface.rotation);
+      mesh.receiveShadow = receiveShadow;
+      mesh.castShadow = false; // 墙面不遮挡顶部灯光
+
+      this.surfaces[surface.name] = mesh;
+      this.group.add(mesh);
+    });
+  }
+
+  /**
+   * 创建天花板吊座
+   */
+  createMount(position = this.config.ballPosition) {
+    const { mountRadius } = this.config;
+    const ceilingY = this.getCeilingY();
+
+    const geometry = new THREE.CylinderGeometry(mountRadius, mountRadius * 1.2, 0.12, 24);
+    this.geometries.push(geometry);
+
+    const mount = new THREE.Mesh(geometry, this.materials.mount);
+    mount.name = 'Room_mount';
+    mount.position.set(position.x, ceilingY - 0.06, position.z);
+    mount.castShadow = true;
+    this.group.add(mount);
+    return mount;
+  }
+
+  /**
+   * 创建从天花板到球顶的链条（相邻链环互相垂直）
+   * @returns {THREE.InstancedMesh|null} 球顶高于天花板时返回 null
+   */
+  createChain(position = this.config.ballPosition, ballRadius = this.config.ballRadius) {
+    const { chainLinkSize } = this.config;
+    const top = this.getCeilingY() - 0.12;
+    const bottom = position.y + ballRadius;
+    const length = top - bottom;
+    if (length <= 0) return null;
+
+    // 链环相互嵌套，间距略小于链环长度
+    const spacing = chainLinkSize * 0.8;
+    const count = Math.max(1, Math.ceil(length / spacing));
+
+    const geometry = new THREE.TorusGeometry(chainLinkSize * 0.35, chainLinkSize * 0.08, 6, 12);
+    this.geometries.push(geometry);
+
+    const chain = new THREE.InstancedMesh(geometry, this.materials.chain, count);
+    chain.name = 'Room_chain';
+    chain.castShadow = true;
+
+    const dummy = new THREE.Object3D();
+    for (let i = 0; i < count; i++) {
+      dummy.position.set(position.x, top - (i + 0.5) * (length / count), position.z);
+      dummy.rotation.set(0, i % 2 === 0 ? 0 : Math.PI / 2, 0);
+      dummy.scale.set(1, 1.6, 1); // 拉长成椭圆链环
+      dummy.updateMatrix();
+      chain.setMatrixAt(i, dummy.matrix);
+    }
+    chain.instanceMatrix.needsUpdate = true;
+
+    this.group.add(chain);
+    return chain;
+  }
+
+  /**
+   * 从房间中移除吊座或链条并释放几何体
+   */
+  removeMesh(mesh) {
+    if (!mesh) return;
+
+    this.group.remove(mesh);
+    mesh.geometry.dispose();
+    this.geometries = this.geometries.filter(geometry => geometry !== mesh.geometry);
+    if (mesh.isInstancedMesh) {
+      mesh.dispose();
+    }
+  }
+
+  /**
+   * 灯球半径变化后重新生成链条
+   */
+  setBallRadius(radius) {
+    this.config.ballRadius = radius;
+
+    this.removeMesh(this.chainMesh);
+    this.chainMesh = this.createChain();
+  }
+
+  /**
+   * 为其他灯球添加吊座和链条
+   * @param {string} id 灯球id
+   * @param {{x: number, y: number, z: number}} position 灯球中心
+   * @param {number} radius 灯球半径
+   */
+  addHanger(id, position, radius) {
+    this.removeHanger(id);
+    this.hangers.set(id, {
+      mount: this.createMount(position),
+      chain: this.createChain(position, radius)
+    });
+  }
+
+  /**
+   * 移除其他灯球的吊座和链条
+   */
+  removeHanger(id) {
+    const hanger = this.hangers.get(id);
+    if (!hanger) return;
+
+    this.removeMesh(hanger.mount);
+    this.removeMesh(hanger.chain);
+    this.hangers.delete(id);
+  }
+
+  /**
+   * 获取天花板高度
+   */
+  getCeilingY() {
+    return this.config.floorY + this.config.height;
+  }
+
+  /**
+   * 获取房间边界（可直接传给 LightSpotSystem.setRoom）
+   */
+  getBounds() {
+    const { width, height, depth, floorY } = this.config;
+    return {
+      width,
+      height,
+      depth,
+      center: { x: 0, y: floorY + height / 2, z: 0 }
+    };
+  }
+
+  /**
+   * 获取表面网格
+   */
+  getSurface(name) {
+    return this.surfaces[name] || null;
+  }
+
+  /**
+   * 获取房间组（用于添加到场景）
+   */
+  getGroup() {
+    return this.group;
+  }
+
+  /**
+   * 设置是否接收阴影
+   */
+  setReceiveShadow(enabled) {
+    this.config.receiveShadow = enabled;
+    Object.values(this.surfaces).forEach(mesh => {
+      mesh.receiveShadow = enabled;
+    });
+  }
+
+  /**
+   * 清理资源
+   */
+  dispose() {
+    this.geometries.forEach(geometry => geometry.dispose());
+    this.geometries = [];
+
+    Object.values(this.materials).forEach(material => material.dispose());
+    this.materials = {};
+
+    if (this.chainMesh) {
+      this.chainMesh.dispose();
+      this.chainMesh = null;
+    }
+    this.hangers.forEach(({ chain }) => {
+      if (chain) chain.dispose();
+    });
+    this.hangers.clear();
+
+    this.mountMesh = null;
+    this.surfaces = {};
+    this.group.clear();
+
+    console.log('DanceFloorRoom disposed');
+  }
+}
@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { createRandom, generateHoleLayout } from './HoleLayouts.js';
 
 /**
  * DiscoBall - 迪斯科球3D模型类
@@ -11,10 +12,24 @@ export class DiscoBall {
       radius: config.radius || 2,
       segments: config.segments || 32,
       holes: config.holes || 12,  // 减少孔的数量，让光束更加突出
+      holeLayout: config.holeLayout || 'fibonacci', // 灯孔布局: 'fibonacci' | 'rings' | 'icosahedral' | 'random' | 'custom'
+      holeLayoutOptions: config.holeLayoutOptions || {}, // 布局参数（见 HoleLayouts.js），custom 布局的坐标放在 positions
       metalness: config.metalness || 0.9,
       roughness: config.roughness || 0.1,
       color: config.color || 0x000000,  // 改为黑色
       envMapIntensity: config.envMapIntensity || 1.0,
+      
+      // 镜面小方块（faceted 模式）配置
+      style: config.style || 'smooth',           // 外观: 'smooth' 光滑球面 | 'faceted' 镜面小方块
+      tileCount: config.tileCount || 1200,       // 目标方块数量（实际数量按纬度环取整）
+      tileGap: config.tileGap !== undefined ? config.tileGap : 0.01, // 方块之间的缝隙宽度
+      tileThickness: config.tileThickness || 0.02, // 方块厚度
+      tileTilt: config.tileTilt !== undefined ? config.tileTilt : 0.04, // 方块随机倾斜的最大角度（弧度）
+      tileColor: config.tileColor || 0xdddddd,   // 镜面颜色
+      tileMetalness: config.tileMetalness || 1.0,
+      tileRoughness: config.tileRoughness !== undefined ? config.tileRoughness : 0.15,
+      groutColor: config.groutColor !== undefined ? config.groutColor : 0x111111, // 缝隙（底球）颜色
+      tileSeed: config.tileSeed || 1,            // 随机倾斜的种子
       ...config
     };
 
@@ -24,21 +39,39 @@ export class DiscoBall {
     this.mesh = null;
     this.holes = []; // 存储灯孔位置数据
     
+    // 镜面小方块
+    this.tileMesh = null;
+    this.tiles = []; // 每个方块的位置和法线（球体局部坐标）
+    
     // 旋转状态
     this.rotationSpeed = 1.0;
     this.targetRotationSpeed = 1.0; // 目标旋转速度（用于平滑过渡）
     this.rotationDirection = 1; // 1: 顺时针, -1: 逆时针
     this.currentRotation = { x: 0, y: 0, z: 0 };
     
+    // 抓取和甩动：叠加在自动旋转之上的任意轴旋转
+    this.spinQuaternion = new THREE.Quaternion();  // 累计的手动旋转（世界坐标）
+    this.angularVelocity = new THREE.Vector3();    // 松手后的惯性角速度（方向为转轴，长度为弧度/秒）
+    this.isGrabbed = false;                        // 被拖住时暂停自动旋转
+    this.spinStep = new THREE.Quaternion();
+    this.spinAxis = new THREE.Vector3();
+    
     // 旋转动画配置
     this.rotationConfig = {
       speedTransitionRate: 0.05, // 速度过渡的平滑度
       minSpeed: 0.1,             // 最小旋转速度
       maxSpeed: 5.0,             // 最大旋转速度
       xAxisFactor: 0.1,          // X轴旋转因子（增加动感）
-      zAxisFactor: 0.05          // Z轴旋转因子（轻微摆动）
+      zAxisFactor: 0.05,         // Z轴旋转因子（轻微摆动）
+      followTempo: false,        // 是否让旋转速度跟随音乐节奏
+      beatsPerRotation: 16,      // 跟随节奏时每转一圈对应的拍数
+      spinDamping: 1.5,          // 甩动惯性的衰减速度（每秒）
+      maxAngularVelocity: 20     // 甩动角速度上限（弧度/秒）
     };
     
+    // 当前音乐节奏（BPM）
+    this.tempo = 0;
+    
     // 初始化
     this.init();
   }
@@ -52,6 +85,9 @@ export class DiscoBall {
     this.createHoleGeometry(); // 在几何体上创建孔的效果
     this.createMaterial();
     this.createMesh();
+    if (this.config.style === 'faceted') {
+      this.createTiles(); // 创建镜面小方块
+    }
     this.createHoleVisuals(); // 创建孔的视觉效果
     
     console.log('DiscoBall initialized with', this.holes.length, 'holes');
@@ -141,9 +177,12 @@ export class DiscoBall {
    * 创建PBR金属材质
    */
   createMaterial() {
+    // faceted 模式下底球只作为方块间的缝隙显示
+    const baseColor = this.config.style === 'faceted' ? this.config.groutColor : this.config.color;
+    
     this.material = new THREE.MeshPhysicalMaterial({
       // 基础颜色：黑色金属质感
-      color: new THREE.Color(this.config.color),
+      color: new THREE.Color(baseColor),
       
       // PBR材质属性
       metalness: this.config.metalness,    // 高金属度
@@ -183,48 +222,127 @@ export class DiscoBall {
   }
 
   /**
-   * 生成均匀分布的灯孔位置
-   * 使用斐波那契螺旋算法在球面上均匀分布点
+   * 创建镜面小方块
+   * 按纬度环（绕Y轴）铺满球面，每个方块有自己的法线和轻微的随机倾斜，
+   * 使用 InstancedMesh 一次绘制全部方块
    */
-  generateHoles() {
-    this.holes = [];
-    const numHoles = this.config.holes;
-    const goldenRatio = (1 + Math.sqrt(5)) / 2;
+  createTiles() {
+    const {
+      radius,
+      tileCount,
+      tileGap,
+      tileThickness,
+      tileTilt,
+      tileSeed
+    } = this.config;
     
-    for (let i = 0; i < numHoles; i++) {
-      // 斐波那契螺旋算法
-      const theta = 2 * Math.PI * i / goldenRatio;
-      const phi = Math.acos(1 - 2 * (i + 0.5) / numHoles);
-      
-      // 转换为笛卡尔坐标
-      const x = Math.sin(phi) * Math.cos(theta);
-      const y = Math.sin(phi) * Math.sin(theta);
-      const z = Math.cos(phi);
-      
-      // 创建位置向量（单位球面上的点）
-      const position = new THREE.Vector3(x, y, z);
+    // 环数：方块总数约为 4 * rings^2 / π
+    const rings = Math.max(2, Math.round(Math.sqrt(Math.PI * tileCount / 4)));
+    const tileAngle = Math.PI / rings;
+    const tileSize = Math.max(0.001, tileAngle * radius - tileGap);
+    
+    // 灯孔周围不放方块，保证灯孔可见
+    const holeAngle = 0.35 / radius + tileAngle * 0.5;
+    const holeCos = Math.cos(holeAngle);
+    
+    const random = createRandom(tileSeed);
+    const dummy = new THREE.Object3D();
+    const target = new THREE.Vector3();
+    const forward = new THREE.Vector3(0, 0, 1);
+    const transforms = [];
+    this.tiles = [];
+    
+    for (let ring = 0; ring < rings; ring++) {
+      const phi = (ring + 0.5) * tileAngle;
+      const ringTiles = Math.max(1, Math.round(Math.PI * 2 * Math.sin(phi) / tileAngle));
+      const ringOffset = random() * Math.PI * 2; // 错开各环起点，避免出现竖直接缝
       
-      // 缩放到球体半径
-      const worldPosition = position.clone().multiplyScalar(this.config.radius);
+      for (let i = 0; i < ringTiles; i++) {
+        const theta = ringOffset + (i / ringTiles) * Math.PI * 2;
+        const normal = new THREE.Vector3(
+          Math.sin(phi) * Math.cos(theta),
+          Math.cos(phi),
+          Math.sin(phi) * Math.sin(theta)
+        );
+        
+        if (this.holes.some(hole => hole.direction.dot(normal) > holeCos)) continue;
+        
+        // 方块朝外（+Z 指向法线），行方向沿纬线
+        dummy.position.copy(normal).multiplyScalar(radius + tileThickness * 0.5);
+        target.copy(normal).multiplyScalar(radius + 1);
+        dummy.lookAt(target);
+        
+        // 轻微随机倾斜，让反光闪烁
+        dummy.rotateX((random() * 2 - 1) * tileTilt);
+        dummy.rotateY((random() * 2 - 1) * tileTilt);
+        dummy.updateMatrix();
+        
+        transforms.push(dummy.matrix.clone());
+        this.tiles.push({
+          position: dummy.position.clone(),
+          normal: forward.clone().applyQuaternion(dummy.quaternion)
+        });
+      }
+    }
+    
+    const tileGeometry = new THREE.BoxGeometry(tileSize, tileSize, tileThickness);
+    const tileMaterial = new THREE.MeshStandardMaterial({
+      color: new THREE.Color(this.config.tileColor),
+      metalness: this.config.tileMetalness,
+      roughness: this.config.tileRoughness,
+      envMapIntensity: this.config.envMapIntensity
+    });
+    
+    this.tileMesh = new THREE.InstancedMesh(tileGeometry, tileMaterial, transforms.length);
+    transforms.forEach((matrix, index) => this.tileMesh.setMatrixAt(index, matrix));
+    this.tileMesh.instanceMatrix.needsUpdate = true;
+    
+    this.tileMesh.castShadow = true;
+    this.tileMesh.receiveShadow = true;
+    this.tileMesh.name = 'DiscoBallTiles';
+    
+    this.mesh.add(this.tileMesh);
+    
+    console.log(`Created ${transforms.length} mirror tiles in ${rings} rings`);
+  }
+
+  /**
+   * 获取镜面方块数据
+   */
+  getTiles() {
+    return this.tiles;
+  }
+
+  /**
+   * 按配置的布局生成灯孔位置
+   * 默认使用斐波那契螺旋在球面上均匀分布，其他布局见 HoleLayouts.js
+   */
+  generateHoles() {
+    const { holes, holeLayout, holeLayoutOptions, radius } = this.config;
+    const points = generateHoleLayout(holeLayout, holes, holeLayoutOptions);
+    
+    this.holes = points.map(({ theta, phi }, i) => {
+      // 转换为笛卡尔坐标（单位球面上的点）
+      const position = new THREE.Vector3(
+        Math.sin(phi) * Math.cos(theta),
+        Math.sin(phi) * Math.sin(theta),
+        Math.cos(phi)
+      );
       
-      // 存储灯孔数据
-      this.holes.push({
+      return {
         id: i,
         // 球面坐标（用于计算）
-        spherical: {
-          theta: theta,
-          phi: phi
-        },
+        spherical: { theta, phi },
         // 单位向量（方向）
         direction: position.clone(),
         // 世界坐标位置
-        position: worldPosition,
+        position: position.clone().multiplyScalar(radius),
         // 法向量（指向球心外）
         normal: position.clone()
-      });
-    }
+      };
+    });
     
-    console.log(`Generated ${this.holes.length} holes using Fibonacci spiral distribution`);
+    console.log(`Generated ${this.holes.length} holes using ${holeLayout} layout`);
   }
 
   /**
@@ -288,6 +406,25 @@ export class DiscoBall {
   updateRotation(deltaTime) {
     if (!this.mesh) return;
     
+    // 被拖住时由用户直接控制朝向
+    if (!this.isGrabbed) {
+      this.updateAutoRotation(deltaTime);
+      this.updateInertia(deltaTime);
+    }
+    
+    // 应用旋转：手动旋转叠加在自动旋转之上
+    this.mesh.rotation.set(
+      this.currentRotation.x,
+      this.currentRotation.y,
+      this.currentRotation.z
+    );
+    this.mesh.quaternion.premultiply(this.spinQuaternion);
+  }
+
+  /**
+   * 自动旋转：绕Y轴旋转，带轻微的X轴漂移和Z轴摆动
+   */
+  updateAutoRotation(deltaTime) {
     // 平滑过渡到目标旋转速度
     this.updateRotationSpeed(deltaTime);
     
@@ -302,13 +439,49 @@ export class DiscoBall {
     
     // 添加轻微的Z轴摆动效果
     this.currentRotation.z += Math.sin(this.currentRotation.y * 2) * this.rotationConfig.zAxisFactor * rotationDelta;
+  }
+
+  /**
+   * 甩动惯性：按角速度继续旋转并逐渐衰减，最终只剩自动旋转
+   */
+  updateInertia(deltaTime) {
+    const speed = this.angularVelocity.length();
+    if (speed === 0) return;
     
-    // 应用旋转
-    this.mesh.rotation.set(
-      this.currentRotation.x,
-      this.currentRotation.y,
-      this.currentRotation.z
-    );
+    const seconds = deltaTime * 0.001;
+    this.rotateBy(this.spinAxis.copy(this.angularVelocity).divideScalar(speed), speed * seconds);
+    
+    this.angularVelocity.multiplyScalar(Math.exp(-this.rotationConfig.spinDamping * seconds));
+    if (this.angularVelocity.lengthSq() < 1e-6) {
+      this.angularVelocity.set(0, 0, 0);
+    }
+  }
+
+  /**
+   * 绕世界坐标轴旋转球体（轴需为单位向量）
+   */
+  rotateBy(axis, angle) {
+    this.spinStep.setFromAxisAngle(axis, angle);
+    this.spinQuaternion.premultiply(this.spinStep).normalize();
+  }
+
+  /**
+   * 抓住球体：暂停自动旋转并清除惯性
+   */
+  grab() {
+    this.isGrabbed = true;
+    this.angularVelocity.set(0, 0, 0);
+  }
+
+  /**
+   * 松开球体并甩出
+   * @param {THREE.Vector3} [angularVelocity] 松手时的角速度（弧度/秒）
+   */
+  release(angularVelocity) {
+    this.isGrabbed = false;
+    if (angularVelocity) {
+      this.angularVelocity.copy(angularVelocity).clampLength(0, this.rotationConfig.maxAngularVelocity);
+    }
   }
 
   /**
@@ -357,18 +530,71 @@ export class DiscoBall {
     this.rotationDirection = direction > 0 ? 1 : -1;
   }
 
+  /**
+   * 设置音乐节奏（BPM）
+   * 启用 followTempo 时按 beatsPerRotation 换算为旋转速度（弧度/秒）
+   */
+  setTempo(bpm) {
+    if (!(bpm > 0)) return;
+    
+    this.tempo = bpm;
+    
+    if (this.rotationConfig.followTempo) {
+      this.setRotationSpeed(this.getTempoRotationSpeed(bpm));
+    }
+  }
+
+  /**
+   * 计算指定BPM对应的旋转速度
+   */
+  getTempoRotationSpeed(bpm) {
+    const beatsPerSecond = bpm / 60;
+    return beatsPerSecond * (Math.PI * 2) / this.rotationConfig.beatsPerRotation;
+  }
+
+  /**
+   * 设置是否跟随音乐节奏
+   */
+  setFollowTempo(enabled) {
+    this.rotationConfig.followTempo = !!enabled;
+    
+    if (this.rotationConfig.followTempo && this.tempo > 0) {
+      this.setRotationSpeed(this.getTempoRotationSpeed(this.tempo));
+    }
+  }
+
   /**
    * 停止旋转（平滑停止）
+   * 停止不受 minSpeed 限制，否则球体会以最小速度继续转动
    */
   stopRotation() {
-    this.setRotationSpeed(0);
+    this.targetRotationSpeed = 0;
+  }
+
+  /**
+   * 跟随另一个灯球的旋转（多灯球同步旋转时每帧调用，代替 updateRotation）
+   */
+  copyRotationFrom(other) {
+    if (!this.mesh) return;
+    
+    this.rotationSpeed = other.rotationSpeed;
+    this.targetRotationSpeed = other.targetRotationSpeed;
+    this.rotationDirection = other.rotationDirection;
+    this.currentRotation = { ...other.currentRotation };
+    this.spinQuaternion.copy(other.spinQuaternion);
+    this.angularVelocity.copy(other.angularVelocity);
+    
+    this.mesh.rotation.set(this.currentRotation.x, this.currentRotation.y, this.currentRotation.z);
+    this.mesh.quaternion.premultiply(this.spinQuaternion);
   }
 
   /**
    * 立即停止旋转
    */
   stopRotationImmediate() {
-    this.setRotationSpeedImmediate(0);
+    this.rotationSpeed = 0;
+    this.targetRotationSpeed = 0;
+    this.angularVelocity.set(0, 0, 0);
   }
 
   /**
@@ -388,6 +614,10 @@ export class DiscoBall {
       direction: this.rotationDirection,
       currentRotation: { ...this.currentRotation },
       isTransitioning: Math.abs(this.rotationSpeed - this.targetRotationSpeed) > 0.01,
+      tempo: this.tempo,
+      spin: this.spinQuaternion.toArray(),
+      angularVelocity: this.angularVelocity.toArray(),
+      isGrabbed: this.isGrabbed,
       config: { ...this.rotationConfig }
     };
   }
@@ -460,25 +690,70 @@ export class DiscoBall {
   }
 
   /**
-   * 清理资源
+   * 按新配置重建球体（几何体、灯孔、镜面方块和灯孔外观），保留旋转和惯性状态
+   * 旧网格从实例上摘下并返回，由调用方从场景移除后用 disposeMesh 释放（可先做交叉淡化）
+   * @param {Object} config 要修改的配置项（如 holes / radius / segments / holeLayout）
+   * @returns {THREE.Mesh|null} 旧网格
    */
-  dispose() {
-    // 清理几何体
-    if (this.geometry) {
-      this.geometry.dispose();
-      this.geometry = null;
+  rebuild(config = {}) {
+    const previousMesh = this.mesh;
+    
+    this.config = { ...this.config, ...config };
+    this.geometry = null;
+    this.material = null;
+    this.mesh = null;
+    this.tileMesh = null;
+    this.tiles = [];
+    this.holes = [];
+    
+    this.init();
+    
+    // 新网格沿用旧网格的位置和当前朝向，避免重建的那一帧跳动
+    if (previousMesh) {
+      this.mesh.position.copy(previousMesh.position);
+      this.mesh.quaternion.copy(previousMesh.quaternion);
     }
     
-    // 清理材质
-    if (this.material) {
-      // 清理环境贴图
-      if (this.material.envMap) {
-        this.material.envMap.dispose();
-      }
+    return previousMesh;
+  }
+
+  /**
+   * 释放网格及其子对象（灯孔外观、镜面方块）的几何体和材质
+   */
+  disposeMesh(mesh) {
+    const disposed = new Set();
+    
+    mesh.traverse(object => {
+      const materials = Array.isArray(object.material) ? object.material : [object.material];
+      [object.geometry, ...materials].forEach(resource => {
+        if (!resource || disposed.has(resource)) return;
+        disposed.add(resource);
+        
+        // 清理环境贴图
+        if (resource.envMap) {
+          resource.envMap.dispose();
+        }
+        resource.dispose();
+      });
       
-      this.material.dispose();
-      this.material = null;
+      if (object.isInstancedMesh) {
+        object.dispose();
+      }
+    });
+  }
+
+  /**
+   * 清理资源
+   */
+  dispose() {
+    // 清理几何体、材质、镜面方块和灯孔外观
+    if (this.mesh) {
+      this.disposeMesh(this.mesh);
     }
+    this.geometry = null;
+    this.material = null;
+    this.tileMesh = null;
+    this.tiles = [];
     
     // 清理网格引用
     this.mesh = null;
@@ -486,4 +761,4 @@ export class DiscoBall {
     
     console.log('DiscoBall disposed');
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,72 @@
+/**
+ * EventEmitter - 轻量事件分发基类
+ * 供音频、控制等模块发布状态变化
+ */
+export class EventEmitter {
+  constructor() {
+    this.listeners = new Map();
+  }
+
+  /**
+   * 注册事件监听器，返回取消注册的函数
+   */
+  on(event, listener) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, new Set());
+    }
+    this.listeners.get(event).add(listener);
+    return () => this.off(event, listener);
+  }
+
+  /**
+   * 注册只触发一次的监听器
+   */
+  once(event, listener) {
+    const wrapper = (...args) => {
+      this.off(event, wrapper);
+      listener(...args);
+    };
+    return this.on(event, wrapper);
+  }
+
+  /**
+   * 移除事件监听器
+   */
+  off(event, listener) {
+    const listeners = this.listeners.get(event);
+    if (!listeners) return;
+
+    listeners.delete(listener);
+    if (listeners.size === 0) {
+      this.listeners.delete(event);
+    }
+  }
+
+  /**
+   * 触发事件
+   */
+  emit(event, payload) {
+    const listeners = this.listeners.get(event);
+    if (!listeners) return;
+
+    // 复制一份，避免回调中增删监听器影响遍历
+    [...listeners].forEach(listener => {
+      try {
+        listener(payload);
+      } catch (error) {
+        console.error(`Error in "${event}" listener:`, error);
+      }
+    });
+  }
+
+  /**
+   * 移除所有监听器
+   */
+  removeAllListeners(event) {
+    if (event === undefined) {
+      this.listeners.clear();
+    } else {
+      this.listeners.delete(event);
+    }
+  }
+}
@@ -0,0 +1,232 @@
+import * as THREE from 'three';
+
+const TWO_PI = Math.PI * 2;
+const GOLDEN_RATIO = (1 + Math.sqrt(5)) / 2;
+
+/**
+ * 可复现的伪随机数生成器（mulberry32）
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * 球面坐标转单位向量（与 DiscoBall 灯孔约定一致：z 轴为极轴）
+ */
+function toDirection({ theta, phi }, target = new THREE.Vector3()) {
+  return target.set(
+    Math.sin(phi) * Math.cos(theta),
+    Math.sin(phi) * Math.sin(theta),
+    Math.cos(phi)
+  );
+}
+
+/**
+ * 单位向量转球面坐标
+ */
+function toSpherical(direction) {
+  return {
+    theta: Math.atan2(direction.y, direction.x),
+    phi: Math.acos(THREE.MathUtils.clamp(direction.z, -1, 1))
+  };
+}
+
+/**
+ * 按最大余数法把 total 个孔分配到各环，每环至少一个
+ */
+function distribute(total, weights) {
+  const sum = weights.reduce((acc, weight) => acc + weight, 0);
+  const spare = total - weights.length;
+  const exact = weights.map(weight => spare * weight / sum);
+  const counts = exact.map(value => 1 + Math.floor(value));
+
+  let remaining = total - counts.reduce((acc, count) => acc + count, 0);
+  exact
+    .map((value, index) => ({ index, remainder: value - Math.floor(value) }))
+    .sort((a, b) => b.remainder - a.remainder)
+    .forEach(({ index }) => {
+      if (remaining-- > 0) counts[index]++;
+    });
+  return counts;
+}
+
+/**
+ * 内置灯孔布局
+ * 每个布局是 (count, options) => [{ theta, phi }] 的函数，返回的数量可以与 count 不同
+ */
+const BUILT_IN_LAYOUTS = {
+  // 斐波那契螺旋：覆盖最均匀（默认）
+  fibonacci: (count) => {
+    const points = [];
+    for (let i = 0; i < count; i++) {
+      points.push({
+        theta: TWO_PI * i / GOLDEN_RATIO,
+        phi: Math.acos(1 - 2 * (i + 0.5) / count)
+      });
+    }
+    return points;
+  },
+
+  // 纬度环：options.rings 环数，options.perRing 每环固定孔数（设置后总数为 rings * perRing），
+  // 否则按各环周长分配 count；options.stagger 相邻环错开半个间隔（默认开启）
+  rings: (count, options = {}) => {
+    const rings = Math.max(1, Math.round(options.rings || Math.sqrt(Math.PI * count / 4)));
+    const phis = Array.from({ length: rings }, (_, ring) => (ring + 0.5) * Math.PI / rings);
+    const counts = options.perRing
+      ? phis.map(() => Math.max(1, Math.round(options.perRing)))
+      : distribute(Math.max(count, rings), phis.map(phi => Math.sin(phi)));
+    const stagger = options.stagger !== false;
+
+    const points = [];
+    phis.forEach((phi, ring) => {
+      const offset = stagger && ring % 2 === 1 ? 0.5 : 0;
+      for (let i = 0; i < counts[ring]; i++) {
+        points.push({ theta: TWO_PI * (i + offset) / counts[ring], phi });
+      }
+    });
+    return points;
+  },
+
+  // 二十面体顶点：取顶点数（10(n+1)²+2：12、42、92…）不超过 count 的最细分级
+  icosahedral: (count, options = {}) => {
+    let detail = options.detail;
+    if (detail === undefined) {
+      detail = Math.max(0, Math.floor(Math.sqrt((Math.max(count, 12) - 2) / 10)) - 1);
+    }
+
+    const geometry = new THREE.IcosahedronGeometry(1, detail);
+    const positions = geometry.attributes.position;
+    const vertex = new THREE.Vector3();
+    const seen = new Set();
+    const points = [];
+
+    // 非索引几何体中相邻三角形共享的顶点会重复出现
+    for (let i = 0; i < positions.count; i++) {
+      vertex.fromBufferAttribute(positions, i).normalize();
+      const key = vertex.toArray().map(value => value.toFixed(4)).join(',');
+      if (seen.has(key)) continue;
+      seen.add(key);
+      points.push(toSpherical(vertex));
+    }
+
+    geometry.dispose();
+    return points;
+  },
+
+  // 带最小间距的种子随机：options.seed 随机种子，options.minSpacing 最小角距离（弧度），
+  // 放不下时逐步放宽间距，保证总能生成 count 个孔
+  random: (count, options = {}) => {
+    const random = createRandom(options.seed || 1);
+    let minSpacing = options.minSpacing !== undefined
+      ? options.minSpacing
+      : 0.7 * Math.sqrt(4 * Math.PI / Math.max(count, 1));
+
+    const points = [];
+    const directions = [];
+    const candidate = new THREE.Vector3();
+    let attempts = 0;
+
+    while (points.length < count) {
+      const point = {
+        theta: random() * TWO_PI,
+        phi: Math.acos(1 - 2 * random()) // 按面积均匀采样
+      };
+      toDirection(point, candidate);
+
+      const minCos = Math.cos(minSpacing);
+      if (directions.every(direction => direction.dot(candidate) < minCos)) {
+        points.push(point);
+        directions.push(candidate.clone());
+        attempts = 0;
+      } else if (++attempts > 200) {
+        minSpacing *= 0.9;
+        attempts = 0;
+      }
+    }
+    return points;
+  },
+
+  // 自定义：options.positions 为球面坐标列表（数组、JSON 字符串或 { units, holes } 对象）
+  custom: (count, options = {}) => parseHoleLayout(options.positions || [])
+};
+
+const layouts = { ...BUILT_IN_LAYOUTS };
+
+/**
+ * 内置布局名称
+ */
+export const HOLE_LAYOUT_NAMES = Object.keys(BUILT_IN_LAYOUTS);
+
+/**
+ * 注册自定义布局生成器
+ */
+export function registerHoleLayout(name, generator) {
+  if (typeof generator !== 'function') {
+    throw new Error(`Hole layout "${name}" must be a function`);
+  }
+  layouts[name] = generator;
+}
+
+/**
+ * 获取所有可用布局名称
+ */
+export function getHoleLayoutNames() {
+  return Object.keys(layouts);
+}
+
+/**
+ * 按布局生成灯孔的球面坐标
+ */
+export function generateHoleLayout(name, count, options = {}) {
+  const generator = layouts[name];
+  if (!generator) {
+    throw new Error(`Unknown hole layout: ${name}`);
+  }
+
+  const points = generator(count, options);
+  if (!Array.isArray(points) || points.length === 0) {
+    throw new Error(`Hole layout "${name}" produced no holes`);
+  }
+  return points;
+}
+
+/**
+ * 解析自定义布局
+ * 接受 [{ theta, phi }] 数组、JSON 字符串或 { units: 'radians' | 'degrees', holes: [...] }，
+ * 角度默认为弧度，phi 为与极轴（+Z）的夹角
+ */
+export function parseHoleLayout(data) {
+  const layout = typeof data === 'string' ? JSON.parse(data) : data;
+  const holes = Array.isArray(layout) ? layout : layout && layout.holes;
+  if (!Array.isArray(holes)) {
+    throw new Error('Hole layout must be an array or an object with a holes array');
+  }
+
+  const scale = layout.units === 'degrees' ? Math.PI / 180 : 1;
+  return holes.map((hole, index) => {
+    const theta = Number(hole.theta) * scale;
+    const phi = Number(hole.phi) * scale;
+    if (!Number.isFinite(theta) || !Number.isFinite(phi)) {
+      throw new Error(`Invalid hole at index ${index}: theta and phi must be numbers`);
+    }
+    return { theta, phi };
+  });
+}
+
+/**
+ * 从 URL 加载自定义布局 JSON
+ */
+export async function loadHoleLayout(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to load hole layout: ${response.status}`);
+  }
+  return parseHoleLayout(await response.json());
+}
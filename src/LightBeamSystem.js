@@ -1,22 +1,85 @@
 import * as THREE from 'three';
+import { PaletteLibrary } from './Palettes.js';
+import { ColorModeRegistry } from './ColorModes.js';
+import { EventEmitter } from './EventEmitter.js';
+
+// 光束形状顶点代码：把单位圆柱（y: 0-1，半径1）变形为指定长度和扩散的圆锥
+const BEAM_SHAPE_VERTEX = `
+  uniform float beamLength;
+  uniform float baseRadius;
+  uniform float tipRadius;
+  
+  vec3 shapeBeamPosition(vec3 p) {
+    float radius = mix(baseRadius, tipRadius, p.y);
+    return vec3(p.x * radius, p.y * beamLength, p.z * radius);
+  }
+  
+  vec3 shapeBeamNormal(vec3 n) {
+    if (abs(n.y) > 0.5) return n; // 端面法线不变
+    float slope = (tipRadius - baseRadius) / beamLength;
+    return normalize(vec3(n.x, -slope, n.z));
+  }
+`;
+
+// 光束实例属性：颜色、强度和透明度逐实例传入（变换在 instanceMatrix 中），所有光束一次绘制
+const BEAM_INSTANCE_VERTEX = `
+  attribute vec3 beamColor;
+  attribute float beamIntensity;
+  attribute float beamOpacity;
+  
+  varying vec3 vBeamColor;
+  varying float vBeamOpacity;
+  
+  void passBeamInstance() {
+    vBeamColor = beamColor * beamIntensity;
+    vBeamOpacity = beamOpacity;
+  }
+`;
+
+/**
+ * 灯孔方向与 +Y（灯球旋转轴，朝上）的夹角：0 为顶部，π 为底部
+ */
+function getElevation(direction) {
+  return Math.acos(THREE.MathUtils.clamp(direction.y, -1, 1));
+}
+
+// 内置衰减曲线 (t: 沿光束 0-1, distance: 到灯孔的距离, config: 光束配置)
+const FALLOFF_CURVES = {
+  linear: (t) => 1 - t,
+  'inverse-square': (t, distance, config) => {
+    const d = distance / config.falloffDistance;
+    return 1 / (1 + d * d);
+  }
+};
+
+// 衰减贴图采样数
+const FALLOFF_SAMPLES = 256;
 
 /**
  * LightBeamSystem - 光束系统类
  * 负责创建和管理从迪斯科球灯孔发射的彩色光束
  */
-export class LightBeamSystem {
+export class LightBeamSystem extends EventEmitter {
   constructor(discoBall, config = {}) {
+    super();
+    
     this.discoBall = discoBall;
     
     // 配置参数
     this.config = {
       beamLength: config.beamLength || 8,        // 光束长度
-      beamRadius: config.beamRadius || 0.5,      // 光束底部半径（增大）
-      beamTipRadius: config.beamTipRadius || 0.05, // 光束顶部半径
+      beamRadius: config.beamRadius || 0.5,      // 光束底部（灯孔处）半径
+      beamTipRadius: config.beamTipRadius !== undefined ? config.beamTipRadius : 0.05, // 光束末端半径（null时与底部相同）
+      spreadAngle: config.spreadAngle !== undefined ? config.spreadAngle : null, // 扩散半角（弧度），设置后优先于末端半径
+      falloff: config.falloff || 'linear',       // 衰减曲线: 'linear' | 'inverse-square' | 函数(t, distance) | 采样数组
+      falloffDistance: config.falloffDistance || 2.0, // 平方反比衰减的参考距离
       beamSegments: config.beamSegments || 8,    // 光束分段数
       beamOpacity: config.beamOpacity || 0.8,    // 光束透明度
       beamIntensity: config.beamIntensity || 2.0, // 光束强度
-      colorMode: config.colorMode || 'rainbow',   // 颜色模式: 'rainbow' | 'random'
+      colorMode: config.colorMode || 'rainbow',   // 颜色模式，见 ColorModeRegistry（rainbow/random/white/chase/wave/complementary/strobe/split）
+      palette: config.palette || 'rainbow',       // 当前调色板名称
+      palettes: config.palettes || null,          // 用户自定义调色板（JSON格式，初始化时加载）
+      paletteFadeDuration: config.paletteFadeDuration !== undefined ? config.paletteFadeDuration : 1500, // 切换调色板的过渡时间（毫秒）
       animationSpeed: config.animationSpeed || 0.02, // 颜色动画速度
       
       // 眩光和lens-flare配置
@@ -25,6 +88,31 @@ export class LightBeamSystem {
       flareIntensity: config.flareIntensity || 1.5, // 眩光强度
       flareOpacity: config.flareOpacity || 0.8,   // 眩光透明度
       pulseSpeed: config.pulseSpeed || 2.0,       // 脉动速度
+      flareSharpness: config.flareSharpness || 6.0, // 眩光随视角衰减的锐度（越大越集中在正对相机时）
+      maxLensFlares: config.maxLensFlares !== undefined ? config.maxLensFlares : null, // 眩光数量上限（null表示每个光束一个）
+      
+      // 体积光着色配置
+      shadingMode: config.shadingMode || 'basic', // 着色模式: 'basic' 简单渐变 | 'volumetric' 体积光
+      hazeDensity: config.hazeDensity !== undefined ? config.hazeDensity : 1.0, // 雾霾浓度（0时光束不可见）
+      hazeScale: config.hazeScale || 0.6,         // 雾霾噪声的空间频率
+      hazeSpeed: config.hazeSpeed || 0.3,         // 雾霾飘动速度
+      edgeSoftness: config.edgeSoftness || 1.5,   // 视角边缘柔化程度
+      softDistance: config.softDistance || 0.6,   // 靠近球体/地板时的柔化距离
+      floorY: config.floorY !== undefined ? config.floorY : null, // 地板高度（null表示没有地板）
+      
+      // 光束脉动配置
+      pulseMode: config.pulseMode || 'sine',      // 脉动模式: 'sine' | 'beat'
+      beatDecay: config.beatDecay || 6.0,         // 节拍脉冲衰减速度（每秒）
+      
+      // 频段分组配置
+      beamGrouping: config.beamGrouping || 'latitude', // 分组方式: 'latitude' | 'none'
+      bandFloor: config.bandFloor !== undefined ? config.bandFloor : 0.25, // 频段静音时保留的亮度比例
+      bandReactivity: config.bandReactivity !== undefined ? config.bandReactivity : 1.0, // 频段响应程度 (0-1)
+      
+      // 单光束控制配置
+      beamControl: config.beamControl || null,    // 初始的单光束控制状态，格式见 getBeamControlState
+      pickTolerance: config.pickTolerance || 0.25, // 点选灯孔时允许的最大角度偏差（弧度）
+      selectionBoost: config.selectionBoost || 1.5, // 选中光束的强度倍数
       ...config
     };
 
@@ -37,22 +125,68 @@ export class LightBeamSystem {
     this.lensFlares = [];
     this.flareGroup = new THREE.Group();
     this.flareGroup.name = 'LensFlareSystem';
+    this.flareTexture = null;
+    this.flareTime = 0;
+    this.camera = null; // 用于计算眩光视角的相机
+    
+    // 光束分组（组名 -> { name, band, beamIds }）
+    this.groups = new Map();
+    
+    // 单光束控制：独奏的光束id集合（null表示没有独奏）和当前选中的光束
+    this.soloIds = null;
+    this.selectedIds = new Set();
+    this.bandLevels = null; // 当前各频段能量，null表示无音频
+    this.level = 1.0; // 整体淡入淡出系数 (0-1)，重建灯球时用于交叉淡化
+    
+    // 节拍脉动状态
+    this.beatEnvelope = 0;
+    this.pulse = 1.0;
     
     // 颜色系统
     this.colorTime = 0;
-    this.rainbowColors = [
-      new THREE.Color(0xff0000), // 红
-      new THREE.Color(0xff8000), // 橙
-      new THREE.Color(0xffff00), // 黄
-      new THREE.Color(0x00ff00), // 绿
-      new THREE.Color(0x00ffff), // 青
-      new THREE.Color(0x0080ff), // 蓝
-      new THREE.Color(0x8000ff), // 紫
-    ];
-    
-    // 自定义着色器材质
+    this.hazeTime = 0; // 雾霾噪声动画时间（秒）
+    
+    // 调色板：所有颜色模式都从当前调色板取色，切换时从上一个调色板过渡
+    this.paletteLibrary = new PaletteLibrary();
+    if (this.config.palettes) {
+      this.paletteLibrary.loadJSON(this.config.palettes);
+    }
+    this.palette = this.paletteLibrary.get(this.config.palette) || this.paletteLibrary.get('rainbow');
+    this.config.palette = this.palette.name;
+    this.previousPalette = null;
+    this.paletteBlend = 1; // 0: 完全是上一个调色板, 1: 完全是当前调色板
+    this.paletteDuration = this.config.paletteFadeDuration;
+    this.targetColor = new THREE.Color();
+    this.blendColor = new THREE.Color();
+    
+    // 颜色模式注册表和传给模式函数的上下文
+    this.colorModes = new ColorModeRegistry();
+    this.elapsedTime = 0; // 秒
+    this.colorModeContext = {
+      time: 0,
+      colorTime: 0,
+      beat: 0,
+      bands: null,
+      palette: {
+        sample: (t, target) => this.samplePalette(t, target),
+        white: (target) => this.samplePaletteWhite(target)
+      }
+    };
+    
+    // 所有光束共享的着色器材质、几何体（带实例属性）和实例化网格
     this.beamMaterial = null;
     this.beamGeometry = null;
+    this.beamMesh = null;
+    
+    // 复用的临时对象（每帧同步光束变换）
+    this.beamMatrix = new THREE.Matrix4();
+    this.beamQuaternion = new THREE.Quaternion();
+    this.beamScale = new THREE.Vector3();
+    this.beamUp = new THREE.Vector3(0, 1, 0);
+    
+    // 所有光束共享的形状uniform（修改长度/扩散时无需重建材质）
+    this.shapeUniforms = null;
+    this.falloffTexture = null;
     
     // 初始化
     this.init();
@@ -62,22 +196,99 @@ export class LightBeamSystem {
    * 初始化光束系统
    */
   init() {
-    this.createBeamGeometry();
+    this.createShapeUniforms();
     this.createBeamMaterial();
     this.createBeams();
     
+    if (this.config.enableLensFlare) {
+      this.createLensFlares();
+    }
+    
     console.log(`LightBeamSystem initialized with ${this.beams.length} beams`);
   }
 
   /**
-   * 创建光束几何体（圆柱形）
+   * 创建共享的形状uniform和衰减贴图
+   */
+  createShapeUniforms() {
+    const data = new Uint8Array(FALLOFF_SAMPLES * 4);
+    this.falloffTexture = new THREE.DataTexture(data, FALLOFF_SAMPLES, 1, THREE.RGBAFormat);
+    this.falloffTexture.minFilter = THREE.LinearFilter;
+    this.falloffTexture.magFilter = THREE.LinearFilter;
+    this.falloffTexture.wrapS = THREE.ClampToEdgeWrapping;
+    
+    this.shapeUniforms = {
+      beamLength: { value: this.config.beamLength },
+      baseRadius: { value: this.config.beamRadius },
+      tipRadius: { value: this.getTipRadius() },
+      falloffMap: { value: this.falloffTexture }
+    };
+    
+    this.updateFalloffTexture();
+  }
+
+  /**
+   * 计算光束末端半径（扩散角优先）
+   */
+  getTipRadius() {
+    const { beamRadius, beamTipRadius, spreadAngle, beamLength } = this.config;
+    
+    if (spreadAngle !== null) {
+      return beamRadius + beamLength * Math.tan(spreadAngle);
+    }
+    return beamTipRadius !== null ? beamTipRadius : beamRadius;
+  }
+
+  /**
+   * 获取沿光束 t (0-1) 处的衰减值
+   */
+  getFalloffAt(t) {
+    const { falloff, beamLength } = this.config;
+    let value;
+    
+    if (typeof falloff === 'function') {
+      value = falloff(t, t * beamLength);
+    } else if (Array.isArray(falloff)) {
+      // 采样数组：线性插值
+      const position = t * (falloff.length - 1);
+      const index = Math.floor(position);
+      const next = Math.min(index + 1, falloff.length - 1);
+      value = falloff[index] + (falloff[next] - falloff[index]) * (position - index);
+    } else {
+      const curve = FALLOFF_CURVES[falloff] || FALLOFF_CURVES.linear;
+      value = curve(t, t * beamLength, this.config);
+    }
+    
+    // 末端10%平滑淡出，避免光束被硬切断
+    const tailFade = Math.min(1, (1 - t) / 0.1);
+    return Math.max(0, Math.min(1, value)) * tailFade;
+  }
+
+  /**
+   * 按当前衰减曲线重新生成衰减贴图
+   */
+  updateFalloffTexture() {
+    const data = this.falloffTexture.image.data;
+    
+    for (let i = 0; i < FALLOFF_SAMPLES; i++) {
+      const value = Math.round(this.getFalloffAt(i / (FALLOFF_SAMPLES - 1)) * 255);
+      data[i * 4] = value;
+      data[i * 4 + 1] = value;
+      data[i * 4 + 2] = value;
+      data[i * 4 + 3] = 255;
+    }
+    
+    this.falloffTexture.needsUpdate = true;
+  }
+
+  /**
+   * 创建光束几何体（单位圆柱，由顶点着色器变形为圆锥），附带 count 个光束的实例属性
    */
-  createBeamGeometry() {
-    // 创建圆柱几何体作为光束
+  createBeamGeometry(count) {
     this.beamGeometry = new THREE.CylinderGeometry(
-      this.config.beamRadius,     // 顶部半径
-      this.config.beamRadius,     // 底部半径（相同，形成圆柱）
-      this.config.beamLength,     // 高度（长度）
+      1,                          // 顶部半径（着色器中替换为末端半径）
+      1,                          // 底部半径（着色器中替换为底部半径）
+      1,                          // 高度（着色器中替换为光束长度）
       this.config.beamSegments,   // 径向分段
       1,                          // 高度分段
       false,                      // 开放端面
@@ -85,37 +296,154 @@ export class LightBeamSystem {
       Math.PI * 2                 // 扫描角度
     );
 
-    // 调整几何体，使光束从原点向外发射
-    // 默认圆柱的中心在原点，我们需要调整为从底部发射
-    this.beamGeometry.translate(0, this.config.beamLength / 2, 0);
+    // 调整几何体，使光束从原点向外发射（y: 0-1）
+    this.beamGeometry.translate(0, 0.5, 0);
+    this.updateBeamBounds();
+    
+    // 每个光束的颜色、强度和透明度
+    [['beamColor', 3], ['beamIntensity', 1], ['beamOpacity', 1]].forEach(([name, size]) => {
+      const attribute = new THREE.InstancedBufferAttribute(new Float32Array(count * size), size);
+      attribute.setUsage(THREE.DynamicDrawUsage);
+      this.beamGeometry.setAttribute(name, attribute);
+    });
+  }
+
+  /**
+   * 设置光束径向分段数，重建几何体并保留实例属性
+   */
+  setBeamSegments(segments) {
+    const beamSegments = Math.max(3, Math.round(segments));
+    if (beamSegments === this.config.beamSegments) return;
+    
+    this.config.beamSegments = beamSegments;
+    if (!this.beamMesh) return;
+    
+    const previous = this.beamGeometry;
+    this.createBeamGeometry(this.beams.length);
+    ['beamColor', 'beamIntensity', 'beamOpacity'].forEach(name => {
+      this.beamGeometry.getAttribute(name).copy(previous.getAttribute(name)).needsUpdate = true;
+    });
+    this.beamMesh.geometry = this.beamGeometry;
+    previous.dispose();
+  }
+
+  /**
+   * 更新几何体包围球（顶点在着色器中变形，需要手动设置以保证视锥剔除正确）
+   */
+  updateBeamBounds() {
+    if (!this.beamGeometry) return;
+    
+    const halfLength = this.config.beamLength / 2;
+    const maxRadius = Math.max(this.shapeUniforms.baseRadius.value, this.shapeUniforms.tipRadius.value);
+    this.beamGeometry.boundingSphere = new THREE.Sphere(
+      new THREE.Vector3(0, halfLength, 0),
+      Math.sqrt(halfLength * halfLength + maxRadius * maxRadius)
+    );
+  }
+
+  /**
+   * 设置光束形状（长度、底部半径、末端半径或扩散角），实时生效
+   * @param {{length?: number, baseRadius?: number, tipRadius?: number, spreadAngle?: number}} shape
+   */
+  setBeamShape(shape = {}) {
+    if (shape.length !== undefined) {
+      this.config.beamLength = Math.max(0.01, shape.length);
+    }
+    if (shape.baseRadius !== undefined) {
+      this.config.beamRadius = Math.max(0, shape.baseRadius);
+    }
+    if (shape.tipRadius !== undefined) {
+      this.config.beamTipRadius = Math.max(0, shape.tipRadius);
+      this.config.spreadAngle = null;
+    }
+    if (shape.spreadAngle !== undefined) {
+      this.config.spreadAngle = Math.max(0, Math.min(Math.PI / 2 - 0.01, shape.spreadAngle));
+    }
+    
+    this.shapeUniforms.beamLength.value = this.config.beamLength;
+    this.shapeUniforms.baseRadius.value = this.config.beamRadius;
+    this.shapeUniforms.tipRadius.value = this.getTipRadius();
+    this.updateBeamBounds();
+    
+    // 非线性衰减可能依赖实际距离
+    if (shape.length !== undefined && this.config.falloff !== 'linear') {
+      this.updateFalloffTexture();
+    }
+  }
+
+  /**
+   * 设置光束长度
+   */
+  setBeamLength(length) {
+    this.setBeamShape({ length });
+  }
+
+  /**
+   * 设置光束扩散半角（弧度）
+   */
+  setBeamSpread(spreadAngle) {
+    this.setBeamShape({ spreadAngle });
+  }
+
+  /**
+   * 设置衰减曲线
+   * @param {'linear'|'inverse-square'|Function|number[]} falloff
+   */
+  setFalloff(falloff) {
+    this.config.falloff = falloff;
+    this.updateFalloffTexture();
+  }
+
+  /**
+   * 获取当前光束形状
+   */
+  getBeamShape() {
+    return {
+      length: this.config.beamLength,
+      baseRadius: this.shapeUniforms.baseRadius.value,
+      tipRadius: this.shapeUniforms.tipRadius.value,
+      spreadAngle: this.config.spreadAngle,
+      falloff: this.config.falloff
+    };
   }
 
   /**
    * 创建自定义着色器材质
    */
   createBeamMaterial() {
+    if (this.config.shadingMode === 'volumetric') {
+      this.createVolumetricBeamMaterial();
+      return;
+    }
+    
     // 顶点着色器
     const vertexShader = `
+      ${BEAM_SHAPE_VERTEX}
+      ${BEAM_INSTANCE_VERTEX}
+      
       varying vec3 vPosition;
       varying vec3 vNormal;
       varying vec2 vUv;
       
       void main() {
-        vPosition = position;
-        vNormal = normalize(normalMatrix * normal);
+        passBeamInstance();
+        vec3 shapedPosition = shapeBeamPosition(position);
+        vPosition = shapedPosition;
+        vNormal = normalize(normalMatrix * mat3(instanceMatrix) * shapeBeamNormal(normal));
         vUv = uv;
         
-        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+        gl_Position = projectionMatrix * modelViewMatrix * instanceMatrix * vec4(shapedPosition, 1.0);
       }
     `;
 
     // 片段着色器 - 实现光束渐变效果
     const fragmentShader = `
-      uniform vec3 color;
-      uniform float opacity;
-      uniform float intensity;
       uniform float time;
+      uniform float pulse;
+      uniform sampler2D falloffMap;
       
+      varying vec3 vBeamColor;
+      varying float vBeamOpacity;
       varying vec3 vPosition;
       varying vec3 vNormal;
       varying vec2 vUv;
@@ -124,33 +452,29 @@ export class LightBeamSystem {
         // 计算从中心到边缘的距离（径向渐变）
         float radialDistance = length(vUv - vec2(0.5, 0.5)) * 2.0;
         
-        // 计算沿光束长度的渐变（从底部到顶部）
-        float lengthFade = 1.0 - vUv.y;
+        // 沿光束长度的衰减（从底部到顶部，按衰减曲线）
+        float lengthFade = texture2D(falloffMap, vec2(vUv.y, 0.5)).r;
         
         // 组合径向和长度渐变
-        float alpha = opacity * (1.0 - radialDistance) * lengthFade;
+        float alpha = vBeamOpacity * (1.0 - radialDistance) * lengthFade;
         
-        // 添加脉动效果
-        float pulse = 0.8 + 0.2 * sin(time * 3.0);
+        // 添加脉动效果（由CPU端按正弦或节拍计算）
         alpha *= pulse;
         
         // 确保alpha不为负数
         alpha = max(alpha, 0.0);
         
-        // 应用强度到颜色
-        vec3 finalColor = color * intensity;
-        
-        gl_FragColor = vec4(finalColor, alpha);
+        // 颜色已按强度缩放
+        gl_FragColor = vec4(vBeamColor, alpha);
       }
     `;
 
     // 创建着色器材质
     this.beamMaterial = new THREE.ShaderMaterial({
       uniforms: {
-        color: { value: new THREE.Color(0xffffff) },
-        opacity: { value: this.config.beamOpacity },
-        intensity: { value: this.config.beamIntensity },
-        time: { value: 0.0 }
+        time: { value: 0.0 },
+        pulse: { value: 1.0 },
+        ...this.shapeUniforms
       },
       vertexShader: vertexShader,
       fragmentShader: fragmentShader,
@@ -163,52 +487,486 @@ export class LightBeamSystem {
   }
 
   /**
-   * 为每个灯孔创建光束
+   * 创建体积光着色器材质
+   * 动画3D噪声模拟雾霾、按视角柔化边缘、靠近球体和地板时淡出，并按场景雾衰减
    */
-  createBeams() {
-    const holes = this.discoBall.getHoles();
-    
-    holes.forEach((hole, index) => {
-      // 为每个光束创建独立的材质实例
-      const beamMaterial = this.beamMaterial.clone();
+  createVolumetricBeamMaterial() {
+    const vertexShader = `
+      #include <fog_pars_vertex>
+      ${BEAM_SHAPE_VERTEX}
+      ${BEAM_INSTANCE_VERTEX}
       
-      // 创建光束网格
-      const beamMesh = new THREE.Mesh(this.beamGeometry, beamMaterial);
+      varying vec3 vWorldPosition;
+      varying vec3 vViewNormal;
+      varying vec3 vViewDirection;
+      varying vec2 vUv;
       
-      // 设置光束位置（在灯孔位置）
-      beamMesh.position.copy(hole.position);
+      void main() {
+        passBeamInstance();
+        vUv = uv;
+        vec4 instancePosition = instanceMatrix * vec4(shapeBeamPosition(position), 1.0);
+        vWorldPosition = (modelMatrix * instancePosition).xyz;
+        
+        vec4 mvPosition = modelViewMatrix * instancePosition;
+        vViewNormal = normalize(normalMatrix * mat3(instanceMatrix) * shapeBeamNormal(normal));
+        vViewDirection = normalize(-mvPosition.xyz);
+        
+        gl_Position = projectionMatrix * mvPosition;
+        
+        #include <fog_vertex>
+      }
+    `;
+
+    const fragmentShader = `
+      #include <fog_pars_fragment>
       
-      // 设置光束方向（垂直于球面，沿法向量方向）
-      // 创建一个从原点指向目标点的向量来设置正确的方向
-      const targetPoint = hole.position.clone().add(hole.direction.clone().multiplyScalar(this.config.beamLength));
-      beamMesh.lookAt(targetPoint);
+      uniform float pulse;
+      uniform float hazeDensity;
+      uniform float hazeScale;
+      uniform float hazeTime;
+      uniform float edgeSoftness;
+      uniform float softDistance;
+      uniform vec3 ballCenter;
+      uniform float ballRadius;
+      uniform float floorHeight;
+      uniform sampler2D falloffMap;
       
-      // 确保光束垂直于球面：使用四元数直接设置方向
-      const quaternion = new THREE.Quaternion();
-      quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), hole.direction);
-      beamMesh.setRotationFromQuaternion(quaternion);
+      varying vec3 vBeamColor;
+      varying float vBeamOpacity;
+      varying vec3 vWorldPosition;
+      varying vec3 vViewNormal;
+      varying vec3 vViewDirection;
+      varying vec2 vUv;
       
-      // 设置名称便于调试
-      beamMesh.name = `LightBeam_${index}`;
+      float hash(vec3 p) {
+        p = fract(p * 0.3183099 + 0.1);
+        p *= 17.0;
+        return fract(p.x * p.y * p.z * (p.x + p.y + p.z));
+      }
+      
+      // 三维值噪声
+      float noise(vec3 p) {
+        vec3 i = floor(p);
+        vec3 f = fract(p);
+        f = f * f * (3.0 - 2.0 * f);
+        
+        return mix(
+          mix(mix(hash(i), hash(i + vec3(1.0, 0.0, 0.0)), f.x),
+              mix(hash(i + vec3(0.0, 1.0, 0.0)), hash(i + vec3(1.0, 1.0, 0.0)), f.x), f.y),
+          mix(mix(hash(i + vec3(0.0, 0.0, 1.0)), hash(i + vec3(1.0, 0.0, 1.0)), f.x),
+              mix(hash(i + vec3(0.0, 1.0, 1.0)), hash(i + vec3(1.0, 1.0, 1.0)), f.x), f.y),
+          f.z
+        );
+      }
       
+      void main() {
+        // 沿光束长度衰减（按衰减曲线）
+        float lengthFade = texture2D(falloffMap, vec2(vUv.y, 0.5)).r;
+        
+        // 视线掠过圆柱边缘时变淡，正对时最亮
+        float facing = abs(dot(normalize(vViewNormal), normalize(vViewDirection)));
+        float edgeFade = pow(facing, edgeSoftness);
+        
+        // 两层不同频率的飘动噪声模拟雾霾
+        vec3 drift = vec3(0.3, 1.0, 0.2) * hazeTime;
+        vec3 p = vWorldPosition * hazeScale;
+        float n = noise(p + drift) * 0.65 + noise(p * 2.3 - drift * 1.7) * 0.35;
+        float haze = hazeDensity * (0.4 + 1.2 * n);
+        
+        // 靠近球体和地板时柔化，避免硬边交界
+        float ballFade = smoothstep(0.0, softDistance, distance(vWorldPosition, ballCenter) - ballRadius);
+        float floorFade = smoothstep(0.0, softDistance, vWorldPosition.y - floorHeight);
+        
+        float alpha = vBeamOpacity * lengthFade * edgeFade * haze * ballFade * floorFade * pulse;
+        
+        // 与场景雾使用相同的衰减（加法混合下按雾淡出透明度）
+        #ifdef USE_FOG
+          #ifdef FOG_EXP2
+            float fogFactor = 1.0 - exp(-fogDensity * fogDensity * vFogDepth * vFogDepth);
+          #else
+            float fogFactor = smoothstep(fogNear, fogFar, vFogDepth);
+          #endif
+          alpha *= 1.0 - fogFactor;
+        #endif
+        
+        gl_FragColor = vec4(vBeamColor, clamp(alpha, 0.0, 1.0));
+      }
+    `;
+
+    const ballMesh = this.discoBall.getMesh();
+
+    this.beamMaterial = new THREE.ShaderMaterial({
+      uniforms: THREE.UniformsUtils.merge([
+        THREE.UniformsLib.fog,
+        {
+          time: { value: 0.0 },
+          pulse: { value: 1.0 },
+          hazeDensity: { value: this.config.hazeDensity },
+          hazeScale: { value: this.config.hazeScale },
+          hazeTime: { value: 0.0 },
+          edgeSoftness: { value: this.config.edgeSoftness },
+          softDistance: { value: this.config.softDistance },
+          ballCenter: { value: ballMesh ? ballMesh.position.clone() : new THREE.Vector3() },
+          ballRadius: { value: this.discoBall.config.radius },
+          floorHeight: { value: this.config.floorY !== null ? this.config.floorY : -1e4 }
+        }
+      ]),
+      vertexShader: vertexShader,
+      fragmentShader: fragmentShader,
+      transparent: true,
+      blending: THREE.AdditiveBlending,
+      side: THREE.DoubleSide,
+      depthWrite: false,
+      depthTest: true,
+      fog: true
+    });
+    
+    // merge 会克隆uniform，形状uniform需要与 setBeamShape 共享同一对象
+    Object.assign(this.beamMaterial.uniforms, this.shapeUniforms);
+  }
+
+  /**
+   * 切换着色模式并重建光束材质
+   * @param {'basic'|'volumetric'} mode
+   */
+  setShadingMode(mode) {
+    if (!['basic', 'volumetric'].includes(mode) || mode === this.config.shadingMode) return;
+    
+    this.config.shadingMode = mode;
+    if (this.beamMaterial) {
+      this.beamMaterial.dispose();
+    }
+    this.createBeamMaterial();
+    if (this.beamMesh) {
+      this.beamMesh.material = this.beamMaterial;
+    }
+    
+    console.log(`Light beam shading mode set to: ${mode}`);
+  }
+
+  /**
+   * 设置雾霾浓度（体积光模式下实时生效）
+   */
+  setHazeDensity(density) {
+    this.config.hazeDensity = Math.max(0, density);
+    if (this.beamMaterial.uniforms.hazeDensity) {
+      this.beamMaterial.uniforms.hazeDensity.value = this.config.hazeDensity;
+    }
+  }
+
+  /**
+   * 设置地板高度（体积光在接近地板时柔化）
+   */
+  setFloorHeight(floorY) {
+    this.config.floorY = floorY;
+    if (this.beamMaterial.uniforms.floorHeight) {
+      this.beamMaterial.uniforms.floorHeight.value = floorY !== null ? floorY : -1e4;
+    }
+  }
+
+  /**
+   * 为每个灯孔创建光束
+   * 所有光束是同一个 InstancedMesh 的实例，颜色/强度/透明度写入实例属性
+   */
+  createBeams() {
+    const holes = this.discoBall.getHoles();
+    
+    this.createBeamGeometry(holes.length);
+    this.beamMesh = new THREE.InstancedMesh(this.beamGeometry, this.beamMaterial, holes.length);
+    this.beamMesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+    // 实例分布在整个房间，包围球按单个光束计算会被错误剔除
+    this.beamMesh.frustumCulled = false;
+    this.beamMesh.name = 'LightBeams';
+    this.beamGroup.add(this.beamMesh);
+    
+    holes.forEach((hole, index) => {
       // 存储光束数据
       const beamData = {
         id: index,
-        mesh: beamMesh,
-        material: beamMaterial,
         hole: hole,
         baseColor: new THREE.Color(0xffffff), // 基础颜色
         currentColor: new THREE.Color(0xffffff), // 当前颜色
         colorOffset: index / holes.length, // 颜色偏移（用于彩虹效果）
-        randomColorTarget: new THREE.Color().setHSL(Math.random(), 1.0, 0.5) // 随机颜色目标
+        modeInfo: {                  // 传给颜色模式函数的光束信息
+          index,
+          count: holes.length,
+          theta: hole.spherical.theta,
+          phi: hole.spherical.phi,
+          elevation: getElevation(hole.direction), // 与旋转轴 +Y 的夹角（上下方向）
+          colorOffset: index / holes.length,
+          state: {}                  // 颜色模式的每光束私有数据
+        },
+        worldPosition: hole.position.clone(),   // 旋转后光束起点（世界坐标）
+        worldDirection: hole.direction.clone(), // 旋转后光束方向（世界坐标）
+        group: null, // 所属分组名
+        control: {   // 单光束控制
+          enabled: true,       // 是否开启
+          color: null,         // 固定颜色（覆盖颜色模式），null表示跟随颜色模式
+          intensityScale: 1.0  // 强度倍数
+        },
+        intensity: this.config.beamIntensity, // 当前实际强度
+        opacity: this.config.beamOpacity,     // 当前实际透明度
+        visible: true                         // 是否绘制（关闭的实例缩放为0）
       };
       
       this.beams.push(beamData);
-      this.beamGroup.add(beamMesh);
     });
     
-    // 初始化颜色
+    // 初始化分组
+    if (this.config.beamGrouping === 'latitude') {
+      this.groupBeamsByLatitude();
+    }
+    
+    // 恢复单光束控制状态（例如来自预设）
+    if (this.config.beamControl) {
+      this.setBeamControlState(this.config.beamControl);
+    }
+    
+    // 初始化强度、颜色和实例变换
+    this.updateBeamLevels();
+    this.updateColors();
+    this.syncWithDiscoBall();
+  }
+
+  /**
+   * 灯球重建后按新的灯孔重新创建光束和眩光
+   * 颜色时间、调色板、脉动等状态不变；单光束控制和当前颜色按光束id沿用（超出新数量的丢弃）
+   * 旧的实例化网格从光束组中移除并返回，由调用方用 fadeBeams 淡出后用 disposeBeams 释放
+   * @returns {{mesh: THREE.InstancedMesh, geometry: THREE.BufferGeometry, beams: Object[]}} 旧光束
+   */
+  rebuildBeams() {
+    const controlState = this.getBeamControlState();
+    const groupBands = this.getBeamGroups();
+    const retired = { mesh: this.beamMesh, geometry: this.beamGeometry, beams: this.beams };
+    
+    this.beamGroup.remove(retired.mesh);
+    this.beams = [];
+    this.selectedIds.clear();
+    
+    this.createBeams();
+    
+    // 重新分组后沿用各组跟随的频段
+    groupBands.forEach(({ name, band }) => {
+      if (this.groups.has(name)) this.groups.get(name).band = band;
+    });
+    
+    const count = this.beams.length;
+    const keep = id => Number(id) < count;
+    const pick = values => Object.fromEntries(Object.entries(values).filter(([id]) => keep(id)));
+    this.setBeamControlState({
+      disabled: controlState.disabled.filter(keep),
+      solo: controlState.solo ? controlState.solo.filter(keep) : null,
+      colors: pick(controlState.colors),
+      intensityScales: pick(controlState.intensityScales)
+    });
+    
+    // 沿用旧光束的当前颜色，颜色模式从原来的相位继续过渡
+    retired.beams.forEach(beam => {
+      if (this.beams[beam.id]) {
+        this.beams[beam.id].currentColor.copy(beam.currentColor);
+      }
+    });
     this.updateColors();
+    
+    // 眩光与光束对应，直接重建
+    if (this.flareTexture) {
+      this.disposeLensFlares();
+      this.createLensFlares();
+    }
+    
+    console.log(`LightBeamSystem rebuilt with ${count} beams`);
+    return retired;
+  }
+
+  /**
+   * 按系数 (0-1) 淡出 rebuildBeams 返回的旧光束
+   */
+  fadeBeams(retired, level) {
+    const opacity = retired.geometry.getAttribute('beamOpacity');
+    retired.beams.forEach(beam => {
+      opacity.setX(beam.id, beam.opacity * level);
+    });
+    opacity.needsUpdate = true;
+  }
+
+  /**
+   * 释放 rebuildBeams 返回的旧光束（材质与新光束共享，不释放）
+   */
+  disposeBeams(retired) {
+    if (retired.mesh.parent) {
+      retired.mesh.parent.remove(retired.mesh);
+    }
+    retired.geometry.dispose();
+    retired.mesh.dispose();
+  }
+
+  /**
+   * 创建眩光纹理（中心亮、四周衰减的径向渐变，带十字星芒）
+   */
+  createFlareTexture(size = 64) {
+    const data = new Uint8Array(size * size * 4);
+    const half = size / 2;
+    
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        const dx = (x + 0.5 - half) / half;
+        const dy = (y + 0.5 - half) / half;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        
+        const glow = Math.pow(Math.max(0, 1 - distance), 2.5);
+        const streak = Math.max(0, 1 - Math.abs(dx) * 12) * Math.max(0, 1 - Math.abs(dy)) +
+                       Math.max(0, 1 - Math.abs(dy) * 12) * Math.max(0, 1 - Math.abs(dx));
+        const alpha = Math.min(1, glow + streak * 0.4);
+        
+        const i = (y * size + x) * 4;
+        data[i] = 255;
+        data[i + 1] = 255;
+        data[i + 2] = 255;
+        data[i + 3] = Math.round(alpha * 255);
+      }
+    }
+    
+    const texture = new THREE.DataTexture(data, size, size, THREE.RGBAFormat);
+    texture.needsUpdate = true;
+    return texture;
+  }
+
+  /**
+   * 在灯孔处创建眩光精灵（设置了数量上限时均匀挑选光束）
+   */
+  createLensFlares() {
+    this.flareTexture = this.createFlareTexture();
+    
+    this.getFlareBeams().forEach(beam => {
+      const material = new THREE.SpriteMaterial({
+        map: this.flareTexture,
+        color: beam.currentColor.clone(),
+        transparent: true,
+        opacity: 0,
+        blending: THREE.AdditiveBlending,
+        depthWrite: false
+      });
+      
+      const sprite = new THREE.Sprite(material);
+      sprite.name = `LensFlare_${beam.id}`;
+      sprite.visible = false; // 设置相机后才显示
+      sprite.position.copy(beam.worldPosition);
+      
+      this.lensFlares.push({
+        beamId: beam.id,
+        sprite,
+        material,
+        brightness: 0,
+        occluded: false
+      });
+      this.flareGroup.add(sprite);
+    });
+  }
+
+  /**
+   * 获取带眩光的光束
+   */
+  getFlareBeams() {
+    const { maxLensFlares } = this.config;
+    if (maxLensFlares === null || maxLensFlares >= this.beams.length) {
+      return this.beams;
+    }
+    
+    const step = this.beams.length / Math.max(maxLensFlares, 1);
+    return Array.from({ length: maxLensFlares }, (_, i) => this.beams[Math.floor(i * step)]);
+  }
+
+  /**
+   * 释放所有眩光精灵和纹理
+   */
+  disposeLensFlares() {
+    this.lensFlares.forEach(flare => flare.material.dispose());
+    this.lensFlares = [];
+    this.flareGroup.clear();
+    if (this.flareTexture) {
+      this.flareTexture.dispose();
+      this.flareTexture = null;
+    }
+  }
+
+  /**
+   * 设置眩光数量上限（null表示每个光束一个）
+   */
+  setMaxLensFlares(maxLensFlares) {
+    const max = maxLensFlares === null ? null : Math.max(0, Math.floor(maxLensFlares));
+    if (max === this.config.maxLensFlares) return;
+    
+    this.config.maxLensFlares = max;
+    if (this.config.enableLensFlare) {
+      this.disposeLensFlares();
+      this.createLensFlares();
+    }
+  }
+
+  /**
+   * 设置用于计算眩光的相机
+   */
+  setCamera(camera) {
+    this.camera = camera;
+  }
+
+  /**
+   * 更新眩光：光束越正对相机越亮，被球体挡住的灯孔不显示
+   */
+  updateLensFlares(deltaTime) {
+    if (this.lensFlares.length === 0) return;
+    
+    this.flareTime += deltaTime * 0.001;
+    if (!this.camera) return;
+    
+    const { flareSize, flareIntensity, flareOpacity, flareSharpness, pulseSpeed, beamOpacity } = this.config;
+    const flicker = 0.85 + 0.15 * Math.sin(this.flareTime * pulseSpeed * Math.PI * 2);
+    const toCamera = new THREE.Vector3();
+    const white = new THREE.Color(0xffffff);
+    
+    this.lensFlares.forEach(flare => {
+      const beam = this.beams[flare.beamId];
+      if (!beam) return;
+      
+      toCamera.copy(this.camera.position).sub(beam.worldPosition).normalize();
+      const facing = beam.worldDirection.dot(toCamera);
+      
+      // 灯孔在球面上，法线背向相机时被球体本身遮挡
+      flare.occluded = facing <= 0;
+      if (flare.occluded) {
+        flare.brightness = 0;
+        flare.sprite.visible = false;
+        return;
+      }
+      
+      // 频段分组等对光束透明度的调制同样作用于眩光
+      const level = beam.opacity / Math.max(beamOpacity, 0.001);
+      flare.brightness = Math.pow(facing, flareSharpness) * flareIntensity * flicker * this.pulse * level;
+      
+      flare.sprite.visible = flare.brightness > 0.01;
+      flare.sprite.position.copy(beam.worldPosition).addScaledVector(beam.worldDirection, 0.05);
+      flare.sprite.scale.setScalar(flareSize * (0.5 + Math.min(flare.brightness, 2.0) * 0.5));
+      flare.material.color.copy(beam.currentColor).lerp(white, 0.3);
+      flare.material.opacity = Math.min(1, flareOpacity * flare.brightness);
+    });
+  }
+
+  /**
+   * 获取眩光组（用于添加到场景）
+   */
+  getFlareGroup() {
+    return this.flareGroup;
+  }
+
+  /**
+   * 启用/禁用眩光
+   */
+  setLensFlareEnabled(enabled) {
+    this.config.enableLensFlare = enabled;
+    if (enabled && !this.flareTexture) {
+      this.createLensFlares();
+    }
+    this.flareGroup.visible = enabled;
   }
 
   /**
@@ -222,49 +980,128 @@ export class LightBeamSystem {
    * 更新光束颜色
    */
   updateColors() {
-    this.beams.forEach((beam, index) => {
-      let targetColor;
-      
-      if (this.config.colorMode === 'rainbow') {
-        // 彩虹模式：按彩虹色谱循环
-        targetColor = this.getRainbowColor(beam.colorOffset + this.colorTime);
-      } else if (this.config.colorMode === 'random') {
-        // 随机模式：随机变化颜色
-        targetColor = beam.randomColorTarget.clone();
-        
-        // 偶尔更新随机颜色目标
-        if (Math.random() < 0.01) {
-          beam.randomColorTarget.setHSL(Math.random(), 1.0, 0.5);
-        }
+    const mode = this.colorModes.get(this.config.colorMode) || this.colorModes.get('white');
+    
+    const context = this.colorModeContext;
+    context.time = this.elapsedTime;
+    context.colorTime = this.colorTime;
+    context.beat = this.beatEnvelope;
+    context.bands = this.bandLevels;
+    
+    const colors = this.beamGeometry.getAttribute('beamColor');
+    this.beams.forEach(beam => {
+      const targetColor = this.targetColor;
+      if (beam.control.color) {
+        targetColor.copy(beam.control.color);
       } else {
-        // 默认白色
-        targetColor = new THREE.Color(0xffffff);
+        mode.sample(beam.modeInfo, context, targetColor);
       }
       
-      // 平滑过渡到目标颜色
-      beam.currentColor.lerp(targetColor, 0.05);
+      // 平滑过渡到目标颜色（频闪等模式立即切换）
+      beam.currentColor.lerp(targetColor, mode.smoothing);
       
-      // 更新材质颜色
-      beam.material.uniforms.color.value.copy(beam.currentColor);
+      // 写入实例颜色
+      colors.setXYZ(beam.id, beam.currentColor.r, beam.currentColor.g, beam.currentColor.b);
     });
+    colors.needsUpdate = true;
+  }
+
+  /**
+   * 从当前调色板取色（切换过渡期间与上一个调色板混合）
+   * @param {number} t 调色板位置（循环）
+   * @param {THREE.Color} [target] 结果写入的颜色
+   */
+  samplePalette(t, target = new THREE.Color()) {
+    this.palette.sample(t, target);
+    
+    if (this.previousPalette) {
+      this.previousPalette.sample(t, this.blendColor);
+      target.copy(this.blendColor.lerp(target, this.paletteBlend));
+    }
+    return target;
+  }
+
+  /**
+   * 获取当前调色板的白光色（同样参与过渡）
+   */
+  samplePaletteWhite(target = new THREE.Color()) {
+    target.copy(this.palette.white);
+    
+    if (this.previousPalette) {
+      target.copy(this.blendColor.copy(this.previousPalette.white).lerp(target, this.paletteBlend));
+    }
+    return target;
   }
 
   /**
-   * 获取彩虹颜色
+   * 切换调色板（在 duration 毫秒内交叉过渡）
+   * @param {string} name 调色板名称
+   * @param {number} [duration] 过渡时间，默认使用 paletteFadeDuration
+   * @returns {boolean} 是否切换成功
    */
-  getRainbowColor(t) {
-    // 将时间映射到彩虹色谱
-    const normalizedT = (t % 1.0 + 1.0) % 1.0; // 确保在0-1范围内
-    const colorIndex = normalizedT * (this.rainbowColors.length - 1);
-    const lowerIndex = Math.floor(colorIndex);
-    const upperIndex = Math.ceil(colorIndex);
-    const factor = colorIndex - lowerIndex;
+  setPalette(name, duration = this.config.paletteFadeDuration) {
+    const palette = this.paletteLibrary.get(name);
+    if (!palette) {
+      console.warn(`Unknown palette: ${name}`);
+      return false;
+    }
+    if (palette === this.palette) return true;
+    
+    // 过渡中再次切换时，从当前占主导的调色板开始
+    this.previousPalette = this.previousPalette && this.paletteBlend < 0.5 ? this.previousPalette : this.palette;
+    this.palette = palette;
+    this.config.palette = name;
+    this.paletteDuration = Math.max(0, duration);
+    this.paletteBlend = 0;
+    
+    if (this.paletteDuration === 0) {
+      this.finishPaletteFade();
+    }
     
-    // 在两个颜色之间插值
-    const lowerColor = this.rainbowColors[lowerIndex];
-    const upperColor = this.rainbowColors[upperIndex % this.rainbowColors.length];
+    console.log(`Light beam palette set to: ${name}`);
+    return true;
+  }
+
+  /**
+   * 推进调色板过渡
+   */
+  updatePaletteFade(deltaTime) {
+    if (!this.previousPalette) return;
     
-    return lowerColor.clone().lerp(upperColor, factor);
+    this.paletteBlend = Math.min(1, this.paletteBlend + deltaTime / Math.max(this.paletteDuration, 1));
+    if (this.paletteBlend >= 1) {
+      this.finishPaletteFade();
+    }
+  }
+
+  /**
+   * 结束调色板过渡
+   */
+  finishPaletteFade() {
+    this.previousPalette = null;
+    this.paletteBlend = 1;
+  }
+
+  /**
+   * 加载自定义调色板（JSON对象、数组或字符串）
+   * @returns {string[]} 加载的调色板名称
+   */
+  loadPalettes(json) {
+    return this.paletteLibrary.loadJSON(json);
+  }
+
+  /**
+   * 获取当前调色板名称
+   */
+  getPalette() {
+    return this.palette.name;
+  }
+
+  /**
+   * 获取所有可用调色板名称
+   */
+  getPaletteNames() {
+    return this.paletteLibrary.getNames();
   }
 
   /**
@@ -273,27 +1110,95 @@ export class LightBeamSystem {
   update(deltaTime) {
     // 更新时间
     this.colorTime += this.config.animationSpeed * (deltaTime * 0.001);
+    this.elapsedTime += deltaTime * 0.001;
     
-    // 更新所有光束材质的时间uniform
-    this.beams.forEach(beam => {
-      beam.material.uniforms.time.value = this.colorTime;
-    });
+    // 更新脉动
+    this.updatePulse(deltaTime);
+    
+    // 推进调色板过渡
+    this.updatePaletteFade(deltaTime);
+    
+    this.hazeTime += this.config.hazeSpeed * (deltaTime * 0.001);
+    
+    // 更新共享材质的时间和脉动uniform
+    const uniforms = this.beamMaterial.uniforms;
+    uniforms.time.value = this.colorTime;
+    uniforms.pulse.value = this.pulse;
+    
+    if (uniforms.hazeTime) {
+      uniforms.hazeTime.value = this.hazeTime;
+      const ballMesh = this.discoBall ? this.discoBall.getMesh() : null;
+      if (ballMesh) {
+        uniforms.ballCenter.value.copy(ballMesh.position);
+      }
+    }
     
     // 更新颜色
     this.updateColors();
     
     // 同步光束位置和方向（如果球体在旋转）
     this.syncWithDiscoBall();
+    
+    // 更新眩光（依赖同步后的灯孔位置）
+    if (this.config.enableLensFlare) {
+      this.updateLensFlares(deltaTime);
+    }
+  }
+
+  /**
+   * 对齐另一个光束系统的颜色相位和脉动（多灯球同步颜色时在 update 之前调用）
+   */
+  copyPhaseFrom(other) {
+    this.colorTime = other.colorTime;
+    this.elapsedTime = other.elapsedTime;
+    this.hazeTime = other.hazeTime;
+    this.flareTime = other.flareTime;
+    this.beatEnvelope = other.beatEnvelope;
+  }
+
+  /**
+   * 更新脉动系数
+   * sine模式按固定正弦波动，beat模式在每个节拍时跳起再指数衰减
+   */
+  updatePulse(deltaTime) {
+    if (this.config.pulseMode === 'beat') {
+      this.beatEnvelope *= Math.exp(-this.config.beatDecay * deltaTime * 0.001);
+      this.pulse = 0.6 + 0.4 * this.beatEnvelope;
+    } else {
+      this.pulse = 0.8 + 0.2 * Math.sin(this.colorTime * 3.0);
+    }
+  }
+
+  /**
+   * 触发一次节拍脉冲
+   * @param {number} strength 节拍强度 (0-1)
+   */
+  triggerBeat(strength = 1.0) {
+    const clampedStrength = Math.max(0, Math.min(1, strength));
+    // 弱拍也保证有可见的脉冲
+    this.beatEnvelope = Math.max(this.beatEnvelope, 0.5 + 0.5 * clampedStrength);
+  }
+
+  /**
+   * 设置脉动模式
+   */
+  setPulseMode(mode) {
+    if (['sine', 'beat'].includes(mode)) {
+      this.config.pulseMode = mode;
+      this.beatEnvelope = 0;
+      console.log(`Light beam pulse mode set to: ${mode}`);
+    }
   }
 
   /**
    * 同步光束与迪斯科球的旋转
    */
   syncWithDiscoBall() {
-    if (!this.discoBall || !this.discoBall.getMesh()) return;
+    if (!this.discoBall || !this.discoBall.getMesh() || !this.beamMesh) return;
     
     const discoBallMesh = this.discoBall.getMesh();
     const holes = this.discoBall.getHoles();
+    const { beamMatrix, beamQuaternion, beamScale, beamUp } = this;
     
     // 更新每个光束的位置和方向，考虑球体的旋转
     this.beams.forEach((beam, index) => {
@@ -301,44 +1206,52 @@ export class LightBeamSystem {
       
       const hole = holes[index];
       
-      // 获取旋转后的灯孔位置
-      const rotatedPosition = hole.position.clone();
-      rotatedPosition.applyQuaternion(discoBallMesh.quaternion);
-      rotatedPosition.add(discoBallMesh.position);
-      
-      // 获取旋转后的灯孔方向
-      const rotatedDirection = hole.direction.clone();
-      rotatedDirection.applyQuaternion(discoBallMesh.quaternion);
+      // 记录旋转后的灯孔位置和方向（世界坐标，供光斑投射等使用）
+      beam.worldPosition.copy(hole.position).applyQuaternion(discoBallMesh.quaternion).add(discoBallMesh.position);
+      beam.worldDirection.copy(hole.direction).applyQuaternion(discoBallMesh.quaternion);
       
-      // 更新光束位置
-      beam.mesh.position.copy(rotatedPosition);
-      
-      // 更新光束方向（确保垂直于球面）
-      const quaternion = new THREE.Quaternion();
-      quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), rotatedDirection);
-      beam.mesh.setRotationFromQuaternion(quaternion);
+      // 光束沿灯孔方向（垂直于球面），关闭的光束缩放为0不绘制
+      beamQuaternion.setFromUnitVectors(beamUp, beam.worldDirection);
+      beamScale.setScalar(beam.visible ? 1 : 0);
+      beamMatrix.compose(beam.worldPosition, beamQuaternion, beamScale);
+      this.beamMesh.setMatrixAt(beam.id, beamMatrix);
     });
+    this.beamMesh.instanceMatrix.needsUpdate = true;
   }
 
   /**
    * 设置颜色模式
    */
   setColorMode(mode) {
-    if (['rainbow', 'random', 'white'].includes(mode)) {
+    if (this.colorModes.has(mode)) {
       this.config.colorMode = mode;
       console.log(`Light beam color mode set to: ${mode}`);
     }
   }
 
+  /**
+   * 注册自定义颜色模式
+   * @param {string} name 模式名称
+   * @param {Function} sample (beam, context, target) => THREE.Color，参数说明见 ColorModes.js
+   * @param {Object} [options] { smoothing }
+   */
+  registerColorMode(name, sample, options) {
+    this.colorModes.register(name, sample, options);
+  }
+
+  /**
+   * 获取所有可用颜色模式名称
+   */
+  getColorModeNames() {
+    return this.colorModes.getNames();
+  }
+
   /**
    * 设置光束强度
    */
   setIntensity(intensity) {
     this.config.beamIntensity = Math.max(0, intensity);
-    
-    this.beams.forEach(beam => {
-      beam.material.uniforms.intensity.value = this.config.beamIntensity;
-    });
+    this.updateBeamLevels();
   }
 
   /**
@@ -346,10 +1259,346 @@ export class LightBeamSystem {
    */
   setOpacity(opacity) {
     this.config.beamOpacity = Math.max(0, Math.min(1, opacity));
+    this.updateBeamLevels();
+  }
+
+  /**
+   * 按灯孔高度把光束分组，每组跟随一个频段
+   * 灯球绕 Y 轴旋转，高度按灯孔方向与 +Y 的夹角计算（hole.spherical.phi 是与 +Z 的夹角，不是纬度），
+   * bands 从顶部开始排列，默认顶部对应高频、底部对应低频
+   */
+  groupBeamsByLatitude(bands = ['highs', 'mids', 'bass']) {
+    const assignment = {};
+    bands.forEach(band => {
+      assignment[band] = { beams: [], band };
+    });
     
     this.beams.forEach(beam => {
-      beam.material.uniforms.opacity.value = this.config.beamOpacity;
+      const slice = Math.min(
+        bands.length - 1,
+        Math.floor(getElevation(beam.hole.direction) / Math.PI * bands.length)
+      );
+      assignment[bands[slice]].beams.push(beam.id);
     });
+    
+    this.setBeamGroups(assignment);
+  }
+
+  /**
+   * 设置光束分组（每个光束最多属于一个组）
+   * @param {Object|Function} assignment
+   *   对象形式: { 组名: { beams: [光束id...], band: 'bass' } }，band 为 null 时该组不响应音频
+   *   函数形式: (beam) => 组名，组名同时作为频段名，返回 null 表示不分组
+   */
+  setBeamGroups(assignment) {
+    this.groups.clear();
+    this.beams.forEach(beam => {
+      beam.group = null;
+    });
+    
+    if (typeof assignment === 'function') {
+      this.beams.forEach(beam => {
+        const name = assignment(beam);
+        if (name === null || name === undefined) return;
+        
+        if (!this.groups.has(name)) {
+          this.groups.set(name, { name, band: name, beamIds: [] });
+        }
+        this.addBeamToGroup(beam, this.groups.get(name));
+      });
+    } else {
+      Object.entries(assignment || {}).forEach(([name, { beams = [], band = null }]) => {
+        const group = { name, band, beamIds: [] };
+        this.groups.set(name, group);
+        
+        beams.forEach(beamId => {
+          const beam = this.beams[beamId];
+          if (beam) this.addBeamToGroup(beam, group);
+        });
+      });
+    }
+    
+    this.updateBeamLevels();
+  }
+
+  /**
+   * 把光束放入分组（从原分组中移除）
+   */
+  addBeamToGroup(beam, group) {
+    if (beam.group && this.groups.has(beam.group)) {
+      const previous = this.groups.get(beam.group);
+      previous.beamIds = previous.beamIds.filter(id => id !== beam.id);
+    }
+    
+    beam.group = group.name;
+    group.beamIds.push(beam.id);
+  }
+
+  /**
+   * 设置分组跟随的频段
+   */
+  setGroupBand(groupName, band) {
+    const group = this.groups.get(groupName);
+    if (!group) return;
+    
+    group.band = band;
+    this.updateBeamLevels();
+  }
+
+  /**
+   * 获取分组信息
+   */
+  getBeamGroups() {
+    return [...this.groups.values()].map(group => ({
+      name: group.name,
+      band: group.band,
+      beamIds: [...group.beamIds]
+    }));
+  }
+
+  /**
+   * 解析光束选择器
+   * @param {number|number[]|string} selector 光束id、id数组、分组名、'selected'（当前选中）或 'all'
+   * @returns {Object[]} 光束数据
+   */
+  resolveBeams(selector) {
+    if (selector === 'all') return [...this.beams];
+    if (selector === 'selected') return this.beams.filter(beam => this.selectedIds.has(beam.id));
+    if (typeof selector === 'string') {
+      const group = this.groups.get(selector);
+      if (!group) {
+        console.warn(`Unknown beam group: ${selector}`);
+        return [];
+      }
+      return group.beamIds.map(id => this.beams[id]);
+    }
+    
+    const ids = Array.isArray(selector) ? selector : [selector];
+    return ids.map(id => this.beams[id]).filter(Boolean);
+  }
+
+  /**
+   * 开启/关闭光束
+   */
+  setBeamEnabled(selector, enabled) {
+    this.resolveBeams(selector).forEach(beam => {
+      beam.control.enabled = !!enabled;
+    });
+    this.updateBeamLevels();
+  }
+
+  /**
+   * 独奏：只显示选中的光束，传入 null 取消独奏
+   */
+  soloBeams(selector) {
+    this.soloIds = selector === null ? null : new Set(this.resolveBeams(selector).map(beam => beam.id));
+    this.updateBeamLevels();
+  }
+
+  /**
+   * 为光束固定颜色（覆盖颜色模式），传入 null 恢复跟随颜色模式
+   */
+  setBeamColor(selector, color) {
+    this.resolveBeams(selector).forEach(beam => {
+      beam.control.color = color === null ? null : new THREE.Color(color);
+    });
+  }
+
+  /**
+   * 设置光束强度倍数
+   */
+  setBeamIntensityScale(selector, scale) {
+    this.resolveBeams(selector).forEach(beam => {
+      beam.control.intensityScale = Math.max(0, scale);
+    });
+    this.updateBeamLevels();
+  }
+
+  /**
+   * 重置光束的单独控制（默认全部），同时取消独奏
+   */
+  resetBeamControls(selector = 'all') {
+    this.resolveBeams(selector).forEach(beam => {
+      beam.control.enabled = true;
+      beam.control.color = null;
+      beam.control.intensityScale = 1.0;
+    });
+    this.soloIds = null;
+    this.updateBeamLevels();
+  }
+
+  /**
+   * 光束是否可见（已开启且没有被其他光束的独奏屏蔽）
+   */
+  isBeamActive(beam) {
+    return beam.control.enabled && (!this.soloIds || this.soloIds.has(beam.id));
+  }
+
+  /**
+   * 单光束强度倍数（包含选中高亮）
+   */
+  getControlScale(beam) {
+    const highlight = this.selectedIds.has(beam.id) ? this.config.selectionBoost : 1.0;
+    return beam.control.intensityScale * highlight;
+  }
+
+  /**
+   * 获取单光束控制状态（可JSON序列化，包含在 getConfig() 中供预设保存）
+   * 格式: { disabled: [id...], solo: [id...] | null, colors: { id: '#rrggbb' }, intensityScales: { id: scale } }
+   */
+  getBeamControlState() {
+    const state = { disabled: [], solo: this.soloIds ? [...this.soloIds] : null, colors: {}, intensityScales: {} };
+    
+    this.beams.forEach(beam => {
+      if (!beam.control.enabled) state.disabled.push(beam.id);
+      if (beam.control.color) state.colors[beam.id] = `#${beam.control.color.getHexString()}`;
+      if (beam.control.intensityScale !== 1.0) state.intensityScales[beam.id] = beam.control.intensityScale;
+    });
+    return state;
+  }
+
+  /**
+   * 恢复单光束控制状态（格式见 getBeamControlState）
+   */
+  setBeamControlState(state = {}) {
+    this.resetBeamControls();
+    
+    (state.disabled || []).forEach(id => {
+      if (this.beams[id]) this.beams[id].control.enabled = false;
+    });
+    Object.entries(state.colors || {}).forEach(([id, color]) => {
+      if (this.beams[id]) this.beams[id].control.color = new THREE.Color(color);
+    });
+    Object.entries(state.intensityScales || {}).forEach(([id, scale]) => {
+      if (this.beams[id]) this.beams[id].control.intensityScale = Math.max(0, scale);
+    });
+    this.soloIds = state.solo ? new Set(state.solo) : null;
+    
+    this.updateBeamLevels();
+  }
+
+  /**
+   * 用射线点选灯孔，返回对应的光束id（没有点中灯孔时返回 null）
+   * @param {THREE.Raycaster} raycaster
+   */
+  pickBeam(raycaster) {
+    const mesh = this.discoBall ? this.discoBall.getMesh() : null;
+    if (!mesh) return null;
+    
+    const hit = raycaster.intersectObject(mesh, false)[0];
+    if (!hit) return null;
+    
+    // 找出方向与命中点法线最接近的灯孔
+    const normal = mesh.getWorldPosition(new THREE.Vector3()).negate().add(hit.point).normalize();
+    let best = null;
+    let bestDot = Math.cos(this.config.pickTolerance);
+    this.beams.forEach(beam => {
+      const dot = beam.worldDirection.dot(normal);
+      if (dot >= bestDot) {
+        best = beam;
+        bestDot = dot;
+      }
+    });
+    
+    return best ? best.id : null;
+  }
+
+  /**
+   * 选中光束（选中的光束会高亮），id 为 null 时清空选择
+   * @param {Object} [options] additive: 加入当前选择而不是替换（再次选中已选光束时取消选中）
+   */
+  selectBeam(id, options = {}) {
+    if (!options.additive) {
+      this.selectedIds.clear();
+    }
+    if (id !== null && this.beams[id]) {
+      if (options.additive && this.selectedIds.has(id)) {
+        this.selectedIds.delete(id);
+      } else {
+        this.selectedIds.add(id);
+      }
+    }
+    
+    this.updateBeamLevels();
+    this.emit('select', { beamIds: this.getSelectedBeams() });
+  }
+
+  /**
+   * 清空选择
+   */
+  clearSelection() {
+    this.selectBeam(null);
+  }
+
+  /**
+   * 获取选中的光束id
+   */
+  getSelectedBeams() {
+    return [...this.selectedIds];
+  }
+
+  /**
+   * 设置各频段能量（0-1），例如 AudioManager.getBandLevels() 的结果
+   * 传入 null 时恢复为统一的全局强度和透明度
+   */
+  setBandLevels(levels) {
+    this.bandLevels = levels ? { ...levels } : null;
+    this.updateBeamLevels();
+  }
+
+  /**
+   * 计算光束的频段系数
+   */
+  getBandFactor(beam) {
+    if (!this.bandLevels || !beam.group) return 1.0;
+    
+    const group = this.groups.get(beam.group);
+    if (!group || !group.band || this.bandLevels[group.band] === undefined) return 1.0;
+    
+    const level = Math.max(0, Math.min(1, this.bandLevels[group.band]));
+    const bandFactor = this.config.bandFloor + (1 - this.config.bandFloor) * level;
+    
+    return 1.0 + (bandFactor - 1.0) * this.config.bandReactivity;
+  }
+
+  /**
+   * 按全局设置和频段能量更新每个光束的强度/透明度实例属性
+   */
+  updateBeamLevels() {
+    if (!this.beamGeometry) return;
+    
+    const intensities = this.beamGeometry.getAttribute('beamIntensity');
+    const opacities = this.beamGeometry.getAttribute('beamOpacity');
+    let visibilityChanged = false;
+    
+    this.beams.forEach(beam => {
+      const factor = this.getBandFactor(beam);
+      const active = this.isBeamActive(beam);
+      
+      beam.intensity = active ? this.config.beamIntensity * factor * this.getControlScale(beam) : 0;
+      beam.opacity = active ? this.config.beamOpacity * factor * this.level : 0;
+      visibilityChanged = visibilityChanged || beam.visible !== active;
+      beam.visible = active;
+      
+      intensities.setX(beam.id, beam.intensity);
+      opacities.setX(beam.id, beam.opacity);
+    });
+    intensities.needsUpdate = true;
+    opacities.needsUpdate = true;
+    
+    // 开关光束时立即更新实例变换
+    if (visibilityChanged) {
+      this.syncWithDiscoBall();
+    }
+  }
+
+
+  /**
+   * 设置整体淡入淡出系数 (0-1)，作用于光束、眩光和光斑的透明度
+   */
+  setLevel(level) {
+    this.level = Math.max(0, Math.min(1, level));
+    this.updateBeamLevels();
   }
 
   /**
@@ -370,7 +1619,7 @@ export class LightBeamSystem {
    * 获取配置信息
    */
   getConfig() {
-    return { ...this.config };
+    return { ...this.config, beamControl: this.getBeamControlState() };
   }
 
   /**
@@ -384,27 +1633,39 @@ export class LightBeamSystem {
    * 清理资源
    */
   dispose() {
-    // 清理几何体
+    // 清理实例化网格和几何体
+    if (this.beamMesh) {
+      this.beamGroup.remove(this.beamMesh);
+      this.beamMesh.dispose();
+      this.beamMesh = null;
+    }
     if (this.beamGeometry) {
       this.beamGeometry.dispose();
       this.beamGeometry = null;
     }
     
-    // 清理材质
-    this.beams.forEach(beam => {
-      if (beam.material) {
-        beam.material.dispose();
-      }
-    });
-    
-    // 清理原始材质
+    // 清理共享材质
     if (this.beamMaterial) {
       this.beamMaterial.dispose();
       this.beamMaterial = null;
     }
     
+    // 清理衰减贴图
+    if (this.falloffTexture) {
+      this.falloffTexture.dispose();
+      this.falloffTexture = null;
+    }
+    
+    // 清理眩光
+    this.disposeLensFlares();
+    this.camera = null;
+    
     // 清理光束数据
     this.beams = [];
+    this.groups.clear();
+    this.soloIds = null;
+    this.selectedIds.clear();
+    this.removeAllListeners();
     
     // 清理组
     if (this.beamGroup) {
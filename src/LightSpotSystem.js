@@ -0,0 +1,353 @@
+import * as THREE from 'three';
+
+/**
+ * LightSpotSystem - 反射光斑系统类
+ * 把每条光束的方向与房间表面求交，在交点处绘制柔和的彩色光斑，
+ * 光斑随灯球旋转扫过墙面，大小随距离变化，颜色与光束当前颜色一致
+ */
+export class LightSpotSystem {
+  constructor(lightBeamSystem, config = {}) {
+    this.lightBeamSystem = lightBeamSystem;
+
+    // 配置参数
+    this.config = {
+      room: config.room || {             // 房间尺寸（轴对齐盒子）
+        width: 30,
+        height: 16,
+        depth: 30,
+        center: { x: 0, y: 2, z: 0 }
+      },
+      spotSize: config.spotSize || 0.3,       // 光斑在光源处的基础直径
+      spotSpread: config.spotSpread || 0.04,  // 每单位距离增加的直径
+      maxStretch: config.maxStretch || 4.0,   // 斜射时光斑最大拉伸倍数
+      maxDistance: config.maxDistance || 60,  // 超过此距离不显示光斑
+      spotOpacity: config.spotOpacity || 0.9, // 光斑透明度
+      surfaceOffset: config.surfaceOffset || 0.02, // 光斑离表面的距离（避免z-fighting）
+      ...config
+    };
+
+    // 房间表面（法线朝向房间内部的平面）
+    this.surfaces = [];
+
+    // 光斑网格
+    this.spotGeometry = null;
+    this.spotMaterial = null;
+    this.spotMesh = null;
+    this.opacityAttribute = null;
+    this.spotGroup = new THREE.Group();
+    this.spotGroup.name = 'LightSpotSystem';
+
+    // 每个光斑的当前状态
+    this.spots = [];
+
+    // 复用的临时对象
+    this.ray = new THREE.Ray();
+    this.hitPoint = new THREE.Vector3();
+    this.dummy = new THREE.Object3D();
+    this.tangent = new THREE.Vector3();
+    this.bitangent = new THREE.Vector3();
+    this.basis = new THREE.Matrix4();
+
+    this.init();
+  }
+
+  /**
+   * 初始化光斑系统
+   */
+  init() {
+    this.setRoom(this.config.room);
+    this.createSpotMaterial();
+    this.createSpots();
+
+    console.log(`LightSpotSystem initialized with ${this.spots.length} spots`);
+  }
+
+  /**
+   * 设置房间尺寸，生成6个朝内的表面
+   */
+  setRoom(room) {
+    this.config.room = room;
+
+    const { width, height, depth } = room;
+    const center = new THREE.Vector3(room.center.x, room.center.y, room.center.z);
+    const min = center.clone().sub(new THREE.Vector3(width / 2, height / 2, depth / 2));
+    const max = center.clone().add(new THREE.Vector3(width / 2, height / 2, depth / 2));
+
+    this.setSurfaces([
+      { name: 'floor', plane: new THREE.Plane(new THREE.Vector3(0, 1, 0), -min.y) },
+      { name: 'ceiling', plane: new THREE.Plane(new THREE.Vector3(0, -1, 0), max.y) },
+      { name: 'left', plane: new THREE.Plane(new THREE.Vector3(1, 0, 0), -min.x) },
+      { name: 'right', plane: new THREE.Plane(new THREE.Vector3(-1, 0, 0), max.x) },
+      { name: 'back', plane: new THREE.Plane(new THREE.Vector3(0, 0, 1), -min.z) },
+      { name: 'front', plane: new THREE.Plane(new THREE.Vector3(0, 0, -1), max.z) }
+    ]);
+  }
+
+  /**
+   * 设置任意表面列表
+   * @param {Array<{name: string, plane: THREE.Plane}>} surfaces 法线朝向光源一侧的平面
+   */
+  setSurfaces(surfaces) {
+    this.surfaces = surfaces;
+  }
+
+  /**
+   * 创建光斑着色器材质（柔和的圆形径向渐变）
+   */
+  createSpotMaterial() {
+    const vertexShader = `
+      attribute float spotOpacity;
+
+      varying vec2 vUv;
+      varying vec3 vColor;
+      varying float vOpacity;
+
+      void main() {
+        vUv = uv;
+        vOpacity = spotOpacity;
+
+        #ifdef USE_INSTANCING_COLOR
+          vColor = instanceColor;
+        #else
+          vColor = vec3(1.0);
+        #endif
+
+        gl_Position = projectionMatrix * modelViewMatrix * instanceMatrix * vec4(position, 1.0);
+      }
+    `;
+
+    const fragmentShader = `
+      uniform float opacity;
+
+      varying vec2 vUv;
+      varying vec3 vColor;
+      varying float vOpacity;
+
+      void main() {
+        // 中心亮、边缘柔和衰减
+        float distanceToCenter = length(vUv - vec2(0.5)) * 2.0;
+        float falloff = 1.0 - smoothstep(0.2, 1.0, distanceToCenter);
+
+        float alpha = opacity * vOpacity * falloff;
+        if (alpha <= 0.001) discard;
+
+        gl_FragColor = vec4(vColor, alpha);
+      }
+    `;
+
+    this.spotMaterial = new THREE.ShaderMaterial({
+      uniforms: {
+        opacity: { value: this.config.spotOpacity }
+      },
+      vertexShader,
+      fragmentShader,
+      transparent: true,
+      blending: THREE.AdditiveBlending,
+      depthWrite: false,
+      side: THREE.DoubleSide
+    });
+  }
+
+  /**
+   * 为每条光束创建一个光斑实例
+   */
+  createSpots() {
+    const count = this.lightBeamSystem.getBeamCount();
+
+    this.spotGeometry = new THREE.PlaneGeometry(1, 1);
+    this.opacityAttribute = new THREE.InstancedBufferAttribute(new Float32Array(count), 1);
+    this.opacityAttribute.setUsage(THREE.DynamicDrawUsage);
+    this.spotGeometry.setAttribute('spotOpacity', this.opacityAttribute);
+
+    this.spotMesh = new THREE.InstancedMesh(this.spotGeometry, this.spotMaterial, count);
+    this.spotMesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+    this.spotMesh.frustumCulled = false; // 光斑分布在整个房间
+    this.spotMesh.name = 'LightSpots';
+
+    this.spots = [];
+    for (let i = 0; i < count; i++) {
+      // 提前创建 instanceColor，保证着色器编译时包含实例颜色
+      this.spotMesh.setColorAt(i, new THREE.Color(0xffffff));
+      this.spots.push({
+        beamId: i,
+        visible: false,
+        surface: null,
+        point: new THREE.Vector3(),
+        distance: 0,
+        size: 0
+      });
+    }
+
+    this.spotGroup.add(this.spotMesh);
+  }
+
+  /**
+   * 光束数量变化后（灯球重建）重新创建光斑实例
+   */
+  rebuildSpots() {
+    if (this.spotMesh) {
+      this.spotGroup.remove(this.spotMesh);
+      this.spotMesh.dispose();
+    }
+    if (this.spotGeometry) {
+      this.spotGeometry.dispose();
+    }
+
+    this.createSpots();
+  }
+
+  /**
+   * 求射线与房间表面最近的交点
+   * @returns {{surface: Object, point: THREE.Vector3, distance: number}|null}
+   */
+  intersect(origin, direction) {
+    this.ray.set(origin, direction);
+
+    let nearest = null;
+    this.surfaces.forEach(surface => {
+      // 只与迎向光束的表面求交
+      if (surface.plane.normal.dot(direction) >= 0) return;
+
+      const point = this.ray.intersectPlane(surface.plane, this.hitPoint);
+      if (!point) return;
+
+      const distance = point.distanceTo(origin);
+      if (!nearest || distance < nearest.distance) {
+        nearest = { surface, point: point.clone(), distance };
+      }
+    });
+
+    return nearest;
+  }
+
+  /**
+   * 更新光斑（在光束同步之后调用）
+   */
+  update() {
+    if (!this.spotMesh) return;
+
+    const beams = this.lightBeamSystem.beams;
+    const { spotSize, spotSpread, maxStretch, maxDistance, surfaceOffset } = this.config;
+    const referenceOpacity = Math.max(this.lightBeamSystem.config.beamOpacity, 0.001);
+
+    beams.forEach((beam, index) => {
+      if (index >= this.spots.length) return;
+
+      const spot = this.spots[index];
+      const hit = this.intersect(beam.worldPosition, beam.worldDirection);
+
+      if (!hit || hit.distance > maxDistance) {
+        spot.visible = false;
+        this.hideSpot(index);
+        return;
+      }
+
+      const normal = hit.surface.plane.normal;
+      const size = spotSize + hit.distance * spotSpread;
+
+      // 斜射时沿入射方向拉伸成椭圆
+      const incidence = Math.abs(normal.dot(beam.worldDirection));
+      const stretch = Math.min(maxStretch, 1 / Math.max(incidence, 1e-3));
+
+      // 光斑平面：+Z 朝向表面法线，X 轴沿光束在表面上的投影方向
+      this.tangent.copy(beam.worldDirection).projectOnPlane(normal);
+      if (this.tangent.lengthSq() < 1e-6) {
+        this.tangent.set(1, 0, 0).projectOnPlane(normal);
+        if (this.tangent.lengthSq() < 1e-6) this.tangent.set(0, 0, 1);
+      }
+      this.tangent.normalize();
+
+      this.bitangent.crossVectors(normal, this.tangent);
+      this.basis.makeBasis(this.tangent, this.bitangent, normal);
+
+      this.dummy.position.copy(hit.point).addScaledVector(normal, surfaceOffset);
+      this.dummy.quaternion.setFromRotationMatrix(this.basis);
+      this.dummy.scale.set(size * stretch, size, 1);
+      this.dummy.updateMatrix();
+      this.spotMesh.setMatrixAt(index, this.dummy.matrix);
+
+      // 颜色与光束一致，亮度跟随光束透明度（频段分组等）并随距离衰减
+      this.spotMesh.setColorAt(index, beam.currentColor);
+      const distanceFade = 1 - hit.distance / maxDistance;
+      this.opacityAttribute.setX(index, (beam.opacity / referenceOpacity) * distanceFade / stretch);
+
+      spot.visible = true;
+      spot.surface = hit.surface.name;
+      spot.point.copy(hit.point);
+      spot.distance = hit.distance;
+      spot.size = size;
+    });
+
+    this.spotMesh.instanceMatrix.needsUpdate = true;
+    if (this.spotMesh.instanceColor) {
+      this.spotMesh.instanceColor.needsUpdate = true;
+    }
+    this.opacityAttribute.needsUpdate = true;
+  }
+
+  /**
+   * 隐藏光斑
+   */
+  hideSpot(index) {
+    this.dummy.scale.set(0, 0, 0);
+    this.dummy.updateMatrix();
+    this.spotMesh.setMatrixAt(index, this.dummy.matrix);
+    this.opacityAttribute.setX(index, 0);
+  }
+
+  /**
+   * 获取光斑组（用于添加到场景）
+   */
+  getSpotGroup() {
+    return this.spotGroup;
+  }
+
+  /**
+   * 获取光斑状态
+   */
+  getSpots() {
+    return this.spots;
+  }
+
+  /**
+   * 设置光斑透明度
+   */
+  setOpacity(opacity) {
+    this.config.spotOpacity = Math.max(0, Math.min(1, opacity));
+    if (this.spotMaterial) {
+      this.spotMaterial.uniforms.opacity.value = this.config.spotOpacity;
+    }
+  }
+
+  /**
+   * 显示/隐藏光斑
+   */
+  setVisible(visible) {
+    this.spotGroup.visible = visible;
+  }
+
+  /**
+   * 清理资源
+   */
+  dispose() {
+    if (this.spotGeometry) {
+      this.spotGeometry.dispose();
+      this.spotGeometry = null;
+    }
+
+    if (this.spotMaterial) {
+      this.spotMaterial.dispose();
+      this.spotMaterial = null;
+    }
+
+    if (this.spotMesh) {
+      this.spotMesh.dispose();
+      this.spotMesh = null;
+    }
+
+    this.spots = [];
+    this.spotGroup.clear();
+
+    console.log('LightSpotSystem disposed');
+  }
+}
@@ -0,0 +1,410 @@
+import { EventEmitter } from './EventEmitter.js';
+
+/**
+ * 内置节奏型（16分音符步进，一小节16步）
+ * kick/snare/hat 中的数值为力度 (0-1)，bass 中的数值为相对根音的半音数，null 表示休止
+ */
+const STYLES = {
+  house: {
+    kick:  [1, 0, 0, 0, 1, 0, 0, 0, 1, 0, 0, 0, 1, 0, 0, 0],
+    snare: [0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0, 1, 0, 0, 0],
+    hat:   [0, 0, 1, 0, 0, 0, 1, 0, 0, 0, 1, 0, 0, 0, 1, 0.6],
+    bass:  [null, null, 0, null, null, null, 0, 3, null, null, 0, null, null, null, 5, null]
+  },
+  disco: {
+    kick:  [1, 0, 0, 0, 1, 0, 0, 0, 1, 0, 0, 0, 1, 0, 0, 0],
+    snare: [0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0, 1, 0, 0, 0.4],
+    hat:   [0.4, 0, 1, 0, 0.4, 0, 1, 0, 0.4, 0, 1, 0, 0.4, 0, 1, 0],
+    bass:  [0, null, 12, null, 0, null, 12, null, 5, null, 17, null, 7, null, 19, null]
+  },
+  techno: {
+    kick:  [1, 0, 0, 0, 1, 0, 0, 0, 1, 0, 0, 0, 1, 0, 0, 0],
+    snare: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
+    hat:   [0.5, 0.3, 1, 0.3, 0.5, 0.3, 1, 0.3, 0.5, 0.3, 1, 0.3, 0.5, 0.3, 1, 0.3],
+    bass:  [null, 0, 0, null, null, 0, 0, null, null, 0, 0, null, null, 0, 1, null]
+  },
+  breakbeat: {
+    kick:  [1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0],
+    snare: [0, 0, 0, 0, 1, 0, 0, 0.3, 0, 0.5, 0, 0, 1, 0, 0, 0],
+    hat:   [1, 0, 1, 0, 1, 0, 1, 0, 1, 0, 1, 0, 1, 0, 1, 1],
+    bass:  [0, null, null, null, null, null, 0, null, null, null, 3, null, null, 5, null, null]
+  }
+};
+
+const STEPS_PER_BEAT = 4;
+
+/**
+ * MusicGenerator - 程序化舞曲生成器类
+ * 用 Web Audio 振荡器和噪声合成底鼓/军鼓/踩镲/贝斯，无需任何音频文件。
+ * 节奏型是预先确定的，因此节拍网格可以精确地通过 'beat' / 'tempo' 事件发布，
+ * 事件格式与 BeatDetector 相同
+ */
+export class MusicGenerator extends EventEmitter {
+  constructor(config = {}) {
+    super();
+
+    // 配置参数
+    this.config = {
+      bpm: config.bpm || 124,                        // 速度
+      style: config.style || 'house',                // 风格: 'house' | 'disco' | 'techno' | 'breakbeat'
+      rootFrequency: config.rootFrequency || 55,     // 贝斯根音频率 (A1)
+      volume: config.volume !== undefined ? config.volume : 0.8, // 输出音量 (0-1)
+      scheduleAheadTime: config.scheduleAheadTime || 0.1, // 预排程时间窗口（秒）
+      scheduleInterval: config.scheduleInterval || 25,    // 排程器间隔（毫秒）
+      ...config
+    };
+
+    if (!STYLES[this.config.style]) {
+      console.warn(`Unknown music style "${this.config.style}", falling back to house`);
+      this.config.style = 'house';
+    }
+
+    // Web Audio 节点
+    this.audioContext = null;
+    this.output = null;
+    this.noiseBuffer = null;
+
+    // 排程状态
+    this.isPlaying = false;
+    this.timerId = null;
+    this.playStartTime = 0;   // 播放位置为 0 的时刻在 audioContext 时间轴上的时间（改变速度时不变）
+    this.pauseOffset = 0;     // 停止时的播放位置（秒），再次开始时从这里继续
+    this.startTime = 0;       // 当前速度网格的起点时间（改变速度时移到变速的那一步）
+    this.gridStartStep = 0;   // 当前速度网格起点的累计步数
+    this.nextStepTime = 0;    // 下一步的时间
+    this.currentStep = 0;     // 自开始播放起累计的步数
+    this.patternStep = 0;     // 在节奏型中的位置
+    this.pendingBeats = [];   // 已排程但尚未发布的节拍
+  }
+
+  /**
+   * 获取可用风格列表
+   */
+  static getStyles() {
+    return Object.keys(STYLES);
+  }
+
+  /**
+   * 连接到音频上下文和目标节点（例如 AudioManager 的增益节点）
+   */
+  connect(audioContext, destination) {
+    this.disconnect();
+
+    this.audioContext = audioContext;
+    this.output = audioContext.createGain();
+    this.output.gain.value = this.config.volume;
+    this.output.connect(destination);
+
+    this.noiseBuffer = this.createNoiseBuffer();
+
+    // 新的音频上下文从头开始播放
+    this.currentStep = 0;
+    this.patternStep = 0;
+    this.pauseOffset = 0;
+  }
+
+  /**
+   * 断开输出节点
+   */
+  disconnect() {
+    this.stop();
+
+    if (this.output) {
+      this.output.disconnect();
+      this.output = null;
+    }
+    this.audioContext = null;
+    this.noiseBuffer = null;
+  }
+
+  /**
+   * 创建1秒白噪声缓冲（用于军鼓和踩镲）
+   */
+  createNoiseBuffer() {
+    const length = this.audioContext.sampleRate;
+    const buffer = this.audioContext.createBuffer(1, length, this.audioContext.sampleRate);
+    const data = buffer.getChannelData(0);
+
+    for (let i = 0; i < length; i++) {
+      data[i] = Math.random() * 2 - 1;
+    }
+
+    return buffer;
+  }
+
+  /**
+   * 开始生成音乐（从上次停止的位置继续）
+   */
+  start() {
+    if (!this.audioContext || this.isPlaying) return;
+
+    this.isPlaying = true;
+    this.gridStartStep = this.currentStep;
+    this.pendingBeats = [];
+    this.startTime = this.audioContext.currentTime + 0.05;
+    this.playStartTime = this.startTime - this.pauseOffset;
+    this.nextStepTime = this.startTime;
+
+    this.schedule();
+    this.timerId = setInterval(() => this.schedule(), this.config.scheduleInterval);
+
+    this.emit('tempo', { bpm: this.config.bpm, confidence: 1 });
+    console.log(`MusicGenerator started: ${this.config.style} @ ${this.config.bpm} BPM`);
+  }
+
+  /**
+   * 停止生成音乐
+   */
+  stop() {
+    if (!this.isPlaying) return;
+
+    // 已预排程但还没到时间的步不算已播放：回退到这些步，再次开始时从第一个未播放的步继续
+    const stepDuration = this.getStepDuration();
+    const elapsedSteps = Math.ceil((this.audioContext.currentTime - this.startTime) / stepDuration);
+    const playedSteps = Math.min(this.currentStep, this.gridStartStep + Math.max(0, elapsedSteps));
+    this.patternStep -= this.currentStep - playedSteps;
+    this.currentStep = playedSteps;
+    this.pauseOffset = this.startTime + (playedSteps - this.gridStartStep) * stepDuration - this.playStartTime;
+
+    this.isPlaying = false;
+    clearInterval(this.timerId);
+    this.timerId = null;
+    this.pendingBeats = [];
+  }
+
+  /**
+   * 设置速度（从下一步开始生效）
+   */
+  setBpm(bpm) {
+    this.config.bpm = Math.max(60, Math.min(200, bpm));
+
+    if (this.isPlaying) {
+      // 以下一步为新的网格起点，累计步数、节奏型位置和播放时间保持连续
+      this.startTime = this.nextStepTime;
+      this.gridStartStep = this.currentStep;
+      this.emit('tempo', { bpm: this.config.bpm, confidence: 1 });
+    }
+  }
+
+  /**
+   * 设置风格
+   */
+  setStyle(style) {
+    if (!STYLES[style]) return;
+    this.config.style = style;
+  }
+
+  /**
+   * 设置输出音量 (0-1)
+   */
+  setVolume(volume) {
+    this.config.volume = Math.max(0, Math.min(1, volume));
+    if (this.output) {
+      this.output.gain.value = this.config.volume;
+    }
+  }
+
+  /**
+   * 每一步（16分音符）的时长（秒）
+   */
+  getStepDuration() {
+    return 60 / this.config.bpm / STEPS_PER_BEAT;
+  }
+
+  /**
+   * 排程：把预排程时间窗口内的步全部安排好，并发布已到时间的节拍
+   */
+  schedule() {
+    if (!this.isPlaying) return;
+
+    const horizon = this.audioContext.currentTime + this.config.scheduleAheadTime;
+
+    while (this.nextStepTime < horizon) {
+      this.scheduleStep(this.patternStep, this.nextStepTime);
+      this.patternStep++;
+      this.currentStep++;
+      this.nextStepTime = this.startTime + (this.currentStep - this.gridStartStep) * this.getStepDuration();
+    }
+
+    this.flushBeats();
+  }
+
+  /**
+   * 安排一步中的所有音符
+   */
+  scheduleStep(step, time) {
+    const pattern = STYLES[this.config.style];
+    const index = step % pattern.kick.length;
+
+    if (pattern.kick[index]) this.playKick(time, pattern.kick[index]);
+    if (pattern.snare[index]) this.playSnare(time, pattern.snare[index]);
+    if (pattern.hat[index]) this.playHat(time, pattern.hat[index]);
+    if (pattern.bass[index] !== null) this.playBass(time, pattern.bass[index]);
+
+    // 每拍的第一步记录为节拍
+    if (index % STEPS_PER_BEAT === 0) {
+      const beatInBar = index / STEPS_PER_BEAT;
+      this.pendingBeats.push({
+        time,
+        beat: beatInBar,
+        strength: beatInBar === 0 ? 1.0 : 0.7
+      });
+    }
+  }
+
+  /**
+   * 发布已经到达播放时间的节拍事件
+   */
+  flushBeats() {
+    const now = this.audioContext.currentTime;
+
+    while (this.pendingBeats.length > 0 && this.pendingBeats[0].time <= now) {
+      const beat = this.pendingBeats.shift();
+      this.emit('beat', {
+        ...beat,
+        bpm: this.config.bpm
+      });
+    }
+  }
+
+  /**
+   * 底鼓：正弦波快速下滑音高
+   */
+  playKick(time, velocity) {
+    const ctx = this.audioContext;
+    const osc = ctx.createOscillator();
+    const gain = ctx.createGain();
+
+    osc.frequency.setValueAtTime(150, time);
+    osc.frequency.exponentialRampToValueAtTime(45, time + 0.15);
+    gain.gain.setValueAtTime(velocity, time);
+    gain.gain.exponentialRampToValueAtTime(0.001, time + 0.4);
+
+    osc.connect(gain);
+    gain.connect(this.output);
+    osc.start(time);
+    osc.stop(time + 0.4);
+  }
+
+  /**
+   * 军鼓：高通噪声加短促的音调
+   */
+  playSnare(time, velocity) {
+    const ctx = this.audioContext;
+
+    const noise = ctx.createBufferSource();
+    noise.buffer = this.noiseBuffer;
+    const filter = ctx.createBiquadFilter();
+    filter.type = 'highpass';
+    filter.frequency.value = 1200;
+    const noiseGain = ctx.createGain();
+    noiseGain.gain.setValueAtTime(0.6 * velocity, time);
+    noiseGain.gain.exponentialRampToValueAtTime(0.001, time + 0.2);
+
+    noise.connect(filter);
+    filter.connect(noiseGain);
+    noiseGain.connect(this.output);
+    noise.start(time);
+    noise.stop(time + 0.2);
+
+    const osc = ctx.createOscillator();
+    const toneGain = ctx.createGain();
+    osc.type = 'triangle';
+    osc.frequency.setValueAtTime(180, time);
+    toneGain.gain.setValueAtTime(0.4 * velocity, time);
+    toneGain.gain.exponentialRampToValueAtTime(0.001, time + 0.1);
+
+    osc.connect(toneGain);
+    toneGain.connect(this.output);
+    osc.start(time);
+    osc.stop(time + 0.1);
+  }
+
+  /**
+   * 踩镲：高通噪声短脉冲
+   */
+  playHat(time, velocity) {
+    const ctx = this.audioContext;
+    const noise = ctx.createBufferSource();
+    noise.buffer = this.noiseBuffer;
+    const filter = ctx.createBiquadFilter();
+    filter.type = 'highpass';
+    filter.frequency.value = 7000;
+    const gain = ctx.createGain();
+    gain.gain.setValueAtTime(0.25 * velocity, time);
+    gain.gain.exponentialRampToValueAtTime(0.001, time + 0.05);
+
+    noise.connect(filter);
+    filter.connect(gain);
+    gain.connect(this.output);
+    noise.start(time);
+    noise.stop(time + 0.05);
+  }
+
+  /**
+   * 贝斯：低通锯齿波
+   */
+  playBass(time, semitones) {
+    const ctx = this.audioContext;
+    const duration = this.getStepDuration() * 1.8;
+    const osc = ctx.createOscillator();
+    const filter = ctx.createBiquadFilter();
+    const gain = ctx.createGain();
+
+    osc.type = 'sawtooth';
+    osc.frequency.setValueAtTime(this.config.rootFrequency * Math.pow(2, semitones / 12), time);
+    filter.type = 'lowpass';
+    filter.frequency.setValueAtTime(800, time);
+    filter.frequency.exponentialRampToValueAtTime(200, time + duration);
+    gain.gain.setValueAtTime(0.35, time);
+    gain.gain.exponentialRampToValueAtTime(0.001, time + duration);
+
+    osc.connect(filter);
+    filter.connect(gain);
+    gain.connect(this.output);
+    osc.start(time);
+    osc.stop(time + duration);
+  }
+
+  /**
+   * 获取播放位置（秒），改变速度和暂停后继续播放时连续递增
+   */
+  getCurrentTime() {
+    if (!this.isPlaying) return this.pauseOffset;
+    // 开始时第一步有少量延迟，期间保持在停止时的位置
+    return Math.max(this.pauseOffset, this.audioContext.currentTime - this.playStartTime);
+  }
+
+  /**
+   * 获取节拍网格信息
+   */
+  getBeatGrid() {
+    return {
+      bpm: this.config.bpm,
+      beatInterval: 60 / this.config.bpm,
+      startTime: this.startTime,                       // 网格起点时间
+      startStep: this.patternStep - (this.currentStep - this.gridStartStep), // 网格起点在节奏型中的步数
+      beatsPerBar: STYLES[this.config.style].kick.length / STEPS_PER_BEAT
+    };
+  }
+
+  /**
+   * 获取生成器状态
+   */
+  getState() {
+    return {
+      isPlaying: this.isPlaying,
+      bpm: this.config.bpm,
+      style: this.config.style,
+      volume: this.config.volume
+    };
+  }
+
+  /**
+   * 清理资源
+   */
+  dispose() {
+    this.disconnect();
+    this.removeAllListeners();
+  }
+}
@@ -0,0 +1,145 @@
+import * as THREE from 'three';
+
+// 内置调色板（颜色按循环顺序排列，white 为白光模式使用的颜色）
+const BUILT_IN_PALETTES = [
+  {
+    name: 'rainbow',
+    colors: ['#ff0000', '#ff8000', '#ffff00', '#00ff00', '#00ffff', '#0080ff', '#8000ff']
+  },
+  {
+    name: 'neon',
+    colors: ['#ff00cc', '#3333ff', '#00ffff', '#39ff14', '#ffff00'],
+    white: '#f0e8ff'
+  },
+  {
+    name: 'sunset',
+    colors: ['#ff4e50', '#fc913a', '#f9d423', '#ff6f91', '#c0392b'],
+    white: '#fff1e0'
+  },
+  {
+    name: 'ice',
+    colors: ['#e0f7ff', '#80deea', '#4fc3f7', '#1e88e5', '#b388ff'],
+    white: '#eaf6ff'
+  },
+  {
+    name: 'brand',
+    colors: ['#ff00cc', '#3333ff'],
+    white: '#ffffff'
+  }
+];
+
+/**
+ * Palette - 调色板类
+ * 一组循环排列的颜色，可按 0-1 的位置插值取色
+ */
+export class Palette {
+  constructor(name, colors, white = '#ffffff') {
+    if (!name || typeof name !== 'string') {
+      throw new Error('Palette name must be a non-empty string');
+    }
+    if (!Array.isArray(colors) || colors.length === 0) {
+      throw new Error(`Palette "${name}" must have at least one color`);
+    }
+
+    this.name = name;
+    this.colors = colors.map(color => new THREE.Color(color));
+    this.white = new THREE.Color(white);
+  }
+
+  /**
+   * 按位置取色（循环插值）
+   * @param {number} t 位置，超出 0-1 时循环
+   * @param {THREE.Color} [target] 结果写入的颜色
+   */
+  sample(t, target = new THREE.Color()) {
+    const count = this.colors.length;
+    const normalizedT = (t % 1.0 + 1.0) % 1.0;
+    const position = normalizedT * count;
+    const lowerIndex = Math.floor(position) % count;
+    const upperIndex = (lowerIndex + 1) % count;
+
+    return target.copy(this.colors[lowerIndex]).lerp(this.colors[upperIndex], position - Math.floor(position));
+  }
+
+  /**
+   * 导出为JSON格式
+   */
+  toJSON() {
+    return {
+      name: this.name,
+      colors: this.colors.map(color => `#${color.getHexString()}`),
+      white: `#${this.white.getHexString()}`
+    };
+  }
+
+  /**
+   * 从JSON对象创建调色板
+   * 格式: { "name": "club", "colors": ["#ff00cc", "#3333ff"], "white": "#fff4e0" }
+   */
+  static fromJSON(json) {
+    if (!json || typeof json !== 'object') {
+      throw new Error('Invalid palette definition');
+    }
+    return new Palette(json.name, json.colors, json.white);
+  }
+}
+
+/**
+ * PaletteLibrary - 调色板库
+ * 保存内置和用户自定义的调色板，支持从JSON加载
+ */
+export class PaletteLibrary {
+  constructor() {
+    this.palettes = new Map();
+
+    BUILT_IN_PALETTES.forEach(definition => this.register(Palette.fromJSON(definition)));
+  }
+
+  /**
+   * 注册调色板（同名覆盖）
+   */
+  register(palette) {
+    this.palettes.set(palette.name, palette);
+    return palette;
+  }
+
+  /**
+   * 从JSON加载调色板
+   * 支持单个调色板、调色板数组或 { "palettes": [...] }，也可以传入JSON字符串
+   * @returns {string[]} 加载的调色板名称
+   */
+  loadJSON(json) {
+    const data = typeof json === 'string' ? JSON.parse(json) : json;
+    const definitions = Array.isArray(data) ? data : (data && data.palettes) || [data];
+
+    return definitions.map(definition => this.register(Palette.fromJSON(definition)).name);
+  }
+
+  /**
+   * 获取调色板
+   */
+  get(name) {
+    return this.palettes.get(name) || null;
+  }
+
+  /**
+   * 是否存在调色板
+   */
+  has(name) {
+    return this.palettes.has(name);
+  }
+
+  /**
+   * 移除调色板
+   */
+  remove(name) {
+    return this.palettes.delete(name);
+  }
+
+  /**
+   * 获取所有调色板名称
+   */
+  getNames() {
+    return Array.from(this.palettes.keys());
+  }
+}
@@ -0,0 +1,258 @@
+import * as THREE from 'three';
+import { EffectComposer } from 'three/examples/jsm/postprocessing/EffectComposer.js';
+import { RenderPass } from 'three/examples/jsm/postprocessing/RenderPass.js';
+import { UnrealBloomPass } from 'three/examples/jsm/postprocessing/UnrealBloomPass.js';
+import { OutputPass } from 'three/examples/jsm/postprocessing/OutputPass.js';
+
+// 各质量等级对应的泛光分辨率比例和合成器像素比上限
+const QUALITY_LEVELS = {
+  low: { bloomScale: 0.25, maxPixelRatio: 1 },
+  medium: { bloomScale: 0.5, maxPixelRatio: 1.5 },
+  high: { bloomScale: 1.0, maxPixelRatio: 2 }
+};
+
+/**
+ * PostProcessing - 后期处理管线类
+ * 基于 EffectComposer：场景渲染 -> 泛光 -> 自定义效果 -> 输出（色调映射/色彩空间），
+ * 自定义效果按名称插入在输出之前，便于后续扩展
+ */
+export class PostProcessing {
+  constructor(renderer, scene, camera, config = {}) {
+    this.renderer = renderer;
+    this.scene = scene;
+    this.camera = camera;
+
+    // 配置参数
+    this.config = {
+      bloomEnabled: config.bloomEnabled !== false, // 是否启用泛光
+      bloomStrength: config.bloomStrength !== undefined ? config.bloomStrength : 1.2, // 泛光强度
+      bloomRadius: config.bloomRadius !== undefined ? config.bloomRadius : 0.4,       // 泛光半径 (0-1)
+      bloomThreshold: config.bloomThreshold !== undefined ? config.bloomThreshold : 0.2, // 亮度阈值
+      quality: config.quality || 'high', // 质量等级: 'low' | 'medium' | 'high'
+      ...config
+    };
+
+    // 管线组件
+    this.composer = null;
+    this.renderPass = null;
+    this.bloomPass = null;
+    this.outputPass = null;
+    this.customPasses = new Map(); // 名称 -> pass
+
+    // 当前尺寸（CSS像素）
+    this.size = new THREE.Vector2();
+    this.pixelRatio = 1;
+
+    this.init();
+  }
+
+  /**
+   * 初始化后期处理管线
+   */
+  init() {
+    this.renderer.getSize(this.size);
+    this.pixelRatio = this.renderer.getPixelRatio();
+
+    this.composer = new EffectComposer(this.renderer);
+
+    this.renderPass = new RenderPass(this.scene, this.camera);
+    this.composer.addPass(this.renderPass);
+
+    this.bloomPass = new UnrealBloomPass(
+      this.getBloomResolution(),
+      this.config.bloomStrength,
+      this.config.bloomRadius,
+      this.config.bloomThreshold
+    );
+    this.bloomPass.enabled = this.config.bloomEnabled;
+    this.composer.addPass(this.bloomPass);
+
+    this.outputPass = new OutputPass();
+    this.composer.addPass(this.outputPass);
+
+    this.setQuality(this.config.quality);
+
+    console.log(`PostProcessing initialized (${this.config.quality} quality)`);
+  }
+
+  /**
+   * 获取实际使用的像素比（受质量等级限制）
+   */
+  getEffectivePixelRatio() {
+    const { maxPixelRatio } = QUALITY_LEVELS[this.config.quality] || QUALITY_LEVELS.high;
+    return Math.min(this.pixelRatio, maxPixelRatio);
+  }
+
+  /**
+   * 根据质量等级计算泛光缓冲区分辨率（设备像素）
+   */
+  getBloomResolution() {
+    const { bloomScale } = QUALITY_LEVELS[this.config.quality] || QUALITY_LEVELS.high;
+    const scale = this.getEffectivePixelRatio() * bloomScale;
+    return new THREE.Vector2(
+      Math.max(1, Math.round(this.size.x * scale)),
+      Math.max(1, Math.round(this.size.y * scale))
+    );
+  }
+
+  /**
+   * 设置质量等级
+   */
+  setQuality(quality) {
+    if (!QUALITY_LEVELS[quality]) return;
+
+    this.config.quality = quality;
+    this.applySize();
+  }
+
+  /**
+   * 设置泛光参数（阈值、强度、半径可运行时修改）
+   * @param {{strength?: number, radius?: number, threshold?: number}} params
+   */
+  setBloom(params = {}) {
+    if (params.strength !== undefined) {
+      this.config.bloomStrength = Math.max(0, params.strength);
+      this.bloomPass.strength = this.config.bloomStrength;
+    }
+    if (params.radius !== undefined) {
+      this.config.bloomRadius = Math.max(0, Math.min(1, params.radius));
+      this.bloomPass.radius = this.config.bloomRadius;
+    }
+    if (params.threshold !== undefined) {
+      this.config.bloomThreshold = Math.max(0, params.threshold);
+      this.bloomPass.threshold = this.config.bloomThreshold;
+    }
+  }
+
+  /**
+   * 启用/禁用泛光
+   */
+  setBloomEnabled(enabled) {
+    this.config.bloomEnabled = enabled;
+    this.bloomPass.enabled = enabled;
+  }
+
+  /**
+   * 获取泛光参数
+   */
+  getBloom() {
+    return {
+      enabled: this.config.bloomEnabled,
+      strength: this.config.bloomStrength,
+      radius: this.config.bloomRadius,
+      threshold: this.config.bloomThreshold
+    };
+  }
+
+  /**
+   * 添加自定义效果（插入在输出之前）
+   * @param {string} name 效果名称
+   * @param {Pass} pass 后期处理 pass
+   * @param {number} [index] 在自定义效果中的位置，默认追加到最后
+   */
+  addPass(name, pass, index) {
+    if (this.customPasses.has(name)) {
+      this.removePass(name);
+    }
+
+    const firstCustomIndex = this.composer.passes.indexOf(this.bloomPass) + 1;
+    const customCount = this.customPasses.size;
+    const offset = index === undefined ? customCount : Math.max(0, Math.min(customCount, index));
+
+    this.composer.insertPass(pass, firstCustomIndex + offset);
+    this.customPasses.set(name, pass);
+    return pass;
+  }
+
+  /**
+   * 移除自定义效果
+   */
+  removePass(name) {
+    const pass = this.customPasses.get(name);
+    if (!pass) return false;
+
+    this.composer.removePass(pass);
+    this.customPasses.delete(name);
+    if (pass.dispose) {
+      pass.dispose();
+    }
+    return true;
+  }
+
+  /**
+   * 获取自定义效果
+   */
+  getPass(name) {
+    return this.customPasses.get(name) || null;
+  }
+
+  /**
+   * 设置尺寸（CSS像素）
+   */
+  setSize(width, height) {
+    this.size.set(width, height);
+    this.applySize();
+  }
+
+  /**
+   * 设置像素比（跟随渲染器）
+   */
+  setPixelRatio(pixelRatio) {
+    this.pixelRatio = pixelRatio;
+    this.applySize();
+  }
+
+  /**
+   * 按当前尺寸、像素比和质量等级更新合成器与泛光缓冲区
+   */
+  applySize() {
+    if (!this.composer) return;
+
+    this.composer.setPixelRatio(this.getEffectivePixelRatio());
+    this.composer.setSize(this.size.x, this.size.y);
+
+    // composer.setSize 会把所有 pass 设为全分辨率，泛光按质量等级缩小
+    const resolution = this.getBloomResolution();
+    this.bloomPass.resolution.copy(resolution);
+    this.bloomPass.setSize(resolution.x, resolution.y);
+  }
+
+  /**
+   * 渲染一帧
+   */
+  render(deltaTime) {
+    this.composer.render(deltaTime * 0.001);
+  }
+
+  /**
+   * 清理资源
+   */
+  dispose() {
+    this.customPasses.forEach(pass => {
+      if (pass.dispose) pass.dispose();
+    });
+    this.customPasses.clear();
+
+    if (this.bloomPass) {
+      this.bloomPass.dispose();
+      this.bloomPass = null;
+    }
+
+    if (this.outputPass) {
+      this.outputPass.dispose();
+      this.outputPass = null;
+    }
+
+    if (this.renderPass) {
+      this.renderPass.dispose();
+      this.renderPass = null;
+    }
+
+    if (this.composer) {
+      this.composer.dispose();
+      this.composer = null;
+    }
+
+    console.log('PostProcessing disposed');
+  }
+}
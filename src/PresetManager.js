@@ -0,0 +1,669 @@
+import { EventEmitter } from './EventEmitter.js';
+
+// 预设格式版本，格式不兼容地变化时递增并在 migrate 中升级旧预设
+export const PRESET_VERSION = 1;
+
+// 只影响性能、不影响外观的配置，按加载预设的设备自行决定（画质等级见 RenderEngine QUALITY_SETTINGS）
+const PERFORMANCE_KEYS = ['segments', 'tileCount', 'beamSegments', 'maxLensFlares'];
+
+// 预设（尤其是分享链接）中数值配置的允许范围 [最小, 最大, 可否为 null]，超出时截断，
+// 避免构造的预设生成海量灯孔、方块或几何体而卡死页面
+const MAX_HOLES = 1000;
+const CONFIG_LIMITS = {
+  discoBall: {
+    radius: [0.1, 20],
+    segments: [8, 128],
+    holes: [1, MAX_HOLES],
+    tileCount: [0, 5000]
+  },
+  holeLayoutOptions: {
+    rings: [1, 50],
+    perRing: [1, MAX_HOLES],
+    detail: [0, 6] // 二十面体细分级 6 对应 492 个孔
+  },
+  lightBeams: {
+    beamLength: [0.1, 100],
+    beamRadius: [0.01, 10],
+    beamTipRadius: [0, 10, true],
+    spreadAngle: [0, 1.5, true],
+    falloffDistance: [0.01, 100],
+    flareSize: [0, 10]
+  }
+};
+
+/**
+ * 按 limits 截断数值配置；非数值的项被删除（可为 null 的项保留 null，表示使用默认行为）
+ */
+function clampConfig(config, limits, section) {
+  const result = { ...config };
+  Object.entries(limits).forEach(([key, [min, max, nullable]]) => {
+    if (!(key in result) || (nullable && result[key] === null)) return;
+
+    const value = result[key];
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      console.warn(`Ignoring invalid preset value ${section}.${key}: ${JSON.stringify(value)}`);
+      delete result[key];
+    } else if (value < min || value > max) {
+      console.warn(`Clamping preset value ${section}.${key} (${value}) to [${min}, ${max}]`);
+      result[key] = Math.max(min, Math.min(max, value));
+    }
+  });
+  return result;
+}
+
+/**
+ * 限制灯孔布局参数：环数 × 每环孔数和自定义坐标数都不超过 MAX_HOLES
+ */
+function clampHoleLayoutOptions(options, holes = MAX_HOLES) {
+  if (!options || typeof options !== 'object' || Array.isArray(options)) return {};
+
+  const result = clampConfig(options, CONFIG_LIMITS.holeLayoutOptions, 'discoBall.holeLayoutOptions');
+  if (typeof result.perRing === 'number') {
+    const rings = typeof result.rings === 'number' ? result.rings : Math.sqrt(Math.PI * holes / 4);
+    result.perRing = Math.min(result.perRing, Math.max(1, Math.floor(MAX_HOLES / Math.max(1, Math.round(rings)))));
+  }
+
+  // 自定义坐标可以是数组、JSON 字符串或 { units, holes } 对象
+  let positions = result.positions;
+  if (typeof positions === 'string') {
+    try {
+      positions = JSON.parse(positions);
+    } catch (error) {
+      throw new Error('Invalid preset: holeLayoutOptions.positions is not valid JSON');
+    }
+  }
+  if (Array.isArray(positions)) {
+    result.positions = positions.slice(0, MAX_HOLES);
+  } else if (positions && Array.isArray(positions.holes)) {
+    result.positions = { ...positions, holes: positions.holes.slice(0, MAX_HOLES) };
+  }
+  return result;
+}
+
+/**
+ * 把对象转为可JSON序列化的纯数据（丢弃函数等）
+ */
+function toPlainData(object) {
+  return JSON.parse(JSON.stringify(object));
+}
+
+/**
+ * 去掉性能相关的配置项
+ */
+function withoutPerformanceKeys(config = {}) {
+  const result = { ...config };
+  PERFORMANCE_KEYS.forEach(key => delete result[key]);
+  return result;
+}
+
+/**
+ * UTF-8 字符串 -> base64url
+ */
+function encodeBase64Url(text) {
+  const bytes = new TextEncoder().encode(text);
+  let binary = '';
+  bytes.forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * base64url -> UTF-8 字符串
+ */
+function decodeBase64Url(encoded) {
+  const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+  return new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+}
+
+/**
+ * PresetManager - 场景预设管理器
+ * 把灯球、光束、相机和后期处理的完整外观序列化为带版本号的预设，
+ * 支持保存到 localStorage、导出/导入JSON文件以及编码到URL hash分享。
+ *
+ * 预设格式：
+ * {
+ *   "version": 1,
+ *   "name": "Friday",
+ *   "createdAt": "2024-01-01T00:00:00.000Z",
+ *   "discoBall": { "config": {...DiscoBall.getConfig()}, "rotation": { speed, direction, currentRotation, spin, config } },
+ *   "lightBeams": { "config": {...LightBeamSystem.getConfig()}, "palettes": [当前调色板定义] },
+ *   "camera": { "position": { x, y, z }, "target": { x, y, z }, "fov": 75 },
+ *   "postProcessing": { "enabled", "strength", "radius", "threshold" }
+ * }
+ */
+export class PresetManager extends EventEmitter {
+  constructor(renderEngine, config = {}) {
+    super();
+
+    this.renderEngine = renderEngine;
+
+    // 配置参数
+    this.config = {
+      controlManager: config.controlManager || null, // 有 ControlManager 时通过它修改状态（同步面板、可撤销）
+      storage: config.storage || (typeof localStorage !== 'undefined' ? localStorage : null),
+      storageKey: config.storageKey || 'discoBall.presets', // localStorage 键名
+      hashKey: config.hashKey || 'preset',                  // URL hash 参数名
+      ...config
+    };
+  }
+
+  /**
+   * 采集当前场景为预设
+   */
+  capture(name = 'Untitled') {
+    const discoBall = this.renderEngine.getDiscoBall();
+    const lightBeamSystem = this.renderEngine.getLightBeamSystem();
+    const camera = this.renderEngine.getCamera();
+    const postProcessing = this.renderEngine.getPostProcessing();
+    const controlManager = this.config.controlManager;
+
+    const preset = {
+      version: PRESET_VERSION,
+      name,
+      createdAt: new Date().toISOString()
+    };
+
+    if (discoBall) {
+      const rotation = discoBall.getRotationState();
+      preset.discoBall = {
+        config: toPlainData(withoutPerformanceKeys(discoBall.getConfig())),
+        rotation: {
+          // 音乐暂停时灯球的目标速度为0，优先使用面板上设置的速度
+          speed: controlManager ? controlManager.get('rotation.speed') : rotation.targetSpeed,
+          direction: rotation.direction,
+          currentRotation: rotation.currentRotation,
+          spin: rotation.spin,
+          config: rotation.config
+        }
+      };
+    }
+
+    if (lightBeamSystem) {
+      const beamConfig = withoutPerformanceKeys(lightBeamSystem.getConfig());
+      delete beamConfig.palettes;
+      if (typeof beamConfig.falloff === 'function') {
+        delete beamConfig.falloff;
+      }
+
+      preset.lightBeams = {
+        config: toPlainData(beamConfig),
+        // 带上当前调色板定义，分享给没有该自定义调色板的用户时也能还原
+        palettes: [lightBeamSystem.paletteLibrary.get(lightBeamSystem.getPalette()).toJSON()]
+      };
+    }
+
+    const cameraController = this.getCameraController();
+    if (cameraController) {
+      preset.camera = cameraController.getView();
+    } else if (camera) {
+      preset.camera = {
+        position: { x: camera.position.x, y: camera.position.y, z: camera.position.z },
+        target: { x: 0, y: 0, z: 0 },
+        fov: camera.fov
+      };
+    }
+
+    if (postProcessing) {
+      preset.postProcessing = postProcessing.getBloom();
+    }
+
+    return preset;
+  }
+
+  /**
+   * 应用预设
+   * 运行时可修改的属性立即生效；灯球的几何属性（孔数、半径等）通过 RenderEngine.reconfigure 重建，
+   * 其余无法在运行时修改的差异会通过 'apply' 事件的 requiresRebuild 列出
+   * @returns {Object} 校验后的预设
+   */
+  apply(preset) {
+    const data = PresetManager.validate(preset);
+    const requiresRebuild = [];
+
+    if (data.discoBall) {
+      requiresRebuild.push(...this.applyDiscoBall(data.discoBall));
+    }
+    if (data.lightBeams) {
+      requiresRebuild.push(...this.applyLightBeams(data.lightBeams));
+    }
+    if (data.camera) {
+      this.applyCamera(data.camera);
+    }
+    if (data.postProcessing && this.renderEngine.getPostProcessing()) {
+      const postProcessing = this.renderEngine.getPostProcessing();
+      postProcessing.setBloom(data.postProcessing);
+      if (data.postProcessing.enabled !== undefined) {
+        postProcessing.setBloomEnabled(data.postProcessing.enabled);
+      }
+    }
+
+    this.applyControlState(data);
+
+    if (requiresRebuild.length > 0) {
+      console.warn(`Preset "${data.name}" differs in properties that require a scene rebuild: ${requiresRebuild.join(', ')}`);
+    }
+
+    this.emit('apply', { preset: data, requiresRebuild });
+    console.log(`Preset "${data.name}" applied`);
+    return data;
+  }
+
+  /**
+   * 应用灯球旋转状态，返回需要重建才能生效的配置项
+   */
+  applyDiscoBall({ config = {}, rotation }) {
+    const discoBall = this.renderEngine.getDiscoBall();
+    if (!discoBall) return [];
+
+    if (rotation) {
+      if (rotation.config) {
+        discoBall.setRotationConfig(rotation.config);
+      }
+      if (rotation.currentRotation) {
+        discoBall.currentRotation = { ...discoBall.currentRotation, ...rotation.currentRotation };
+      }
+      if (rotation.spin) {
+        discoBall.spinQuaternion.fromArray(rotation.spin);
+      }
+    }
+
+    const current = discoBall.getConfig();
+    const changed = Object.keys(withoutPerformanceKeys(config))
+      .filter(key => JSON.stringify(current[key]) !== JSON.stringify(config[key]));
+    if (changed.length === 0) return [];
+    
+    // 引擎支持运行时重建时直接重建灯球
+    if (typeof this.renderEngine.reconfigure === 'function') {
+      this.renderEngine.reconfigure(Object.fromEntries(changed.map(key => [key, config[key]])));
+      return [];
+    }
+    return changed.map(key => `discoBall.${key}`);
+  }
+
+  /**
+   * 应用光束配置，返回需要重建才能生效的配置项
+   */
+  applyLightBeams({ config = {}, palettes }) {
+    const lightBeamSystem = this.renderEngine.getLightBeamSystem();
+    if (!lightBeamSystem) return [];
+
+    if (palettes) {
+      lightBeamSystem.loadPalettes(palettes);
+    }
+
+    // 可运行时修改的配置项 -> setter
+    const setters = {
+      falloff: value => lightBeamSystem.setFalloff(value),
+      animationSpeed: value => lightBeamSystem.setAnimationSpeed(value),
+      shadingMode: value => lightBeamSystem.setShadingMode(value),
+      hazeDensity: value => lightBeamSystem.setHazeDensity(value),
+      enableLensFlare: value => lightBeamSystem.setLensFlareEnabled(value),
+      floorY: value => lightBeamSystem.setFloorHeight(value),
+      beamControl: value => lightBeamSystem.setBeamControlState(value)
+    };
+    // 由 applyShape / applyControlState 统一处理；pulseMode 跟随音乐播放状态，不从预设恢复
+    const handled = [
+      'beamLength', 'beamRadius', 'beamTipRadius', 'spreadAngle',
+      'colorMode', 'palette', 'beamIntensity', 'beamOpacity', 'pulseMode'
+    ];
+
+    this.applyShape(lightBeamSystem, config);
+
+    const current = lightBeamSystem.getConfig();
+    const requiresRebuild = [];
+
+    Object.entries(withoutPerformanceKeys(config)).forEach(([key, value]) => {
+      if (handled.includes(key) || JSON.stringify(current[key]) === JSON.stringify(value)) return;
+
+      if (setters[key]) {
+        setters[key](value);
+      } else if (key in current && typeof value !== 'object') {
+        // 其余标量配置（脉动速度、眩光大小等）直接写入，下一帧生效
+        lightBeamSystem.config[key] = value;
+      } else {
+        requiresRebuild.push(`lightBeams.${key}`);
+      }
+    });
+
+    return requiresRebuild;
+  }
+
+  /**
+   * 应用光束形状（末端半径和扩散角可以为 null）
+   */
+  applyShape(lightBeamSystem, config) {
+    const keys = ['beamLength', 'beamRadius', 'beamTipRadius', 'spreadAngle'];
+    if (!keys.some(key => key in config)) return;
+
+    ['beamTipRadius', 'spreadAngle'].forEach(key => {
+      if (key in config) lightBeamSystem.config[key] = config[key];
+    });
+    lightBeamSystem.setBeamShape({
+      length: config.beamLength !== undefined ? config.beamLength : lightBeamSystem.config.beamLength,
+      baseRadius: config.beamRadius !== undefined ? config.beamRadius : lightBeamSystem.config.beamRadius
+    });
+  }
+
+  /**
+   * 应用相机位置和视角
+   */
+  applyCamera(view) {
+    const cameraController = this.getCameraController();
+    if (cameraController) {
+      cameraController.setView(view);
+      return;
+    }
+
+    const camera = this.renderEngine.getCamera();
+    if (!camera) return;
+
+    const { position, target = { x: 0, y: 0, z: 0 }, fov } = view;
+    if (position) {
+      camera.position.set(position.x, position.y, position.z);
+      camera.lookAt(target.x, target.y, target.z);
+    }
+    if (fov) {
+      camera.fov = fov;
+      camera.updateProjectionMatrix();
+    }
+  }
+
+  /**
+   * 获取相机控制器（未启用交互相机时为 null）
+   */
+  getCameraController() {
+    return this.renderEngine.getCameraController ? this.renderEngine.getCameraController() : null;
+  }
+
+  /**
+   * 应用颜色模式、调色板、强度和旋转（有 ControlManager 时作为一步可撤销的操作）
+   */
+  applyControlState(data) {
+    const patch = {};
+    const beamConfig = data.lightBeams && data.lightBeams.config;
+    const rotation = data.discoBall && data.discoBall.rotation;
+
+    if (rotation) {
+      patch.rotation = {};
+      if (rotation.speed !== undefined) patch.rotation.speed = rotation.speed;
+      if (rotation.direction !== undefined) patch.rotation.direction = rotation.direction;
+      if (rotation.config && rotation.config.followTempo !== undefined) {
+        patch.rotation.followTempo = rotation.config.followTempo;
+      }
+    }
+    if (beamConfig) {
+      if (beamConfig.colorMode !== undefined) patch.colorMode = beamConfig.colorMode;
+      if (beamConfig.palette !== undefined) patch.palette = beamConfig.palette;
+      if (beamConfig.beamIntensity !== undefined) patch.intensity = beamConfig.beamIntensity;
+      if (beamConfig.beamOpacity !== undefined) patch.opacity = beamConfig.beamOpacity;
+    }
+
+    if (this.config.controlManager) {
+      this.config.controlManager.setState(patch);
+      return;
+    }
+
+    const discoBall = this.renderEngine.getDiscoBall();
+    const lightBeamSystem = this.renderEngine.getLightBeamSystem();
+    if (discoBall && patch.rotation) {
+      if (patch.rotation.speed !== undefined) discoBall.setRotationSpeed(patch.rotation.speed);
+      if (patch.rotation.direction !== undefined) discoBall.setRotationDirection(patch.rotation.direction);
+    }
+    if (lightBeamSystem) {
+      if (patch.colorMode !== undefined) lightBeamSystem.setColorMode(patch.colorMode);
+      if (patch.palette !== undefined) lightBeamSystem.setPalette(patch.palette);
+      if (patch.intensity !== undefined) lightBeamSystem.setIntensity(patch.intensity);
+      if (patch.opacity !== undefined) lightBeamSystem.setOpacity(patch.opacity);
+    }
+  }
+
+  /**
+   * 读取 localStorage 中保存的所有预设
+   */
+  readStore() {
+    const { storage, storageKey } = this.config;
+    if (!storage) return {};
+
+    try {
+      return JSON.parse(storage.getItem(storageKey)) || {};
+    } catch (error) {
+      console.warn('Failed to read stored presets:', error.message);
+      return {};
+    }
+  }
+
+  /**
+   * 写入 localStorage
+   */
+  writeStore(presets) {
+    const { storage, storageKey } = this.config;
+    if (!storage) {
+      console.warn('Preset storage is not available');
+      return;
+    }
+    storage.setItem(storageKey, JSON.stringify(presets));
+  }
+
+  /**
+   * 把当前场景保存为预设（同名覆盖）
+   */
+  save(name) {
+    if (!name || typeof name !== 'string') {
+      throw new Error('Preset name must be a non-empty string');
+    }
+
+    const preset = this.capture(name);
+    this.store(preset);
+    return preset;
+  }
+
+  /**
+   * 把预设写入存储
+   */
+  store(preset) {
+    const presets = this.readStore();
+    presets[preset.name] = preset;
+    this.writeStore(presets);
+    this.emit('change', { names: Object.keys(presets) });
+  }
+
+  /**
+   * 加载并应用已保存的预设
+   * @returns {Object|null} 预设，不存在时返回 null
+   */
+  load(name) {
+    const preset = this.readStore()[name];
+    if (!preset) {
+      console.warn(`Unknown preset: ${name}`);
+      return null;
+    }
+    return this.apply(preset);
+  }
+
+  /**
+   * 删除已保存的预设
+   */
+  remove(name) {
+    const presets = this.readStore();
+    if (!(name in presets)) return false;
+
+    delete presets[name];
+    this.writeStore(presets);
+    this.emit('change', { names: Object.keys(presets) });
+    return true;
+  }
+
+  /**
+   * 获取已保存的预设名称
+   */
+  getNames() {
+    return Object.keys(this.readStore());
+  }
+
+  /**
+   * 导出为JSON字符串（默认导出当前场景）
+   */
+  exportJSON(preset = this.capture()) {
+    return JSON.stringify(preset, null, 2);
+  }
+
+  /**
+   * 下载预设JSON文件
+   */
+  download(preset = this.capture()) {
+    const blob = new Blob([this.exportJSON(preset)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${preset.name.replace(/[^\w-]+/g, '_') || 'preset'}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * 导入JSON预设（字符串或对象）
+   * @param {Object} [options] save: 是否保存到存储（默认 true），apply: 是否立即应用（默认 false）
+   */
+  importJSON(json, options = {}) {
+    const { save = true, apply = false } = options;
+    const preset = PresetManager.validate(typeof json === 'string' ? JSON.parse(json) : json);
+
+    if (save) {
+      this.store(preset);
+    }
+    if (apply) {
+      this.apply(preset);
+    }
+    return preset;
+  }
+
+  /**
+   * 导入用户选择的预设JSON文件（File 或 Blob）
+   */
+  async importFile(file, options = {}) {
+    return this.importJSON(await file.text(), options);
+  }
+
+  /**
+   * 生成分享链接（默认分享当前场景）
+   */
+  getShareURL(preset = this.capture(), baseURL = window.location.href) {
+    const url = new URL(baseURL);
+    url.hash = `${this.config.hashKey}=${PresetManager.encode(preset)}`;
+    return url.toString();
+  }
+
+  /**
+   * 从URL hash中读取预设
+   * @returns {Object|null}
+   */
+  readFromURL(hash = window.location.hash) {
+    return PresetManager.fromHash(hash, this.config.hashKey);
+  }
+
+  /**
+   * 应用URL hash中的预设（没有预设时返回 null）
+   */
+  applyFromURL(hash = window.location.hash) {
+    const preset = this.readFromURL(hash);
+    return preset ? this.apply(preset) : null;
+  }
+
+  /**
+   * 把预设编码为URL安全的字符串
+   */
+  static encode(preset) {
+    return encodeBase64Url(JSON.stringify(preset));
+  }
+
+  /**
+   * 解码 encode 生成的字符串
+   */
+  static decode(encoded) {
+    return PresetManager.validate(JSON.parse(decodeBase64Url(encoded)));
+  }
+
+  /**
+   * 从 "#preset=..." 形式的hash中读取预设，无效时返回 null
+   */
+  static fromHash(hash, hashKey = 'preset') {
+    const params = new URLSearchParams((hash || '').replace(/^#/, ''));
+    const encoded = params.get(hashKey);
+    if (!encoded) return null;
+
+    try {
+      return PresetManager.decode(encoded);
+    } catch (error) {
+      console.warn('Invalid preset in URL:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * 预设中需要在创建场景时传入的配置（灯孔数量、球体外观等），
+   * 用于 new RenderEngine(container, options)
+   */
+  static getEngineOptions(preset) {
+    const options = {};
+    if (preset.discoBall && preset.discoBall.config) {
+      options.discoBall = withoutPerformanceKeys(preset.discoBall.config);
+    }
+    if (preset.lightBeams && preset.lightBeams.config) {
+      options.lightBeams = withoutPerformanceKeys(preset.lightBeams.config);
+      if (preset.lightBeams.palettes) {
+        options.lightBeams.palettes = preset.lightBeams.palettes;
+      }
+    }
+    return options;
+  }
+
+  /**
+   * 校验预设并升级旧版本格式
+   */
+  static validate(preset) {
+    if (!preset || typeof preset !== 'object' || Array.isArray(preset)) {
+      throw new Error('Invalid preset');
+    }
+    if (typeof preset.version !== 'number' || preset.version < 1) {
+      throw new Error('Preset is missing a valid version');
+    }
+    if (preset.version > PRESET_VERSION) {
+      throw new Error(`Preset version ${preset.version} is newer than supported version ${PRESET_VERSION}`);
+    }
+
+    return PresetManager.sanitize(PresetManager.migrate({ name: 'Untitled', ...preset }));
+  }
+
+  /**
+   * 把灯球和光束的数值配置限制在合理范围内（预设可能来自不可信的分享链接）
+   */
+  static sanitize(preset) {
+    const result = { ...preset };
+
+    const discoBall = result.discoBall;
+    if (discoBall && discoBall.config && typeof discoBall.config === 'object') {
+      const config = clampConfig(discoBall.config, CONFIG_LIMITS.discoBall, 'discoBall');
+      if ('holeLayoutOptions' in config) {
+        config.holeLayoutOptions = clampHoleLayoutOptions(config.holeLayoutOptions, config.holes);
+      }
+      result.discoBall = { ...discoBall, config };
+    }
+
+    const lightBeams = result.lightBeams;
+    if (lightBeams && lightBeams.config && typeof lightBeams.config === 'object') {
+      result.lightBeams = { ...lightBeams, config: clampConfig(lightBeams.config, CONFIG_LIMITS.lightBeams, 'lightBeams') };
+    }
+
+    return result;
+  }
+
+  /**
+   * 升级旧版本预设到当前版本
+   */
+  static migrate(preset) {
+    // 目前只有版本 1
+    return { ...preset, version: PRESET_VERSION };
+  }
+}
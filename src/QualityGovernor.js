@@ -0,0 +1,235 @@
+import { EventEmitter } from './EventEmitter.js';
+
+// 质量等级（从低到高）
+export const QUALITY_LEVELS = ['low', 'medium', 'high'];
+
+/**
+ * QualityGovernor - 自适应画质调节器
+ * 根据实测的帧时间逐级降低或提高质量等级：
+ * 滑动平均持续高于目标帧时间的 downgradeRatio 倍时降级，持续不高于 upgradeRatio 倍时升级，
+ * 两个阈值之间为死区；升级需要比降级更长的持续时间，升级后很快又降级时下次升级的等待时间加倍。
+ * 渲染循环通过 recordTick 传入未经帧率限制的 requestAnimationFrame 间隔：目标帧时间取帧率限制间隔和
+ * 显示器刷新间隔中较大的一个，刷新间隔按滑动窗口内的最小间隔估计
+ * 事件: 'change' { level, previousLevel, reason: 'downgrade' | 'upgrade' | 'manual', averageFrameTime }
+ *       'lock' { level } / 'unlock' { level }
+ */
+export class QualityGovernor extends EventEmitter {
+  constructor(config = {}) {
+    super();
+
+    // 配置参数
+    this.config = {
+      level: QUALITY_LEVELS.includes(config.level) ? config.level : 'high', // 初始等级
+      sampleSize: config.sampleSize || 60,           // 滑动平均的帧数
+      targetFrameTime: config.targetFrameTime || 1000 / 60, // 默认目标帧时间（毫秒）
+      downgradeRatio: config.downgradeRatio || 1.25, // 平均帧时间超过目标的倍数时开始计时降级
+      upgradeRatio: config.upgradeRatio || 1.05,     // 平均帧时间不超过目标的倍数时开始计时升级
+      downgradeDelay: config.downgradeDelay || 2000, // 持续变慢多久后降级（毫秒）
+      upgradeDelay: config.upgradeDelay || 8000,     // 持续达标多久后升级（毫秒）
+      maxUpgradeDelay: config.maxUpgradeDelay || 60000, // 升级等待时间的上限
+      probation: config.probation || 10000,          // 升级后在此时间内降级视为升级失败
+      maxFrameTime: config.maxFrameTime || 250,      // 超过此值的帧（切换标签页等）不计入
+      displayWindow: config.displayWindow || 1200,   // 估计刷新间隔的滑动窗口（间隔数）
+      minDisplayFrameTime: config.minDisplayFrameTime || 1000 / 240, // 刷新间隔估计的下限（更短的间隔视为抖动）
+      // 刷新间隔估计的上限：从一开始就持续过载时最小间隔也会很长，不能把过载当成低刷新率显示器
+      maxDisplayFrameTime: config.maxDisplayFrameTime || 20,
+      ...config
+    };
+
+    this.level = this.config.level;
+    this.locked = false;
+
+    // 测量状态
+    this.samples = [];
+    this.sampleSum = 0;
+    this.slowTime = 0;
+    this.fastTime = 0;
+    this.sinceChange = 0;
+    this.lastReason = null;
+    this.upgradeDelay = this.config.upgradeDelay;
+
+    // 显示器刷新间隔估计：按块记录最小间隔，窗口内各块的最小值即为估计值
+    this.displayFrameTime = 1000 / 60;
+    this.displayBlocks = [];
+    this.displayBlockMin = Infinity;
+    this.displayBlockCount = 0;
+  }
+
+  /**
+   * 记录一次 requestAnimationFrame 间隔（在渲染循环的帧率限制之前调用）
+   * 所有间隔都用于估计刷新间隔；只有渲染了画面的 tick 之后的间隔包含渲染开销，才作为帧时间采样
+   * @param {number} interval 与上一次 tick 的间隔（毫秒）
+   * @param {boolean} rendered 上一次 tick 是否渲染了画面
+   * @param {number} frameInterval 帧率限制的间隔（毫秒）
+   * @returns {boolean} 本次是否切换了等级
+   */
+  recordTick(interval, rendered, frameInterval) {
+    if (!(interval > 0) || interval > this.config.maxFrameTime) return false;
+
+    this.updateDisplayFrameTime(interval);
+    if (!rendered) return false;
+
+    return this.sample(interval, Math.max(frameInterval, this.displayFrameTime));
+  }
+
+  /**
+   * 更新显示器刷新间隔估计
+   */
+  updateDisplayFrameTime(interval) {
+    const { displayWindow, minDisplayFrameTime, maxDisplayFrameTime } = this.config;
+    const blockSize = Math.max(1, Math.round(displayWindow / 10));
+
+    this.displayBlockMin = Math.min(this.displayBlockMin, Math.max(interval, minDisplayFrameTime));
+    if (++this.displayBlockCount >= blockSize) {
+      this.displayBlocks.push(this.displayBlockMin);
+      if (this.displayBlocks.length > 10) this.displayBlocks.shift();
+      this.displayBlockMin = Infinity;
+      this.displayBlockCount = 0;
+    }
+
+    this.displayFrameTime = Math.min(maxDisplayFrameTime, this.displayBlockMin, ...this.displayBlocks);
+  }
+
+  /**
+   * 记录一帧的帧时间，必要时切换等级
+   * @param {number} frameTime 两次渲染之间的间隔（毫秒）
+   * @param {number} [targetFrameTime] 目标帧时间（毫秒），默认使用配置值
+   * @returns {boolean} 本帧是否切换了等级
+   */
+  sample(frameTime, targetFrameTime = this.config.targetFrameTime) {
+    if (this.locked || !(frameTime > 0) || frameTime > this.config.maxFrameTime) {
+      return false;
+    }
+
+    this.samples.push(frameTime);
+    this.sampleSum += frameTime;
+    if (this.samples.length > this.config.sampleSize) {
+      this.sampleSum -= this.samples.shift();
+    }
+    this.sinceChange += frameTime;
+
+    // 窗口填满之前不做判断（切换后也会清空重新采样）
+    if (this.samples.length < this.config.sampleSize) return false;
+
+    const average = this.getAverageFrameTime();
+    if (average > targetFrameTime * this.config.downgradeRatio) {
+      this.slowTime += frameTime;
+      this.fastTime = 0;
+    } else if (average <= targetFrameTime * this.config.upgradeRatio) {
+      this.fastTime += frameTime;
+      this.slowTime = 0;
+    } else {
+      this.slowTime = 0;
+      this.fastTime = 0;
+    }
+
+    const index = QUALITY_LEVELS.indexOf(this.level);
+    if (this.slowTime >= this.config.downgradeDelay && index > 0) {
+      // 刚升级就撑不住：推迟下一次升级，避免在两个等级之间来回切换
+      if (this.lastReason === 'upgrade' && this.sinceChange < this.config.probation) {
+        this.upgradeDelay = Math.min(this.upgradeDelay * 2, this.config.maxUpgradeDelay);
+      }
+      this.changeLevel(QUALITY_LEVELS[index - 1], 'downgrade', average);
+      return true;
+    }
+    if (this.fastTime >= this.upgradeDelay && index < QUALITY_LEVELS.length - 1) {
+      this.changeLevel(QUALITY_LEVELS[index + 1], 'upgrade', average);
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * 切换等级并清空测量状态
+   */
+  changeLevel(level, reason, averageFrameTime = this.getAverageFrameTime()) {
+    const previousLevel = this.level;
+    this.level = level;
+    this.lastReason = reason;
+    this.resetSamples();
+
+    if (level !== previousLevel) {
+      console.log(`Quality ${reason}: ${previousLevel} -> ${level} (${averageFrameTime.toFixed(1)}ms)`);
+      this.emit('change', { level, previousLevel, reason, averageFrameTime });
+    }
+  }
+
+  /**
+   * 锁定到手动指定的等级（不传时锁定在当前等级），锁定期间不再自动调节
+   */
+  lock(level = this.level) {
+    if (!QUALITY_LEVELS.includes(level)) {
+      throw new Error(`Unknown quality level: ${level}`);
+    }
+
+    this.locked = true;
+    this.changeLevel(level, 'manual');
+    this.emit('lock', { level });
+  }
+
+  /**
+   * 解除锁定，从当前等级继续自动调节
+   */
+  unlock() {
+    if (!this.locked) return;
+
+    this.locked = false;
+    this.lastReason = null;
+    this.upgradeDelay = this.config.upgradeDelay;
+    this.resetSamples();
+    this.emit('unlock', { level: this.level });
+  }
+
+  /**
+   * 清空滑动窗口和计时
+   */
+  resetSamples() {
+    this.samples = [];
+    this.sampleSum = 0;
+    this.slowTime = 0;
+    this.fastTime = 0;
+    this.sinceChange = 0;
+  }
+
+  /**
+   * 获取滑动平均帧时间（毫秒）
+   */
+  getAverageFrameTime() {
+    return this.samples.length > 0 ? this.sampleSum / this.samples.length : 0;
+  }
+
+  /**
+   * 获取当前等级
+   */
+  getLevel() {
+    return this.level;
+  }
+
+  /**
+   * 是否锁定为手动等级
+   */
+  isLocked() {
+    return this.locked;
+  }
+
+  /**
+   * 获取当前状态（用于调试）
+   */
+  getState() {
+    return {
+      level: this.level,
+      locked: this.locked,
+      averageFrameTime: this.getAverageFrameTime(),
+      displayFrameTime: this.displayFrameTime,
+      upgradeDelay: this.upgradeDelay
+    };
+  }
+
+  /**
+   * 清理资源
+   */
+  dispose() {
+    this.resetSamples();
+    this.removeAllListeners();
+  }
+}
@@ -1,14 +1,98 @@
 import * as THREE from 'three';
 import { DiscoBall } from './DiscoBall.js';
 import { LightBeamSystem } from './LightBeamSystem.js';
+import { LightSpotSystem } from './LightSpotSystem.js';
+import { DanceFloorRoom } from './DanceFloorRoom.js';
+import { PostProcessing } from './PostProcessing.js';
+import { CameraController } from './CameraController.js';
+import { BallGrabController } from './BallGrabController.js';
+import { EventEmitter } from './EventEmitter.js';
+import { QualityGovernor, QUALITY_LEVELS } from './QualityGovernor.js';
+
+// 主灯球的id（getDiscoBall / getLightBeamSystem 返回的灯球，不能移除）
+export const PRIMARY_BALL_ID = 'main';
+
+// 各质量等级的光束设置（像素比和阴影见 getResponsiveConfig，泛光分辨率见 PostProcessing）
+const QUALITY_SETTINGS = {
+  low: { beamSegments: 6, maxLensFlares: 24 },
+  medium: { beamSegments: 8, maxLensFlares: 120 },
+  high: { beamSegments: 8, maxLensFlares: null }
+};
+
+/**
+ * 收集对象树中的材质及其原始透明设置（用于交叉淡化）
+ */
+function collectMaterials(object) {
+  const entries = new Map();
+  object.traverse(child => {
+    const materials = Array.isArray(child.material) ? child.material : [child.material];
+    materials.forEach(material => {
+      if (material && !entries.has(material)) {
+        entries.set(material, { material, transparent: material.transparent, opacity: material.opacity });
+      }
+    });
+  });
+  return [...entries.values()];
+}
+
+/**
+ * 按比例设置材质透明度（0-1，相对原始透明度）
+ */
+function fadeMaterials(entries, level) {
+  entries.forEach(({ material, opacity }) => {
+    if (!material.transparent) {
+      material.transparent = true;
+      material.needsUpdate = true;
+    }
+    material.opacity = opacity * level;
+  });
+}
+
+/**
+ * 恢复材质原始的透明设置
+ */
+function restoreMaterials(entries) {
+  entries.forEach(({ material, transparent, opacity }) => {
+    material.transparent = transparent;
+    material.opacity = opacity;
+    material.needsUpdate = true;
+  });
+}
 
 /**
  * RenderEngine - 核心渲染引擎类
  * 负责Three.js场景的初始化、渲染循环和窗口大小调整
+ * 场景中可以有多个灯球（按id访问），每个灯球有独立的位置、配置、旋转状态和光束系统
+ * 事件: 'reconfigure' { id, config, previousConfig } 灯球在运行时重建后触发
+ *       'balladd' { id } / 'ballremove' { id } 添加或移除灯球后触发
+ *       'qualitychange' { level, previousLevel, reason } 画质等级变化并应用后触发
  */
-export class RenderEngine {
-  constructor(container) {
+export class RenderEngine extends EventEmitter {
+  constructor(container, options = {}) {
+    super();
+    
     this.container = container;
+    
+    // 可选功能开关
+    this.options = {
+      enableLightSpots: options.enableLightSpots !== false, // 在房间表面投射反射光斑
+      enableRoom: options.enableRoom !== false,             // 显示舞厅房间（地板、墙面、吊链）
+      room: options.room || {},                             // 房间尺寸和材质配置
+      enablePostProcessing: options.enablePostProcessing !== false, // 启用泛光等后期处理
+      bloom: options.bloom || {},                           // 泛光参数
+      discoBall: options.discoBall || {},                   // 覆盖灯球配置（如从预设恢复灯孔数量）
+      lightBeams: options.lightBeams || {},                 // 覆盖光束配置
+      enableCameraControls: options.enableCameraControls !== false, // 鼠标/触摸环绕和缩放
+      cameraControls: options.cameraControls || {},         // 相机控制器配置（阻尼、自动路径等）
+      enableBallGrab: options.enableBallGrab !== false,     // 允许拖动和甩动灯球
+      reconfigureFadeDuration: options.reconfigureFadeDuration !== undefined ? options.reconfigureFadeDuration : 800, // 运行时重建灯球的交叉淡化时间（毫秒）
+      balls: options.balls || [],                           // 初始化时添加的其他灯球（格式见 addBall）
+      ballSync: options.ballSync || {},                     // 多灯球同步: { rotation, color }
+      enableQualityGovernor: options.enableQualityGovernor !== false, // 按实测帧时间自动调节画质
+      qualityGovernor: options.qualityGovernor || {},       // 画质调节器配置（见 QualityGovernor）
+      ...options
+    };
+    
     this.scene = null;
     this.camera = null;
     this.renderer = null;
@@ -19,17 +103,54 @@ export class RenderEngine {
     this.frameRate = 60;
     this.lastTime = 0;
     this.frameInterval = 1000 / this.frameRate;
+    this.lastTickTime = null;       // 上一次 requestAnimationFrame 回调的时间（画质调节用）
+    this.renderedLastTick = false;  // 上一次回调是否渲染了画面
     
     // 响应式设备信息
     this.deviceInfo = this.detectDevice();
     this.responsiveConfig = this.getResponsiveConfig();
     
-    // 迪斯科球实例
+    // 主方向光（投射阴影）
+    this.mainLight = null;
+    
+    // 迪斯科球实例（主灯球）
     this.discoBall = null;
     
-    // 光束系统实例
+    // 舞厅房间实例
+    this.room = null;
+    
+    // 光束系统实例（主灯球）
     this.lightBeamSystem = null;
     
+    // 反射光斑系统实例（主灯球）
+    this.lightSpotSystem = null;
+    
+    // 灯球集合（id -> { id, discoBall, lightBeamSystem, lightSpotSystem, reconfigureFade }），
+    // reconfigureFade 为运行时重建的交叉淡化状态（null表示没有进行中的过渡）
+    this.balls = new Map();
+    this.nextBallId = 1;
+    
+    // 多灯球同步：其他灯球跟随主灯球的旋转 / 颜色相位
+    this.ballSync = {
+      rotation: !!this.options.ballSync.rotation,
+      color: !!this.options.ballSync.color
+    };
+    
+    // 后期处理管线
+    this.postProcessing = null;
+    
+    // 自适应画质调节器
+    this.qualityGovernor = null;
+    
+    // 交互相机控制器
+    this.cameraController = null;
+    
+    // 灯球抓取控制器
+    this.ballGrabController = null;
+    
+    // 外部模块的每帧更新回调（音频分析等）
+    this.updateHandlers = [];
+    
     // 绑定方法上下文
     this.render = this.render.bind(this);
     this.onWindowResize = this.onWindowResize.bind(this);
@@ -45,7 +166,14 @@ export class RenderEngine {
       this.createRenderer();
       this.setupLighting();
       this.createDiscoBall();
+      this.createRoom();
       this.createLightBeamSystem();
+      this.createLightSpotSystem();
+      this.options.balls.forEach(ball => this.addBall(ball));
+      this.createPostProcessing();
+      this.createQualityGovernor();
+      this.createCameraController();
+      this.createBallGrabController();
       this.setupEventListeners();
       
       this.isInitialized = true;
@@ -109,6 +237,160 @@ export class RenderEngine {
     this.container.appendChild(this.renderer.domElement);
   }
 
+  /**
+   * 创建后期处理管线（泛光）
+   */
+  createPostProcessing() {
+    if (!this.options.enablePostProcessing) return;
+    
+    this.postProcessing = new PostProcessing(this.renderer, this.scene, this.camera, {
+      quality: this.getQualityLevel(),
+      ...this.options.bloom
+    });
+  }
+
+  /**
+   * 创建自适应画质调节器，初始等级为设备检测的性能等级
+   */
+  createQualityGovernor() {
+    if (!this.options.enableQualityGovernor) return;
+    
+    this.qualityGovernor = new QualityGovernor({
+      level: this.deviceInfo.performanceLevel,
+      targetFrameTime: this.frameInterval,
+      ...this.options.qualityGovernor
+    });
+    this.qualityGovernor.on('change', ({ level, previousLevel, reason }) => {
+      this.applyQualityLevel(level);
+      this.emit('qualitychange', { level, previousLevel, reason });
+    });
+    
+    // 配置中可能指定了不同的初始等级
+    this.applyQualityLevel(this.qualityGovernor.getLevel());
+  }
+
+  /**
+   * 获取当前生效的质量等级（没有画质调节器时为设备检测的等级）
+   */
+  getQualityLevel() {
+    return this.qualityGovernor ? this.qualityGovernor.getLevel() : this.deviceInfo.performanceLevel;
+  }
+
+  /**
+   * 手动设置质量等级并锁定，'auto' 恢复自动调节
+   */
+  setQualityLevel(level) {
+    if (!this.qualityGovernor) return;
+    
+    if (level === 'auto') {
+      this.qualityGovernor.unlock();
+    } else if (QUALITY_LEVELS.includes(level)) {
+      this.qualityGovernor.lock(level);
+    }
+  }
+
+  /**
+   * 获取画质调节器
+   */
+  getQualityGovernor() {
+    return this.qualityGovernor;
+  }
+
+  /**
+   * 应用质量等级：像素比、阴影、泛光分辨率、光束分段数和眩光数量
+   */
+  applyQualityLevel(level) {
+    const settings = QUALITY_SETTINGS[level];
+    if (!settings) return;
+    
+    this.responsiveConfig = this.getResponsiveConfig();
+    const config = this.responsiveConfig;
+    
+    if (this.renderer) {
+      this.renderer.setPixelRatio(config.pixelRatio);
+      this.setShadowsEnabled(config.enableShadows, config.shadowMapSize);
+    }
+    
+    if (this.postProcessing) {
+      this.postProcessing.setPixelRatio(config.pixelRatio);
+      this.postProcessing.setQuality(level);
+    }
+    
+    this.forEachBall(({ lightBeamSystem }) => {
+      if (!lightBeamSystem) return;
+      lightBeamSystem.setBeamSegments(settings.beamSegments);
+      lightBeamSystem.setMaxLensFlares(settings.maxLensFlares);
+    });
+    
+    console.log(`Applied ${level} quality settings`);
+  }
+
+  /**
+   * 创建交互相机控制器（环绕、缩放、书签和自动路径）
+   */
+  createCameraController() {
+    if (!this.options.enableCameraControls) return;
+    
+    const controllerConfig = {
+      baseDistance: this.responsiveConfig.cameraDistance,
+      ballRadius: this.discoBall ? this.discoBall.config.radius : 2
+    };
+    
+    // 不让相机穿出房间墙面、地板和天花板
+    if (this.room) {
+      const { width, depth, floorY } = this.room.config;
+      const maxDistance = Math.min(width, depth) / 2 - 0.5;
+      controllerConfig.maxDistance = maxDistance;
+      controllerConfig.minPolarAngle = Math.acos(Math.min(1, (this.room.getCeilingY() - 0.5) / maxDistance));
+      controllerConfig.maxPolarAngle = Math.acos(Math.max(-1, (floorY + 0.5) / maxDistance));
+    }
+    
+    this.cameraController = new CameraController(this.camera, this.renderer.domElement, {
+      ...controllerConfig,
+      ...this.options.cameraControls
+    });
+    this.cameraController.init();
+    this.cameraController.setDistance(this.responsiveConfig.cameraDistance);
+    
+    console.log('CameraController created');
+  }
+
+  /**
+   * 创建灯球抓取控制器（拖动旋转、松手甩出、点击选中光束）
+   */
+  createBallGrabController() {
+    if (!this.options.enableBallGrab || !this.discoBall) return;
+    
+    this.ballGrabController = new BallGrabController(this.discoBall, this.camera, this.renderer.domElement);
+    this.ballGrabController.init();
+    
+    // 拖动灯球时暂停相机环绕和自动路径
+    if (this.cameraController) {
+      this.ballGrabController.on('grabstart', () => {
+        this.cameraController.onInteractionStart();
+        this.cameraController.setEnabled(false);
+      });
+      this.ballGrabController.on('grabend', () => this.cameraController.setEnabled(true));
+    }
+    
+    // 点击灯孔选中对应的光束（按住 Shift/Ctrl 多选）
+    this.ballGrabController.on('click', ({ raycaster, additive }) => {
+      if (!this.lightBeamSystem) return;
+      this.lightBeamSystem.selectBeam(this.lightBeamSystem.pickBeam(raycaster), { additive });
+    });
+    
+    console.log('BallGrabController created');
+  }
+
+  /**
+   * 设置泛光参数（strength / radius / threshold）
+   */
+  setBloom(params) {
+    if (this.postProcessing) {
+      this.postProcessing.setBloom(params);
+    }
+  }
+
   /**
    * 设置基础光照系统
    */
@@ -133,6 +415,7 @@ export class RenderEngine {
     directionalLight.shadow.camera.bottom = -10;
     
     this.scene.add(directionalLight);
+    this.mainLight = directionalLight;
     
     // 辅助光源 - 增强立体感
     const fillLight = new THREE.DirectionalLight(0x4040ff, 0.3);
@@ -141,26 +424,314 @@ export class RenderEngine {
   }
 
   /**
-   * 创建迪斯科球
+   * 创建迪斯科球（主灯球）
    */
   createDiscoBall() {
+    this.discoBall = new DiscoBall({ ...this.getDiscoBallConfig(), ...this.options.discoBall });
+    
+    // 将迪斯科球添加到场景
+    this.scene.add(this.discoBall.getMesh());
+    this.balls.set(PRIMARY_BALL_ID, {
+      id: PRIMARY_BALL_ID,
+      discoBall: this.discoBall,
+      lightBeamSystem: null,
+      lightSpotSystem: null,
+      reconfigureFade: null
+    });
+    
+    console.log('DiscoBall created and added to scene');
+  }
+
+  /**
+   * 根据设备获取灯球配置
+   */
+  getDiscoBallConfig() {
     // 根据设备类型调整球体大小
-    const ballConfig = {
+    return {
       radius: this.getBallRadius(),
       segments: this.getBallSegments(),
       holes: 50,  // 增加孔的数量让效果更炫酷
       metalness: 0.9,
       roughness: 0.1,
       color: 0x000000,  // 改为黑色
-      envMapIntensity: 1.0
+      envMapIntensity: 1.0,
+      style: 'faceted', // 镜面小方块外观
+      tileCount: this.getTileCount()
     };
+  }
+
+  /**
+   * 添加灯球
+   * @param {Object} [config]
+   *   id: 灯球id（默认自动生成 'ball-1'、'ball-2'…）
+   *   position: { x, y, z } 灯球中心
+   *   discoBall: DiscoBall 配置（未设置的项与主灯球的设备默认值相同）
+   *   lightBeams: LightBeamSystem 配置
+   * @returns {string} 灯球id
+   */
+  addBall(config = {}) {
+    if (!this.scene) {
+      throw new Error('RenderEngine must create its scene before adding balls');
+    }
     
-    this.discoBall = new DiscoBall(ballConfig);
+    const id = config.id !== undefined ? String(config.id) : `ball-${this.nextBallId++}`;
+    if (this.balls.has(id)) {
+      throw new Error(`Ball "${id}" already exists`);
+    }
     
-    // 将迪斯科球添加到场景
-    this.scene.add(this.discoBall.getMesh());
+    const { x = 0, y = 0, z = 0 } = config.position || {};
+    const discoBall = new DiscoBall({ ...this.getDiscoBallConfig(), ...config.discoBall });
+    discoBall.getMesh().position.set(x, y, z);
+    this.scene.add(discoBall.getMesh());
     
-    console.log('DiscoBall created and added to scene');
+    const lightBeamSystem = this.createBeamSystem(discoBall, { ...this.getLightBeamConfig(), ...config.lightBeams });
+    const lightSpotSystem = this.createSpotSystem(lightBeamSystem);
+    
+    // 每个灯球都从天花板吊下
+    if (this.room) {
+      this.room.addHanger(id, { x, y, z }, discoBall.config.radius);
+    }
+    
+    this.balls.set(id, { id, discoBall, lightBeamSystem, lightSpotSystem, reconfigureFade: null });
+    this.emit('balladd', { id });
+    
+    console.log(`DiscoBall "${id}" added at (${x}, ${y}, ${z})`);
+    return id;
+  }
+
+  /**
+   * 移除灯球（主灯球不能移除）
+   * @returns {boolean} 是否移除成功
+   */
+  removeBall(id) {
+    if (id === PRIMARY_BALL_ID) {
+      console.warn('The primary disco ball cannot be removed');
+      return false;
+    }
+    
+    const ball = this.balls.get(id);
+    if (!ball) return false;
+    
+    this.disposeBall(ball);
+    if (this.room) {
+      this.room.removeHanger(id);
+    }
+    this.balls.delete(id);
+    this.emit('ballremove', { id });
+    
+    console.log(`DiscoBall "${id}" removed`);
+    return true;
+  }
+
+  /**
+   * 从场景移除灯球并释放它的光束和光斑
+   */
+  disposeBall(ball) {
+    this.finishReconfigureFade(ball);
+    
+    if (ball.lightSpotSystem) {
+      this.scene.remove(ball.lightSpotSystem.getSpotGroup());
+      ball.lightSpotSystem.dispose();
+    }
+    if (ball.lightBeamSystem) {
+      this.scene.remove(ball.lightBeamSystem.getBeamGroup());
+      this.scene.remove(ball.lightBeamSystem.getFlareGroup());
+      ball.lightBeamSystem.dispose();
+    }
+    if (ball.discoBall.getMesh()) {
+      this.scene.remove(ball.discoBall.getMesh());
+    }
+    ball.discoBall.dispose();
+  }
+
+  /**
+   * 按id获取灯球
+   * @returns {{id: string, discoBall: DiscoBall, lightBeamSystem: LightBeamSystem, lightSpotSystem: LightSpotSystem|null}|null}
+   */
+  getBall(id) {
+    const ball = this.balls.get(id);
+    if (!ball) return null;
+    
+    const { discoBall, lightBeamSystem, lightSpotSystem } = ball;
+    return { id, discoBall, lightBeamSystem, lightSpotSystem };
+  }
+
+  /**
+   * 获取所有灯球id（主灯球在最前）
+   */
+  getBallIds() {
+    return [...this.balls.keys()];
+  }
+
+  /**
+   * 对每个灯球执行回调（音频联动等需要作用于所有灯球的操作）
+   * @param {Function} callback (ball, id) => void，ball 格式同 getBall
+   */
+  forEachBall(callback) {
+    this.getBallIds().forEach(id => callback(this.getBall(id), id));
+  }
+
+  /**
+   * 设置多灯球同步：rotation 时其他灯球跟随主灯球旋转，color 时对齐主灯球的颜色相位
+   * @param {{rotation?: boolean, color?: boolean}} sync
+   */
+  setBallSync(sync = {}) {
+    if (sync.rotation !== undefined) this.ballSync.rotation = !!sync.rotation;
+    if (sync.color !== undefined) this.ballSync.color = !!sync.color;
+  }
+
+  /**
+   * 获取多灯球同步设置
+   */
+  getBallSync() {
+    return { ...this.ballSync };
+  }
+
+  /**
+   * 运行时修改灯球配置（孔数、布局、半径、分段数等）并重建灯球、光束和光斑
+   * 旋转状态、颜色相位和单光束控制会保留；duration 大于 0 时新旧灯球交叉淡化
+   * @param {Object} config DiscoBall 配置项
+   * @param {{duration?: number, ballId?: string}} [options]
+   *   duration 交叉淡化时间（毫秒），默认为 reconfigureFadeDuration；ballId 要重建的灯球，默认为主灯球
+   * @returns {boolean} 是否重建成功
+   */
+  reconfigure(config = {}, { duration = this.options.reconfigureFadeDuration, ballId = PRIMARY_BALL_ID } = {}) {
+    const ball = this.balls.get(ballId);
+    if (!ball) return false;
+    
+    // 上一次重建的过渡还没结束时直接完成
+    this.finishReconfigureFade(ball);
+    
+    const { discoBall, lightBeamSystem, lightSpotSystem } = ball;
+    const previousConfig = discoBall.getConfig();
+    const previousMesh = discoBall.rebuild(config);
+    const mesh = discoBall.getMesh();
+    this.scene.add(mesh);
+    
+    const previousBeams = lightBeamSystem ? lightBeamSystem.rebuildBeams() : null;
+    if (lightBeamSystem) {
+      lightBeamSystem.syncWithDiscoBall();
+    }
+    if (lightSpotSystem) {
+      lightSpotSystem.rebuildSpots();
+    }
+    
+    // 半径变化时更新吊链长度和相机的最近距离
+    const { radius } = discoBall.config;
+    if (radius !== previousConfig.radius) {
+      if (ballId === PRIMARY_BALL_ID) {
+        if (this.room) this.room.setBallRadius(radius);
+        if (this.cameraController) this.cameraController.setBallRadius(radius);
+      } else if (this.room) {
+        this.room.addHanger(ballId, mesh.position, radius);
+      }
+    }
+    
+    ball.reconfigureFade = {
+      elapsed: 0,
+      duration,
+      previousMesh,
+      previousBeams,
+      outgoing: previousMesh ? collectMaterials(previousMesh) : [],
+      incoming: collectMaterials(mesh)
+    };
+    
+    if (previousMesh && duration > 0) {
+      // 旧光束挂到旧灯球上，随它一起转动并淡出
+      previousMesh.updateMatrixWorld();
+      if (previousBeams) previousMesh.attach(previousBeams.mesh);
+      this.updateReconfigureFade(ball, 0);
+    } else {
+      this.finishReconfigureFade(ball);
+    }
+    
+    this.emit('reconfigure', { id: ballId, config: discoBall.getConfig(), previousConfig });
+    console.log(`DiscoBall "${ballId}" reconfigured:`, Object.keys(config).join(', '));
+    return true;
+  }
+
+  /**
+   * 推进重建后的交叉淡化
+   */
+  updateReconfigureFade(ball, deltaTime) {
+    const fade = ball.reconfigureFade;
+    if (!fade) return;
+    
+    fade.elapsed += deltaTime;
+    const t = Math.min(1, fade.elapsed / Math.max(fade.duration, 1));
+    
+    // 旧灯球跟随新灯球的朝向
+    const mesh = ball.discoBall.getMesh();
+    fade.previousMesh.position.copy(mesh.position);
+    fade.previousMesh.quaternion.copy(mesh.quaternion);
+    
+    fadeMaterials(fade.outgoing, 1 - t);
+    fadeMaterials(fade.incoming, t);
+    if (ball.lightBeamSystem && fade.previousBeams) {
+      ball.lightBeamSystem.fadeBeams(fade.previousBeams, 1 - t);
+    }
+    if (ball.lightBeamSystem) {
+      ball.lightBeamSystem.setLevel(t);
+    }
+    
+    if (t >= 1) {
+      this.finishReconfigureFade(ball);
+    }
+  }
+
+  /**
+   * 结束交叉淡化：释放旧灯球和旧光束，恢复新灯球的材质
+   */
+  finishReconfigureFade(ball) {
+    const fade = ball.reconfigureFade;
+    if (!fade) return;
+    
+    ball.reconfigureFade = null;
+    
+    if (ball.lightBeamSystem) {
+      ball.lightBeamSystem.disposeBeams(fade.previousBeams);
+      ball.lightBeamSystem.setLevel(1);
+    }
+    if (fade.previousMesh) {
+      this.scene.remove(fade.previousMesh);
+      ball.discoBall.disposeMesh(fade.previousMesh);
+    }
+    restoreMaterials(fade.incoming);
+  }
+
+  /**
+   * 创建舞厅房间
+   */
+  createRoom() {
+    if (!this.options.enableRoom) return;
+    
+    this.room = new DanceFloorRoom({
+      ballRadius: this.discoBall ? this.discoBall.config.radius : 2,
+      ...this.options.room
+    });
+    
+    this.scene.add(this.room.getGroup());
+    this.fitShadowCameraToRoom();
+    
+    console.log('DanceFloorRoom created and added to scene');
+  }
+
+  /**
+   * 让主光源的阴影相机覆盖整个房间地板
+   */
+  fitShadowCameraToRoom() {
+    if (!this.room || !this.mainLight) return;
+    
+    const { width, depth, height } = this.room.config;
+    const halfExtent = Math.max(width, depth) / 2;
+    const shadowCamera = this.mainLight.shadow.camera;
+    
+    shadowCamera.left = -halfExtent;
+    shadowCamera.right = halfExtent;
+    shadowCamera.top = halfExtent;
+    shadowCamera.bottom = -halfExtent;
+    shadowCamera.far = this.mainLight.position.length() + Math.max(halfExtent, height) * 2;
+    shadowCamera.updateProjectionMatrix();
   }
 
   /**
@@ -173,14 +744,62 @@ export class RenderEngine {
     }
 
     // 根据设备性能调整光束配置
-    const beamConfig = this.getLightBeamConfig();
+    this.lightBeamSystem = this.createBeamSystem(this.discoBall, this.getLightBeamConfig());
+    this.balls.get(PRIMARY_BALL_ID).lightBeamSystem = this.lightBeamSystem;
     
-    this.lightBeamSystem = new LightBeamSystem(this.discoBall, beamConfig);
+    console.log('LightBeamSystem created and added to scene');
+  }
+
+  /**
+   * 为灯球创建光束系统并添加到场景
+   */
+  createBeamSystem(discoBall, beamConfig) {
+    const lightBeamSystem = new LightBeamSystem(discoBall, beamConfig);
     
-    // 将光束组添加到场景
-    this.scene.add(this.lightBeamSystem.getBeamGroup());
+    // 将光束组和眩光组添加到场景
+    this.scene.add(lightBeamSystem.getBeamGroup());
+    this.scene.add(lightBeamSystem.getFlareGroup());
+    lightBeamSystem.setCamera(this.camera);
+    lightBeamSystem.syncWithDiscoBall();
     
-    console.log('LightBeamSystem created and added to scene');
+    return lightBeamSystem;
+  }
+
+  /**
+   * 创建反射光斑系统
+   */
+  createLightSpotSystem() {
+    if (!this.lightBeamSystem) return;
+    
+    this.lightSpotSystem = this.createSpotSystem(this.lightBeamSystem);
+    this.balls.get(PRIMARY_BALL_ID).lightSpotSystem = this.lightSpotSystem;
+    
+    if (this.lightSpotSystem) {
+      console.log('LightSpotSystem created and added to scene');
+    }
+  }
+
+  /**
+   * 为光束系统创建反射光斑并添加到场景（未启用光斑时返回 null）
+   */
+  createSpotSystem(lightBeamSystem) {
+    if (!this.options.enableLightSpots) return null;
+    
+    const spotConfig = {
+      maxDistance: this.deviceInfo.performanceLevel === 'low' ? 30 : 60
+    };
+    
+    // 光斑投射到房间实际的墙面上
+    if (this.room) {
+      spotConfig.room = this.room.getBounds();
+    }
+    
+    const lightSpotSystem = new LightSpotSystem(lightBeamSystem, spotConfig);
+    
+    // 将光斑组添加到场景
+    this.scene.add(lightSpotSystem.getSpotGroup());
+    
+    return lightSpotSystem;
   }
 
   /**
@@ -192,28 +811,31 @@ export class RenderEngine {
     const baseConfig = {
       beamLength: 8,
       beamRadius: 0.3,
-      beamTipRadius: 0.05,
+      spreadAngle: 0.05,        // 光束向外扩散的半角（弧度）
+      falloff: 'inverse-square',
+      falloffDistance: 4,
       beamSegments: 8,
       beamOpacity: 0.8,
       beamIntensity: 2.0,
       colorMode: 'rainbow',
-      animationSpeed: 0.02
+      animationSpeed: 0.02,
+      shadingMode: 'volumetric',
+      floorY: this.room ? this.room.config.floorY : null
     };
     
-    // 根据性能等级调整
+    // 根据设备性能等级调整外观（分段数和眩光数量跟随当前质量等级）
     const performanceConfig = {
       low: {
         beamLength: 6,
         beamRadius: 0.2,
-        beamSegments: 6,
         beamOpacity: 0.6,
         beamIntensity: 1.5,
-        animationSpeed: 0.015
+        animationSpeed: 0.015,
+        shadingMode: 'basic' // 低性能设备使用简单着色
       },
       medium: {
         beamLength: 7,
         beamRadius: 0.25,
-        beamSegments: 8,
         beamOpacity: 0.7,
         beamIntensity: 1.8,
         animationSpeed: 0.018
@@ -221,7 +843,6 @@ export class RenderEngine {
       high: {
         beamLength: 8,
         beamRadius: 0.3,
-        beamSegments: 8,
         beamOpacity: 0.8,
         beamIntensity: 2.0,
         animationSpeed: 0.02
@@ -230,7 +851,9 @@ export class RenderEngine {
     
     return {
       ...baseConfig,
-      ...performanceConfig[performanceLevel]
+      ...performanceConfig[performanceLevel],
+      ...QUALITY_SETTINGS[this.getQualityLevel()],
+      ...this.options.lightBeams
     };
   }
 
@@ -266,6 +889,21 @@ export class RenderEngine {
     return segmentCounts[performanceLevel] || 32;
   }
 
+  /**
+   * 根据设备性能获取镜面方块数量
+   */
+  getTileCount() {
+    const { performanceLevel } = this.deviceInfo;
+    
+    const tileCounts = {
+      low: 400,
+      medium: 800,
+      high: 1500
+    };
+    
+    return tileCounts[performanceLevel] || 1500;
+  }
+
   /**
    * 获取迪斯科球实例
    */
@@ -273,6 +911,13 @@ export class RenderEngine {
     return this.discoBall;
   }
 
+  /**
+   * 获取光束系统实例
+   */
+  getLightBeamSystem() {
+    return this.lightBeamSystem;
+  }
+
   /**
    * 设置事件监听器
    */
@@ -330,7 +975,7 @@ export class RenderEngine {
    * 获取响应式配置
    */
   getResponsiveConfig() {
-    const { screenSize, performanceLevel, isMobile } = this.deviceInfo;
+    const { screenSize } = this.deviceInfo;
     
     // 基础配置
     const baseConfig = {
@@ -407,7 +1052,7 @@ export class RenderEngine {
     return {
       ...baseConfig,
       ...sizeConfig[screenSize],
-      ...performanceConfig[performanceLevel]
+      ...performanceConfig[this.getQualityLevel()]
     };
   }
 
@@ -437,21 +1082,15 @@ export class RenderEngine {
     // 更新渲染器设置
     this.renderer.setPixelRatio(config.pixelRatio);
     
-    // 更新阴影设置
-    if (config.enableShadows !== this.renderer.shadowMap.enabled) {
-      this.renderer.shadowMap.enabled = config.enableShadows;
-      
-      // 更新场景中的光源阴影设置
-      this.scene.traverse((child) => {
-        if (child.isLight && child.castShadow !== undefined) {
-          child.castShadow = config.enableShadows;
-          if (child.shadow && child.shadow.mapSize) {
-            child.shadow.mapSize.setScalar(config.shadowMapSize);
-          }
-        }
-      });
+    // 更新后期处理质量
+    if (this.postProcessing) {
+      this.postProcessing.setPixelRatio(config.pixelRatio);
+      this.postProcessing.setQuality(this.getQualityLevel());
     }
     
+    // 更新阴影设置
+    this.setShadowsEnabled(config.enableShadows, config.shadowMapSize);
+    
     // 更新雾效果
     if (config.enableFog && !this.scene.fog) {
       this.scene.fog = new THREE.Fog(0x0a0a0a, 10, 50);
@@ -461,13 +1100,38 @@ export class RenderEngine {
     
     // 更新相机设置
     this.camera.fov = config.fov;
-    this.camera.position.z = config.cameraDistance;
     this.camera.updateProjectionMatrix();
+    if (this.cameraController) {
+      // 在用户当前的环绕角度和缩放比例上应用新的基准距离
+      this.cameraController.updateLimits();
+      this.cameraController.setBaseDistance(config.cameraDistance);
+    } else {
+      this.camera.position.z = config.cameraDistance;
+    }
     
     // 更新帧率
     this.setFrameRate(config.targetFPS);
     
-    console.log(`Applied responsive settings for ${this.deviceInfo.screenSize} (${this.deviceInfo.performanceLevel} performance)`);
+    console.log(`Applied responsive settings for ${this.deviceInfo.screenSize} (${this.getQualityLevel()} quality)`);
+  }
+
+  /**
+   * 开启/关闭阴影，同步场景中光源的阴影设置
+   */
+  setShadowsEnabled(enabled, shadowMapSize) {
+    if (enabled === this.renderer.shadowMap.enabled) return;
+    
+    this.renderer.shadowMap.enabled = enabled;
+    
+    // 更新场景中的光源阴影设置
+    this.scene.traverse((child) => {
+      if (child.isLight && child.castShadow !== undefined) {
+        child.castShadow = enabled;
+        if (child.shadow && child.shadow.mapSize) {
+          child.shadow.mapSize.setScalar(shadowMapSize);
+        }
+      }
+    });
   }
 
   /**
@@ -490,6 +1154,12 @@ export class RenderEngine {
     this.renderer.setSize(width, height);
     this.renderer.setPixelRatio(this.responsiveConfig.pixelRatio);
     
+    // 更新后期处理缓冲区大小
+    if (this.postProcessing) {
+      this.postProcessing.setPixelRatio(this.responsiveConfig.pixelRatio);
+      this.postProcessing.setSize(width, height);
+    }
+    
     console.log(`Renderer resized to: ${width}x${height} (${this.deviceInfo.screenSize})`);
   }
 
@@ -509,19 +1179,33 @@ export class RenderEngine {
   render(currentTime = 0) {
     this.animationId = requestAnimationFrame(this.render);
     
+    // 按实测帧时间调节画质：在帧率限制之前记录 rAF 间隔，帧率限制跳过的回调不影响测量
+    if (this.qualityGovernor) {
+      if (this.lastTickTime !== null) {
+        this.qualityGovernor.recordTick(currentTime - this.lastTickTime, this.renderedLastTick, this.frameInterval);
+      }
+      this.lastTickTime = currentTime;
+      this.renderedLastTick = false;
+    }
+    
     // 帧率控制
     const deltaTime = currentTime - this.lastTime;
     if (deltaTime < this.frameInterval) {
       return;
     }
     this.lastTime = currentTime - (deltaTime % this.frameInterval);
+    this.renderedLastTick = true;
     
     // 更新动画
     this.updateAnimations(deltaTime);
     
     // 执行渲染
     if (this.isInitialized && this.scene && this.camera && this.renderer) {
-      this.renderer.render(this.scene, this.camera);
+      if (this.postProcessing) {
+        this.postProcessing.render(deltaTime);
+      } else {
+        this.renderer.render(this.scene, this.camera);
+      }
     }
   }
 
@@ -529,15 +1213,63 @@ export class RenderEngine {
    * 更新所有动画
    */
   updateAnimations(deltaTime) {
-    // 更新迪斯科球旋转
-    if (this.discoBall) {
-      this.discoBall.updateRotation(deltaTime);
+    // 更新相机（阻尼和自动路径）
+    if (this.cameraController) {
+      this.cameraController.update(deltaTime);
     }
     
-    // 更新光束系统
-    if (this.lightBeamSystem) {
-      this.lightBeamSystem.update(deltaTime);
+    const primary = this.balls.get(PRIMARY_BALL_ID);
+    
+    // 更新迪斯科球旋转（同步旋转时其他灯球跟随主灯球）
+    this.balls.forEach(ball => {
+      if (this.ballSync.rotation && primary && ball !== primary) {
+        ball.discoBall.copyRotationFrom(primary.discoBall);
+      } else {
+        ball.discoBall.updateRotation(deltaTime);
+      }
+      
+      // 推进重建灯球的交叉淡化
+      this.updateReconfigureFade(ball, deltaTime);
+    });
+    
+    // 同步颜色时先对齐颜色相位，各光束系统再按相同的时间推进
+    if (this.ballSync.color && primary && primary.lightBeamSystem) {
+      this.balls.forEach(ball => {
+        if (ball !== primary && ball.lightBeamSystem) {
+          ball.lightBeamSystem.copyPhaseFrom(primary.lightBeamSystem);
+        }
+      });
     }
+    
+    this.balls.forEach(ball => {
+      // 更新光束系统
+      if (ball.lightBeamSystem) {
+        ball.lightBeamSystem.update(deltaTime);
+      }
+      
+      // 更新反射光斑（依赖光束同步后的方向）
+      if (ball.lightSpotSystem) {
+        ball.lightSpotSystem.update();
+      }
+    });
+    
+    // 执行外部更新回调
+    this.updateHandlers.forEach(handler => handler(deltaTime));
+  }
+
+  /**
+   * 注册每帧更新回调，返回取消注册的函数
+   */
+  addUpdateHandler(handler) {
+    this.updateHandlers.push(handler);
+    return () => this.removeUpdateHandler(handler);
+  }
+
+  /**
+   * 移除每帧更新回调
+   */
+  removeUpdateHandler(handler) {
+    this.updateHandlers = this.updateHandlers.filter(h => h !== handler);
   }
 
   /**
@@ -571,6 +1303,20 @@ export class RenderEngine {
     return this.renderer;
   }
 
+  /**
+   * 获取相机控制器
+   */
+  getCameraController() {
+    return this.cameraController;
+  }
+
+  /**
+   * 获取后期处理管线（用于添加自定义效果）
+   */
+  getPostProcessing() {
+    return this.postProcessing;
+  }
+
   /**
    * 设置帧率
    */
@@ -594,7 +1340,8 @@ export class RenderEngine {
         pixelRatio: this.renderer ? this.renderer.getPixelRatio() : null,
         frameRate: this.frameRate,
         shadowsEnabled: this.renderer ? this.renderer.shadowMap.enabled : null
-      }
+      },
+      quality: this.qualityGovernor ? this.qualityGovernor.getState() : { level: this.getQualityLevel(), locked: true }
     };
   }
 
@@ -619,17 +1366,46 @@ export class RenderEngine {
     
     // 移除事件监听器
     window.removeEventListener('resize', this.onWindowResize);
+    this.updateHandlers = [];
+    this.removeAllListeners();
+    
+    // 清理所有灯球（包括进行中的重建过渡）及其光束系统和反射光斑
+    this.balls.forEach(ball => this.disposeBall(ball));
+    this.balls.clear();
+    this.discoBall = null;
+    this.lightBeamSystem = null;
+    this.lightSpotSystem = null;
+    
+    // 清理舞厅房间
+    if (this.room) {
+      this.room.dispose();
+      this.room = null;
+    }
+    
+    this.mainLight = null;
+    
+    // 清理灯球抓取控制器
+    if (this.ballGrabController) {
+      this.ballGrabController.dispose();
+      this.ballGrabController = null;
+    }
+    
+    // 清理相机控制器
+    if (this.cameraController) {
+      this.cameraController.dispose();
+      this.cameraController = null;
+    }
     
-    // 清理迪斯科球
-    if (this.discoBall) {
-      this.discoBall.dispose();
-      this.discoBall = null;
+    // 清理后期处理管线
+    if (this.postProcessing) {
+      this.postProcessing.dispose();
+      this.postProcessing = null;
     }
     
-    // 清理光束系统
-    if (this.lightBeamSystem) {
-      this.lightBeamSystem.dispose();
-      this.lightBeamSystem = null;
+    // 清理画质调节器
+    if (this.qualityGovernor) {
+      this.qualityGovernor.dispose();
+      this.qualityGovernor = null;
     }
     
     // 清理Three.js资源
@@ -0,0 +1,431 @@
+import { EventEmitter } from './EventEmitter.js';
+import { flatten, setPath } from './ControlManager.js';
+
+/**
+ * 缓动曲线（输入输出均为 0-1）
+ */
+export const EASINGS = {
+  linear: t => t,
+  step: t => (t < 1 ? 0 : 1),
+  easeInQuad: t => t * t,
+  easeOutQuad: t => t * (2 - t),
+  easeInOutQuad: t => (t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t),
+  easeInCubic: t => t * t * t,
+  easeOutCubic: t => 1 - Math.pow(1 - t, 3),
+  easeInOutCubic: t => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+  easeInOutSine: t => -(Math.cos(Math.PI * t) - 1) / 2
+};
+
+// 演出可以控制的状态路径（与 ControlManager 一致）
+const SHOW_PATHS = [
+  'rotation.speed',
+  'rotation.direction',
+  'rotation.followTempo',
+  'colorMode',
+  'palette',
+  'intensity',
+  'opacity'
+];
+
+/**
+ * 解析时间：秒数或 "分:秒" 字符串（如 "1:05.5"）
+ */
+export function parseShowTime(value) {
+  if (typeof value === 'number' && isFinite(value) && value >= 0) return value;
+
+  if (typeof value === 'string') {
+    const match = value.trim().match(/^(?:(\d+):)?(\d+(?:\.\d+)?)$/);
+    if (match) {
+      return (match[1] ? Number(match[1]) * 60 : 0) + Number(match[2]);
+    }
+  }
+
+  throw new Error(`Invalid show time: ${JSON.stringify(value)}`);
+}
+
+/**
+ * ShowSequencer - 灯光秀时间轴
+ * 按关键帧提示（cue）驱动 ControlManager 状态，时钟可以是内部计时或音乐播放位置。
+ * 跟随音乐时演出随音乐暂停；程序化音乐没有时间轴，开始播放时把演出当前时间对齐到音乐位置，跳转只移动演出。
+ *
+ * 演出JSON格式：
+ * {
+ *   "name": "Friday set",            // 可选
+ *   "duration": "3:00",              // 可选，默认为最后一个提示结束的时间
+ *   "loop": false,                   // 可选，到结尾后是否从头循环
+ *   "cues": [
+ *     { "time": "0:32", "set": { "colorMode": "strobe" } },
+ *     { "time": 32, "duration": 2, "easing": "easeInOutQuad", "set": { "rotation": { "speed": 4.0 } } },
+ *     { "time": "1:05", "set": { "rotation.direction": -1 } }
+ *   ]
+ * }
+ * time 为秒数或 "分:秒"；set 可以是嵌套对象或点路径，可用路径见 SHOW_PATHS；
+ * 数值属性在 duration 秒内按 easing 从当前值过渡，其他属性在提示时间立即切换。
+ * 控制 rotation.speed 的演出在播放期间关闭 rotation.followTempo（除非演出自己控制它），停止时恢复。
+ */
+export class ShowSequencer extends EventEmitter {
+  constructor(controlManager, config = {}) {
+    super();
+
+    this.controlManager = controlManager;
+
+    // 配置参数
+    this.config = {
+      audioManager: config.audioManager || null, // 有音源（曲目或程序化音乐）时跟随音乐时间
+      clock: config.clock || 'auto',             // 时钟: 'auto' | 'audio' | 'internal'
+      ...config
+    };
+
+    // 当前演出
+    this.show = null;
+    this.cues = [];
+    this.tracks = new Map();   // 路径 -> 按时间排序的提示片段
+    this.baseState = {};       // 加载演出时各路径的初始值
+    this.lastApplied = {};     // 上次写入的值，只在变化时写入
+
+    // 播放状态
+    this.isPlaying = false;
+    this.currentTime = 0;
+    this.lastTime = 0;
+    this.audioOffset = 0;      // 跟随音乐时当前循环起点的音乐时间（音乐时间不会随演出循环倒回）
+  }
+
+  /**
+   * 加载演出（JSON对象或字符串）
+   */
+  load(show) {
+    const data = typeof show === 'string' ? JSON.parse(show) : show;
+    if (!data || !Array.isArray(data.cues)) {
+      throw new Error('Show must have a "cues" array');
+    }
+
+    this.stop();
+
+    this.cues = data.cues
+      .map((cue, index) => this.parseCue(cue, index))
+      .sort((a, b) => a.time - b.time || a.index - b.index);
+
+    // 按路径拆分为轨道
+    this.tracks = new Map();
+    this.cues.forEach(cue => {
+      Object.entries(cue.set).forEach(([path, value]) => {
+        if (!this.tracks.has(path)) this.tracks.set(path, []);
+        this.tracks.get(path).push({ time: cue.time, duration: cue.duration, easing: cue.easing, value });
+      });
+    });
+
+    // 与手动选择速度档位一致：演出设定的转速不能被检测到的节奏覆盖
+    if (this.tracks.has('rotation.speed') && !this.tracks.has('rotation.followTempo')) {
+      this.tracks.set('rotation.followTempo', [{ time: 0, duration: 0, easing: 'linear', value: false }]);
+    }
+
+    const lastCueEnd = this.cues.reduce((end, cue) => Math.max(end, cue.time + cue.duration), 0);
+    this.show = {
+      name: data.name || 'Untitled show',
+      duration: data.duration !== undefined ? parseShowTime(data.duration) : lastCueEnd,
+      loop: !!data.loop
+    };
+
+    this.captureBaseState();
+    this.emit('load', this.getState());
+
+    console.log(`Show "${this.show.name}" loaded with ${this.cues.length} cues`);
+    return this.show;
+  }
+
+  /**
+   * 解析并校验单个提示
+   */
+  parseCue(cue, index) {
+    if (!cue || typeof cue !== 'object' || !cue.set || typeof cue.set !== 'object') {
+      throw new Error(`Cue ${index} must have a "set" object`);
+    }
+
+    const easing = cue.easing || 'linear';
+    if (!EASINGS[easing]) {
+      throw new Error(`Cue ${index} has unknown easing "${easing}"`);
+    }
+
+    const set = flatten(cue.set);
+    Object.keys(set).forEach(path => {
+      if (!SHOW_PATHS.includes(path)) {
+        throw new Error(`Cue ${index} targets unsupported property "${path}"`);
+      }
+    });
+
+    return {
+      index,
+      label: cue.label || null,
+      time: parseShowTime(cue.time),
+      duration: cue.duration !== undefined ? parseShowTime(cue.duration) : 0,
+      easing,
+      set
+    };
+  }
+
+  /**
+   * 记录演出开始前各路径的值（作为第一个过渡的起点和停止时的恢复值）
+   */
+  captureBaseState() {
+    this.baseState = {};
+    this.tracks.forEach((track, path) => {
+      this.baseState[path] = this.controlManager.get(path);
+    });
+    this.lastApplied = {};
+  }
+
+  /**
+   * 计算某路径在时间 time 的值
+   */
+  getValueAt(path, time) {
+    const track = this.tracks.get(path);
+    let value = this.baseState[path];
+    if (!track) return value;
+
+    for (let i = 0; i < track.length; i++) {
+      const segment = track[i];
+      if (segment.time > time) break;
+
+      // 下一个提示开始时当前过渡被打断
+      const next = track[i + 1];
+      const until = next && next.time <= time ? next.time : time;
+      value = this.evaluateSegment(segment, value, until);
+    }
+    return value;
+  }
+
+  /**
+   * 计算单个提示片段在时间 time 的值
+   */
+  evaluateSegment(segment, from, time) {
+    const numeric = typeof segment.value === 'number' && typeof from === 'number';
+    if (!numeric || segment.duration <= 0) return segment.value;
+
+    const progress = Math.max(0, Math.min(1, (time - segment.time) / segment.duration));
+    return from + (segment.value - from) * EASINGS[segment.easing](progress);
+  }
+
+  /**
+   * 是否使用音乐时间作为时钟
+   */
+  usesAudioClock() {
+    const { audioManager, clock } = this.config;
+    if (clock === 'internal' || !audioManager) return false;
+    return audioManager.hasSource();
+  }
+
+  /**
+   * 音乐能否跳转（程序化音乐没有时间轴）
+   */
+  canSeekAudio() {
+    return this.config.audioManager.getDuration() > 0;
+  }
+
+  /**
+   * 开始播放
+   */
+  play() {
+    if (!this.show || this.isPlaying) return;
+
+    this.isPlaying = true;
+    if (this.usesAudioClock()) {
+      const { audioManager } = this.config;
+      if (!this.canSeekAudio()) {
+        this.audioOffset = audioManager.getCurrentTime() - this.currentTime;
+      }
+      if (!audioManager.isPlaying) {
+        // 音乐无法播放（例如自动播放策略）时演出也暂停，避免停在原处
+        Promise.resolve(audioManager.play()).catch(error => {
+          console.warn('Failed to start show audio:', error.message);
+          this.pause();
+        });
+      }
+    }
+
+    this.applyAt(this.currentTime, true);
+    this.emit('play', this.getState());
+  }
+
+  /**
+   * 暂停
+   */
+  pause() {
+    if (!this.isPlaying) return;
+
+    this.isPlaying = false;
+    if (this.usesAudioClock() && this.config.audioManager.isPlaying) {
+      this.config.audioManager.pause();
+    }
+    this.emit('pause', this.getState());
+  }
+
+  /**
+   * 停止并恢复演出开始前的状态
+   */
+  stop() {
+    const wasActive = this.isPlaying || this.currentTime > 0;
+    this.pause();
+    this.currentTime = 0;
+    this.lastTime = 0;
+    this.audioOffset = 0;
+
+    if (wasActive && Object.keys(this.baseState).length > 0) {
+      this.controlManager.setState(this.toPatch(this.baseState), { record: false });
+      this.lastApplied = {};
+      this.emit('stop', this.getState());
+    }
+  }
+
+  /**
+   * 跳转到指定时间（秒或 "分:秒"）
+   */
+  seek(time) {
+    if (!this.show) return;
+
+    const target = Math.max(0, Math.min(this.show.duration, parseShowTime(time)));
+    this.currentTime = target;
+    this.lastTime = target;
+    this.audioOffset = 0;
+
+    if (this.usesAudioClock()) {
+      if (this.canSeekAudio()) {
+        this.config.audioManager.seek(target);
+      } else {
+        this.audioOffset = this.config.audioManager.getCurrentTime() - target;
+      }
+    }
+
+    this.applyAt(target, true);
+    this.emit('seek', this.getState());
+  }
+
+  /**
+   * 设置是否循环
+   */
+  setLoop(loop) {
+    if (this.show) {
+      this.show.loop = !!loop;
+    }
+  }
+
+  /**
+   * 每帧更新（deltaTime 为毫秒）
+   */
+  update(deltaTime) {
+    if (!this.show || !this.isPlaying) return;
+
+    const { duration, loop } = this.show;
+    const audioClock = this.usesAudioClock();
+    let time = this.currentTime + deltaTime * 0.001;
+    if (audioClock) {
+      const audioTime = this.config.audioManager.getCurrentTime();
+      // 音乐被跳回到当前循环起点之前时，重新对齐循环起点
+      if (audioTime < this.audioOffset) {
+        this.audioOffset = loop && duration > 0 ? Math.floor(audioTime / duration) * duration : 0;
+      }
+      time = audioTime - this.audioOffset;
+    }
+
+    if (time >= duration && !loop) {
+      time = duration;
+    }
+
+    // 越过结尾时先触发剩余提示再从头开始
+    const looped = loop && duration > 0 && time >= duration;
+    if (looped) {
+      this.emitCues(this.lastTime, duration, false);
+      const loops = Math.floor(time / duration);
+      time -= loops * duration;
+      if (audioClock) {
+        this.audioOffset += loops * duration;
+      }
+    }
+
+    const jumped = looped || time < this.lastTime;
+    if (looped) {
+      this.emit('loop', { time });
+      this.lastTime = 0;
+    } else if (jumped) {
+      // 外部跳转（如拖动音乐进度）时不补发之前的提示
+      this.lastTime = time;
+    }
+
+    this.emitCues(this.lastTime, time, looped);
+    this.currentTime = time;
+    this.lastTime = time;
+    this.applyAt(time, jumped);
+
+    if (!loop && time >= duration) {
+      this.isPlaying = false;
+      this.emit('end', this.getState());
+    }
+  }
+
+  /**
+   * 触发 (from, to] 区间内的提示事件
+   */
+  emitCues(from, to, inclusive) {
+    this.cues.forEach(cue => {
+      const started = inclusive ? cue.time >= from : cue.time > from;
+      if (started && cue.time <= to) {
+        this.emit('cue', { index: cue.index, label: cue.label, time: cue.time, set: { ...cue.set } });
+      }
+    });
+  }
+
+  /**
+   * 把时间 time 的演出状态写入 ControlManager（不记录撤销历史）
+   * @param {boolean} force 是否忽略上次写入的值全部重写
+   */
+  applyAt(time, force = false) {
+    const values = {};
+
+    this.tracks.forEach((track, path) => {
+      const value = this.getValueAt(path, time);
+      if (force || value !== this.lastApplied[path]) {
+        values[path] = value;
+        this.lastApplied[path] = value;
+      }
+    });
+
+    if (Object.keys(values).length > 0) {
+      this.controlManager.setState(this.toPatch(values), { record: false });
+    }
+  }
+
+  /**
+   * 把 { 'a.b': value } 转换为嵌套的状态补丁
+   */
+  toPatch(values) {
+    const patch = {};
+    Object.entries(values).forEach(([path, value]) => setPath(patch, path, value));
+    return patch;
+  }
+
+  /**
+   * 获取播放状态
+   */
+  getState() {
+    return {
+      name: this.show ? this.show.name : null,
+      duration: this.show ? this.show.duration : 0,
+      loop: this.show ? this.show.loop : false,
+      isPlaying: this.isPlaying,
+      currentTime: this.currentTime,
+      clock: this.usesAudioClock() ? 'audio' : 'internal'
+    };
+  }
+
+  /**
+   * 清理资源
+   */
+  dispose() {
+    this.pause();
+    this.removeAllListeners();
+    this.show = null;
+    this.cues = [];
+    this.tracks.clear();
+    this.baseState = {};
+    this.lastApplied = {};
+  }
+}
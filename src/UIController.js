@@ -0,0 +1,340 @@
+// 旋转速度档位（慢/中/快）
+const SPEED_PRESETS = [
+  { label: '慢', value: 0.5 },
+  { label: '中', value: 1.0 },
+  { label: '快', value: 2.0 }
+];
+
+// 颜色模式选项
+const COLOR_MODE_OPTIONS = [
+  { label: '七彩', value: 'rainbow' },
+  { label: '随机', value: 'random' },
+  { label: '白光', value: 'white' }
+];
+
+// 动态图案模式选项
+const PATTERN_MODE_OPTIONS = [
+  { label: '追逐', value: 'chase' },
+  { label: '波浪', value: 'wave' },
+  { label: '互补', value: 'complementary' },
+  { label: '频闪', value: 'strobe' },
+  { label: '双色', value: 'split' }
+];
+
+/**
+ * UIController - 用户界面控制器类
+ * 创建可折叠的控制面板（播放/暂停、旋转方向和速度、颜色模式和图案、强度/透明度），
+ * 所有操作都通过 ControlManager 修改状态，并订阅状态变化刷新界面
+ */
+export class UIController {
+  constructor(controlManager, config = {}) {
+    this.controlManager = controlManager;
+
+    // 配置参数
+    this.config = {
+      container: config.container || document.body, // 面板挂载的父元素
+      isMobile: config.isMobile || false,            // 移动端使用触摸尺寸控件
+      collapsed: config.collapsed !== undefined ? config.collapsed : !!config.isMobile, // 初始是否折叠
+      maxIntensity: config.maxIntensity || 4.0,      // 强度滑块上限
+      ...config
+    };
+
+    // 界面元素
+    this.elements = {
+      panel: null,
+      toggleButton: null,
+      body: null,
+      playButton: null,
+      directionButtons: [],
+      speedButtons: [],
+      colorModeButtons: [],
+      patternModeButtons: [],
+      intensitySlider: null,
+      opacitySlider: null
+    };
+
+    this.unsubscribe = null;
+    this.isCollapsed = this.config.collapsed;
+  }
+
+  /**
+   * 初始化UI元素
+   */
+  init() {
+    this.createPanel();
+    this.bindEvents();
+    this.updateUI(this.controlManager.getState());
+
+    console.log('UIController initialized');
+  }
+
+  /**
+   * 创建控制面板DOM
+   */
+  createPanel() {
+    const panel = document.createElement('div');
+    panel.className = 'controls-panel';
+    panel.classList.toggle('controls-panel--touch', this.config.isMobile);
+    panel.classList.toggle('collapsed', this.isCollapsed);
+
+    // 折叠按钮
+    const toggleButton = this.createButton('控制面板', 'controls-toggle');
+    toggleButton.setAttribute('aria-expanded', String(!this.isCollapsed));
+    panel.appendChild(toggleButton);
+
+    const body = document.createElement('div');
+    body.className = 'controls-body';
+    body.id = 'controls-body';
+    toggleButton.setAttribute('aria-controls', body.id);
+
+    // 播放/暂停
+    const playButton = this.createButton('播放', 'controls-play');
+    body.appendChild(this.createGroup('音乐', [playButton]));
+
+    // 旋转方向
+    const directionButtons = [
+      this.createButton('↻ 顺时针', 'controls-option', { direction: '1' }),
+      this.createButton('↺ 逆时针', 'controls-option', { direction: '-1' })
+    ];
+    body.appendChild(this.createGroup('方向', directionButtons));
+
+    // 旋转速度
+    const speedButtons = SPEED_PRESETS.map(preset =>
+      this.createButton(preset.label, 'controls-option', { speed: String(preset.value) })
+    );
+    body.appendChild(this.createGroup('速度', speedButtons));
+
+    // 颜色模式
+    const colorModeButtons = COLOR_MODE_OPTIONS.map(option =>
+      this.createButton(option.label, 'controls-option', { colorMode: option.value })
+    );
+    body.appendChild(this.createGroup('颜色', colorModeButtons));
+
+    // 动态图案（同样是颜色模式）
+    const patternModeButtons = PATTERN_MODE_OPTIONS.map(option =>
+      this.createButton(option.label, 'controls-option', { colorMode: option.value })
+    );
+    body.appendChild(this.createGroup('图案', patternModeButtons));
+
+    // 强度/透明度
+    const intensitySlider = this.createSlider('intensity', 0, this.config.maxIntensity, 0.1);
+    const opacitySlider = this.createSlider('opacity', 0, 1, 0.05);
+    body.appendChild(this.createGroup('强度', [intensitySlider]));
+    body.appendChild(this.createGroup('透明度', [opacitySlider]));
+
+    panel.appendChild(body);
+    this.config.container.appendChild(panel);
+
+    this.elements = {
+      panel,
+      toggleButton,
+      body,
+      playButton,
+      directionButtons,
+      speedButtons,
+      colorModeButtons,
+      patternModeButtons,
+      intensitySlider,
+      opacitySlider
+    };
+  }
+
+  /**
+   * 创建按钮
+   */
+  createButton(label, className, dataset = {}) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = className;
+    button.textContent = label;
+    Object.assign(button.dataset, dataset);
+    return button;
+  }
+
+  /**
+   * 创建滑块
+   */
+  createSlider(name, min, max, step) {
+    const slider = document.createElement('input');
+    slider.type = 'range';
+    slider.className = 'controls-slider';
+    slider.name = name;
+    slider.min = String(min);
+    slider.max = String(max);
+    slider.step = String(step);
+    return slider;
+  }
+
+  /**
+   * 创建带标题的控件组
+   */
+  createGroup(title, controls) {
+    const group = document.createElement('div');
+    group.className = 'controls-group';
+    group.setAttribute('role', 'group');
+    group.setAttribute('aria-label', title);
+
+    const label = document.createElement('span');
+    label.className = 'controls-label';
+    label.textContent = title;
+    group.appendChild(label);
+
+    const row = document.createElement('div');
+    row.className = 'controls-row';
+    controls.forEach(control => row.appendChild(control));
+    group.appendChild(row);
+
+    return group;
+  }
+
+  /**
+   * 绑定事件监听器
+   */
+  bindEvents() {
+    const {
+      toggleButton,
+      playButton,
+      directionButtons,
+      speedButtons,
+      colorModeButtons,
+      patternModeButtons,
+      intensitySlider,
+      opacitySlider
+    } = this.elements;
+
+    toggleButton.addEventListener('click', () => this.setCollapsed(!this.isCollapsed));
+
+    playButton.addEventListener('click', () => this.controlManager.toggleMusic());
+
+    directionButtons.forEach(button => {
+      button.addEventListener('click', () => {
+        this.controlManager.setRotationDirection(Number(button.dataset.direction));
+      });
+    });
+
+    // 手动选择速度档位时不再跟随音乐节奏
+    speedButtons.forEach(button => {
+      button.addEventListener('click', () => {
+        this.controlManager.setState({
+          rotation: {
+            speed: Number(button.dataset.speed),
+            followTempo: false
+          }
+        });
+      });
+    });
+
+    [...colorModeButtons, ...patternModeButtons].forEach(button => {
+      button.addEventListener('click', () => {
+        this.controlManager.setColorMode(button.dataset.colorMode);
+      });
+    });
+
+    intensitySlider.addEventListener('input', () => {
+      this.controlManager.setIntensity(Number(intensitySlider.value));
+    });
+
+    opacitySlider.addEventListener('input', () => {
+      this.controlManager.setOpacity(Number(opacitySlider.value));
+    });
+
+    this.unsubscribe = this.controlManager.subscribe(state => this.updateUI(state));
+  }
+
+  /**
+   * 根据状态更新UI
+   */
+  updateUI(state) {
+    const {
+      playButton,
+      directionButtons,
+      speedButtons,
+      colorModeButtons,
+      patternModeButtons,
+      intensitySlider,
+      opacitySlider
+    } = this.elements;
+    if (!playButton) return;
+
+    playButton.textContent = state.audio.playing ? '暂停' : '播放';
+    playButton.classList.toggle('active', state.audio.playing);
+    playButton.setAttribute('aria-pressed', String(state.audio.playing));
+
+    this.setActive(directionButtons, button => Number(button.dataset.direction) === state.rotation.direction);
+    this.setActive(speedButtons, button =>
+      !state.rotation.followTempo && Math.abs(Number(button.dataset.speed) - state.rotation.speed) < 0.01
+    );
+    this.setActive([...colorModeButtons, ...patternModeButtons], button => button.dataset.colorMode === state.colorMode);
+
+    // 拖动中的滑块不回写，避免光标跳动
+    if (document.activeElement !== intensitySlider) {
+      intensitySlider.value = String(state.intensity);
+    }
+    if (document.activeElement !== opacitySlider) {
+      opacitySlider.value = String(state.opacity);
+    }
+  }
+
+  /**
+   * 设置一组按钮的选中状态
+   */
+  setActive(buttons, isActive) {
+    buttons.forEach(button => {
+      const active = isActive(button);
+      button.classList.toggle('active', active);
+      button.setAttribute('aria-pressed', String(active));
+    });
+  }
+
+  /**
+   * 折叠/展开面板
+   */
+  setCollapsed(collapsed) {
+    this.isCollapsed = !!collapsed;
+
+    if (this.elements.panel) {
+      this.elements.panel.classList.toggle('collapsed', this.isCollapsed);
+      this.elements.toggleButton.setAttribute('aria-expanded', String(!this.isCollapsed));
+    }
+  }
+
+  /**
+   * 切换触摸尺寸布局（设备类型变化时调用）
+   */
+  setTouchMode(isMobile) {
+    this.config.isMobile = !!isMobile;
+
+    if (this.elements.panel) {
+      this.elements.panel.classList.toggle('controls-panel--touch', this.config.isMobile);
+    }
+  }
+
+  /**
+   * 清理资源
+   */
+  dispose() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+
+    if (this.elements.panel && this.elements.panel.parentNode) {
+      this.elements.panel.parentNode.removeChild(this.elements.panel);
+    }
+
+    this.elements = {
+      panel: null,
+      toggleButton: null,
+      body: null,
+      playButton: null,
+      directionButtons: [],
+      speedButtons: [],
+      colorModeButtons: [],
+      patternModeButtons: [],
+      intensitySlider: null,
+      opacitySlider: null
+    };
+
+    console.log('UIController disposed');
+  }
+}
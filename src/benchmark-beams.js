@@ -0,0 +1,184 @@
+import * as THREE from 'three';
+import { DiscoBall } from './DiscoBall.js';
+import { LightBeamSystem } from './LightBeamSystem.js';
+
+/**
+ * 光束渲染基准测试（仅开发环境：npm run benchmark）
+ * 分别以 50、500、2000 个光束渲染相同的场景。rAF 间隔受垂直同步限制，不能反映负载，
+ * 这里测量每帧的实际开销：更新 + 渲染 + gl.finish() 等待 GPU 完成的总时间，
+ * 支持 EXT_disjoint_timer_query_webgl2 时另外给出 GPU 计时。
+ * 场景中只有光束网格：灯球的每个灯孔都是单独的网格，眩光是独立的精灵，都不加入场景、
+ * 以只测量光束本身（每轮的 Draw calls 应为 1）。
+ */
+const BEAM_COUNTS = [50, 500, 2000];
+const WARMUP_FRAMES = 30;
+const MEASURED_FRAMES = 300;
+
+const canvas = document.getElementById('benchmark-canvas');
+const resultsBody = document.getElementById('benchmark-results');
+const statusElement = document.getElementById('benchmark-status');
+
+const renderer = new THREE.WebGLRenderer({ canvas, antialias: true });
+renderer.setPixelRatio(1);
+renderer.setSize(canvas.clientWidth, canvas.clientHeight, false);
+
+const gl = renderer.getContext();
+const timerExtension = gl.getExtension('EXT_disjoint_timer_query_webgl2');
+
+const camera = new THREE.PerspectiveCamera(60, canvas.clientWidth / canvas.clientHeight, 0.1, 100);
+camera.position.set(0, 2, 14);
+camera.lookAt(0, 0, 0);
+
+/**
+ * 等待下一帧
+ */
+const nextFrame = () => new Promise(resolve => requestAnimationFrame(resolve));
+
+/**
+ * GPU 计时查询（结果异步可用，每帧轮询已完成的查询）
+ */
+class GpuTimer {
+  constructor() {
+    this.pending = [];
+    this.total = 0;
+    this.count = 0;
+  }
+
+  begin() {
+    if (!timerExtension) return null;
+    const query = gl.createQuery();
+    gl.beginQuery(timerExtension.TIME_ELAPSED_EXT, query);
+    return query;
+  }
+
+  end(query) {
+    if (!query) return;
+    gl.endQuery(timerExtension.TIME_ELAPSED_EXT);
+    this.pending.push(query);
+  }
+
+  poll() {
+    if (!timerExtension) return;
+
+    // 计时期间发生 GPU 频率切换等中断时结果无效，整批丢弃
+    const disjoint = gl.getParameter(timerExtension.GPU_DISJOINT_EXT);
+    this.pending = this.pending.filter(query => {
+      if (!gl.getQueryParameter(query, gl.QUERY_RESULT_AVAILABLE) && !disjoint) return true;
+      if (!disjoint) {
+        this.total += gl.getQueryParameter(query, gl.QUERY_RESULT) / 1e6;
+        this.count++;
+      }
+      gl.deleteQuery(query);
+      return false;
+    });
+  }
+
+  getAverage() {
+    return this.count > 0 ? this.total / this.count : null;
+  }
+}
+
+/**
+ * 以指定光束数量运行一轮测试
+ */
+async function runBenchmark(beamCount) {
+  const scene = new THREE.Scene();
+  scene.fog = new THREE.Fog(0x000000, 10, 40);
+
+  const discoBall = new DiscoBall({ holes: beamCount });
+  const lightBeamSystem = new LightBeamSystem(discoBall, {
+    enableLensFlare: false,
+    colorMode: 'rainbow'
+  });
+  // 灯球网格不加入场景，光束只读取它的位置和旋转
+  scene.add(lightBeamSystem.getBeamGroup());
+
+  const gpuTimer = new GpuTimer();
+  let updateTime = 0;
+  let frameCost = 0;
+  let drawCalls = 0;
+
+  for (let frame = 0; frame < WARMUP_FRAMES + MEASURED_FRAMES; frame++) {
+    await nextFrame();
+    const measuring = frame >= WARMUP_FRAMES;
+
+    const updateStart = performance.now();
+    discoBall.updateRotation(16);
+    lightBeamSystem.update(16);
+    const renderStart = performance.now();
+
+    const query = measuring ? gpuTimer.begin() : null;
+    renderer.render(scene, camera);
+    gpuTimer.end(query);
+
+    // 等待 GPU 执行完本帧的绘制，得到不受垂直同步限制的帧开销
+    gl.finish();
+    const frameEnd = performance.now();
+    gpuTimer.poll();
+
+    if (measuring) {
+      updateTime += renderStart - updateStart;
+      frameCost += frameEnd - updateStart;
+      drawCalls = renderer.info.render.calls;
+    }
+  }
+
+  // 等待剩余的计时查询结果
+  for (let frame = 0; frame < 10 && gpuTimer.pending.length > 0; frame++) {
+    await nextFrame();
+    gpuTimer.poll();
+  }
+
+  lightBeamSystem.dispose();
+  discoBall.dispose();
+  renderer.renderLists.dispose();
+
+  return {
+    beamCount,
+    frameCost: frameCost / MEASURED_FRAMES,
+    updateTime: updateTime / MEASURED_FRAMES,
+    gpuTime: gpuTimer.getAverage(),
+    drawCalls
+  };
+}
+
+/**
+ * 追加一行结果
+ */
+function appendResult(result) {
+  const row = document.createElement('tr');
+  [
+    result.beamCount,
+    result.frameCost.toFixed(2),
+    (1000 / result.frameCost).toFixed(0),
+    result.updateTime.toFixed(3),
+    result.gpuTime !== null ? result.gpuTime.toFixed(3) : 'n/a',
+    result.drawCalls
+  ].forEach(value => {
+    const cell = document.createElement('td');
+    cell.textContent = value;
+    row.appendChild(cell);
+  });
+  resultsBody.appendChild(row);
+}
+
+async function main() {
+  if (!timerExtension) {
+    console.warn('EXT_disjoint_timer_query_webgl2 not available, GPU time will not be reported');
+  }
+
+  const results = [];
+  for (const beamCount of BEAM_COUNTS) {
+    statusElement.textContent = `Running ${beamCount} beams...`;
+    const result = await runBenchmark(beamCount);
+    results.push(result);
+    appendResult(result);
+    console.log('Beam benchmark:', result);
+  }
+
+  statusElement.textContent = 'Done';
+  // 便于自动化工具读取
+  window.benchmarkResults = results;
+}
+
+main();
@@ -1,4 +1,15 @@
 import { RenderEngine } from './RenderEngine.js';
+import { AudioManager } from './AudioManager.js';
+import { BeatDetector } from './BeatDetector.js';
+import { MusicGenerator } from './MusicGenerator.js';
+import { ControlManager } from './ControlManager.js';
+import { UIController } from './UIController.js';
+import { ShowSequencer } from './ShowSequencer.js';
+import { PresetManager } from './PresetManager.js';
+
+// 默认背景音乐：把曲目放到 assets/music 目录下并填写路径（例如 '/music/disco.mp3'），
+// 为 null 时直接使用程序化生成的音乐
+const DEFAULT_TRACK_URL = null;
 
 /**
  * 主应用入口点
@@ -7,6 +18,14 @@ import { RenderEngine } from './RenderEngine.js';
 class DiscoApp {
   constructor() {
     this.renderEngine = null;
+    this.audioManager = null;
+    this.beatDetector = null;
+    this.musicGenerator = null;
+    this.beatSources = new Set();
+    this.controlManager = null;
+    this.uiController = null;
+    this.showSequencer = null;
+    this.presetManager = null;
     this.isInitialized = false;
   }
 
@@ -30,8 +49,13 @@ class DiscoApp {
         return false;
       }
 
-      // 初始化渲染引擎
-      this.renderEngine = new RenderEngine(appContainer);
+      // 初始化渲染引擎（分享链接中的预设决定灯孔数量等创建时的配置）
+      const sharedPreset = PresetManager.fromHash(window.location.hash);
+      this.renderEngine = new RenderEngine(appContainer, {
+        // 无人操作一段时间后相机自动环绕、掠过和推拉
+        cameraControls: { autoPilot: true, idleDelay: 30000 },
+        ...(sharedPreset ? PresetManager.getEngineOptions(sharedPreset) : {})
+      });
       const success = this.renderEngine.init();
       
       if (!success) {
@@ -39,6 +63,15 @@ class DiscoApp {
         return false;
       }
 
+      // 初始化音频（音乐暂停时灯球随之停止）
+      this.initAudio();
+
+      // 初始化集中状态管理
+      this.initControls();
+
+      // 场景预设（恢复分享链接中的场景）
+      this.initPresets(sharedPreset);
+
       this.isInitialized = true;
       
       // 隐藏加载屏幕
@@ -54,6 +87,183 @@ class DiscoApp {
     }
   }
 
+  /**
+   * 初始化音频管理器并加载默认曲目
+   * 音频不可用时不影响3D场景
+   */
+  initAudio() {
+    if (!AudioManager.checkAudioSupport()) {
+      console.warn('Web Audio API not supported, music disabled');
+      return;
+    }
+
+    this.audioManager = new AudioManager({
+      loop: true,
+      syncRotation: true
+    });
+    this.audioManager.init();
+    this.audioManager.attachDiscoBall(this.renderEngine.getDiscoBall());
+
+    this.initAudioReactivity();
+
+    // 没有配置音乐文件时（例如展台部署）直接使用程序化生成的音乐
+    if (!DEFAULT_TRACK_URL) {
+      this.useGeneratedMusic();
+      return;
+    }
+
+    // 音乐文件加载失败时同样改用生成的音乐
+    this.audioManager.loadTrack(DEFAULT_TRACK_URL).catch(error => {
+      console.warn('Failed to load background music, using generated music:', error.message);
+      this.useGeneratedMusic();
+    });
+  }
+
+  /**
+   * 初始化控制管理器和控制面板，统一管理旋转、颜色和音频状态
+   */
+  initControls() {
+    this.controlManager = new ControlManager();
+    this.controlManager.bind({
+      discoBall: this.renderEngine.getDiscoBall(),
+      lightBeamSystem: this.renderEngine.getLightBeamSystem(),
+      audioManager: this.audioManager
+    });
+
+    // 控制面板（移动端使用触摸尺寸控件并默认折叠）
+    this.uiController = new UIController(this.controlManager, {
+      isMobile: this.renderEngine.deviceInfo.isMobile
+    });
+    this.uiController.init();
+
+    // 灯光秀时间轴（加载了曲目时跟随音乐时间）
+    this.showSequencer = new ShowSequencer(this.controlManager, {
+      audioManager: this.audioManager
+    });
+    this.renderEngine.addUpdateHandler(deltaTime => this.showSequencer.update(deltaTime));
+  }
+
+  /**
+   * 初始化场景预设：保存到本地、导入导出JSON、通过URL hash分享
+   */
+  initPresets(sharedPreset = null) {
+    this.presetManager = new PresetManager(this.renderEngine, {
+      controlManager: this.controlManager
+    });
+
+    if (sharedPreset) {
+      this.presetManager.apply(sharedPreset);
+      // 分享的场景不算作可撤销的修改
+      this.controlManager.clearHistory();
+    }
+
+    // 在已打开的页面中粘贴分享链接时直接切换场景
+    this.onHashChange = () => this.presetManager.applyFromURL();
+    window.addEventListener('hashchange', this.onHashChange);
+  }
+
+  /**
+   * 加载灯光秀（演出JSON对象或其URL），格式见 ShowSequencer
+   */
+  async loadShow(showOrUrl, { autoplay = true } = {}) {
+    if (!this.showSequencer) return null;
+
+    let show = showOrUrl;
+    if (typeof showOrUrl === 'string') {
+      const response = await fetch(showOrUrl);
+      if (!response.ok) {
+        throw new Error(`Failed to load show: ${response.status}`);
+      }
+      show = await response.json();
+    }
+
+    const loaded = this.showSequencer.load(show);
+    if (autoplay) {
+      this.showSequencer.play();
+    }
+    return loaded;
+  }
+
+  /**
+   * 使用程序化生成的舞曲
+   */
+  useGeneratedMusic(style = 'house', bpm = 124) {
+    if (!this.audioManager) return;
+
+    if (!this.musicGenerator) {
+      this.musicGenerator = new MusicGenerator({ style, bpm });
+    } else {
+      this.musicGenerator.setStyle(style);
+      this.musicGenerator.setBpm(bpm);
+    }
+
+    this.audioManager.useGenerator(this.musicGenerator);
+  }
+
+  /**
+   * 初始化音频联动
+   * 播放时光束随节拍脉动、各组光束跟随对应频段，灯球转速跟随估算的BPM
+   */
+  initAudioReactivity() {
+    // 音频文件的节拍由 BeatDetector 检测，程序化音乐直接发布精确的节拍网格
+    this.beatDetector = new BeatDetector(this.audioManager.getAnalyser());
+    this.connectBeatSource(this.beatDetector);
+
+    // 所有灯球都跟随音乐：转速跟随节奏，有音乐时按节拍脉动，否则回到正弦脉动和统一亮度
+    const pulseMode = () => (this.audioManager.isPlaying ? 'beat' : 'sine');
+    this.renderEngine.forEachBall(({ discoBall }) => discoBall.setFollowTempo(true));
+    this.renderEngine.on('balladd', ({ id }) => {
+      const { discoBall, lightBeamSystem } = this.renderEngine.getBall(id);
+      discoBall.setFollowTempo(true);
+      lightBeamSystem.setPulseMode(pulseMode());
+    });
+
+    const onStop = () => {
+      this.renderEngine.forEachBall(({ lightBeamSystem }) => {
+        lightBeamSystem.setPulseMode('sine');
+        lightBeamSystem.setBandLevels(null);
+      });
+    };
+    this.audioManager.on('play', () => {
+      this.renderEngine.forEachBall(({ lightBeamSystem }) => lightBeamSystem.setPulseMode('beat'));
+    });
+    this.audioManager.on('pause', onStop);
+    this.audioManager.on('ended', onStop);
+    this.audioManager.on('load', ({ generator }) => {
+      this.beatDetector.reset();
+      if (generator) {
+        this.connectBeatSource(generator);
+      }
+    });
+
+    this.renderEngine.addUpdateHandler(() => {
+      if (this.audioManager.isPlaying) {
+        // 每帧只读取一次频谱，节拍检测和频段能量共用
+        const spectrum = this.audioManager.getFrequencyData();
+        if (!this.audioManager.generator) {
+          this.beatDetector.update(undefined, spectrum);
+        }
+        const bandLevels = this.audioManager.getBandLevels(spectrum);
+        this.renderEngine.forEachBall(({ lightBeamSystem }) => lightBeamSystem.setBandLevels(bandLevels));
+      }
+    });
+  }
+
+  /**
+   * 把节拍来源（BeatDetector 或 MusicGenerator）的事件连接到所有灯球的光束和转速
+   */
+  connectBeatSource(source) {
+    if (this.beatSources.has(source)) return;
+    this.beatSources.add(source);
+
+    source.on('beat', ({ strength }) => {
+      this.renderEngine.forEachBall(({ lightBeamSystem }) => lightBeamSystem.triggerBeat(strength));
+    });
+    source.on('tempo', ({ bpm }) => {
+      this.renderEngine.forEachBall(({ discoBall }) => discoBall.setTempo(bpm));
+    });
+  }
+
   /**
    * 隐藏加载屏幕
    */
@@ -86,6 +296,36 @@ class DiscoApp {
    * 清理应用资源
    */
   dispose() {
+    if (this.presetManager) {
+      window.removeEventListener('hashchange', this.onHashChange);
+      this.presetManager.removeAllListeners();
+      this.presetManager = null;
+    }
+    if (this.showSequencer) {
+      this.showSequencer.dispose();
+      this.showSequencer = null;
+    }
+    if (this.uiController) {
+      this.uiController.dispose();
+      this.uiController = null;
+    }
+    if (this.controlManager) {
+      this.controlManager.dispose();
+      this.controlManager = null;
+    }
+    if (this.beatDetector) {
+      this.beatDetector.dispose();
+      this.beatDetector = null;
+    }
+    if (this.audioManager) {
+      this.audioManager.dispose();
+      this.audioManager = null;
+    }
+    if (this.musicGenerator) {
+      this.musicGenerator.dispose();
+      this.musicGenerator = null;
+    }
+    this.beatSources.clear();
     if (this.renderEngine) {
       this.renderEngine.dispose();
       this.renderEngine = null;
@@ -0,0 +1,203 @@
+import { AudioManager } from './AudioManager.js';
+import { DiscoBall } from './DiscoBall.js';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+/**
+ * 模拟的 Web Audio 节点（jsdom 不提供 Web Audio API）
+ */
+class FakeNode {
+  connect() {}
+  disconnect() {}
+}
+
+class FakeAudioContext {
+  constructor() {
+    this.currentTime = 0;
+    this.sampleRate = 44100;
+    this.state = 'running';
+    this.destination = new FakeNode();
+  }
+
+  createGain() {
+    const node = new FakeNode();
+    node.gain = { value: 1 };
+    return node;
+  }
+
+  createAnalyser() {
+    const node = new FakeNode();
+    node.frequencyBinCount = 1024;
+    node.getByteFrequencyData = (array) => array.fill(128);
+    return node;
+  }
+
+  createBufferSource() {
+    const node = new FakeNode();
+    node.start = vi.fn();
+    node.stop = vi.fn();
+    return node;
+  }
+
+  async decodeAudioData() {
+    return { duration: 10 };
+  }
+
+  async resume() {
+    this.state = 'running';
+  }
+
+  close() {}
+}
+
+describe('AudioManager', () => {
+  let audioManager;
+  let discoBall;
+
+  beforeEach(async () => {
+    window.AudioContext = FakeAudioContext;
+    globalThis.fetch = vi.fn(async () => ({
+      ok: true,
+      arrayBuffer: async () => new ArrayBuffer(8)
+    }));
+
+    discoBall = new DiscoBall({ holes: 4 });
+    audioManager = new AudioManager({ syncRotation: true });
+    await audioManager.loadTrack('/music/test.mp3');
+  });
+
+  afterEach(() => {
+    audioManager.dispose();
+    discoBall.dispose();
+    delete window.AudioContext;
+  });
+
+  it('should load a track and loop by default', async () => {
+    expect(audioManager.getDuration()).toBe(10);
+    expect(audioManager.getState().currentTrack).toBe('/music/test.mp3');
+
+    await audioManager.play();
+    expect(audioManager.source.loop).toBe(true);
+  });
+
+  it('should play, pause and resume from the paused position', async () => {
+    await audioManager.play();
+    expect(audioManager.isPlaying).toBe(true);
+
+    audioManager.audioContext.currentTime = 3;
+    audioManager.pause();
+    expect(audioManager.isPlaying).toBe(false);
+    expect(audioManager.getCurrentTime()).toBe(3);
+
+    await audioManager.play();
+    expect(audioManager.source.start).toHaveBeenCalledWith(0, 3);
+  });
+
+  it('should start one source for repeated play calls while the context resumes', async () => {
+    let resumeContext;
+    const context = audioManager.audioContext;
+    context.state = 'suspended';
+    context.resume = () => new Promise(resolve => { resumeContext = resolve; });
+    const createBufferSource = vi.spyOn(context, 'createBufferSource');
+
+    const first = audioManager.play();
+    const second = audioManager.play();
+    expect(second).toBe(first);
+
+    resumeContext();
+    expect(await first).toBe(true);
+    expect(createBufferSource).toHaveBeenCalledTimes(1);
+    expect(audioManager.isPlaying).toBe(true);
+  });
+
+  it('should not start playback when paused while the context resumes', async () => {
+    let resumeContext;
+    const context = audioManager.audioContext;
+    context.state = 'suspended';
+    context.resume = () => new Promise(resolve => { resumeContext = resolve; });
+    const createBufferSource = vi.spyOn(context, 'createBufferSource');
+
+    const playing = audioManager.play();
+    audioManager.pause();
+    resumeContext();
+
+    expect(await playing).toBe(false);
+    expect(createBufferSource).not.toHaveBeenCalled();
+    expect(audioManager.isPlaying).toBe(false);
+    expect(audioManager.source).toBeNull();
+  });
+
+  it('should wrap the current time when looping', async () => {
+    await audioManager.play();
+    audioManager.audioContext.currentTime = 12;
+    expect(audioManager.getCurrentTime()).toBeCloseTo(2);
+  });
+
+  it('should seek within the track bounds', async () => {
+    audioManager.seek(4);
+    expect(audioManager.getCurrentTime()).toBe(4);
+
+    audioManager.seek(99);
+    expect(audioManager.getCurrentTime()).toBe(10);
+
+    await audioManager.play();
+    audioManager.seek(-5);
+    expect(audioManager.source.start).toHaveBeenCalledWith(0, 0);
+  });
+
+  it('should clamp volume to 0-1', () => {
+    audioManager.setVolume(1.5);
+    expect(audioManager.gainNode.gain.value).toBe(1);
+
+    audioManager.setVolume(0);
+    expect(audioManager.getState().volume).toBe(0);
+  });
+
+  it('should report normalized band levels', () => {
+    const levels = audioManager.getBandLevels();
+    expect(Object.keys(levels)).toEqual(['bass', 'mids', 'highs']);
+    Object.values(levels).forEach(level => {
+      expect(level).toBeGreaterThan(0);
+      expect(level).toBeLessThanOrEqual(1);
+    });
+  });
+
+  it('should reuse a spectrum that was already read this frame', () => {
+    const read = vi.spyOn(audioManager.analyser, 'getByteFrequencyData');
+    const spectrum = audioManager.getFrequencyData();
+    audioManager.getBandLevels(spectrum);
+
+    expect(read).toHaveBeenCalledTimes(1);
+  });
+
+  it('should emit play and pause events', async () => {
+    const events = [];
+    audioManager.on('play', () => events.push('play'));
+    audioManager.on('pause', () => events.push('pause'));
+
+    await audioManager.play();
+    audioManager.pause();
+    expect(events).toEqual(['play', 'pause']);
+  });
+
+  it('should stop rotation on pause and restore it on resume', async () => {
+    audioManager.attachDiscoBall(discoBall);
+    await audioManager.play();
+
+    discoBall.setRotationSpeed(2.5);
+    audioManager.pause();
+    expect(discoBall.targetRotationSpeed).toBe(0);
+
+    await audioManager.play();
+    expect(discoBall.targetRotationSpeed).toBe(2.5);
+  });
+
+  it('should leave rotation alone when sync is disabled', async () => {
+    audioManager.setSyncRotation(false);
+    audioManager.attachDiscoBall(discoBall);
+    discoBall.setRotationSpeed(2.0);
+
+    await audioManager.play();
+    audioManager.pause();
+    expect(discoBall.targetRotationSpeed).toBe(2.0);
+  });
+});
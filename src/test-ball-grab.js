@@ -0,0 +1,124 @@
+import * as THREE from 'three';
+import { DiscoBall } from './DiscoBall.js';
+import { BallGrabController } from './BallGrabController.js';
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+
+describe('DiscoBall inertial rotation', () => {
+  let discoBall;
+
+  beforeEach(() => {
+    discoBall = new DiscoBall({ holes: 6 });
+    discoBall.setRotationSpeedImmediate(1.0);
+  });
+
+  afterEach(() => {
+    discoBall.dispose();
+  });
+
+  it('should spin around an arbitrary axis and decay back to the auto rotation', () => {
+    discoBall.release(new THREE.Vector3(4, 0, 0));
+    discoBall.updateRotation(100);
+
+    // 绕X轴的甩动让顶部的点向前转
+    const top = new THREE.Vector3(0, 1, 0).applyQuaternion(discoBall.getMesh().quaternion);
+    expect(top.z).toBeGreaterThan(0.3);
+
+    for (let i = 0; i < 600; i++) discoBall.updateRotation(16);
+    expect(discoBall.angularVelocity.length()).toBe(0);
+
+    // 惯性消失后仍按原速度自动旋转
+    const before = discoBall.currentRotation.y;
+    discoBall.updateRotation(1000);
+    expect(discoBall.currentRotation.y - before).toBeCloseTo(1.0);
+  });
+
+  it('should pause the auto rotation while grabbed and clamp flick speed', () => {
+    discoBall.grab();
+    const before = discoBall.currentRotation.y;
+    discoBall.updateRotation(1000);
+    expect(discoBall.currentRotation.y).toBe(before);
+
+    discoBall.release(new THREE.Vector3(0, 100, 0));
+    expect(discoBall.isGrabbed).toBe(false);
+    expect(discoBall.angularVelocity.length()).toBe(discoBall.rotationConfig.maxAngularVelocity);
+  });
+
+  it('should expose the manual spin in the rotation state', () => {
+    discoBall.rotateBy(new THREE.Vector3(1, 0, 0), Math.PI / 2);
+    const state = discoBall.getRotationState();
+    expect(state.spin[0]).toBeCloseTo(Math.SQRT1_2);
+    expect(state.isGrabbed).toBe(false);
+  });
+});
+
+describe('BallGrabController', () => {
+  let discoBall;
+  let camera;
+  let domElement;
+  let controller;
+
+  // jsdom 没有 PointerEvent，用带坐标的 MouseEvent 代替
+  const pointer = (type, x, y, timeStamp) => {
+    const event = new MouseEvent(type, { clientX: x, clientY: y, bubbles: true, cancelable: true });
+    Object.defineProperty(event, 'timeStamp', { value: timeStamp });
+    domElement.dispatchEvent(event);
+    return event;
+  };
+
+  beforeEach(() => {
+    discoBall = new DiscoBall({ holes: 6, radius: 2 });
+    discoBall.setRotationSpeedImmediate(1.0);
+    discoBall.getMesh().updateMatrixWorld();
+
+    camera = new THREE.PerspectiveCamera(75, 1, 0.1, 100);
+    camera.position.set(0, 0, 8);
+    camera.lookAt(0, 0, 0);
+    camera.updateMatrixWorld();
+
+    domElement = document.createElement('div');
+    domElement.getBoundingClientRect = () => ({ left: 0, top: 0, width: 400, height: 400 });
+    controller = new BallGrabController(discoBall, camera, domElement);
+    controller.init();
+  });
+
+  afterEach(() => {
+    controller.dispose();
+    discoBall.dispose();
+  });
+
+  it('should only grab when the pointer hits the ball', () => {
+    pointer('pointerdown', 5, 5, 0);
+    expect(controller.isDragging).toBe(false);
+
+    let grabbed = false;
+    controller.on('grabstart', () => { grabbed = true; });
+    const event = pointer('pointerdown', 200, 200, 0);
+    expect(controller.isDragging).toBe(true);
+    expect(discoBall.isGrabbed).toBe(true);
+    expect(grabbed).toBe(true);
+    expect(event.defaultPrevented).toBe(true);
+  });
+
+  it('should rotate the ball with the drag and flick it on release', () => {
+    pointer('pointerdown', 200, 200, 0);
+    pointer('pointermove', 220, 200, 16);
+    pointer('pointermove', 240, 200, 32);
+
+    // 向右拖动让球绕Y轴正向转动
+    const front = new THREE.Vector3(0, 0, 1).applyQuaternion(discoBall.spinQuaternion);
+    expect(front.x).toBeGreaterThan(0.05);
+
+    pointer('pointerup', 240, 200, 40);
+    expect(discoBall.isGrabbed).toBe(false);
+    expect(discoBall.angularVelocity.y).toBeGreaterThan(1);
+    expect(Math.abs(discoBall.angularVelocity.x)).toBeLessThan(0.01);
+  });
+
+  it('should not flick when the pointer rests before release', () => {
+    pointer('pointerdown', 200, 200, 0);
+    pointer('pointermove', 240, 200, 16);
+    pointer('pointerup', 240, 200, 500);
+
+    expect(discoBall.angularVelocity.length()).toBe(0);
+  });
+});
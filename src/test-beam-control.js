@@ -0,0 +1,104 @@
+import * as THREE from 'three';
+import { DiscoBall } from './DiscoBall.js';
+import { LightBeamSystem } from './LightBeamSystem.js';
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+
+describe('LightBeamSystem per-beam control', () => {
+  let discoBall;
+  let lightBeamSystem;
+
+  beforeEach(() => {
+    discoBall = new DiscoBall({ holes: 12 });
+    lightBeamSystem = new LightBeamSystem(discoBall, { beamIntensity: 2.0, beamOpacity: 0.8 });
+  });
+
+  afterEach(() => {
+    lightBeamSystem.dispose();
+    discoBall.dispose();
+  });
+
+  it('should turn individual beams on and off', () => {
+    lightBeamSystem.setBeamEnabled([1, 2], false);
+
+    const [first, second] = lightBeamSystem.beams;
+    expect(first.visible).toBe(true);
+    expect(second.visible).toBe(false);
+    expect(lightBeamSystem.beamGeometry.getAttribute('beamOpacity').getX(1)).toBe(0);
+
+    lightBeamSystem.setBeamEnabled(1, true);
+    expect(second.visible).toBe(true);
+    expect(second.intensity).toBeCloseTo(2.0);
+  });
+
+  it('should solo a named group', () => {
+    const { beamIds } = lightBeamSystem.getBeamGroups().find(group => group.name === 'bass');
+    lightBeamSystem.soloBeams('bass');
+
+    lightBeamSystem.beams.forEach(beam => {
+      expect(beam.visible).toBe(beamIds.includes(beam.id));
+    });
+
+    lightBeamSystem.soloBeams(null);
+    expect(lightBeamSystem.beams.every(beam => beam.visible)).toBe(true);
+  });
+
+  it('should pin a color that overrides the color mode', () => {
+    lightBeamSystem.setColorMode('rainbow');
+    lightBeamSystem.setBeamColor(3, '#00ff00');
+    for (let i = 0; i < 200; i++) lightBeamSystem.updateColors();
+
+    expect(lightBeamSystem.beams[3].currentColor.getHex()).toBe(0x00ff00);
+    expect(lightBeamSystem.beams[4].currentColor.getHex()).not.toBe(0x00ff00);
+
+    lightBeamSystem.setBeamColor(3, null);
+    expect(lightBeamSystem.beams[3].control.color).toBeNull();
+  });
+
+  it('should scale intensity per beam on top of the global intensity', () => {
+    lightBeamSystem.setBeamIntensityScale(0, 0.5);
+    lightBeamSystem.setIntensity(3.0);
+
+    const intensities = lightBeamSystem.beamGeometry.getAttribute('beamIntensity');
+    expect(intensities.getX(0)).toBeCloseTo(1.5);
+    expect(intensities.getX(1)).toBeCloseTo(3.0);
+  });
+
+  it('should expose and restore the control state through getConfig', () => {
+    lightBeamSystem.setBeamEnabled(0, false);
+    lightBeamSystem.setBeamColor(2, 0xff0000);
+    lightBeamSystem.setBeamIntensityScale(5, 2);
+    lightBeamSystem.soloBeams([2, 5]);
+
+    const { beamControl } = lightBeamSystem.getConfig();
+    expect(beamControl).toEqual({ disabled: [0], solo: [2, 5], colors: { 2: '#ff0000' }, intensityScales: { 5: 2 } });
+
+    const restored = new LightBeamSystem(discoBall, { beamControl: JSON.parse(JSON.stringify(beamControl)) });
+    expect(restored.getBeamControlState()).toEqual(beamControl);
+    expect(restored.beams[3].visible).toBe(false);
+    restored.dispose();
+  });
+
+  it('should pick the beam of the hole under the pointer and select it', () => {
+    const camera = new THREE.PerspectiveCamera(75, 1, 0.1, 100);
+    const beam = lightBeamSystem.beams[7];
+    camera.position.copy(beam.worldDirection).multiplyScalar(8);
+    camera.lookAt(0, 0, 0);
+    camera.updateMatrixWorld();
+    discoBall.getMesh().updateMatrixWorld();
+
+    const raycaster = new THREE.Raycaster();
+    raycaster.setFromCamera(new THREE.Vector2(0, 0), camera);
+    expect(lightBeamSystem.pickBeam(raycaster)).toBe(7);
+
+    let selected = null;
+    lightBeamSystem.on('select', ({ beamIds }) => { selected = beamIds; });
+    lightBeamSystem.selectBeam(7);
+    lightBeamSystem.selectBeam(2, { additive: true });
+    expect(selected).toEqual([7, 2]);
+    expect(lightBeamSystem.resolveBeams('selected').map(b => b.id)).toEqual([2, 7]);
+    expect(beam.intensity).toBeCloseTo(2.0 * lightBeamSystem.config.selectionBoost);
+
+    lightBeamSystem.clearSelection();
+    expect(lightBeamSystem.getSelectedBeams()).toEqual([]);
+  });
+});
@@ -0,0 +1,88 @@
+import { DiscoBall } from './DiscoBall.js';
+import { LightBeamSystem } from './LightBeamSystem.js';
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+
+describe('LightBeamSystem beam groups', () => {
+  let discoBall;
+  let lightBeamSystem;
+
+  beforeEach(() => {
+    discoBall = new DiscoBall({ radius: 2, holes: 30 });
+    lightBeamSystem = new LightBeamSystem(discoBall, {
+      beamIntensity: 2.0,
+      beamOpacity: 0.8,
+      bandFloor: 0.25
+    });
+  });
+
+  // 光束的实例属性值
+  const attributeOf = (name, beam) => lightBeamSystem.beamGeometry.getAttribute(name).getX(beam.id);
+  const intensityOf = beam => attributeOf('beamIntensity', beam);
+  const opacityOf = beam => attributeOf('beamOpacity', beam);
+
+  afterEach(() => {
+    lightBeamSystem.dispose();
+    discoBall.dispose();
+  });
+
+  it('should group beams by latitude by default', () => {
+    const groups = lightBeamSystem.getBeamGroups();
+    expect(groups.map(group => group.name)).toEqual(['highs', 'mids', 'bass']);
+
+    const total = groups.reduce((sum, group) => sum + group.beamIds.length, 0);
+    expect(total).toBe(lightBeamSystem.getBeamCount());
+
+    // 顶部（沿旋转轴 +Y）的光束属于高频组，底部属于低频组
+    const heightOf = group => group.beamIds.map(id => lightBeamSystem.beams[id].hole.direction.y);
+    expect(Math.min(...heightOf(groups[0]))).toBeGreaterThan(0.4);
+    expect(Math.max(...heightOf(groups[2]))).toBeLessThan(-0.4);
+    expect(Math.min(...heightOf(groups[0]))).toBeGreaterThan(Math.max(...heightOf(groups[1])));
+  });
+
+  it('should drive each group from its own band', () => {
+    lightBeamSystem.setBandLevels({ bass: 1.0, mids: 0.5, highs: 0.0 });
+
+    const [highs, mids, bass] = lightBeamSystem.getBeamGroups();
+    const beamOf = group => lightBeamSystem.beams[group.beamIds[0]];
+
+    expect(intensityOf(beamOf(bass))).toBeCloseTo(2.0);
+    expect(intensityOf(beamOf(mids))).toBeCloseTo(2.0 * 0.625);
+    expect(intensityOf(beamOf(highs))).toBeCloseTo(2.0 * 0.25);
+    expect(opacityOf(beamOf(highs))).toBeCloseTo(0.8 * 0.25);
+  });
+
+  it('should keep band scaling when global intensity changes', () => {
+    lightBeamSystem.setBandLevels({ bass: 0.0, mids: 0.0, highs: 0.0 });
+    lightBeamSystem.setIntensity(4.0);
+
+    lightBeamSystem.beams.forEach(beam => {
+      expect(intensityOf(beam)).toBeCloseTo(1.0);
+    });
+
+    lightBeamSystem.setBandLevels(null);
+    lightBeamSystem.beams.forEach(beam => {
+      expect(intensityOf(beam)).toBeCloseTo(4.0);
+    });
+  });
+
+  it('should accept a custom assignment', () => {
+    lightBeamSystem.setBeamGroups({
+      kick: { beams: [0, 1, 2], band: 'bass' },
+      still: { beams: [3], band: null }
+    });
+    lightBeamSystem.setBandLevels({ bass: 0.0 });
+
+    expect(intensityOf(lightBeamSystem.beams[0])).toBeCloseTo(0.5);
+    expect(intensityOf(lightBeamSystem.beams[3])).toBeCloseTo(2.0);
+    expect(lightBeamSystem.beams[4].group).toBeNull();
+    expect(intensityOf(lightBeamSystem.beams[4])).toBeCloseTo(2.0);
+  });
+
+  it('should accept an assignment function', () => {
+    lightBeamSystem.setBeamGroups(beam => (beam.id % 2 === 0 ? 'bass' : 'highs'));
+    lightBeamSystem.setBandLevels({ bass: 1.0, highs: 0.0 });
+
+    expect(intensityOf(lightBeamSystem.beams[0])).toBeCloseTo(2.0);
+    expect(intensityOf(lightBeamSystem.beams[1])).toBeCloseTo(0.5);
+  });
+});
@@ -0,0 +1,81 @@
+import { DiscoBall } from './DiscoBall.js';
+import { LightBeamSystem } from './LightBeamSystem.js';
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+
+describe('LightBeamSystem beam shape', () => {
+  let discoBall;
+  let lightBeamSystem;
+
+  beforeEach(() => {
+    discoBall = new DiscoBall({ radius: 2, holes: 6 });
+    lightBeamSystem = new LightBeamSystem(discoBall, {
+      beamLength: 8,
+      beamRadius: 0.2,
+      spreadAngle: Math.atan(0.1)
+    });
+  });
+
+  afterEach(() => {
+    lightBeamSystem.dispose();
+    discoBall.dispose();
+  });
+
+  it('should widen the tip by the spread angle', () => {
+    const shape = lightBeamSystem.getBeamShape();
+    expect(shape.baseRadius).toBeCloseTo(0.2);
+    expect(shape.tipRadius).toBeCloseTo(0.2 + 8 * 0.1);
+  });
+
+  it('should use the tip radius when no spread angle is set', () => {
+    const tipped = new LightBeamSystem(discoBall, { beamRadius: 0.2, beamTipRadius: 0.6 });
+    expect(tipped.getBeamShape().tipRadius).toBeCloseTo(0.6);
+    tipped.dispose();
+
+    // 默认保持细末端
+    const thin = new LightBeamSystem(discoBall, { beamRadius: 0.3 });
+    expect(thin.getBeamShape().tipRadius).toBeCloseTo(0.05);
+    thin.dispose();
+
+    const cylinder = new LightBeamSystem(discoBall, { beamRadius: 0.3, beamTipRadius: null });
+    expect(cylinder.getBeamShape().tipRadius).toBeCloseTo(0.3);
+    cylinder.dispose();
+  });
+
+  it('should change length and spread at runtime without rebuilding materials', () => {
+    const material = lightBeamSystem.beamMaterial;
+
+    lightBeamSystem.setBeamLength(12);
+    lightBeamSystem.setBeamSpread(0);
+
+    expect(lightBeamSystem.beamMaterial).toBe(material);
+    expect(lightBeamSystem.beamMesh.material).toBe(material);
+    expect(material.uniforms.beamLength.value).toBe(12);
+    expect(material.uniforms.tipRadius.value).toBeCloseTo(0.2);
+    expect(lightBeamSystem.beamGeometry.boundingSphere.center.y).toBe(6);
+  });
+
+  it('should fall off linearly by default', () => {
+    expect(lightBeamSystem.getFalloffAt(0)).toBeCloseTo(1);
+    expect(lightBeamSystem.getFalloffAt(0.5)).toBeCloseTo(0.5);
+    expect(lightBeamSystem.getFalloffAt(1)).toBe(0);
+  });
+
+  it('should support inverse-square and custom falloff curves', () => {
+    lightBeamSystem.config.falloffDistance = 2;
+    lightBeamSystem.setFalloff('inverse-square');
+    // t=0.5 → 距离4，1/(1+(4/2)^2)
+    expect(lightBeamSystem.getFalloffAt(0.5)).toBeCloseTo(0.2);
+
+    lightBeamSystem.setFalloff((t, distance) => (distance < 4 ? 1 : 0.25));
+    expect(lightBeamSystem.getFalloffAt(0.25)).toBe(1);
+    expect(lightBeamSystem.getFalloffAt(0.75)).toBeCloseTo(0.25);
+
+    lightBeamSystem.setFalloff([1, 0.5, 0]);
+    expect(lightBeamSystem.getFalloffAt(0.25)).toBeCloseTo(0.75);
+
+    // 衰减贴图随曲线更新
+    const data = lightBeamSystem.falloffTexture.image.data;
+    expect(data[0]).toBe(255);
+    expect(data[Math.round(255 * 0.5) * 4]).toBeCloseTo(128, -1);
+  });
+});
@@ -0,0 +1,111 @@
+import { BeatDetector } from './BeatDetector.js';
+import { DiscoBall } from './DiscoBall.js';
+import { LightBeamSystem } from './LightBeamSystem.js';
+import { describe, it, expect, beforeEach } from 'vitest';
+
+/**
+ * 生成模拟频谱：每拍开始时低频能量突增，随后衰减
+ */
+function feedBeats(detector, bpm, seconds, fps = 60) {
+  const spectrum = new Uint8Array(1024);
+  const beatInterval = 60 / bpm;
+
+  for (let frame = 0; frame < seconds * fps; frame++) {
+    const time = frame / fps;
+    const sinceBeat = time % beatInterval;
+    const level = Math.round(200 * Math.exp(-sinceBeat * 12)) + (frame % 3); // 加入少量噪声
+
+    spectrum.fill(0);
+    spectrum.fill(level, 0, 10);
+    detector.processSpectrum(spectrum, time, 44100);
+  }
+}
+
+describe('BeatDetector', () => {
+  let detector;
+
+  beforeEach(() => {
+    detector = new BeatDetector();
+  });
+
+  it('should emit a beat event for each kick', () => {
+    const beats = [];
+    detector.on('beat', event => beats.push(event));
+
+    feedBeats(detector, 120, 8);
+
+    // 前几帧用于建立阈值历史
+    expect(beats.length).toBeGreaterThanOrEqual(14);
+    expect(beats.length).toBeLessThanOrEqual(16);
+    beats.forEach(beat => {
+      expect(beat.strength).toBeGreaterThanOrEqual(0);
+      expect(beat.strength).toBeLessThanOrEqual(1);
+    });
+  });
+
+  it('should estimate the tempo', () => {
+    const tempos = [];
+    detector.on('tempo', event => tempos.push(event.bpm));
+
+    feedBeats(detector, 128, 12);
+
+    expect(tempos.length).toBeGreaterThan(0);
+    expect(detector.getTempo().bpm).toBeGreaterThan(124);
+    expect(detector.getTempo().bpm).toBeLessThan(132);
+  });
+
+  it('should ignore a silent signal', () => {
+    const beats = [];
+    detector.on('beat', event => beats.push(event));
+
+    const spectrum = new Uint8Array(1024);
+    for (let frame = 0; frame < 120; frame++) {
+      detector.processSpectrum(spectrum, frame / 60, 44100);
+    }
+
+    expect(beats).toHaveLength(0);
+  });
+
+  it('should clear state on reset', () => {
+    feedBeats(detector, 120, 4);
+    detector.reset();
+
+    expect(detector.getTempo().bpm).toBe(0);
+    expect(detector.fluxHistory).toHaveLength(0);
+  });
+});
+
+describe('Beat-driven rotation and pulse', () => {
+  it('should follow tempo only when enabled', () => {
+    const discoBall = new DiscoBall({ holes: 4 });
+
+    discoBall.setRotationSpeed(1.0);
+    discoBall.setTempo(120);
+    expect(discoBall.targetRotationSpeed).toBe(1.0);
+
+    discoBall.setFollowTempo(true);
+    expect(discoBall.targetRotationSpeed).toBeCloseTo(2 * Math.PI * 2 / 16);
+
+    discoBall.dispose();
+  });
+
+  it('should pulse beams on beats and decay afterwards', () => {
+    const discoBall = new DiscoBall({ holes: 4 });
+    const lightBeamSystem = new LightBeamSystem(discoBall, { pulseMode: 'beat' });
+
+    lightBeamSystem.update(16);
+    const restingPulse = lightBeamSystem.pulse;
+
+    lightBeamSystem.triggerBeat(1.0);
+    lightBeamSystem.update(16);
+    const beatPulse = lightBeamSystem.pulse;
+    expect(beatPulse).toBeGreaterThan(restingPulse);
+    expect(lightBeamSystem.beamMaterial.uniforms.pulse.value).toBe(beatPulse);
+
+    lightBeamSystem.update(500);
+    expect(lightBeamSystem.pulse).toBeLessThan(beatPulse);
+
+    lightBeamSystem.dispose();
+    discoBall.dispose();
+  });
+});
@@ -0,0 +1,93 @@
+import * as THREE from 'three';
+import { CameraController } from './CameraController.js';
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+
+describe('CameraController', () => {
+  let camera;
+  let domElement;
+  let controller;
+
+  // 模拟渲染循环
+  const run = (milliseconds, step = 16) => {
+    for (let elapsed = 0; elapsed < milliseconds; elapsed += step) controller.update(step);
+  };
+
+  beforeEach(() => {
+    camera = new THREE.PerspectiveCamera(75, 1, 0.1, 100);
+    camera.position.set(0, 0, 8);
+    domElement = document.createElement('div');
+    controller = new CameraController(camera, domElement, { baseDistance: 8, ballRadius: 2, enableDamping: false });
+    controller.init();
+  });
+
+  afterEach(() => {
+    controller.dispose();
+  });
+
+  it('should limit zoom so the ball stays framed', () => {
+    const { minDistance, maxDistance } = controller.controls;
+    const halfFov = THREE.MathUtils.degToRad(camera.fov / 2);
+
+    expect(minDistance).toBeGreaterThanOrEqual(2 / Math.sin(halfFov));
+    expect(maxDistance).toBe(20);
+
+    controller.setDistance(1);
+    expect(controller.getDistance()).toBeCloseTo(minDistance);
+    controller.setDistance(100);
+    expect(controller.getDistance()).toBeCloseTo(maxDistance);
+  });
+
+  it('should apply responsive distance on top of the user zoom and orbit', () => {
+    camera.position.set(6, 0, 6);
+    controller.update(16);
+    controller.setDistance(12); // 用户拉远到基准距离的 1.5 倍
+
+    controller.setBaseDistance(6);
+    expect(controller.getDistance()).toBeCloseTo(9);
+    expect(camera.position.x).toBeCloseTo(camera.position.z);
+  });
+
+  it('should save bookmarks and animate to them', () => {
+    camera.position.set(0, 4, 5);
+    controller.update(16);
+    controller.saveBookmark('top');
+    camera.position.set(0, 0, 8);
+    controller.update(16);
+
+    expect(controller.goToBookmark('top', 500)).toBe(true);
+    run(250);
+    expect(camera.position.y).toBeGreaterThan(0);
+    expect(camera.position.y).toBeLessThan(4);
+
+    run(300);
+    expect(controller.isPlayingPath()).toBe(false);
+    expect(camera.position.toArray().map(v => +v.toFixed(3))).toEqual([0, 4, 5]);
+    expect(controller.goToBookmark('missing')).toBe(false);
+  });
+
+  it('should play built-in paths around the ball', () => {
+    expect(controller.getPathNames()).toEqual(expect.arrayContaining(['orbit', 'flyby', 'dolly']));
+
+    controller.playPath('orbit', { duration: 1000 });
+    run(480);
+    expect(camera.position.length()).toBeCloseTo(8);
+    expect(camera.position.z).toBeLessThan(0); // 转到了灯球背面
+
+    controller.playPath('dolly', { duration: 1000 });
+    run(500);
+    expect(controller.getDistance()).toBeLessThan(8);
+  });
+
+  it('should stop paths on user interaction and resume in auto-pilot after idling', () => {
+    controller.setAutoPilot(true, { paths: ['orbit'], idleDelay: 1000 });
+    run(500);
+    expect(controller.isPlayingPath()).toBe(false);
+    run(600);
+    expect(controller.isPlayingPath()).toBe(true);
+
+    controller.controls.dispatchEvent({ type: 'start' });
+    expect(controller.isPlayingPath()).toBe(false);
+    run(500);
+    expect(controller.isPlayingPath()).toBe(false);
+  });
+});
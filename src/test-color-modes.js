@@ -0,0 +1,112 @@
+import { ColorModeRegistry, COLOR_MODE_NAMES } from './ColorModes.js';
+import { DiscoBall } from './DiscoBall.js';
+import { LightBeamSystem } from './LightBeamSystem.js';
+import { ControlManager } from './ControlManager.js';
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+
+describe('ColorModeRegistry', () => {
+  it('should ship the built-in modes', () => {
+    const registry = new ColorModeRegistry();
+    expect(registry.getNames()).toEqual(COLOR_MODE_NAMES);
+    expect(COLOR_MODE_NAMES).toEqual(expect.arrayContaining([
+      'rainbow', 'random', 'white', 'chase', 'wave', 'complementary', 'strobe', 'split'
+    ]));
+  });
+
+  it('should validate registered modes', () => {
+    const registry = new ColorModeRegistry();
+    expect(() => registry.register('', () => {})).toThrow();
+    expect(() => registry.register('broken', 'not a function')).toThrow();
+  });
+});
+
+describe('LightBeamSystem color modes', () => {
+  let discoBall;
+  let lightBeamSystem;
+
+  // 运行足够多帧让颜色收敛到目标
+  const settle = (frames = 200) => {
+    for (let i = 0; i < frames; i++) lightBeamSystem.updateColors();
+  };
+
+  beforeEach(() => {
+    discoBall = new DiscoBall({ holes: 20 });
+    lightBeamSystem = new LightBeamSystem(discoBall, {
+      palettes: [{ name: 'red', colors: ['#ff0000'], white: '#ffffff' }],
+      palette: 'red'
+    });
+  });
+
+  afterEach(() => {
+    lightBeamSystem.dispose();
+    discoBall.dispose();
+  });
+
+  it('should color adjacent beams with complementary colors', () => {
+    lightBeamSystem.setColorMode('complementary');
+    settle();
+
+    const [even, odd] = lightBeamSystem.beams;
+    expect(even.currentColor.r).toBeCloseTo(1, 2);
+    expect(odd.currentColor.r).toBeCloseTo(0, 2);
+    expect(odd.currentColor.g).toBeCloseTo(1, 2);
+    expect(odd.currentColor.b).toBeCloseTo(1, 2);
+  });
+
+  it('should flash every beam together in strobe mode', () => {
+    lightBeamSystem.setColorMode('strobe');
+    lightBeamSystem.setBandLevels({ bass: 1, mids: 1, highs: 1 });
+
+    lightBeamSystem.triggerBeat(1.0);
+    lightBeamSystem.updateColors();
+    lightBeamSystem.beams.forEach(beam => expect(beam.currentColor.getHex()).toBe(0xffffff));
+
+    lightBeamSystem.beatEnvelope = 0;
+    lightBeamSystem.updateColors();
+    lightBeamSystem.beams.forEach(beam => expect(beam.currentColor.getHex()).toBe(0x000000));
+  });
+
+  it('should split colors into the upper and lower hemisphere', () => {
+    lightBeamSystem.loadPalettes({ name: 'duo', colors: ['#ff0000', '#0000ff'] });
+    lightBeamSystem.setPalette('duo', 0);
+    lightBeamSystem.setColorMode('split');
+    settle();
+
+    lightBeamSystem.beams.forEach(beam => {
+      // 上下按灯球旋转轴 +Y 划分，转动时保持不变
+      const upper = beam.hole.direction.y > 0;
+      expect(beam.modeInfo.elevation < Math.PI / 2).toBe(upper);
+      expect(beam.currentColor.r).toBeCloseTo(upper ? 1 : 0, 2);
+    });
+  });
+
+  it('should move the chase highlight around the ball over time', () => {
+    lightBeamSystem.setColorMode('chase');
+    settle();
+    const brightest = () => lightBeamSystem.beams.reduce((a, b) => (a.currentColor.r > b.currentColor.r ? a : b)).id;
+
+    const first = brightest();
+    lightBeamSystem.elapsedTime += 0.5;
+    settle();
+    expect(brightest()).not.toBe(first);
+  });
+
+  it('should accept third-party modes', () => {
+    lightBeamSystem.registerColorMode('index', (beam, context, target) =>
+      target.setRGB(beam.index / beam.count, 0, 0), { smoothing: 1 });
+    lightBeamSystem.setColorMode('index');
+    lightBeamSystem.updateColors();
+
+    expect(lightBeamSystem.getConfig().colorMode).toBe('index');
+    expect(lightBeamSystem.beams[10].currentColor.r).toBeCloseTo(0.5);
+
+    // ControlManager 也接受已注册的模式
+    const controlManager = new ControlManager();
+    controlManager.bind({ discoBall, lightBeamSystem });
+    controlManager.setColorMode('wave');
+    expect(controlManager.get('colorMode')).toBe('wave');
+    controlManager.setColorMode('index');
+    expect(controlManager.get('colorMode')).toBe('index');
+    controlManager.dispose();
+  });
+});
@@ -0,0 +1,153 @@
+import { ControlManager } from './ControlManager.js';
+import { EventEmitter } from './EventEmitter.js';
+import { DiscoBall } from './DiscoBall.js';
+import { LightBeamSystem } from './LightBeamSystem.js';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+describe('ControlManager', () => {
+  let discoBall;
+  let lightBeamSystem;
+  let controlManager;
+
+  beforeEach(() => {
+    discoBall = new DiscoBall({ holes: 6 });
+    lightBeamSystem = new LightBeamSystem(discoBall, { beamIntensity: 1.5, colorMode: 'random' });
+    controlManager = new ControlManager();
+    controlManager.bind({ discoBall, lightBeamSystem });
+  });
+
+  afterEach(() => {
+    controlManager.dispose();
+    lightBeamSystem.dispose();
+    discoBall.dispose();
+  });
+
+  it('should read the initial state from bound objects', () => {
+    const state = controlManager.getState();
+    expect(state.colorMode).toBe('random');
+    expect(state.intensity).toBe(1.5);
+    expect(state.rotation.direction).toBe(1);
+    expect(controlManager.canUndo()).toBe(false);
+  });
+
+  it('should push changes into the existing setters', () => {
+    controlManager.setRotationSpeed(3.0);
+    controlManager.setRotationDirection(-1);
+    controlManager.setColorMode('white');
+    controlManager.setOpacity(0.5);
+
+    expect(discoBall.targetRotationSpeed).toBe(3.0);
+    expect(discoBall.rotationDirection).toBe(-1);
+    expect(lightBeamSystem.getConfig().colorMode).toBe('white');
+    expect(lightBeamSystem.getConfig().beamOpacity).toBe(0.5);
+  });
+
+  it('should validate values', () => {
+    controlManager.setRotationSpeed(99);
+    expect(controlManager.get('rotation.speed')).toBe(5.0);
+
+    controlManager.setColorMode('invalid');
+    expect(controlManager.get('colorMode')).toBe('random');
+
+    controlManager.setOpacity(2);
+    expect(controlManager.get('opacity')).toBe(1);
+  });
+
+  it('should keep the previous value for non-finite numbers', () => {
+    controlManager.setState({ intensity: 1.5, opacity: 0.4, rotation: { speed: 2 }, audio: { volume: 0.3 } });
+
+    [NaN, '', 'abc', Infinity, null, undefined, {}].forEach(value => {
+      controlManager.setState({ intensity: value, opacity: value, rotation: { speed: value, direction: value }, audio: { volume: value } });
+    });
+
+    expect(controlManager.get('intensity')).toBe(1.5);
+    expect(controlManager.get('opacity')).toBe(0.4);
+    expect(controlManager.get('rotation.speed')).toBe(2);
+    expect(controlManager.get('rotation.direction')).toBe(1);
+    expect(controlManager.get('audio.volume')).toBe(0.3);
+    expect(lightBeamSystem.getConfig().beamIntensity).toBe(1.5);
+    expect(Number.isFinite(lightBeamSystem.getConfig().beamOpacity)).toBe(true);
+
+    // 数字字符串（滑块的值）仍然有效
+    controlManager.setState({ intensity: '2.5' });
+    expect(controlManager.get('intensity')).toBe(2.5);
+  });
+
+  it('should notify subscribers with the changed paths', () => {
+    const listener = vi.fn();
+    const rotationListener = vi.fn();
+    controlManager.subscribe(listener);
+    const unsubscribe = controlManager.subscribe('rotation', rotationListener);
+
+    controlManager.setColorMode('rainbow');
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener.mock.calls[0][1]).toEqual({ colorMode: { from: 'random', to: 'rainbow' } });
+    expect(rotationListener).not.toHaveBeenCalled();
+
+    controlManager.setRotationDirection(-1);
+    expect(rotationListener).toHaveBeenCalledTimes(1);
+    expect(rotationListener.mock.calls[0][0].rotation.direction).toBe(-1);
+
+    unsubscribe();
+    controlManager.setRotationDirection(1);
+    expect(rotationListener).toHaveBeenCalledTimes(1);
+  });
+
+  it('should not notify when nothing changes', () => {
+    const listener = vi.fn();
+    controlManager.subscribe(listener);
+
+    controlManager.setColorMode('random');
+    expect(listener).not.toHaveBeenCalled();
+  });
+
+  it('should undo and redo user changes', () => {
+    controlManager.setColorMode('white');
+    controlManager.setRotationDirection(-1);
+
+    expect(controlManager.undo()).toBe(true);
+    expect(discoBall.rotationDirection).toBe(1);
+
+    expect(controlManager.undo()).toBe(true);
+    expect(lightBeamSystem.getConfig().colorMode).toBe('random');
+    expect(controlManager.undo()).toBe(false);
+
+    expect(controlManager.redo()).toBe(true);
+    expect(lightBeamSystem.getConfig().colorMode).toBe('white');
+
+    // 新的修改会清空重做栈
+    controlManager.setIntensity(3.0);
+    expect(controlManager.canRedo()).toBe(false);
+  });
+
+  it('should merge rapid changes to the same value into one history entry', () => {
+    controlManager.setIntensity(1.6);
+    controlManager.setIntensity(1.7);
+    controlManager.setIntensity(1.8);
+
+    controlManager.undo();
+    expect(controlManager.get('intensity')).toBe(1.5);
+    expect(controlManager.canUndo()).toBe(false);
+  });
+
+  it('should skip history when record is false', () => {
+    controlManager.setState({ rotation: { speed: 2.0 } }, { record: false });
+    expect(discoBall.targetRotationSpeed).toBe(2.0);
+    expect(controlManager.canUndo()).toBe(false);
+  });
+
+  it('should revert the playing state when playback is blocked', async () => {
+    // 模拟自动播放策略拒绝恢复音频上下文
+    const audioManager = new EventEmitter();
+    audioManager.isPlaying = false;
+    audioManager.getState = () => ({ isPlaying: false, volume: 0.7, syncRotation: true });
+    audioManager.play = vi.fn(() => Promise.reject(new Error('NotAllowedError')));
+    controlManager.bind({ discoBall, lightBeamSystem, audioManager });
+
+    controlManager.setState({ audio: { playing: true } });
+    expect(controlManager.getState().audio.playing).toBe(true);
+
+    await vi.waitFor(() => expect(controlManager.getState().audio.playing).toBe(false));
+    expect(audioManager.play).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,71 @@
+import * as THREE from 'three';
+import { DanceFloorRoom } from './DanceFloorRoom.js';
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+
+describe('DanceFloorRoom', () => {
+  let room;
+
+  beforeEach(() => {
+    room = new DanceFloorRoom({ width: 20, height: 10, depth: 16, floorY: -4, ballRadius: 1.5 });
+  });
+
+  afterEach(() => {
+    room.dispose();
+  });
+
+  it('should build floor, walls and ceiling facing inward', () => {
+    const names = ['floor', 'ceiling', 'left', 'right', 'back', 'front'];
+    names.forEach(name => expect(room.getSurface(name)).toBeTruthy());
+
+    room.getGroup().updateMatrixWorld(true);
+    const center = new THREE.Vector3(0, 1, 0);
+
+    names.forEach(name => {
+      const mesh = room.getSurface(name);
+      const normal = new THREE.Vector3(0, 0, 1).applyQuaternion(mesh.quaternion);
+      const toCenter = center.clone().sub(mesh.position).normalize();
+      expect(normal.dot(toCenter)).toBeGreaterThan(0);
+    });
+
+    expect(room.getSurface('floor').position.y).toBe(-4);
+    expect(room.getSurface('ceiling').position.y).toBe(6);
+  });
+
+  it('should receive shadows on the floor', () => {
+    expect(room.getSurface('floor').receiveShadow).toBe(true);
+    expect(room.getSurface('floor').material).toBeInstanceOf(THREE.MeshStandardMaterial);
+
+    room.setReceiveShadow(false);
+    expect(room.getSurface('floor').receiveShadow).toBe(false);
+  });
+
+  it('should hang the chain from the ceiling to the top of the ball', () => {
+    const chain = room.chainMesh;
+    expect(chain.count).toBeGreaterThan(1);
+
+    const matrix = new THREE.Matrix4();
+    const position = new THREE.Vector3();
+    const heights = [];
+    for (let i = 0; i < chain.count; i++) {
+      chain.getMatrixAt(i, matrix);
+      heights.push(position.setFromMatrixPosition(matrix).y);
+    }
+
+    expect(Math.max(...heights)).toBeLessThan(6);
+    expect(Math.min(...heights)).toBeGreaterThan(1.5);
+  });
+
+  it('should report bounds usable by the light spot system', () => {
+    expect(room.getBounds()).toEqual({ width: 20, height: 10, depth: 16, center: { x: 0, y: 1, z: 0 } });
+  });
+
+  it('should accept material overrides', () => {
+    const custom = new DanceFloorRoom({ floorMaterial: { color: 0xff0000, roughness: 0.1 } });
+    const material = custom.getSurface('floor').material;
+
+    expect(material.color.getHex()).toBe(0xff0000);
+    expect(material.roughness).toBe(0.1);
+    expect(material.metalness).toBe(0.3);
+    custom.dispose();
+  });
+});
@@ -98,4 +98,55 @@ describe('DiscoBall', () => {
     discoBall.updateMaterial({ metalness: 0.8 });
     expect(material.metalness).toBe(0.8);
   });
-});
\ No newline at end of file
+});
+
+describe('DiscoBall faceted mode', () => {
+  let discoBall;
+
+  beforeEach(() => {
+    discoBall = new DiscoBall({
+      radius: 2,
+      holes: 10,
+      style: 'faceted',
+      tileCount: 600,
+      groutColor: 0x222222
+    });
+  });
+
+  afterEach(() => {
+    discoBall.dispose();
+  });
+
+  it('should render tiles through a single InstancedMesh', () => {
+    const tileMesh = discoBall.getMesh().getObjectByName('DiscoBallTiles');
+    expect(tileMesh).toBeInstanceOf(THREE.InstancedMesh);
+    expect(tileMesh.count).toBe(discoBall.getTiles().length);
+    expect(tileMesh.count).toBeGreaterThan(400);
+    expect(tileMesh.count).toBeLessThan(700);
+  });
+
+  it('should use the grout color for the base sphere', () => {
+    expect(discoBall.getMesh().material.color.getHex()).toBe(0x222222);
+  });
+
+  it('should give each tile a slightly tilted outward normal', () => {
+    discoBall.getTiles().forEach(tile => {
+      const radial = tile.position.clone().normalize();
+      const angle = radial.angleTo(tile.normal);
+      expect(angle).toBeLessThan(0.1);
+    });
+  });
+
+  it('should keep the holes free of tiles', () => {
+    const holeDirection = discoBall.getHoles()[0].direction;
+    discoBall.getTiles().forEach(tile => {
+      expect(tile.position.clone().normalize().angleTo(holeDirection)).toBeGreaterThan(0.17);
+    });
+  });
+
+  it('should lay out the same tiles for the same seed', () => {
+    const other = new DiscoBall({ radius: 2, holes: 10, style: 'faceted', tileCount: 600 });
+    expect(other.getTiles()[5].normal.equals(discoBall.getTiles()[5].normal)).toBe(true);
+    other.dispose();
+  });
+});
@@ -0,0 +1,84 @@
+import { DiscoBall } from './DiscoBall.js';
+import { generateHoleLayout, parseHoleLayout, registerHoleLayout, getHoleLayoutNames, HOLE_LAYOUT_NAMES } from './HoleLayouts.js';
+import { describe, it, expect } from 'vitest';
+
+// 两个灯孔方向之间的最小夹角
+const minAngle = (holes) => {
+  let min = Math.PI;
+  holes.forEach((a, i) => {
+    holes.slice(i + 1).forEach(b => {
+      min = Math.min(min, a.direction.angleTo(b.direction));
+    });
+  });
+  return min;
+};
+
+describe('Hole layouts', () => {
+  it('should keep the Fibonacci spiral as the default layout', () => {
+    const discoBall = new DiscoBall({ holes: 20 });
+    const [, second] = discoBall.getHoles();
+
+    expect(discoBall.config.holeLayout).toBe('fibonacci');
+    expect(discoBall.getHoles()).toHaveLength(20);
+    expect(second.spherical.theta).toBeCloseTo(2 * Math.PI / ((1 + Math.sqrt(5)) / 2));
+    expect(second.spherical.phi).toBeCloseTo(Math.acos(1 - 2 * 1.5 / 20));
+    discoBall.dispose();
+  });
+
+  it('should place holes on evenly spaced latitude rings', () => {
+    const points = generateHoleLayout('rings', 24, { rings: 3, perRing: 8 });
+    const phis = [...new Set(points.map(point => point.phi.toFixed(4)))];
+    expect(points).toHaveLength(24);
+    expect(phis.map(Number)).toEqual([Math.PI / 6, Math.PI / 2, 5 * Math.PI / 6].map(phi => +phi.toFixed(4)));
+
+    // 未指定每环孔数时按周长分配，赤道环最多
+    const auto = generateHoleLayout('rings', 12, { rings: 3 });
+    const counts = [0, 1, 2].map(ring => auto.filter(point => point.phi === (ring + 0.5) * Math.PI / 3).length);
+    expect(counts).toEqual([3, 6, 3]);
+  });
+
+  it('should use icosahedron vertices', () => {
+    expect(generateHoleLayout('icosahedral', 12)).toHaveLength(12);
+    expect(generateHoleLayout('icosahedral', 50)).toHaveLength(42);
+
+    const discoBall = new DiscoBall({ holes: 12, holeLayout: 'icosahedral' });
+    expect(minAngle(discoBall.getHoles())).toBeCloseTo(Math.atan(2));
+    discoBall.dispose();
+  });
+
+  it('should scatter reproducible random holes with a minimum spacing', () => {
+    const options = { seed: 7, minSpacing: 0.3 };
+    const first = new DiscoBall({ holes: 30, holeLayout: 'random', holeLayoutOptions: options });
+    const second = new DiscoBall({ holes: 30, holeLayout: 'random', holeLayoutOptions: options });
+
+    expect(first.getHoles()).toHaveLength(30);
+    expect(minAngle(first.getHoles())).toBeGreaterThanOrEqual(0.3);
+    expect(second.getHoles().map(hole => hole.spherical)).toEqual(first.getHoles().map(hole => hole.spherical));
+    first.dispose();
+    second.dispose();
+  });
+
+  it('should load custom layouts from JSON', () => {
+    const json = JSON.stringify({ units: 'degrees', holes: [{ theta: 0, phi: 90 }, { theta: 90, phi: 90 }, { theta: 0, phi: 0 }] });
+    const discoBall = new DiscoBall({ holeLayout: 'custom', holeLayoutOptions: { positions: json } });
+    const [front, side, top] = discoBall.getHoles();
+
+    expect(discoBall.getHoles()).toHaveLength(3);
+    expect(front.direction.x).toBeCloseTo(1);
+    expect(side.direction.y).toBeCloseTo(1);
+    expect(top.direction.z).toBeCloseTo(1);
+    discoBall.dispose();
+
+    expect(() => parseHoleLayout('[{ "theta": "north" }]')).toThrow('Invalid hole at index 0');
+    expect(() => parseHoleLayout({ points: [] })).toThrow();
+  });
+
+  it('should accept registered layouts and reject unknown ones', () => {
+    expect(HOLE_LAYOUT_NAMES).toEqual(['fibonacci', 'rings', 'icosahedral', 'random', 'custom']);
+    registerHoleLayout('equator', (count) => Array.from({ length: count }, (_, i) => ({ theta: 2 * Math.PI * i / count, phi: Math.PI / 2 })));
+    expect(getHoleLayoutNames()).toContain('equator');
+    expect(generateHoleLayout('equator', 4)).toHaveLength(4);
+
+    expect(() => generateHoleLayout('hexagon', 4)).toThrow('Unknown hole layout');
+  });
+});
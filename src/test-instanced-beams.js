@@ -0,0 +1,73 @@
+import * as THREE from 'three';
+import { DiscoBall } from './DiscoBall.js';
+import { LightBeamSystem } from './LightBeamSystem.js';
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+
+describe('LightBeamSystem instancing', () => {
+  let discoBall;
+  let lightBeamSystem;
+
+  beforeEach(() => {
+    discoBall = new DiscoBall({ holes: 20 });
+    lightBeamSystem = new LightBeamSystem(discoBall, { beamIntensity: 2.0, beamOpacity: 0.5 });
+  });
+
+  afterEach(() => {
+    lightBeamSystem.dispose();
+    discoBall.dispose();
+  });
+
+  it('should draw every beam from one instanced mesh with a shared material', () => {
+    const { beamMesh } = lightBeamSystem;
+
+    expect(beamMesh).toBeInstanceOf(THREE.InstancedMesh);
+    expect(beamMesh.count).toBe(20);
+    expect(lightBeamSystem.getBeamGroup().children).toEqual([beamMesh]);
+    expect(beamMesh.material).toBe(lightBeamSystem.beamMaterial);
+    expect(lightBeamSystem.beamMaterial.uniforms.color).toBeUndefined();
+    expect(lightBeamSystem.getBeamCount()).toBe(20);
+  });
+
+  it('should write color, intensity and opacity per instance', () => {
+    const geometry = lightBeamSystem.beamGeometry;
+    lightBeamSystem.setBeamColor(4, '#ff0000');
+    lightBeamSystem.setIntensity(3.0);
+    for (let i = 0; i < 200; i++) lightBeamSystem.updateColors();
+
+    const colors = geometry.getAttribute('beamColor');
+    expect(colors.getX(4)).toBeCloseTo(1);
+    expect(colors.getY(4) + colors.getZ(4)).toBeCloseTo(0);
+    expect(geometry.getAttribute('beamIntensity').getX(4)).toBeCloseTo(3.0);
+    expect(geometry.getAttribute('beamOpacity').getX(4)).toBeCloseTo(0.5);
+  });
+
+  it('should follow the ball rotation in the instance matrices', () => {
+    discoBall.getMesh().rotation.set(0.3, 1.2, 0);
+    discoBall.getMesh().position.set(0, 2, 0);
+    lightBeamSystem.update(16);
+
+    const matrix = new THREE.Matrix4();
+    const position = new THREE.Vector3();
+    const quaternion = new THREE.Quaternion();
+    const scale = new THREE.Vector3();
+    lightBeamSystem.beamMesh.getMatrixAt(7, matrix);
+    matrix.decompose(position, quaternion, scale);
+
+    const beam = lightBeamSystem.beams[7];
+    expect(position.distanceTo(beam.worldPosition)).toBeLessThan(1e-6);
+    expect(new THREE.Vector3(0, 1, 0).applyQuaternion(quaternion).distanceTo(beam.worldDirection)).toBeLessThan(1e-6);
+    expect(scale.x).toBeCloseTo(1);
+  });
+
+  it('should collapse disabled beams to zero scale', () => {
+    lightBeamSystem.setBeamEnabled(2, false);
+
+    const matrix = new THREE.Matrix4();
+    lightBeamSystem.beamMesh.getMatrixAt(2, matrix);
+    expect(matrix.getMaxScaleOnAxis()).toBe(0);
+
+    lightBeamSystem.setBeamEnabled(2, true);
+    lightBeamSystem.beamMesh.getMatrixAt(2, matrix);
+    expect(matrix.getMaxScaleOnAxis()).toBeCloseTo(1);
+  });
+});
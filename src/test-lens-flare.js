@@ -0,0 +1,77 @@
+import * as THREE from 'three';
+import { DiscoBall } from './DiscoBall.js';
+import { LightBeamSystem } from './LightBeamSystem.js';
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+
+describe('LightBeamSystem lens flares', () => {
+  let discoBall;
+  let lightBeamSystem;
+  let camera;
+
+  beforeEach(() => {
+    discoBall = new DiscoBall({ radius: 2, holes: 20 });
+    lightBeamSystem = new LightBeamSystem(discoBall, { flareIntensity: 1.0, flareOpacity: 1.0 });
+    camera = new THREE.PerspectiveCamera(75, 1, 0.1, 100);
+    camera.position.set(0, 0, 10);
+  });
+
+  afterEach(() => {
+    lightBeamSystem.dispose();
+    discoBall.dispose();
+  });
+
+  it('should create one flare sprite per hole', () => {
+    expect(lightBeamSystem.lensFlares).toHaveLength(lightBeamSystem.getBeamCount());
+    expect(lightBeamSystem.getFlareGroup().children).toHaveLength(lightBeamSystem.getBeamCount());
+  });
+
+  it('should stay hidden until a camera is set', () => {
+    lightBeamSystem.update(16);
+    expect(lightBeamSystem.lensFlares.every(flare => !flare.sprite.visible)).toBe(true);
+  });
+
+  it('should be brightest for beams pointing at the camera', () => {
+    lightBeamSystem.setCamera(camera);
+    lightBeamSystem.update(16);
+
+    const { lensFlares, beams } = lightBeamSystem;
+    const brightest = lensFlares.reduce((a, b) => (a.brightness > b.brightness ? a : b));
+    const toCamera = (beam) => camera.position.clone().sub(beam.worldPosition).normalize().dot(beam.worldDirection);
+    const mostFacing = beams.reduce((a, b) => (toCamera(a) > toCamera(b) ? a : b));
+
+    expect(brightest.beamId).toBe(mostFacing.id);
+    expect(brightest.sprite.visible).toBe(true);
+  });
+
+  it('should hide flares occluded by the ball', () => {
+    lightBeamSystem.setCamera(camera);
+    lightBeamSystem.update(16);
+
+    lightBeamSystem.lensFlares.forEach(flare => {
+      const beam = lightBeamSystem.beams[flare.beamId];
+      if (beam.worldDirection.z < -0.1) {
+        expect(flare.occluded).toBe(true);
+        expect(flare.sprite.visible).toBe(false);
+      }
+    });
+  });
+
+  it('should pulse over time', () => {
+    lightBeamSystem.setCamera(camera);
+    const flare = () => lightBeamSystem.lensFlares.reduce((a, b) => (a.brightness > b.brightness ? a : b));
+
+    const samples = [];
+    for (let i = 0; i < 10; i++) {
+      lightBeamSystem.update(50);
+      samples.push(flare().brightness);
+    }
+
+    expect(Math.max(...samples) - Math.min(...samples)).toBeGreaterThan(0.01);
+  });
+
+  it('should not create flares when disabled', () => {
+    const disabled = new LightBeamSystem(discoBall, { enableLensFlare: false });
+    expect(disabled.lensFlares).toHaveLength(0);
+    disabled.dispose();
+  });
+});
@@ -0,0 +1,88 @@
+import * as THREE from 'three';
+import { DiscoBall } from './DiscoBall.js';
+import { LightBeamSystem } from './LightBeamSystem.js';
+import { LightSpotSystem } from './LightSpotSystem.js';
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+
+describe('LightSpotSystem', () => {
+  let discoBall;
+  let lightBeamSystem;
+  let lightSpotSystem;
+
+  beforeEach(() => {
+    discoBall = new DiscoBall({ radius: 1, holes: 12 });
+    lightBeamSystem = new LightBeamSystem(discoBall, { beamOpacity: 0.6 });
+    lightSpotSystem = new LightSpotSystem(lightBeamSystem, {
+      room: { width: 20, height: 10, depth: 20, center: { x: 0, y: 0, z: 0 } }
+    });
+  });
+
+  afterEach(() => {
+    lightSpotSystem.dispose();
+    lightBeamSystem.dispose();
+    discoBall.dispose();
+  });
+
+  it('should create one spot per beam', () => {
+    expect(lightSpotSystem.getSpots()).toHaveLength(lightBeamSystem.getBeamCount());
+    expect(lightSpotSystem.getSpotGroup().getObjectByName('LightSpots')).toBeTruthy();
+  });
+
+  it('should intersect rays with the nearest room surface', () => {
+    const origin = new THREE.Vector3(0, 0, 0);
+
+    const down = lightSpotSystem.intersect(origin, new THREE.Vector3(0, -1, 0));
+    expect(down.surface.name).toBe('floor');
+    expect(down.point.y).toBeCloseTo(-5);
+    expect(down.distance).toBeCloseTo(5);
+
+    const side = lightSpotSystem.intersect(origin, new THREE.Vector3(1, 0, 0));
+    expect(side.surface.name).toBe('right');
+    expect(side.point.x).toBeCloseTo(10);
+  });
+
+  it('should place spots where beams hit the room', () => {
+    lightBeamSystem.syncWithDiscoBall();
+    lightSpotSystem.update();
+
+    lightSpotSystem.getSpots().forEach((spot, index) => {
+      const beam = lightBeamSystem.beams[index];
+      expect(spot.visible).toBe(true);
+
+      // 交点在光束方向上
+      const toPoint = spot.point.clone().sub(beam.worldPosition).normalize();
+      expect(toPoint.dot(beam.worldDirection)).toBeCloseTo(1);
+    });
+  });
+
+  it('should grow spots with distance', () => {
+    lightSpotSystem.setRoom({ width: 40, height: 10, depth: 40, center: { x: 0, y: 0, z: 0 } });
+    lightBeamSystem.syncWithDiscoBall();
+    lightSpotSystem.update();
+
+    const spots = lightSpotSystem.getSpots();
+    const near = spots.reduce((a, b) => (a.distance < b.distance ? a : b));
+    const far = spots.reduce((a, b) => (a.distance > b.distance ? a : b));
+
+    expect(far.distance).toBeGreaterThan(near.distance);
+    expect(far.size).toBeGreaterThan(near.size);
+  });
+
+  it('should match spot color to the beam color', () => {
+    lightBeamSystem.beams[0].currentColor.setRGB(1, 0, 0.5);
+    lightSpotSystem.update();
+
+    const color = new THREE.Color();
+    lightSpotSystem.spotMesh.getColorAt(0, color);
+    expect(color.r).toBeCloseTo(1);
+    expect(color.g).toBeCloseTo(0);
+    expect(color.b).toBeCloseTo(0.5);
+  });
+
+  it('should hide spots beyond the maximum distance', () => {
+    lightSpotSystem.config.maxDistance = 0.5;
+    lightSpotSystem.update();
+
+    expect(lightSpotSystem.getSpots().every(spot => !spot.visible)).toBe(true);
+  });
+});
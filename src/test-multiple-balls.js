@@ -0,0 +1,119 @@
+import { RenderEngine, PRIMARY_BALL_ID } from './RenderEngine.js';
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+
+describe('RenderEngine multiple balls', () => {
+  let renderEngine;
+
+  // 模拟渲染循环
+  const run = (milliseconds, step = 16) => {
+    for (let elapsed = 0; elapsed < milliseconds; elapsed += step) renderEngine.updateAnimations(step);
+  };
+
+  // 不创建 WebGL 渲染器，只搭建灯球所需的场景对象
+  beforeEach(() => {
+    renderEngine = new RenderEngine(document.createElement('div'), { discoBall: { holes: 12 } });
+    renderEngine.createScene();
+    renderEngine.createCamera();
+    renderEngine.createDiscoBall();
+    renderEngine.createRoom();
+    renderEngine.createLightBeamSystem();
+    renderEngine.createLightSpotSystem();
+  });
+
+  afterEach(() => {
+    renderEngine.dispose();
+  });
+
+  it('should add balls with their own position, config and beams', () => {
+    const added = [];
+    renderEngine.on('balladd', ({ id }) => added.push(id));
+
+    const id = renderEngine.addBall({ position: { x: 6, y: 1, z: 0 }, discoBall: { holes: 8, radius: 1 } });
+    const named = renderEngine.addBall({ id: 'left', position: { x: -6, y: 1, z: 0 } });
+
+    expect(id).toBe('ball-1');
+    expect(added).toEqual(['ball-1', 'left']);
+    expect(renderEngine.getBallIds()).toEqual([PRIMARY_BALL_ID, 'ball-1', 'left']);
+    expect(renderEngine.getBall(PRIMARY_BALL_ID).discoBall).toBe(renderEngine.getDiscoBall());
+
+    const { discoBall, lightBeamSystem, lightSpotSystem } = renderEngine.getBall(id);
+    expect(discoBall.getHoles()).toHaveLength(8);
+    expect(lightBeamSystem.getBeamCount()).toBe(8);
+    expect(lightSpotSystem.getSpots()).toHaveLength(8);
+    expect(renderEngine.getScene().children).toContain(discoBall.getMesh());
+    expect(renderEngine.room.hangers.has(named)).toBe(true);
+
+    // 光束从各自灯球的位置发出
+    run(16);
+    const beam = lightBeamSystem.beams[0];
+    expect(beam.worldPosition.distanceTo(discoBall.getMesh().position)).toBeCloseTo(1);
+
+    expect(() => renderEngine.addBall({ id: 'left' })).toThrow('already exists');
+  });
+
+  it('should remove balls by id but keep the primary ball', () => {
+    const id = renderEngine.addBall({ position: { x: 6, y: 0, z: 0 } });
+    const { discoBall, lightBeamSystem } = renderEngine.getBall(id);
+    const mesh = discoBall.getMesh();
+
+    let removed = null;
+    renderEngine.on('ballremove', payload => { removed = payload.id; });
+    expect(renderEngine.removeBall(id)).toBe(true);
+
+    expect(removed).toBe(id);
+    expect(renderEngine.getBall(id)).toBeNull();
+    expect(renderEngine.getScene().children).not.toContain(mesh);
+    expect(renderEngine.getScene().children).not.toContain(lightBeamSystem.getBeamGroup());
+    expect(renderEngine.room.hangers.has(id)).toBe(false);
+
+    expect(renderEngine.removeBall(PRIMARY_BALL_ID)).toBe(false);
+    expect(renderEngine.removeBall('missing')).toBe(false);
+    expect(renderEngine.getDiscoBall()).not.toBeNull();
+  });
+
+  it('should keep independent rotation unless rotation sync is on', () => {
+    const id = renderEngine.addBall({ position: { x: 6, y: 0, z: 0 } });
+    const primary = renderEngine.getDiscoBall();
+    const other = renderEngine.getBall(id).discoBall;
+    primary.setRotationSpeedImmediate(2.0);
+    other.setRotationSpeedImmediate(0.5);
+
+    run(500);
+    expect(other.currentRotation.y).toBeLessThan(primary.currentRotation.y);
+
+    renderEngine.setBallSync({ rotation: true });
+    run(100);
+    expect(other.currentRotation).toEqual(primary.currentRotation);
+    expect(other.getMesh().quaternion.equals(primary.getMesh().quaternion)).toBe(true);
+    expect(other.getMesh().position.x).toBe(6);
+  });
+
+  it('should align the color phase when color sync is on', () => {
+    const id = renderEngine.addBall({ lightBeams: { animationSpeed: 0.02 } });
+    const primary = renderEngine.getLightBeamSystem();
+    const other = renderEngine.getBall(id).lightBeamSystem;
+    primary.setAnimationSpeed(0.02);
+
+    run(1000);
+    other.colorTime += 5;
+    expect(other.colorTime).not.toBeCloseTo(primary.colorTime);
+
+    renderEngine.setBallSync({ color: true });
+    expect(renderEngine.getBallSync()).toEqual({ rotation: false, color: true });
+    run(100);
+    expect(other.colorTime).toBeCloseTo(primary.colorTime);
+    expect(other.elapsedTime).toBeCloseTo(primary.elapsedTime);
+  });
+
+  it('should reconfigure a single ball by id', () => {
+    const id = renderEngine.addBall({ position: { x: 6, y: 0, z: 0 }, discoBall: { holes: 8 } });
+
+    renderEngine.reconfigure({ holes: 20, radius: 1.5 }, { ballId: id, duration: 0 });
+
+    const { discoBall, lightBeamSystem } = renderEngine.getBall(id);
+    expect(lightBeamSystem.getBeamCount()).toBe(20);
+    expect(discoBall.getMesh().position.x).toBe(6);
+    expect(renderEngine.getLightBeamSystem().getBeamCount()).toBe(12);
+    expect(renderEngine.reconfigure({ holes: 4 }, { ballId: 'missing' })).toBe(false);
+  });
+});
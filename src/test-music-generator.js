@@ -0,0 +1,218 @@
+import { MusicGenerator } from './MusicGenerator.js';
+import { AudioManager } from './AudioManager.js';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+/**
+ * 模拟的 Web Audio 参数和节点
+ */
+function createParam() {
+  return {
+    value: 0,
+    setValueAtTime: vi.fn(),
+    exponentialRampToValueAtTime: vi.fn()
+  };
+}
+
+function createNode(extra = {}) {
+  return {
+    connect: vi.fn(),
+    disconnect: vi.fn(),
+    start: vi.fn(),
+    stop: vi.fn(),
+    gain: createParam(),
+    frequency: createParam(),
+    ...extra
+  };
+}
+
+class FakeAudioContext {
+  constructor() {
+    this.currentTime = 0;
+    this.sampleRate = 8000;
+    this.state = 'running';
+    this.destination = createNode();
+    this.oscillators = [];
+  }
+
+  createGain() { return createNode(); }
+  createBiquadFilter() { return createNode(); }
+  createBufferSource() { return createNode(); }
+
+  createOscillator() {
+    const osc = createNode();
+    this.oscillators.push(osc);
+    return osc;
+  }
+
+  createAnalyser() {
+    return createNode({
+      frequencyBinCount: 1024,
+      getByteFrequencyData: array => array.fill(0)
+    });
+  }
+
+  createBuffer(channels, length) {
+    const data = new Float32Array(length);
+    return { getChannelData: () => data };
+  }
+
+  async resume() {}
+  close() {}
+}
+
+describe('MusicGenerator', () => {
+  let audioContext;
+  let generator;
+
+  beforeEach(() => {
+    audioContext = new FakeAudioContext();
+    generator = new MusicGenerator({ bpm: 120, style: 'house' });
+    generator.connect(audioContext, audioContext.destination);
+  });
+
+  afterEach(() => {
+    generator.dispose();
+  });
+
+  it('should fall back to house for unknown styles', () => {
+    const unknown = new MusicGenerator({ style: 'polka' });
+    expect(unknown.getState().style).toBe('house');
+    expect(MusicGenerator.getStyles()).toContain('techno');
+  });
+
+  it('should publish the exact tempo when started', () => {
+    const tempos = [];
+    generator.on('tempo', event => tempos.push(event));
+
+    generator.start();
+    expect(tempos).toEqual([{ bpm: 120, confidence: 1 }]);
+  });
+
+  it('should emit beats on the exact grid', () => {
+    const beats = [];
+    generator.on('beat', event => beats.push(event));
+
+    generator.start();
+    for (let frame = 0; frame <= 105; frame++) {
+      audioContext.currentTime = frame * 0.02;
+      generator.schedule();
+    }
+
+    // 120 BPM：起点0.05秒后每0.5秒一拍
+    const expected = [0.05, 0.55, 1.05, 1.55, 2.05];
+    expect(beats).toHaveLength(expected.length);
+    beats.forEach((beat, i) => expect(beat.time).toBeCloseTo(expected[i]));
+    expect(beats[0].strength).toBe(1.0);
+    expect(beats[1].strength).toBe(0.7);
+    expect(beats[4].beat).toBe(0);
+  });
+
+  it('should schedule a kick on every beat in house style', () => {
+    generator.start();
+    audioContext.currentTime = 1.0;
+    generator.schedule();
+
+    // 底鼓和贝斯使用振荡器，底鼓音高从150Hz开始
+    const kicks = audioContext.oscillators.filter(osc =>
+      osc.frequency.setValueAtTime.mock.calls.some(([value]) => value === 150)
+    );
+    expect(kicks.length).toBe(3); // 0.05, 0.55, 1.05 (预排程窗口内)
+  });
+
+  it('should keep the grid continuous when the tempo changes', () => {
+    const beats = [];
+    generator.on('beat', event => beats.push(event));
+    generator.start();
+
+    audioContext.currentTime = 0.5;
+    generator.schedule();
+    generator.setBpm(60);
+
+    for (let frame = 25; frame <= 200; frame++) {
+      audioContext.currentTime = frame * 0.02;
+      generator.schedule();
+    }
+
+    // 变速后的第一拍之后，间隔均为新的拍长
+    const intervals = beats.slice(3).map((beat, i) => beat.time - beats[i + 2].time);
+    expect(intervals.length).toBeGreaterThan(1);
+    intervals.forEach(interval => expect(interval).toBeCloseTo(1.0));
+    expect(generator.getBeatGrid().beatInterval).toBe(1.0);
+  });
+
+  it('should keep the playback time and pattern position across tempo changes', () => {
+    generator.start();
+    audioContext.currentTime = 1.0;
+    generator.schedule();
+    const { currentStep, patternStep } = generator;
+    const time = generator.getCurrentTime();
+
+    generator.setBpm(90);
+    expect(generator.getCurrentTime()).toBeCloseTo(time);
+    expect(generator.currentStep).toBe(currentStep);
+    expect(generator.patternStep).toBe(patternStep);
+
+    // 网格起点落在变速的那一步，起点在节奏型中的位置与之对应
+    const grid = generator.getBeatGrid();
+    expect(grid.startTime).toBeCloseTo(generator.nextStepTime);
+    expect(grid.startStep).toBe(patternStep);
+
+    audioContext.currentTime = 3.0;
+    generator.schedule();
+    expect(generator.getCurrentTime()).toBeCloseTo(2.95);
+  });
+
+  it('should resume the playback time and pattern position after a stop', () => {
+    const beats = [];
+    generator.on('beat', event => beats.push(event));
+    generator.start();
+
+    // 1.2 秒时停止：已经播放了前 10 步（最后一步在 1.175 秒），下一步原定在 1.3 秒
+    for (let frame = 0; frame <= 60; frame++) {
+      audioContext.currentTime = frame * 0.02;
+      generator.schedule();
+    }
+    generator.stop();
+    expect(generator.currentStep).toBe(10);
+    expect(generator.patternStep).toBe(10);
+    expect(generator.getCurrentTime()).toBeCloseTo(1.25);
+
+    // 暂停 5 秒后继续，时间和节奏型位置都接着停止时的位置
+    audioContext.currentTime = 6.2;
+    generator.start();
+    expect(generator.getCurrentTime()).toBeCloseTo(1.25);
+    expect(generator.getBeatGrid().startStep).toBe(10);
+
+    for (let frame = 310; frame <= 360; frame++) {
+      audioContext.currentTime = frame * 0.02;
+      generator.schedule();
+    }
+    expect(generator.getCurrentTime()).toBeCloseTo(7.2 - 6.25 + 1.25);
+
+    // 第 12 步是下一拍：继续后第一拍在 6.25 + 2 * 0.125
+    const resumed = beats.filter(beat => beat.time > 6);
+    expect(resumed[0].time).toBeCloseTo(6.5);
+    expect(resumed[1].time - resumed[0].time).toBeCloseTo(0.5);
+  });
+});
+
+describe('AudioManager with MusicGenerator', () => {
+  it('should play and pause the generator like a track', async () => {
+    window.AudioContext = FakeAudioContext;
+    const audioManager = new AudioManager();
+    const generator = new MusicGenerator({ style: 'techno' });
+
+    audioManager.useGenerator(generator);
+    expect(audioManager.getState().currentTrack).toBe('generator:techno');
+    expect(audioManager.getState().sourceType).toBe('generator');
+
+    await audioManager.play();
+    expect(generator.isPlaying).toBe(true);
+
+    audioManager.pause();
+    expect(generator.isPlaying).toBe(false);
+
+    audioManager.dispose();
+    delete window.AudioContext;
+  });
+});
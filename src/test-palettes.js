@@ -0,0 +1,116 @@
+import * as THREE from 'three';
+import { Palette, PaletteLibrary } from './Palettes.js';
+import { DiscoBall } from './DiscoBall.js';
+import { LightBeamSystem } from './LightBeamSystem.js';
+import { ControlManager } from './ControlManager.js';
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+
+describe('Palettes', () => {
+  it('should ship the built-in palettes', () => {
+    const library = new PaletteLibrary();
+    expect(library.getNames()).toEqual(expect.arrayContaining(['rainbow', 'neon', 'sunset', 'ice', 'brand']));
+  });
+
+  it('should sample colors cyclically with interpolation', () => {
+    const palette = new Palette('test', ['#ff0000', '#0000ff']);
+
+    expect(palette.sample(0).getHex()).toBe(0xff0000);
+    expect(palette.sample(0.5).getHex()).toBe(0x0000ff);
+    expect(palette.sample(1.0).getHex()).toBe(0xff0000);
+
+    const middle = palette.sample(0.25);
+    expect(middle.r).toBeCloseTo(0.5);
+    expect(middle.b).toBeCloseTo(0.5);
+  });
+
+  it('should load user-defined palettes from JSON', () => {
+    const library = new PaletteLibrary();
+    const names = library.loadJSON(JSON.stringify({
+      palettes: [
+        { name: 'club', colors: ['#ff00cc', '#00ffcc'], white: '#fff4e0' },
+        { name: 'mono', colors: ['#ffffff'] }
+      ]
+    }));
+
+    expect(names).toEqual(['club', 'mono']);
+    expect(library.get('club').white.getHex()).toBe(0xfff4e0);
+    expect(library.get('club').toJSON()).toEqual({ name: 'club', colors: ['#ff00cc', '#00ffcc'], white: '#fff4e0' });
+  });
+
+  it('should reject invalid definitions', () => {
+    const library = new PaletteLibrary();
+    expect(() => library.loadJSON({ name: 'empty', colors: [] })).toThrow();
+    expect(() => library.loadJSON({ colors: ['#fff'] })).toThrow();
+  });
+});
+
+describe('LightBeamSystem palettes', () => {
+  let discoBall;
+  let lightBeamSystem;
+
+  beforeEach(() => {
+    discoBall = new DiscoBall({ holes: 6 });
+    lightBeamSystem = new LightBeamSystem(discoBall, {
+      colorMode: 'white',
+      palette: 'brand',
+      palettes: [{ name: 'red', colors: ['#ff0000'], white: '#ff0000' }],
+      paletteFadeDuration: 1000
+    });
+  });
+
+  afterEach(() => {
+    lightBeamSystem.dispose();
+    discoBall.dispose();
+  });
+
+  it('should start with the configured palette and custom palettes loaded', () => {
+    expect(lightBeamSystem.getPalette()).toBe('brand');
+    expect(lightBeamSystem.getPaletteNames()).toContain('red');
+  });
+
+  it('should cross-fade to a new palette over time', () => {
+    lightBeamSystem.setPalette('red');
+    const white = new THREE.Color();
+
+    lightBeamSystem.samplePaletteWhite(white);
+    expect(white.getHex()).toBe(0xffffff);
+
+    lightBeamSystem.update(500);
+    lightBeamSystem.samplePaletteWhite(white);
+    expect(white.g).toBeCloseTo(0.5);
+
+    lightBeamSystem.update(600);
+    lightBeamSystem.samplePaletteWhite(white);
+    expect(white.getHex()).toBe(0xff0000);
+    expect(lightBeamSystem.previousPalette).toBeNull();
+  });
+
+  it('should sample every color mode from the active palette', () => {
+    lightBeamSystem.setPalette('red', 0);
+
+    ['rainbow', 'random', 'white'].forEach(mode => {
+      lightBeamSystem.setColorMode(mode);
+      for (let i = 0; i < 200; i++) lightBeamSystem.updateColors();
+      lightBeamSystem.beams.forEach(beam => {
+        expect(beam.currentColor.r).toBeCloseTo(1, 2);
+        expect(beam.currentColor.g).toBeCloseTo(0, 2);
+      });
+    });
+  });
+
+  it('should switch palettes through the ControlManager', () => {
+    const controlManager = new ControlManager();
+    controlManager.bind({ discoBall, lightBeamSystem });
+    expect(controlManager.get('palette')).toBe('brand');
+
+    controlManager.setPalette('ice');
+    expect(lightBeamSystem.getPalette()).toBe('ice');
+
+    controlManager.setPalette('missing');
+    expect(controlManager.get('palette')).toBe('ice');
+
+    controlManager.undo();
+    expect(lightBeamSystem.getPalette()).toBe('brand');
+    controlManager.dispose();
+  });
+});
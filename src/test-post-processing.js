@@ -0,0 +1,86 @@
+import * as THREE from 'three';
+import { ShaderPass } from 'three/examples/jsm/postprocessing/ShaderPass.js';
+import { CopyShader } from 'three/examples/jsm/shaders/CopyShader.js';
+import { PostProcessing } from './PostProcessing.js';
+import { describe, it, expect, afterEach } from 'vitest';
+
+// jsdom 没有 WebGL，管线构建只需要渲染器的尺寸信息
+const createFakeRenderer = () => ({
+  getPixelRatio: () => 2,
+  getSize: (target) => target.set(800, 600)
+});
+
+describe('PostProcessing', () => {
+  let postProcessing;
+
+  const create = (config = {}) => {
+    postProcessing = new PostProcessing(
+      createFakeRenderer(),
+      new THREE.Scene(),
+      new THREE.PerspectiveCamera(),
+      config
+    );
+    return postProcessing;
+  };
+
+  afterEach(() => {
+    postProcessing.dispose();
+  });
+
+  it('should build render, bloom and output passes in order', () => {
+    const { composer, renderPass, bloomPass, outputPass } = create();
+    expect(composer.passes).toEqual([renderPass, bloomPass, outputPass]);
+  });
+
+  it('should change bloom parameters at runtime', () => {
+    create();
+    postProcessing.setBloom({ strength: 2.5, radius: 0.8, threshold: 0.6 });
+
+    expect(postProcessing.bloomPass.strength).toBe(2.5);
+    expect(postProcessing.bloomPass.radius).toBe(0.8);
+    expect(postProcessing.bloomPass.threshold).toBe(0.6);
+    expect(postProcessing.getBloom()).toMatchObject({ strength: 2.5, radius: 0.8, threshold: 0.6 });
+
+    postProcessing.setBloomEnabled(false);
+    expect(postProcessing.bloomPass.enabled).toBe(false);
+  });
+
+  it('should lower resolution for low quality', () => {
+    create({ quality: 'high' });
+    const high = postProcessing.bloomPass.resolution.clone();
+    expect(high.x).toBe(1600);
+
+    postProcessing.setQuality('low');
+    expect(postProcessing.bloomPass.resolution.x).toBe(200);
+    expect(postProcessing.composer._pixelRatio).toBe(1);
+  });
+
+  it('should insert custom passes before the output pass', () => {
+    create();
+    const first = new ShaderPass(CopyShader);
+    const second = new ShaderPass(CopyShader);
+
+    postProcessing.addPass('second', second);
+    postProcessing.addPass('first', first, 0);
+
+    const { passes } = postProcessing.composer;
+    expect(passes.indexOf(first)).toBe(2);
+    expect(passes.indexOf(second)).toBe(3);
+    expect(passes[passes.length - 1]).toBe(postProcessing.outputPass);
+    expect(postProcessing.getPass('first')).toBe(first);
+
+    expect(postProcessing.removePass('first')).toBe(true);
+    expect(passes).not.toContain(first);
+    expect(postProcessing.getPass('first')).toBeNull();
+  });
+
+  it('should follow size and pixel ratio changes', () => {
+    create({ quality: 'medium' });
+    postProcessing.setPixelRatio(1);
+    postProcessing.setSize(400, 300);
+
+    expect(postProcessing.composer._width).toBe(400);
+    expect(postProcessing.composer._pixelRatio).toBe(1);
+    expect(postProcessing.bloomPass.resolution.x).toBe(200);
+  });
+});
@@ -0,0 +1,213 @@
+import * as THREE from 'three';
+import { PresetManager, PRESET_VERSION } from './PresetManager.js';
+import { DiscoBall } from './DiscoBall.js';
+import { LightBeamSystem } from './LightBeamSystem.js';
+import { ControlManager } from './ControlManager.js';
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+
+// 内存存储，代替 localStorage
+function createStorage() {
+  const items = new Map();
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: key => items.delete(key)
+  };
+}
+
+describe('PresetManager', () => {
+  let discoBall;
+  let lightBeamSystem;
+  let camera;
+  let renderEngine;
+  let controlManager;
+  let presetManager;
+
+  beforeEach(() => {
+    discoBall = new DiscoBall({ holes: 8 });
+    lightBeamSystem = new LightBeamSystem(discoBall, { colorMode: 'rainbow' });
+    camera = new THREE.PerspectiveCamera(75, 1, 0.1, 100);
+    camera.position.set(0, 0, 8);
+
+    renderEngine = {
+      getDiscoBall: () => discoBall,
+      getLightBeamSystem: () => lightBeamSystem,
+      getCamera: () => camera,
+      getPostProcessing: () => null
+    };
+
+    controlManager = new ControlManager();
+    controlManager.bind({ discoBall, lightBeamSystem });
+    presetManager = new PresetManager(renderEngine, { controlManager, storage: createStorage() });
+  });
+
+  afterEach(() => {
+    controlManager.dispose();
+    lightBeamSystem.dispose();
+    discoBall.dispose();
+  });
+
+  it('should capture the visual state into a versioned preset', () => {
+    controlManager.setState({ colorMode: 'wave', rotation: { speed: 3 } });
+    lightBeamSystem.setBeamSpread(0.2);
+
+    const preset = presetManager.capture('club');
+    expect(preset.version).toBe(PRESET_VERSION);
+    expect(preset.name).toBe('club');
+    expect(preset.discoBall.config.holes).toBe(8);
+    expect(preset.discoBall.rotation.speed).toBe(3);
+    expect(preset.lightBeams.config.colorMode).toBe('wave');
+    expect(preset.lightBeams.config.spreadAngle).toBeCloseTo(0.2);
+    expect(preset.camera.position).toEqual({ x: 0, y: 0, z: 8 });
+
+    // 预设必须能完整地经过JSON往返
+    expect(JSON.parse(JSON.stringify(preset))).toEqual(preset);
+  });
+
+  it('should leave quality settings to the device that loads the preset', () => {
+    lightBeamSystem.setMaxLensFlares(4);
+    lightBeamSystem.setBeamSegments(6);
+
+    const preset = presetManager.capture('low-end');
+    expect(preset.lightBeams.config).not.toHaveProperty('maxLensFlares');
+    expect(preset.lightBeams.config).not.toHaveProperty('beamSegments');
+
+    // 旧预设中的画质设置既不写入当前场景，也不传给新建的引擎
+    lightBeamSystem.setMaxLensFlares(null);
+    preset.lightBeams.config.maxLensFlares = 4;
+    presetManager.apply(preset);
+    expect(lightBeamSystem.getConfig().maxLensFlares).toBeNull();
+    expect(PresetManager.getEngineOptions(preset).lightBeams).not.toHaveProperty('maxLensFlares');
+  });
+
+  it('should restore a captured scene as a single undoable step', () => {
+    controlManager.setState({ colorMode: 'strobe', palette: 'neon', intensity: 1.2 });
+    lightBeamSystem.setBeamLength(5);
+    camera.position.set(3, 2, 6);
+    const preset = presetManager.capture('look');
+
+    controlManager.setState({ colorMode: 'white', palette: 'ice', intensity: 3 });
+    lightBeamSystem.setBeamLength(9);
+    camera.position.set(0, 0, 8);
+    // 避免与上面的修改合并为同一条历史
+    controlManager.clearHistory();
+
+    presetManager.apply(preset);
+    expect(lightBeamSystem.getConfig().colorMode).toBe('strobe');
+    expect(lightBeamSystem.getPalette()).toBe('neon');
+    expect(lightBeamSystem.getConfig().beamIntensity).toBeCloseTo(1.2);
+    expect(lightBeamSystem.getBeamShape().length).toBe(5);
+    expect(camera.position.toArray()).toEqual([3, 2, 6]);
+
+    controlManager.undo();
+    expect(controlManager.get('colorMode')).toBe('white');
+  });
+
+  it('should save, list, load and remove presets in storage', () => {
+    controlManager.setColorMode('chase');
+    presetManager.save('one');
+    controlManager.setColorMode('wave');
+    presetManager.save('two');
+    expect(presetManager.getNames()).toEqual(['one', 'two']);
+
+    presetManager.load('one');
+    expect(controlManager.get('colorMode')).toBe('chase');
+
+    expect(presetManager.remove('one')).toBe(true);
+    expect(presetManager.getNames()).toEqual(['two']);
+    expect(presetManager.load('one')).toBeNull();
+  });
+
+  it('should export and import JSON with validation', () => {
+    const json = presetManager.exportJSON(presetManager.capture('shared'));
+    const fresh = new PresetManager(renderEngine, { storage: createStorage() });
+
+    fresh.importJSON(json);
+    expect(fresh.getNames()).toEqual(['shared']);
+
+    expect(() => fresh.importJSON('{"name":"broken"}')).toThrow();
+    expect(() => fresh.importJSON({ version: PRESET_VERSION + 1 })).toThrow();
+  });
+
+  it('should round-trip presets through a URL hash', () => {
+    lightBeamSystem.loadPalettes({ name: '霓虹', colors: ['#ff00cc'] });
+    controlManager.setPalette('霓虹');
+    const url = presetManager.getShareURL(presetManager.capture('链接'), 'https://example.com/disco/');
+
+    const hash = new URL(url).hash;
+    expect(hash.startsWith('#preset=')).toBe(true);
+
+    const preset = PresetManager.fromHash(hash);
+    expect(preset.name).toBe('链接');
+    expect(preset.lightBeams.palettes[0].name).toBe('霓虹');
+    expect(PresetManager.getEngineOptions(preset).discoBall.holes).toBe(8);
+
+    expect(PresetManager.fromHash('#preset=not-a-preset')).toBeNull();
+    expect(PresetManager.fromHash('')).toBeNull();
+  });
+
+  it('should clamp the ball and beam config of untrusted share links', () => {
+    const malicious = {
+      version: PRESET_VERSION,
+      name: 'hang',
+      discoBall: {
+        config: {
+          holes: 1e7,
+          radius: -3,
+          segments: '100000',
+          holeLayout: 'custom',
+          holeLayoutOptions: {
+            rings: 1e4,
+            perRing: 1e6,
+            positions: Array.from({ length: 5000 }, (_, i) => ({ theta: i * 0.01, phi: 1 }))
+          }
+        }
+      },
+      lightBeams: { config: { beamLength: Infinity, spreadAngle: null, flareSize: 1e9 } }
+    };
+
+    const preset = PresetManager.fromHash(`#preset=${PresetManager.encode(malicious)}`);
+    const ball = preset.discoBall.config;
+    expect(ball.holes).toBe(1000);
+    expect(ball.radius).toBe(0.1);
+    expect(ball).not.toHaveProperty('segments');
+    expect(ball.holeLayoutOptions.rings).toBe(50);
+    expect(ball.holeLayoutOptions.rings * ball.holeLayoutOptions.perRing).toBeLessThanOrEqual(1000);
+    expect(ball.holeLayoutOptions.positions).toHaveLength(1000);
+
+    const beams = PresetManager.getEngineOptions(preset).lightBeams;
+    expect(beams).not.toHaveProperty('beamLength');
+    expect(beams.spreadAngle).toBeNull();
+    expect(beams.flareSize).toBe(10);
+
+    // 原始对象不被修改，合法的预设保持不变
+    expect(malicious.discoBall.config.holes).toBe(1e7);
+    const captured = presetManager.capture('normal');
+    expect(PresetManager.validate(captured)).toEqual(captured);
+  });
+
+  it('should report properties that need a scene rebuild', () => {
+    const preset = presetManager.capture();
+    preset.discoBall.config.holes = 30;
+
+    let event = null;
+    presetManager.on('apply', payload => { event = payload; });
+    presetManager.apply(preset);
+
+    expect(event.requiresRebuild).toEqual(['discoBall.holes']);
+  });
+
+  it('should rebuild the ball at runtime when the engine supports it', () => {
+    const preset = presetManager.capture();
+    preset.discoBall.config.holes = 30;
+
+    let rebuilt = null;
+    renderEngine.reconfigure = config => { rebuilt = config; };
+    let event = null;
+    presetManager.on('apply', payload => { event = payload; });
+    presetManager.apply(preset);
+
+    expect(rebuilt).toEqual({ holes: 30 });
+    expect(event.requiresRebuild).toEqual([]);
+  });
+});
@@ -0,0 +1,241 @@
+import { QualityGovernor } from './QualityGovernor.js';
+import { RenderEngine } from './RenderEngine.js';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+describe('QualityGovernor', () => {
+  let governor;
+  let changes;
+
+  // 以固定帧时间模拟若干毫秒的渲染
+  const run = (frameTime, milliseconds) => {
+    for (let elapsed = 0; elapsed < milliseconds; elapsed += frameTime) governor.sample(frameTime, 16);
+  };
+
+  beforeEach(() => {
+    governor = new QualityGovernor({ level: 'high', sampleSize: 30, downgradeDelay: 1000, upgradeDelay: 3000 });
+    changes = [];
+    governor.on('change', change => changes.push(change));
+  });
+
+  afterEach(() => {
+    governor.dispose();
+  });
+
+  it('should step down one level after sustained slow frames', () => {
+    run(30, 900);
+    expect(governor.getLevel()).toBe('high');
+
+    run(30, 1200);
+    expect(governor.getLevel()).toBe('medium');
+    expect(changes).toEqual([
+      expect.objectContaining({ level: 'medium', previousLevel: 'high', reason: 'downgrade' })
+    ]);
+    expect(changes[0].averageFrameTime).toBeCloseTo(30);
+
+    run(30, 2000);
+    expect(governor.getLevel()).toBe('low');
+  });
+
+  it('should hold the level inside the dead band and step up only after a longer delay', () => {
+    governor.lock('low');
+    governor.unlock();
+
+    // 1.1 倍目标帧时间：既不降级也不升级
+    run(17.6, 10000);
+    expect(governor.getLevel()).toBe('low');
+
+    run(16, 2000);
+    expect(governor.getLevel()).toBe('low');
+    run(16, 2000);
+    expect(governor.getLevel()).toBe('medium');
+    expect(changes[changes.length - 1].reason).toBe('upgrade');
+  });
+
+  it('should ignore outliers such as hidden tabs', () => {
+    run(1000, 20000);
+    expect(governor.getLevel()).toBe('high');
+    expect(governor.getAverageFrameTime()).toBe(0);
+  });
+
+  it('should back off upgrades that fail right away', () => {
+    governor.lock('medium');
+    governor.unlock();
+    run(16, 4000);
+    expect(governor.getLevel()).toBe('high');
+
+    // 升级后立即变慢，降回后下一次升级需要等待两倍时间
+    run(30, 2000);
+    expect(governor.getLevel()).toBe('medium');
+    expect(governor.getState().upgradeDelay).toBe(6000);
+
+    run(16, 5000);
+    expect(governor.getLevel()).toBe('medium');
+    run(16, 2000);
+    expect(governor.getLevel()).toBe('high');
+  });
+
+  it('should lock to a manual level', () => {
+    const locks = [];
+    governor.on('lock', ({ level }) => locks.push(level));
+
+    governor.lock('low');
+    expect(governor.isLocked()).toBe(true);
+    expect(changes).toEqual([expect.objectContaining({ level: 'low', previousLevel: 'high', reason: 'manual' })]);
+    expect(locks).toEqual(['low']);
+
+    run(5, 20000);
+    expect(governor.getLevel()).toBe('low');
+
+    governor.unlock();
+    expect(governor.isLocked()).toBe(false);
+    run(16, 4000);
+    expect(governor.getLevel()).toBe('medium');
+
+    expect(() => governor.lock('ultra')).toThrow('Unknown quality level');
+  });
+
+  it('should judge raw tick intervals against the display refresh and the frame limit', () => {
+    // 144Hz 显示器、60 FPS 限制：每次渲染之后的下一个 tick 间隔为一个刷新周期
+    for (let tick = 0; tick < 3000; tick++) governor.recordTick(1000 / 144, tick % 3 === 0, 1000 / 60);
+    expect(governor.getState().displayFrameTime).toBeCloseTo(1000 / 144);
+    expect(changes).toEqual([]);
+
+    // 每帧都要两个刷新周期（60Hz 下 30 FPS）：刷新间隔估计有上限，持续过载仍然降级
+    const slow = new QualityGovernor({ level: 'high', sampleSize: 30, downgradeDelay: 1000 });
+    for (let tick = 0; tick < 80; tick++) slow.recordTick(2000 / 60, true, 1000 / 60);
+    expect(slow.getState().displayFrameTime).toBe(20);
+    expect(slow.getLevel()).toBe('medium');
+    slow.dispose();
+  });
+});
+
+describe('RenderEngine quality levels', () => {
+  let renderEngine;
+
+  // 不创建 WebGL 渲染器，只搭建光束所需的场景对象
+  beforeEach(() => {
+    renderEngine = new RenderEngine(document.createElement('div'), { discoBall: { holes: 60 } });
+    renderEngine.createScene();
+    renderEngine.createCamera();
+    renderEngine.createDiscoBall();
+    renderEngine.createRoom();
+    renderEngine.createLightBeamSystem();
+    renderEngine.createLightSpotSystem();
+    renderEngine.createQualityGovernor();
+  });
+
+  afterEach(() => {
+    renderEngine.dispose();
+  });
+
+  it('should apply beam segments and flare count for the governed level', () => {
+    const lightBeamSystem = renderEngine.getLightBeamSystem();
+    const events = [];
+    renderEngine.on('qualitychange', event => events.push(event));
+
+    renderEngine.setQualityLevel('low');
+    expect(renderEngine.getQualityLevel()).toBe('low');
+    expect(renderEngine.getQualityGovernor().isLocked()).toBe(true);
+    expect(lightBeamSystem.config.beamSegments).toBe(6);
+    expect(lightBeamSystem.beamMesh.geometry).toBe(lightBeamSystem.beamGeometry);
+    expect(lightBeamSystem.lensFlares).toHaveLength(24);
+    expect(renderEngine.responsiveConfig.enableShadows).toBe(false);
+    expect(events).toEqual([{ level: 'low', previousLevel: expect.any(String), reason: 'manual' }]);
+
+    // 新添加的灯球使用当前等级
+    const id = renderEngine.addBall({ position: { x: 6, y: 0, z: 0 } });
+    expect(renderEngine.getBall(id).lightBeamSystem.config.beamSegments).toBe(6);
+
+    renderEngine.setQualityLevel('high');
+    expect(lightBeamSystem.config.beamSegments).toBe(8);
+    expect(lightBeamSystem.lensFlares).toHaveLength(60);
+
+    renderEngine.setQualityLevel('auto');
+    expect(renderEngine.getQualityGovernor().isLocked()).toBe(false);
+    expect(renderEngine.getQualityLevel()).toBe('high');
+  });
+
+  it('should keep beam colors and levels when the segment count changes', () => {
+    const lightBeamSystem = renderEngine.getLightBeamSystem();
+    lightBeamSystem.setBeamColor(2, '#00ff00');
+    for (let i = 0; i < 200; i++) lightBeamSystem.updateColors();
+    lightBeamSystem.setBeamEnabled(4, false);
+
+    lightBeamSystem.setBeamSegments(12);
+
+    const geometry = lightBeamSystem.beamGeometry;
+    expect(geometry.parameters.radialSegments).toBe(12);
+    expect(geometry.getAttribute('beamColor').getY(2)).toBeCloseTo(1);
+    expect(geometry.getAttribute('beamOpacity').getX(4)).toBe(0);
+    expect(geometry.getAttribute('beamIntensity').getX(0)).toBeCloseTo(lightBeamSystem.beams[0].intensity);
+  });
+});
+
+describe('RenderEngine frame sampling', () => {
+  let renderEngine;
+  let changes;
+  let now;
+
+  // 以垂直同步对齐的时间戳（带少量抖动）驱动 render()，refreshesPerTick 为每次回调相隔的刷新周期数
+  const drive = (refreshRate, milliseconds, refreshesPerTick = 1) => {
+    const interval = 1000 / refreshRate * refreshesPerTick;
+    for (let end = now + milliseconds; now < end;) {
+      now += interval;
+      renderEngine.render(now + Math.sin(now) * 0.3);
+    }
+  };
+
+  beforeEach(() => {
+    vi.stubGlobal('requestAnimationFrame', () => 1);
+    vi.stubGlobal('cancelAnimationFrame', () => {});
+
+    renderEngine = new RenderEngine(document.createElement('div'), {
+      discoBall: { holes: 20 },
+      qualityGovernor: { level: 'high' }
+    });
+    renderEngine.createScene();
+    renderEngine.createCamera();
+    renderEngine.createDiscoBall();
+    renderEngine.createRoom();
+    renderEngine.createLightBeamSystem();
+    renderEngine.createLightSpotSystem();
+    renderEngine.createQualityGovernor();
+
+    changes = [];
+    renderEngine.on('qualitychange', change => changes.push(change));
+    now = 0;
+  });
+
+  afterEach(() => {
+    renderEngine.dispose();
+    vi.unstubAllGlobals();
+  });
+
+  it('should not downgrade a healthy 60Hz display at any frame limit', () => {
+    for (const fps of [60, 45, 30]) {
+      renderEngine.setFrameRate(fps);
+      drive(60, 15000);
+    }
+
+    expect(renderEngine.getQualityGovernor().getAverageFrameTime()).toBeGreaterThan(0);
+    expect(changes).toEqual([]);
+    expect(renderEngine.getQualityLevel()).toBe('high');
+  });
+
+  it('should not downgrade a 144Hz display limited to 60 FPS', () => {
+    renderEngine.setFrameRate(60);
+    drive(144, 15000);
+
+    expect(renderEngine.getQualityGovernor().getAverageFrameTime()).toBeGreaterThan(0);
+    expect(changes).toEqual([]);
+    expect(renderEngine.getQualityLevel()).toBe('high');
+  });
+
+  it('should downgrade when every frame takes two refreshes', () => {
+    renderEngine.setFrameRate(60);
+    drive(60, 1000);
+    drive(60, 5000, 2);
+
+    expect(changes[0]).toEqual(expect.objectContaining({ level: 'medium', previousLevel: 'high', reason: 'downgrade' }));
+  });
+});
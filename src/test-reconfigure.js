@@ -0,0 +1,103 @@
+import * as THREE from 'three';
+import { RenderEngine } from './RenderEngine.js';
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+
+describe('RenderEngine reconfigure', () => {
+  let renderEngine;
+
+  // 模拟渲染循环
+  const run = (milliseconds, step = 16) => {
+    for (let elapsed = 0; elapsed < milliseconds; elapsed += step) renderEngine.updateAnimations(step);
+  };
+
+  // 不创建 WebGL 渲染器，只搭建重建所需的场景对象
+  beforeEach(() => {
+    renderEngine = new RenderEngine(document.createElement('div'), { discoBall: { holes: 12 } });
+    renderEngine.createScene();
+    renderEngine.createCamera();
+    renderEngine.createDiscoBall();
+    renderEngine.createRoom();
+    renderEngine.createLightBeamSystem();
+    renderEngine.createLightSpotSystem();
+  });
+
+  afterEach(() => {
+    renderEngine.dispose();
+  });
+
+  it('should rebuild the ball, beams and spots in place', () => {
+    const discoBall = renderEngine.getDiscoBall();
+    const lightBeamSystem = renderEngine.getLightBeamSystem();
+    const previousMesh = discoBall.getMesh();
+
+    let event = null;
+    renderEngine.on('reconfigure', payload => { event = payload; });
+    expect(renderEngine.reconfigure({ holes: 30, holeLayout: 'rings' }, { duration: 0 })).toBe(true);
+
+    expect(renderEngine.getDiscoBall()).toBe(discoBall);
+    expect(renderEngine.getLightBeamSystem()).toBe(lightBeamSystem);
+    expect(discoBall.getHoles()).toHaveLength(30);
+    expect(lightBeamSystem.getBeamCount()).toBe(30);
+    expect(lightBeamSystem.getBeamGroup().children).toEqual([lightBeamSystem.beamMesh]);
+    expect(lightBeamSystem.beamMesh.count).toBe(30);
+    expect(lightBeamSystem.lensFlares).toHaveLength(30);
+    expect(renderEngine.lightSpotSystem.getSpots()).toHaveLength(30);
+
+    const scene = renderEngine.getScene();
+    expect(scene.children).toContain(discoBall.getMesh());
+    expect(scene.children).not.toContain(previousMesh);
+    expect(event).toEqual({ id: 'main', config: discoBall.getConfig(), previousConfig: expect.objectContaining({ holes: 12 }) });
+  });
+
+  it('should keep rotation, color phase and beam controls', () => {
+    const discoBall = renderEngine.getDiscoBall();
+    const lightBeamSystem = renderEngine.getLightBeamSystem();
+    discoBall.rotateBy(new THREE.Vector3(1, 0, 0), 0.5);
+    run(500);
+    lightBeamSystem.setBeamEnabled(3, false);
+    lightBeamSystem.setBeamColor(11, '#ff0000');
+
+    const rotation = discoBall.getRotationState();
+    const { colorTime } = lightBeamSystem;
+    const color = lightBeamSystem.beams[5].currentColor.clone();
+
+    renderEngine.reconfigure({ holes: 8 }, { duration: 0 });
+
+    expect(discoBall.getRotationState()).toEqual(rotation);
+    expect(lightBeamSystem.colorTime).toBe(colorTime);
+    // 颜色从旧光束的当前颜色继续过渡，不会跳回白色
+    const current = lightBeamSystem.beams[5].currentColor;
+    expect(Math.abs(current.r - color.r) + Math.abs(current.g - color.g) + Math.abs(current.b - color.b)).toBeLessThan(0.2);
+    expect(lightBeamSystem.getBeamControlState()).toEqual({ disabled: [3], solo: null, colors: {}, intensityScales: {} });
+
+    // 新光束跟随当前朝向
+    const beam = lightBeamSystem.beams[0];
+    const expected = beam.hole.direction.clone().applyQuaternion(discoBall.getMesh().quaternion);
+    expect(beam.worldDirection.distanceTo(expected)).toBeLessThan(1e-6);
+  });
+
+  it('should cross-fade between the old and new ball', () => {
+    const previousMesh = renderEngine.getDiscoBall().getMesh();
+    const previousBeams = renderEngine.getLightBeamSystem().beamMesh;
+    renderEngine.reconfigure({ radius: 2.5 }, { duration: 400 });
+
+    const scene = renderEngine.getScene();
+    const { material } = renderEngine.getDiscoBall();
+    expect(scene.children).toContain(previousMesh);
+    expect(previousBeams.parent).toBe(previousMesh);
+    expect(material.transparent).toBe(true);
+    expect(material.opacity).toBe(0);
+
+    run(208);
+    expect(material.opacity).toBeCloseTo(0.52);
+    expect(renderEngine.getLightBeamSystem().level).toBeCloseTo(0.52);
+    expect(previousMesh.material.opacity).toBeCloseTo(0.48);
+
+    run(208);
+    expect(scene.children).not.toContain(previousMesh);
+    expect(material.transparent).toBe(false);
+    expect(material.opacity).toBe(1);
+    expect(renderEngine.getLightBeamSystem().level).toBe(1);
+    expect(renderEngine.room.config.ballRadius).toBe(2.5);
+  });
+});
@@ -0,0 +1,249 @@
+import { ShowSequencer, EASINGS, parseShowTime } from './ShowSequencer.js';
+import { ControlManager } from './ControlManager.js';
+import { DiscoBall } from './DiscoBall.js';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+describe('ShowSequencer', () => {
+  let controlManager;
+  let sequencer;
+
+  const show = {
+    name: 'test',
+    cues: [
+      { time: 0, set: { colorMode: 'rainbow' } },
+      { time: '0:02', duration: 2, easing: 'easeInOutQuad', set: { rotation: { speed: 3.0 } } },
+      { time: 5, set: { colorMode: 'strobe', 'rotation.direction': -1 } }
+    ]
+  };
+
+  beforeEach(() => {
+    controlManager = new ControlManager({ rotation: { speed: 1.0 }, colorMode: 'white' });
+    sequencer = new ShowSequencer(controlManager);
+  });
+
+  afterEach(() => {
+    sequencer.dispose();
+    controlManager.dispose();
+  });
+
+  it('should parse seconds and m:ss times', () => {
+    expect(parseShowTime(12.5)).toBe(12.5);
+    expect(parseShowTime('0:32')).toBe(32);
+    expect(parseShowTime('1:05.5')).toBe(65.5);
+    expect(() => parseShowTime('soon')).toThrow();
+  });
+
+  it('should reject invalid shows', () => {
+    expect(() => sequencer.load({})).toThrow();
+    expect(() => sequencer.load({ cues: [{ time: 0, set: { 'audio.volume': 1 } }] })).toThrow();
+    expect(() => sequencer.load({ cues: [{ time: 0, easing: 'bounce', set: { intensity: 1 } }] })).toThrow();
+  });
+
+  it('should ramp numeric values with easing and step the rest', () => {
+    sequencer.load(show);
+    expect(sequencer.getState().duration).toBe(5);
+
+    sequencer.play();
+    expect(controlManager.get('colorMode')).toBe('rainbow');
+    expect(controlManager.get('rotation.speed')).toBe(1.0);
+
+    sequencer.update(3000);
+    expect(controlManager.get('rotation.speed')).toBeCloseTo(1.0 + 2.0 * EASINGS.easeInOutQuad(0.5));
+
+    sequencer.update(1000);
+    expect(controlManager.get('rotation.speed')).toBeCloseTo(3.0);
+    expect(controlManager.get('colorMode')).toBe('rainbow');
+
+    sequencer.update(1000);
+    expect(controlManager.get('colorMode')).toBe('strobe');
+    expect(controlManager.get('rotation.direction')).toBe(-1);
+    expect(sequencer.isPlaying).toBe(false);
+
+    // 演出写入的状态不进入撤销历史
+    expect(controlManager.canUndo()).toBe(false);
+  });
+
+  it('should seek, pause and restore the base state on stop', () => {
+    sequencer.load(show);
+    sequencer.seek('0:03');
+    expect(controlManager.get('rotation.speed')).toBeCloseTo(2.0);
+
+    sequencer.play();
+    sequencer.pause();
+    sequencer.update(1000);
+    expect(sequencer.currentTime).toBe(3);
+
+    sequencer.seek(1);
+    expect(controlManager.get('rotation.speed')).toBe(1.0);
+
+    sequencer.stop();
+    expect(controlManager.get('colorMode')).toBe('white');
+    expect(sequencer.currentTime).toBe(0);
+  });
+
+  it('should keep detected tempos from overriding a speed ramp', () => {
+    const discoBall = new DiscoBall({ holes: 4 });
+    discoBall.setFollowTempo(true);
+    controlManager.bind({ discoBall });
+    expect(controlManager.get('rotation.followTempo')).toBe(true);
+
+    sequencer.load(show);
+    sequencer.play();
+    sequencer.update(3000);
+    expect(controlManager.get('rotation.followTempo')).toBe(false);
+
+    // 过渡中途检测到新的节奏
+    discoBall.setTempo(128);
+    const speed = controlManager.get('rotation.speed');
+    expect(speed).toBeCloseTo(1.0 + 2.0 * EASINGS.easeInOutQuad(0.5));
+    expect(discoBall.targetRotationSpeed).toBeCloseTo(speed);
+
+    sequencer.update(500);
+    expect(discoBall.targetRotationSpeed).toBeCloseTo(controlManager.get('rotation.speed'));
+
+    // 停止后恢复跟随节奏
+    sequencer.stop();
+    expect(controlManager.get('rotation.followTempo')).toBe(true);
+    expect(discoBall.targetRotationSpeed).toBeCloseTo(discoBall.getTempoRotationSpeed(128));
+
+    controlManager.unbind();
+    discoBall.dispose();
+  });
+
+  it('should loop and emit cue events', () => {
+    sequencer.load({ ...show, loop: true });
+    const cues = [];
+    let loops = 0;
+    sequencer.on('cue', cue => cues.push(cue.time));
+    sequencer.on('loop', () => loops++);
+
+    sequencer.play();
+    sequencer.update(2500);
+    sequencer.update(3000);
+
+    expect(cues).toEqual([2, 5, 0]);
+    expect(loops).toBe(1);
+    expect(sequencer.currentTime).toBeCloseTo(0.5);
+    expect(sequencer.isPlaying).toBe(true);
+    expect(controlManager.get('colorMode')).toBe('rainbow');
+  });
+
+  it('should follow the audio clock when a track is loaded', () => {
+    const audioManager = {
+      isPlaying: false,
+      time: 0,
+      hasSource: () => true,
+      getDuration: () => 60,
+      getCurrentTime() { return this.time; },
+      play() { this.isPlaying = true; },
+      pause() { this.isPlaying = false; },
+      seek(time) { this.time = time; }
+    };
+    sequencer.dispose();
+    sequencer = new ShowSequencer(controlManager, { audioManager });
+    sequencer.load({ ...show, duration: '0:30' });
+
+    sequencer.play();
+    expect(audioManager.isPlaying).toBe(true);
+    expect(sequencer.getState().clock).toBe('audio');
+
+    audioManager.time = 5.2;
+    sequencer.update(16);
+    expect(controlManager.get('colorMode')).toBe('strobe');
+
+    sequencer.seek(3);
+    expect(audioManager.time).toBe(3);
+    sequencer.pause();
+    expect(audioManager.isPlaying).toBe(false);
+  });
+
+  it('should loop once per show length when the audio clock keeps running', () => {
+    const audioManager = {
+      isPlaying: false,
+      time: 0,
+      hasSource: () => true,
+      getDuration: () => 120,
+      getCurrentTime() { return this.time; },
+      play() { this.isPlaying = true; return Promise.resolve(true); },
+      pause() { this.isPlaying = false; },
+      seek(time) { this.time = time; }
+    };
+    sequencer.dispose();
+    sequencer = new ShowSequencer(controlManager, { audioManager });
+    sequencer.load({ duration: 10, loop: true, cues: [{ time: 1, set: { colorMode: 'rainbow' } }, { time: 6, set: { colorMode: 'strobe' } }] });
+
+    let loops = 0;
+    let cues = 0;
+    sequencer.on('loop', () => loops++);
+    sequencer.on('cue', () => cues++);
+    sequencer.play();
+
+    // 音乐时间一直递增，超过演出长度后不会倒回
+    for (let frame = 1; frame <= 20 * 60; frame++) {
+      audioManager.time = frame / 60;
+      sequencer.update(1000 / 60);
+    }
+
+    expect(loops).toBe(2);
+    expect(cues).toBe(4);
+    expect(sequencer.currentTime).toBeCloseTo(0, 5);
+
+    audioManager.time = 23.5;
+    sequencer.update(16);
+    expect(sequencer.currentTime).toBeCloseTo(3.5);
+    expect(controlManager.get('colorMode')).toBe('rainbow');
+  });
+
+  it('should follow generated music that has no timeline', () => {
+    const audioManager = {
+      isPlaying: false,
+      time: 42,
+      hasSource: () => true,
+      getDuration: () => 0,
+      getCurrentTime() { return this.time; },
+      play() { this.isPlaying = true; return Promise.resolve(true); },
+      pause() { this.isPlaying = false; },
+      seek: vi.fn()
+    };
+    sequencer.dispose();
+    sequencer = new ShowSequencer(controlManager, { audioManager });
+    sequencer.load(show);
+
+    // 开始时对齐到音乐当前位置
+    sequencer.play();
+    expect(sequencer.getState().clock).toBe('audio');
+    audioManager.time = 45;
+    sequencer.update(16);
+    expect(sequencer.currentTime).toBeCloseTo(3);
+
+    // 音乐暂停期间演出时间不前进
+    audioManager.pause();
+    sequencer.update(1000);
+    expect(sequencer.currentTime).toBeCloseTo(3);
+
+    // 跳转只移动演出，之后继续跟随音乐
+    sequencer.seek(1);
+    expect(audioManager.seek).not.toHaveBeenCalled();
+    audioManager.time = 45.5;
+    sequencer.update(16);
+    expect(sequencer.currentTime).toBeCloseTo(1.5);
+  });
+
+  it('should pause the show when the audio cannot start', async () => {
+    const audioManager = {
+      isPlaying: false,
+      hasSource: () => true,
+      getDuration: () => 60,
+      getCurrentTime: () => 0,
+      play: () => Promise.reject(new Error('NotAllowedError')),
+      pause() {}
+    };
+    sequencer.dispose();
+    sequencer = new ShowSequencer(controlManager, { audioManager });
+    sequencer.load(show);
+
+    sequencer.play();
+    expect(sequencer.isPlaying).toBe(true);
+    await vi.waitFor(() => expect(sequencer.isPlaying).toBe(false));
+  });
+});
@@ -0,0 +1,99 @@
+import { UIController } from './UIController.js';
+import { ControlManager } from './ControlManager.js';
+import { DiscoBall } from './DiscoBall.js';
+import { LightBeamSystem } from './LightBeamSystem.js';
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+
+describe('UIController', () => {
+  let discoBall;
+  let lightBeamSystem;
+  let controlManager;
+  let uiController;
+
+  const createUI = (config = {}) => {
+    uiController = new UIController(controlManager, config);
+    uiController.init();
+    return uiController.elements;
+  };
+
+  beforeEach(() => {
+    discoBall = new DiscoBall({ holes: 6 });
+    lightBeamSystem = new LightBeamSystem(discoBall);
+    controlManager = new ControlManager();
+    controlManager.bind({ discoBall, lightBeamSystem });
+  });
+
+  afterEach(() => {
+    uiController.dispose();
+    controlManager.dispose();
+    lightBeamSystem.dispose();
+    discoBall.dispose();
+  });
+
+  it('should render the control panel', () => {
+    const elements = createUI();
+    expect(document.querySelector('.controls-panel')).toBe(elements.panel);
+    expect(elements.speedButtons).toHaveLength(3);
+    expect(elements.colorModeButtons).toHaveLength(3);
+    expect(elements.panel.classList.contains('collapsed')).toBe(false);
+  });
+
+  it('should set rotation speed and direction from the buttons', () => {
+    const { speedButtons, directionButtons } = createUI();
+
+    speedButtons[2].click();
+    expect(discoBall.targetRotationSpeed).toBe(2.0);
+    expect(speedButtons[2].classList.contains('active')).toBe(true);
+    expect(speedButtons[0].classList.contains('active')).toBe(false);
+
+    directionButtons[1].click();
+    expect(discoBall.rotationDirection).toBe(-1);
+    expect(directionButtons[1].getAttribute('aria-pressed')).toBe('true');
+  });
+
+  it('should change color mode and intensity', () => {
+    const { colorModeButtons, intensitySlider } = createUI();
+
+    colorModeButtons[2].click();
+    expect(lightBeamSystem.getConfig().colorMode).toBe('white');
+
+    intensitySlider.value = '3';
+    intensitySlider.dispatchEvent(new Event('input'));
+    expect(lightBeamSystem.getConfig().beamIntensity).toBe(3);
+  });
+
+  it('should select pattern color modes', () => {
+    const { colorModeButtons, patternModeButtons } = createUI();
+
+    patternModeButtons[3].click();
+    expect(lightBeamSystem.getConfig().colorMode).toBe('strobe');
+    expect(patternModeButtons[3].classList.contains('active')).toBe(true);
+    expect(colorModeButtons.some(button => button.classList.contains('active'))).toBe(false);
+  });
+
+  it('should reflect state changes made elsewhere', () => {
+    const { colorModeButtons, opacitySlider } = createUI();
+
+    controlManager.setColorMode('random');
+    controlManager.setOpacity(0.3);
+
+    expect(colorModeButtons[1].classList.contains('active')).toBe(true);
+    expect(Number(opacitySlider.value)).toBeCloseTo(0.3);
+  });
+
+  it('should use touch-sized, collapsed layout on mobile', () => {
+    const { panel, toggleButton } = createUI({ isMobile: true });
+    expect(panel.classList.contains('controls-panel--touch')).toBe(true);
+    expect(panel.classList.contains('collapsed')).toBe(true);
+
+    toggleButton.click();
+    expect(panel.classList.contains('collapsed')).toBe(false);
+    expect(toggleButton.getAttribute('aria-expanded')).toBe('true');
+  });
+
+  it('should remove the panel on dispose', () => {
+    createUI();
+    uiController.dispose();
+    expect(document.querySelector('.controls-panel')).toBeNull();
+  });
+});
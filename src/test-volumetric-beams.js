@@ -0,0 +1,72 @@
+import * as THREE from 'three';
+import { DiscoBall } from './DiscoBall.js';
+import { LightBeamSystem } from './LightBeamSystem.js';
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+
+describe('LightBeamSystem volumetric shading', () => {
+  let discoBall;
+  let lightBeamSystem;
+
+  beforeEach(() => {
+    discoBall = new DiscoBall({ radius: 2, holes: 8 });
+    lightBeamSystem = new LightBeamSystem(discoBall, {
+      shadingMode: 'volumetric',
+      hazeDensity: 0.8,
+      floorY: -5
+    });
+  });
+
+  afterEach(() => {
+    lightBeamSystem.dispose();
+    discoBall.dispose();
+  });
+
+  it('should use a fog-aware volumetric material', () => {
+    const material = lightBeamSystem.beamMaterial;
+
+    expect(material.fog).toBe(true);
+    expect(material.uniforms.fogNear).toBeDefined();
+    expect(material.uniforms.hazeDensity.value).toBe(0.8);
+    expect(material.uniforms.ballRadius.value).toBe(2);
+    expect(material.uniforms.floorHeight.value).toBe(-5);
+    expect(material.fragmentShader).toContain('fogFactor');
+  });
+
+  it('should update haze density live on the shared material', () => {
+    lightBeamSystem.setHazeDensity(0.3);
+
+    expect(lightBeamSystem.beamMaterial.uniforms.hazeDensity.value).toBe(0.3);
+    expect(lightBeamSystem.getConfig().hazeDensity).toBe(0.3);
+  });
+
+  it('should animate the haze noise over time', () => {
+    lightBeamSystem.update(1000);
+    const first = lightBeamSystem.beamMaterial.uniforms.hazeTime.value;
+    lightBeamSystem.update(1000);
+
+    expect(first).toBeCloseTo(0.3);
+    expect(lightBeamSystem.beamMaterial.uniforms.hazeTime.value).toBeCloseTo(0.6);
+  });
+
+  it('should follow the ball position for depth softening', () => {
+    discoBall.getMesh().position.set(1, 2, 3);
+    lightBeamSystem.update(16);
+
+    const center = lightBeamSystem.beamMaterial.uniforms.ballCenter.value;
+    expect(center.equals(new THREE.Vector3(1, 2, 3))).toBe(true);
+  });
+
+  it('should switch shading modes and keep beam levels', () => {
+    lightBeamSystem.setIntensity(3.0);
+    lightBeamSystem.setShadingMode('basic');
+
+    const material = lightBeamSystem.beamMaterial;
+    expect(material.fog).toBe(false);
+    expect(material.uniforms.hazeDensity).toBeUndefined();
+    expect(lightBeamSystem.beamMesh.material).toBe(material);
+    expect(lightBeamSystem.beamGeometry.getAttribute('beamIntensity').getX(0)).toBeCloseTo(3.0);
+
+    // 基础模式下修改雾霾浓度不会出错
+    expect(() => lightBeamSystem.setHazeDensity(0.5)).not.toThrow();
+  });
+});
@@ -18,6 +18,7 @@ export default defineConfig({
     open: true
   },
   test: {
-    environment: 'jsdom'
+    environment: 'jsdom',
+    include: ['src/test-*.js']
   }
 });
\ No newline at end of file